@@ -154,7 +154,9 @@ class DataGridSearch {
             onSearch: typeof options.onSearch === 'function' ? options.onSearch : null,
             onClear: typeof options.onClear === 'function' ? options.onClear : null,
             dataGrid: options.dataGrid || null,
-            searchMethod: options.searchMethod || 'handleSearch'
+            searchMethod: options.searchMethod || 'handleSearch',
+            // (searchTerm, instance) => [{ label, description, value }]; hints with a value can be picked
+            hints: typeof options.hints === 'function' ? options.hints : null
         };
         
         // Get logger reference
@@ -166,6 +168,10 @@ class DataGridSearch {
         this.searchTimeout = null;
         this.isSearching = false;
         this.lastSearchTerm = '';
+        this.errorMessage = '';
+        this.dropdown = null;
+        this.hints = [];
+        this.activeHintIndex = -1;
         
         // Bind event handlers once to prevent memory leaks
         this.boundHandleInput = this.handleInput.bind(this);
@@ -173,6 +179,7 @@ class DataGridSearch {
         this.boundHandleFocus = this.handleFocus.bind(this);
         this.boundHandleBlur = this.handleBlur.bind(this);
         this.boundHandleClear = this.handleClear.bind(this);
+        this.boundHandleDropdownMouseDown = this.handleDropdownMouseDown.bind(this);
         
         // Find elements
         this.input = this.element.querySelector('.DataGridSearch__input');
@@ -228,6 +235,11 @@ class DataGridSearch {
         
         // Add ARIA attributes
         this.setupAccessibility();
+
+        // Hint dropdown below the input
+        if (this.options.hints) {
+            this.createDropdown();
+        }
         
         console.log('DataGridSearch: Initialized successfully');
     }
@@ -264,11 +276,132 @@ class DataGridSearch {
         }
     }
     
+    createDropdown() {
+        // Header controls that are re-rendered from their HTML bring the previous dropdown along
+        this.dropdown = this.element.querySelector('.DataGridSearch__dropdown') || document.createElement('ul');
+        this.dropdown.className = 'DataGridSearch__dropdown';
+        this.dropdown.id = `${this.input.id || 'DataGridSearch'}-hints`;
+        this.dropdown.setAttribute('role', 'listbox');
+        this.dropdown.hidden = true;
+        (this.container || this.element).appendChild(this.dropdown);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.dropdown.id);
+        this.input.setAttribute('aria-expanded', 'false');
+
+        // mousedown keeps the focus in the input, so blur does not close the list before a click lands
+        this.dropdown.addEventListener('mousedown', this.boundHandleDropdownMouseDown);
+    }
+
+    updateHints() {
+        if (!this.dropdown) {
+            return;
+        }
+
+        const hints = this.options.hints(this.input.value, this) || [];
+        this.hints = hints.filter(hint => hint.value !== undefined);
+        this.activeHintIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+        this.dropdown.innerHTML = '';
+
+        if (this.errorMessage) {
+            const errorItem = document.createElement('li');
+            errorItem.className = 'DataGridSearch__hint DataGridSearch__hint--error';
+            errorItem.setAttribute('role', 'presentation');
+            errorItem.textContent = this.errorMessage;
+            this.dropdown.appendChild(errorItem);
+        }
+
+        hints.forEach(hint => {
+            const item = document.createElement('li');
+            const label = document.createElement('code');
+            label.className = 'DataGridSearch__hint-label';
+            label.textContent = hint.label;
+            item.className = 'DataGridSearch__hint';
+            item.appendChild(label);
+            if (hint.description) {
+                const description = document.createElement('span');
+                description.className = 'DataGridSearch__hint-description';
+                description.textContent = hint.description;
+                item.appendChild(description);
+            }
+
+            const optionIndex = this.hints.indexOf(hint);
+            if (optionIndex === -1) {
+                item.setAttribute('role', 'presentation');
+            } else {
+                item.id = `${this.dropdown.id}-${optionIndex}`;
+                item.classList.add('DataGridSearch__hint--option');
+                item.setAttribute('role', 'option');
+                item.setAttribute('aria-selected', 'false');
+                item.setAttribute('data-hint-index', String(optionIndex));
+            }
+            this.dropdown.appendChild(item);
+        });
+
+        if (this.dropdown.children.length > 0 && document.activeElement === this.input) {
+            this.showHints();
+        } else {
+            this.hideHints();
+        }
+    }
+
+    showHints() {
+        if (this.dropdown) {
+            this.dropdown.hidden = false;
+            this.input.setAttribute('aria-expanded', 'true');
+        }
+    }
+
+    hideHints() {
+        if (this.dropdown) {
+            this.dropdown.hidden = true;
+            this.input.setAttribute('aria-expanded', 'false');
+            this.input.removeAttribute('aria-activedescendant');
+            this.activeHintIndex = -1;
+        }
+    }
+
+    isDropdownOpen() {
+        return Boolean(this.dropdown && !this.dropdown.hidden);
+    }
+
+    setActiveHint(index) {
+        const options = this.dropdown.querySelectorAll('[data-hint-index]');
+        this.activeHintIndex = (index + options.length) % options.length;
+        options.forEach((option, optionIndex) => {
+            const isActive = optionIndex === this.activeHintIndex;
+            option.classList.toggle('DataGridSearch__hint--active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+            }
+        });
+    }
+
+    // Put a hint's text in the input; it is searched once the user goes on typing or presses Enter
+    applyHint(hint) {
+        this.input.value = hint.value;
+        this.input.setSelectionRange?.(hint.value.length, hint.value.length);
+        this.updateClearButtonVisibility();
+        this.updateHints();
+    }
+
+    handleDropdownMouseDown(event) {
+        event.preventDefault();
+        const option = event.target.closest('[data-hint-index]');
+        if (option) {
+            this.applyHint(this.hints[Number(option.getAttribute('data-hint-index'))]);
+        }
+    }
+
     handleInput(event) {
         const searchTerm = event.target.value.trim();
         
         // Update clear button visibility
         this.updateClearButtonVisibility();
+        this.updateHints();
         
         // Clear existing timeout
         if (this.searchTimeout) {
@@ -282,6 +415,27 @@ class DataGridSearch {
     }
     
     handleKeydown(event) {
+        // Arrow keys move through the hints, Enter picks one, Escape closes the list
+        if (this.isDropdownOpen()) {
+            if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && this.hints.length > 0) {
+                event.preventDefault();
+                this.setActiveHint(this.activeHintIndex + (event.key === 'ArrowDown' ? 1 : -1));
+                return;
+            }
+            if (event.key === 'Enter' && this.activeHintIndex !== -1) {
+                event.preventDefault();
+                this.applyHint(this.hints[this.activeHintIndex]);
+                return;
+            }
+            if (event.key === 'Escape') {
+                this.hideHints();
+                return;
+            }
+            if (event.key === 'Tab') {
+                this.hideHints();
+            }
+        }
+
         // Handle Enter key
         if (event.key === 'Enter') {
             event.preventDefault();
@@ -297,10 +451,12 @@ class DataGridSearch {
     
     handleFocus(event) {
         this.element.classList.add('DataGridSearch--focused');
+        this.updateHints();
     }
     
     handleBlur(event) {
         this.element.classList.remove('DataGridSearch--focused');
+        this.hideHints();
     }
     
     handleClear(event) {
@@ -348,6 +504,7 @@ class DataGridSearch {
         
         this.lastSearchTerm = searchTerm;
         this.setSearchingState(true);
+        this.setErrorState(false);
         
         console.log(`DataGridSearch: Searching for "${searchTerm}"`);
         
@@ -373,7 +530,7 @@ class DataGridSearch {
             
         } catch (error) {
             console.error('DataGridSearch: Search error:', error);
-            this.setErrorState(true);
+            this.setErrorState(true, error.message);
         } finally {
             this.setSearchingState(false);
         }
@@ -413,8 +570,31 @@ class DataGridSearch {
         }
     }
     
-    setErrorState(hasError) {
+    /**
+     * @param {boolean} hasError
+     * @param {string} [message] - Shown at the top of the hint dropdown, or as the input's tooltip without one
+     */
+    setErrorState(hasError, message = '') {
+        const errorMessage = hasError ? message : '';
+        const changed = errorMessage !== this.errorMessage;
+        this.errorMessage = errorMessage;
         this.element.classList.toggle('DataGridSearch--error', hasError);
+
+        if (hasError) {
+            this.input.setAttribute('aria-invalid', 'true');
+        } else {
+            this.input.removeAttribute('aria-invalid');
+        }
+
+        if (this.dropdown) {
+            if (changed) {
+                this.updateHints();
+            }
+        } else if (errorMessage) {
+            this.input.title = errorMessage;
+        } else {
+            this.input.removeAttribute('title');
+        }
     }
     
     setNoResultsState(hasNoResults) {
@@ -473,6 +653,11 @@ class DataGridSearch {
         if (this.clearButton) {
             this.clearButton.removeEventListener('click', this.boundHandleClear);
         }
+
+        if (this.dropdown) {
+            this.dropdown.removeEventListener('mousedown', this.boundHandleDropdownMouseDown);
+            this.dropdown.remove();
+        }
         
         if (this.form && this.boundHandleFormSubmit) {
             this.form.removeEventListener('submit', this.boundHandleFormSubmit);
@@ -483,6 +668,7 @@ class DataGridSearch {
         this.input = null;
         this.clearButton = null;
         this.container = null;
+        this.dropdown = null;
         this.options = null;
         
         window.DataGridNamespace?.logger.debug('DataGridSearch destroyed');
@@ -0,0 +1,148 @@
+/**
+ * JobSearch Audit - Field-level change history for jobsearch entity records
+ * Shared by the browser storage adapters (jobsearch-storage.js) and the JobSearch API
+ * (testing/jobsearch-api.js) so every backend records the same entries.
+ *
+ * Entries live in the top-level `audit` array of jobsearch.json, next to `jobsearch`:
+ * {
+ *   id: 'lq2x9k-4f1a',            // unique entry id
+ *   timestamp: '2024-10-28T...',  // when the change was stored
+ *   entity: 'positions',
+ *   recordId: 12,
+ *   action: 'update',             // create | update | disable | restore | delete
+ *   version: 4,                   // record version after the change (before it, for deletes)
+ *   changes: [{ field: 'lcontact', from: '2024-10-01', to: '2024-10-28' }],
+ *   record: { ... }               // full record as of this entry, used to revert
+ * }
+ */
+
+const AUDIT_ACTIONS = ['create', 'update', 'disable', 'restore', 'delete'];
+
+// Bookkeeping fields that change on every write and would drown out the real changes
+const AUDIT_IGNORED_FIELDS = ['version', 'updatedAt', 'timestamp'];
+
+function cloneAuditValue(value) {
+    return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+function normalizeAuditValue(value) {
+    return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Field-level differences between two versions of a record
+ * @param {Object|null} before - Stored record before the change (null for creates)
+ * @param {Object|null} after - Stored record after the change (null for deletes)
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffAuditRecords(before, after) {
+    const fieldNames = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fieldNames.forEach(fieldName => {
+        if (AUDIT_IGNORED_FIELDS.includes(fieldName)) {
+            return;
+        }
+        const from = normalizeAuditValue(before?.[fieldName]);
+        const to = normalizeAuditValue(after?.[fieldName]);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field: fieldName, from: cloneAuditValue(from), to: cloneAuditValue(to) });
+        }
+    });
+
+    return changes;
+}
+
+function getAuditAction(before, after) {
+    if (!before) {
+        return 'create';
+    }
+    if (!after) {
+        return 'delete';
+    }
+    if (!before.isDisabled && after.isDisabled) {
+        return 'disable';
+    }
+    if (before.isDisabled && !after.isDisabled) {
+        return 'restore';
+    }
+    return 'update';
+}
+
+function createAuditEntryId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Build the audit entry for one stored change
+ * @param {string} entityType - Entity key in jobsearch.json
+ * @param {Object|null} before - Stored record before the change
+ * @param {Object|null} after - Stored record after the change
+ * @param {Object} [options]
+ * @param {string} [options.idField='id'] - Primary key field of the entity
+ * @returns {Object|null} The entry, or null when an update changed nothing worth recording
+ */
+function createAuditEntry(entityType, before, after, { idField = 'id' } = {}) {
+    const action = getAuditAction(before, after);
+    const changes = diffAuditRecords(before, after);
+    if (action === 'update' && changes.length === 0) {
+        return null;
+    }
+
+    const current = after || before;
+    return {
+        id: createAuditEntryId(),
+        timestamp: new Date().toISOString(),
+        entity: entityType,
+        recordId: current[idField] ?? current.id,
+        action,
+        version: current.version ?? null,
+        changes,
+        record: cloneAuditValue(current)
+    };
+}
+
+function getDocumentAuditEntries(document) {
+    if (!Array.isArray(document.audit)) {
+        document.audit = [];
+    }
+    return document.audit;
+}
+
+// Append an entry to a jobsearch.json document; null entries are ignored
+function appendAuditEntry(document, entry) {
+    if (entry) {
+        getDocumentAuditEntries(document).push(entry);
+    }
+    return entry;
+}
+
+/**
+ * Entries for a single record, oldest first
+ */
+function getRecordAuditTrail(entries, entityType, recordId) {
+    return (entries || [])
+        .filter(entry => entry.entity === entityType && String(entry.recordId) === String(recordId))
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+const JobSearchAudit = {
+    AUDIT_ACTIONS,
+    AUDIT_IGNORED_FIELDS,
+    diffAuditRecords,
+    getAuditAction,
+    createAuditEntry,
+    appendAuditEntry,
+    getDocumentAuditEntries,
+    getRecordAuditTrail
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchAudit;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchAudit = JobSearchAudit;
+}
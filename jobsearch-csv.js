@@ -0,0 +1,153 @@
+/**
+ * JobSearch CSV - RFC 4180 style CSV parsing and formatting
+ * Used by the CSV import wizard in jobsearch.js
+ *
+ * Handles quoted fields (embedded delimiters, quotes and line breaks), CRLF/LF line endings,
+ * a leading byte order mark and comma, semicolon or tab delimiters (detected from the header line).
+ */
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+function stripByteOrderMark(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+// Pick the candidate delimiter that occurs most often outside quotes on the first line
+function detectCsvDelimiter(text) {
+    const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && counts.has(char)) {
+            counts.set(char, counts.get(char) + 1);
+        }
+    }
+
+    return CSV_DELIMITERS.reduce((best, delimiter) => (counts.get(delimiter) > counts.get(best) ? delimiter : best), ',');
+}
+
+/**
+ * Parse CSV text into rows of string cells
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Defaults to the delimiter detected from the first line
+ * @returns {{delimiter: string, rows: string[][]}} Completely empty lines are skipped
+ */
+function parseCsv(text, { delimiter = null } = {}) {
+    const source = stripByteOrderMark(String(text ?? ''));
+    const separator = delimiter || detectCsvDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endCell = () => {
+        row.push(cell);
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+
+        if (inQuotes) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === separator) {
+            endCell();
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[index + 1] === '\n') {
+                index++;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return { delimiter: separator, rows };
+}
+
+/**
+ * Parse CSV text whose first row holds the column headers
+ * @returns {{delimiter: string, headers: string[], rows: string[][]}} Data rows are padded to the header width
+ */
+function parseCsvWithHeaders(text, options = {}) {
+    const { delimiter, rows } = parseCsv(text, options);
+    const [headerRow = [], ...dataRows] = rows;
+    const headers = headerRow.map(header => header.trim());
+
+    return {
+        delimiter,
+        headers,
+        rows: dataRows.map(cells => headers.map((header, index) => cells[index] ?? ''))
+    };
+}
+
+// Spreadsheet apps evaluate cells starting with these as formulas (CSV injection)
+const CSV_FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+function formatCsvCell(value, delimiter, escapeFormulas) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (escapeFormulas && CSV_FORMULA_PREFIXES.some(prefix => text.startsWith(prefix))) {
+        text = `'${text}`;
+    }
+    return /["\r\n]/.test(text) || text.includes(delimiter) || text !== text.trim()
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+/**
+ * Format rows of cells as CSV text (CRLF line endings)
+ * @param {Array<Array<*>>} rows
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=',']
+ * @param {boolean} [options.escapeFormulas=false] - Prefix cells starting with =, +, -, @, tab or CR
+ *        with ' so spreadsheet apps show them as text instead of running them
+ * @returns {string}
+ */
+function formatCsv(rows, { delimiter = ',', escapeFormulas = false } = {}) {
+    return rows
+        .map(cells => cells.map(cell => formatCsvCell(cell, delimiter, escapeFormulas)).join(delimiter))
+        .join('\r\n');
+}
+
+const JobSearchCsv = {
+    CSV_DELIMITERS,
+    detectCsvDelimiter,
+    parseCsv,
+    parseCsvWithHeaders,
+    formatCsv
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchCsv;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchCsv = JobSearchCsv;
+}
@@ -0,0 +1,131 @@
+/**
+ * JobSearchDialog - Promise-based modal dialog for the JobSearch Management System
+ * Used for confirmations and choices that need more than window.confirm()
+ *
+ * Usage:
+ *   const { action, element } = await JobSearchDialog.open({
+ *       title: 'Save conflict',
+ *       body: '<p>HTML content</p>',
+ *       actions: [{ id: 'ok', label: 'OK', variant: 'primary' }]
+ *   });
+ *   // action is the clicked action id, or null when dismissed (Escape / backdrop / close)
+ */
+
+class JobSearchDialog {
+    /**
+     * Open a dialog and resolve once the user picks an action
+     * @param {Object} options
+     * @param {string} options.title - Dialog heading
+     * @param {string|Node} options.body - HTML string or DOM node for the dialog body
+     * @param {Array<{id: string, label: string, variant?: string, title?: string}>} options.actions - Footer buttons
+     * @param {string} [options.className] - Extra class for the dialog panel (e.g. width modifiers)
+     * @param {Function} [options.onOpen] - Called with the panel element after it is attached; a body element with
+ *        the autofocus attribute gets focus, otherwise the first action button
+     * @param {Function} [options.onAction] - Called with (actionId, panel) before closing; return false to keep the dialog open
+     * @returns {Promise<{action: string|null, element: HTMLElement}>}
+     */
+    static open({ title = '', body = '', actions = [], className = '', onOpen = null, onAction = null } = {}) {
+        return new Promise(resolve => {
+            const previousFocus = document.activeElement;
+            const titleId = `jobsearch-dialog-title-${Date.now()}`;
+
+            const overlay = document.createElement('div');
+            overlay.className = 'JobSearchDialog';
+
+            const panel = document.createElement('div');
+            panel.className = `JobSearchDialog__panel ${className}`.trim();
+            panel.setAttribute('role', 'dialog');
+            panel.setAttribute('aria-modal', 'true');
+            panel.setAttribute('aria-labelledby', titleId);
+            panel.innerHTML = `
+                <div class="JobSearchDialog__header">
+                    <h2 class="JobSearchDialog__title" id="${titleId}"></h2>
+                    <button type="button" class="JobSearchDialog__close" aria-label="Close" data-dialog-action="">✕</button>
+                </div>
+                <div class="JobSearchDialog__body"></div>
+                <div class="JobSearchDialog__actions"></div>
+            `;
+            panel.querySelector('.JobSearchDialog__title').textContent = title;
+
+            const bodyElement = panel.querySelector('.JobSearchDialog__body');
+            if (typeof body === 'string') {
+                bodyElement.innerHTML = body;
+            } else if (body) {
+                bodyElement.appendChild(body);
+            }
+
+            const actionsElement = panel.querySelector('.JobSearchDialog__actions');
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `JobSearchDialog__button JobSearchDialog__button--${action.variant || 'secondary'}`;
+                button.textContent = action.label;
+                button.setAttribute('data-dialog-action', action.id);
+                if (action.title) {
+                    button.title = action.title;
+                }
+                actionsElement.appendChild(button);
+            });
+
+            const close = (action) => {
+                document.removeEventListener('keydown', handleKeydown, true);
+                overlay.remove();
+                if (previousFocus && typeof previousFocus.focus === 'function') {
+                    previousFocus.focus();
+                }
+                resolve({ action, element: panel });
+            };
+
+            const handleAction = (action) => {
+                if (action && typeof onAction === 'function' && onAction(action, panel) === false) {
+                    return;
+                }
+                close(action);
+            };
+
+            const handleKeydown = (event) => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    close(null);
+                }
+            };
+
+            overlay.addEventListener('click', (event) => {
+                if (event.target === overlay) {
+                    close(null);
+                    return;
+                }
+                const button = event.target.closest('[data-dialog-action]');
+                if (button && panel.contains(button)) {
+                    event.preventDefault();
+                    handleAction(button.getAttribute('data-dialog-action') || null);
+                }
+            });
+            document.addEventListener('keydown', handleKeydown, true);
+
+            overlay.appendChild(panel);
+            document.body.appendChild(overlay);
+
+            if (typeof onOpen === 'function') {
+                onOpen(panel);
+            }
+
+            // A body field marked autofocus (e.g. a name to type) takes focus before the buttons
+            const firstFocus = bodyElement.querySelector('[autofocus]') || actionsElement.querySelector('button');
+            if (firstFocus) {
+                firstFocus.focus();
+            }
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchDialog;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchDialog = JobSearchDialog;
+}
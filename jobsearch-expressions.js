@@ -0,0 +1,533 @@
+/**
+ * JobSearch Expressions - Safe expression language for computed schema fields
+ * Shared by jobsearch.js (grid cells), jobsearch-validator.js and the JobSearch API (testing/jobsearch-api.js)
+ *
+ * A computed field declares an expression over its own record:
+ *   "fullName":         { "computed": true, "expression": "fname + ' ' + lname", ... }
+ *   "email":            { "computed": true, "expression": "contactId -> contacts.email", ... }
+ *   "companyName":      { "computed": true, "expression": "positionId -> positions.companyId -> companies.name", ... }
+ *   "daysSinceContact": { "computed": true, "expression": "daysSince(coalesce(lcontact, icontact))", ... }
+ *   "status":           { "computed": true, "expression": "isDisabled ? 'Closed' : 'Open'", ... }
+ *
+ * Operators, lowest precedence first:
+ *   a ? b : c    a || b    a && b    == !=    < <= > >=    + -    * / %    !a -a    key -> entity.field
+ *
+ * `+` adds numbers and otherwise joins text (empty values join as ''). Arithmetic on an empty value
+ * gives an empty result rather than an error. `key -> entity.field` reads `field` from the `entity`
+ * record whose id is `key`; lookups chain left to right.
+ *
+ * Expressions are parsed into a tree once and interpreted; there is no eval/Function, only record
+ * fields can be read and only the functions in EXPRESSION_FUNCTIONS can be called. Fields without
+ * an expression keep the computedFrom/computedKey form, which getComputedExpression() rewrites as a lookup.
+ */
+
+const EXPRESSION_MAX_LENGTH = 1000;
+const EXPRESSION_MAX_DEPTH = 40;
+const EXPRESSION_DAY_MS = 24 * 60 * 60 * 1000;
+
+class ExpressionError extends Error {
+    constructor(message, position = null) {
+        super(position === null ? message : `${message} at position ${position + 1}`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+function isExpressionValueProvided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// Own properties only: names like "constructor" or "__proto__" are not fields, entities or records
+function getOwnExpressionValue(object, name) {
+    return object && Object.prototype.hasOwnProperty.call(object, name) ? object[name] : null;
+}
+
+function isExpressionTruthy(value) {
+    return isExpressionValueProvided(value) && value !== false && value !== 0;
+}
+
+function toExpressionNumber(value) {
+    if (!isExpressionValueProvided(value) || typeof value === 'boolean') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function toExpressionText(value) {
+    return isExpressionValueProvided(value) ? String(value) : '';
+}
+
+function padExpressionNumber(value) {
+    return String(value).padStart(2, '0');
+}
+
+// 'YYYY-MM-DD' (local date) or an ISO timestamp → local midnight of that day, or null
+function toExpressionDate(value) {
+    if (!isExpressionValueProvided(value)) {
+        return null;
+    }
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    const date = dateOnly
+        ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+        : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function formatExpressionDate(date) {
+    return `${date.getFullYear()}-${padExpressionNumber(date.getMonth() + 1)}-${padExpressionNumber(date.getDate())}`;
+}
+
+// Whole days from a to b; rounding absorbs daylight saving shifts
+function getExpressionDayDifference(a, b) {
+    return a && b ? Math.round((b.getTime() - a.getTime()) / EXPRESSION_DAY_MS) : null;
+}
+
+/**
+ * Callable functions: (context, ...argumentValues) => value
+ * context.now is the evaluation time (defaults to the current time).
+ */
+const EXPRESSION_FUNCTIONS = {
+    today: context => formatExpressionDate(toExpressionDate(context.now)),
+    daysSince: (context, date) => getExpressionDayDifference(toExpressionDate(date), toExpressionDate(context.now)),
+    daysUntil: (context, date) => getExpressionDayDifference(toExpressionDate(context.now), toExpressionDate(date)),
+    daysBetween: (context, from, to) => getExpressionDayDifference(toExpressionDate(from), toExpressionDate(to)),
+    addDays: (context, date, days) => {
+        const start = toExpressionDate(date);
+        const offset = toExpressionNumber(days);
+        return start && offset !== null
+            ? formatExpressionDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + Math.trunc(offset)))
+            : null;
+    },
+    if: (context, test, whenTrue, whenFalse = null) => (isExpressionTruthy(test) ? whenTrue : whenFalse),
+    coalesce: (context, ...values) => values.find(isExpressionValueProvided) ?? null,
+    join: (context, separator, ...values) => values.filter(isExpressionValueProvided).join(toExpressionText(separator)),
+    upper: (context, text) => toExpressionText(text).toUpperCase(),
+    lower: (context, text) => toExpressionText(text).toLowerCase(),
+    trim: (context, text) => toExpressionText(text).trim(),
+    len: (context, text) => toExpressionText(text).length,
+    contains: (context, text, part) => toExpressionText(text).toLowerCase().includes(toExpressionText(part).toLowerCase()),
+    number: (context, value) => toExpressionNumber(value),
+    text: (context, value) => toExpressionText(value),
+    round: (context, value, digits = 0) => {
+        const number = toExpressionNumber(value);
+        const factor = 10 ** (toExpressionNumber(digits) || 0);
+        return number === null ? null : Math.round(number * factor) / factor;
+    },
+    abs: (context, value) => {
+        const number = toExpressionNumber(value);
+        return number === null ? null : Math.abs(number);
+    },
+    min: (context, ...values) => {
+        const numbers = values.map(toExpressionNumber).filter(number => number !== null);
+        return numbers.length > 0 ? Math.min(...numbers) : null;
+    },
+    max: (context, ...values) => {
+        const numbers = values.map(toExpressionNumber).filter(number => number !== null);
+        return numbers.length > 0 ? Math.max(...numbers) : null;
+    }
+};
+
+const EXPRESSION_KEYWORDS = { true: true, false: false, null: null };
+// Longest operators first so '->' is not read as '-' followed by '>'
+const EXPRESSION_OPERATORS = ['->', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ',', '.'];
+const EXPRESSION_BINARY_LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+function tokenizeExpression(source) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+        const char = source[index];
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+
+        const start = index;
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1] || ''))) {
+            const match = /^(\d+\.?\d*|\.\d+)/.exec(source.slice(index));
+            tokens.push({ type: 'number', value: Number(match[0]), position: start });
+            index += match[0].length;
+        } else if (char === '"' || char === "'") {
+            let value = '';
+            index++;
+            while (index < source.length && source[index] !== char) {
+                if (source[index] === '\\' && index + 1 < source.length) {
+                    index++;
+                }
+                value += source[index];
+                index++;
+            }
+            if (index >= source.length) {
+                throw new ExpressionError('Unterminated string', start);
+            }
+            index++;
+            tokens.push({ type: 'string', value, position: start });
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index));
+            tokens.push({ type: 'identifier', value: match[0], position: start });
+            index += match[0].length;
+        } else {
+            const operator = EXPRESSION_OPERATORS.find(candidate => source.startsWith(candidate, index));
+            if (!operator) {
+                throw new ExpressionError(`Unexpected character "${char}"`, start);
+            }
+            tokens.push({ type: 'operator', value: operator, position: start });
+            index += operator.length;
+        }
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+function parseExpression(source) {
+    const tokens = tokenizeExpression(source);
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = value => peek().type === 'operator' && peek().value === value;
+    const next = () => tokens[index++];
+    const expectOperator = value => {
+        if (!isOperator(value)) {
+            throw new ExpressionError(`Expected "${value}"`, peek().position);
+        }
+        return next();
+    };
+    const expectIdentifier = description => {
+        if (peek().type !== 'identifier') {
+            throw new ExpressionError(`Expected ${description}`, peek().position);
+        }
+        return next().value;
+    };
+    const nested = parse => {
+        depth++;
+        if (depth > EXPRESSION_MAX_DEPTH) {
+            throw new ExpressionError('Expression is nested too deeply', peek().position);
+        }
+        const node = parse();
+        depth--;
+        return node;
+    };
+
+    const parseConditional = () => {
+        const test = parseBinary(0);
+        if (!isOperator('?')) {
+            return test;
+        }
+        next();
+        const consequent = nested(parseConditional);
+        expectOperator(':');
+        const alternate = nested(parseConditional);
+        return { type: 'conditional', test, consequent, alternate };
+    };
+
+    const parseBinary = level => {
+        if (level >= EXPRESSION_BINARY_LEVELS.length) {
+            return parseUnary();
+        }
+        let left = parseBinary(level + 1);
+        while (peek().type === 'operator' && EXPRESSION_BINARY_LEVELS[level].includes(peek().value)) {
+            const operator = next().value;
+            const right = parseBinary(level + 1);
+            left = { type: 'binary', operator, left, right };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOperator('!') || isOperator('-')) {
+            const operator = next().value;
+            return { type: 'unary', operator, operand: nested(parseUnary) };
+        }
+        return parseLookup();
+    };
+
+    const parseLookup = () => {
+        let node = parsePrimary();
+        while (isOperator('->')) {
+            next();
+            const entity = expectIdentifier('an entity name after "->"');
+            expectOperator('.');
+            const field = expectIdentifier(`a field name after "${entity}."`);
+            node = { type: 'lookup', key: node, entity, field };
+        }
+        return node;
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token.type === 'number' || token.type === 'string') {
+            next();
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'identifier') {
+            next();
+            if (Object.prototype.hasOwnProperty.call(EXPRESSION_KEYWORDS, token.value)) {
+                return { type: 'literal', value: EXPRESSION_KEYWORDS[token.value] };
+            }
+            if (!isOperator('(')) {
+                return { type: 'field', name: token.value };
+            }
+            if (!Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, token.value)) {
+                throw new ExpressionError(`Unknown function "${token.value}"`, token.position);
+            }
+            next();
+            const args = [];
+            while (!isOperator(')')) {
+                args.push(nested(parseConditional));
+                if (!isOperator(')')) {
+                    expectOperator(',');
+                }
+            }
+            next();
+            return { type: 'call', name: token.value, args };
+        }
+        if (isOperator('(')) {
+            next();
+            const node = nested(parseConditional);
+            expectOperator(')');
+            return node;
+        }
+        throw new ExpressionError(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`, token.position);
+    };
+
+    const tree = parseConditional();
+    if (peek().type !== 'end') {
+        throw new ExpressionError(`Unexpected "${peek().value}"`, peek().position);
+    }
+    return tree;
+}
+
+function collectExpressionDependencies(node, dependencies) {
+    switch (node.type) {
+        case 'field':
+            dependencies.fields.add(node.name);
+            break;
+        case 'lookup':
+            collectExpressionDependencies(node.key, dependencies);
+            dependencies.entities.add(node.entity);
+            dependencies.lookups.set(`${node.entity}.${node.field}`, { entity: node.entity, field: node.field });
+            break;
+        case 'call':
+            node.args.forEach(arg => collectExpressionDependencies(arg, dependencies));
+            break;
+        case 'unary':
+            collectExpressionDependencies(node.operand, dependencies);
+            break;
+        case 'binary':
+            collectExpressionDependencies(node.left, dependencies);
+            collectExpressionDependencies(node.right, dependencies);
+            break;
+        case 'conditional':
+            collectExpressionDependencies(node.test, dependencies);
+            collectExpressionDependencies(node.consequent, dependencies);
+            collectExpressionDependencies(node.alternate, dependencies);
+            break;
+        default:
+            break;
+    }
+    return dependencies;
+}
+
+function compareExpressionValues(a, b) {
+    const aNumber = typeof a === 'number' ? a : null;
+    const bNumber = typeof b === 'number' ? b : null;
+    if (aNumber !== null && bNumber !== null) {
+        return aNumber - bNumber;
+    }
+    if (aNumber !== null || bNumber !== null) {
+        // '5' < 10 compares as numbers when the text is numeric
+        const otherNumber = toExpressionNumber(aNumber !== null ? b : a);
+        if (otherNumber !== null) {
+            return aNumber !== null ? aNumber - otherNumber : otherNumber - bNumber;
+        }
+    }
+    return toExpressionText(a).localeCompare(toExpressionText(b));
+}
+
+function evaluateExpressionNode(node, record, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'field':
+            return getOwnExpressionValue(record, node.name) ?? null;
+        case 'lookup': {
+            const key = evaluateExpressionNode(node.key, record, context);
+            if (!isExpressionValueProvided(key) || !context.lookup) {
+                return null;
+            }
+            return getOwnExpressionValue(context.lookup(node.entity, key), node.field) ?? null;
+        }
+        case 'call':
+            return EXPRESSION_FUNCTIONS[node.name](context, ...node.args.map(arg => evaluateExpressionNode(arg, record, context)));
+        case 'unary': {
+            const operand = evaluateExpressionNode(node.operand, record, context);
+            if (node.operator === '!') {
+                return !isExpressionTruthy(operand);
+            }
+            const number = toExpressionNumber(operand);
+            return number === null ? null : -number;
+        }
+        case 'conditional':
+            return isExpressionTruthy(evaluateExpressionNode(node.test, record, context))
+                ? evaluateExpressionNode(node.consequent, record, context)
+                : evaluateExpressionNode(node.alternate, record, context);
+        case 'binary':
+            return evaluateExpressionBinary(node, record, context);
+        default:
+            return null;
+    }
+}
+
+function evaluateExpressionBinary(node, record, context) {
+    const left = evaluateExpressionNode(node.left, record, context);
+    // && and || short-circuit and return an operand, as in JavaScript
+    if (node.operator === '&&') {
+        return isExpressionTruthy(left) ? evaluateExpressionNode(node.right, record, context) : left;
+    }
+    if (node.operator === '||') {
+        return isExpressionTruthy(left) ? left : evaluateExpressionNode(node.right, record, context);
+    }
+
+    const right = evaluateExpressionNode(node.right, record, context);
+    switch (node.operator) {
+        case '+':
+            if (typeof left === 'number' && typeof right === 'number') {
+                return left + right;
+            }
+            return toExpressionText(left) + toExpressionText(right);
+        case '-':
+        case '*':
+        case '/':
+        case '%': {
+            const a = toExpressionNumber(left);
+            const b = toExpressionNumber(right);
+            if (a === null || b === null || ((node.operator === '/' || node.operator === '%') && b === 0)) {
+                return null;
+            }
+            if (node.operator === '-') return a - b;
+            if (node.operator === '*') return a * b;
+            if (node.operator === '/') return a / b;
+            return a % b;
+        }
+        case '==':
+        case '!=': {
+            const bothEmpty = !isExpressionValueProvided(left) && !isExpressionValueProvided(right);
+            const equal = bothEmpty || (isExpressionValueProvided(left) && isExpressionValueProvided(right) && compareExpressionValues(left, right) === 0);
+            return node.operator === '==' ? equal : !equal;
+        }
+        default: {
+            if (!isExpressionValueProvided(left) || !isExpressionValueProvided(right)) {
+                return false;
+            }
+            const order = compareExpressionValues(left, right);
+            if (node.operator === '<') return order < 0;
+            if (node.operator === '<=') return order <= 0;
+            if (node.operator === '>') return order > 0;
+            return order >= 0;
+        }
+    }
+}
+
+const compiledExpressions = new Map();
+
+/**
+ * Parse an expression (cached by source text)
+ * @param {string} source
+ * @returns {{source: string, dependencies: {fields: string[], entities: string[], lookups: Array<{entity: string, field: string}>},
+ *            evaluate: Function}} evaluate(record, { lookup(entity, id) => record|null, now })
+ * @throws {ExpressionError} When the expression cannot be parsed
+ */
+function compileExpression(source) {
+    const text = String(source ?? '');
+    if (compiledExpressions.has(text)) {
+        return compiledExpressions.get(text);
+    }
+    if (text.trim() === '') {
+        throw new ExpressionError('Expression is empty');
+    }
+    if (text.length > EXPRESSION_MAX_LENGTH) {
+        throw new ExpressionError(`Expression is longer than ${EXPRESSION_MAX_LENGTH} characters`);
+    }
+
+    const tree = parseExpression(text);
+    const collected = collectExpressionDependencies(tree, { fields: new Set(), entities: new Set(), lookups: new Map() });
+    const compiled = {
+        source: text,
+        dependencies: {
+            fields: Array.from(collected.fields),
+            entities: Array.from(collected.entities),
+            lookups: Array.from(collected.lookups.values())
+        },
+        evaluate: (record, { lookup = null, now = new Date() } = {}) => {
+            const value = evaluateExpressionNode(tree, record, { lookup, now });
+            return typeof value === 'number' && !Number.isFinite(value) ? null : value;
+        }
+    };
+    compiledExpressions.set(text, compiled);
+    return compiled;
+}
+
+/**
+ * The expression a computed field evaluates: its `expression`, or its computedFrom/computedKey
+ * rewritten as a lookup ("contactId -> contacts.lname, contacts.fname" joins with ', ')
+ * @param {Object} fieldConfig
+ * @param {Object} schema - Schema that holds the field
+ * @param {Object} document - jobsearch.json document; resolves computedKey paths ("positionId.companyId")
+ * @returns {string|null} null for fields that are not computed or are incomplete
+ */
+function getComputedExpression(fieldConfig, schema, document) {
+    if (!fieldConfig?.computed) {
+        return null;
+    }
+    if (isExpressionValueProvided(fieldConfig.expression)) {
+        return String(fieldConfig.expression);
+    }
+    if (!fieldConfig.computedFrom || !fieldConfig.computedKey) {
+        return null;
+    }
+
+    const [keyField, ...hops] = String(fieldConfig.computedKey).split('.');
+    let chain = keyField;
+    let hopSchema = schema || {};
+    let fieldName = keyField;
+    for (const nextField of hops) {
+        const [tableName] = String(getOwnExpressionValue(hopSchema, fieldName)?.foreignKey || '').split('.');
+        if (!tableName) {
+            return null;
+        }
+        chain = `${chain} -> ${tableName}.${nextField}`;
+        hopSchema = getOwnExpressionValue(document?.jobsearch, tableName)?.schema || {};
+        fieldName = nextField;
+    }
+
+    const sources = String(fieldConfig.computedFrom).split(',').map(part => part.trim()).filter(Boolean);
+    if (sources.length === 0 || sources.some(source => !source.includes('.'))) {
+        return null;
+    }
+    const lookups = sources.map(source => `${chain} -> ${source}`);
+    return lookups.length === 1 ? lookups[0] : `join(', ', ${lookups.join(', ')})`;
+}
+
+const JobSearchExpressions = {
+    ExpressionError,
+    EXPRESSION_FUNCTIONS,
+    compileExpression,
+    getComputedExpression
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchExpressions;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchExpressions = JobSearchExpressions;
+}
@@ -0,0 +1,264 @@
+/**
+ * JobSearch Filters - Structured record filters built from an entity schema
+ * Used by jobsearch.js (the filter panel and getFilteredRecords())
+ *
+ * A filter is a tree of groups and conditions:
+ *   {
+ *     logic: 'and',                                    // 'and' | 'or'
+ *     conditions: [
+ *       { field: 'status', operator: 'in', values: ['Screening', 'Interviewing'] },
+ *       { field: 'lcontact', operator: 'between', value: '2024-01-01', value2: '2024-03-31' },
+ *       { logic: 'or', conditions: [
+ *         { field: 'companyName', operator: 'startsWith', value: 'Tech' },
+ *         { field: 'daysSinceContact', operator: 'greaterThan', value: '14' }
+ *       ] }
+ *     ]
+ *   }
+ *
+ * The operators a field offers depend on its kind (getFilterFieldKind): dates compare as days,
+ * times as minutes, numbers numerically and text case-insensitively. Conditions that are not filled
+ * in yet are ignored, and an empty group matches every record.
+ */
+
+const FILTER_LOGIC = ['and', 'or'];
+
+// arity: how many values the operator reads - 0, 1, 2 (value and value2) or 'list' (values).
+// atLeast/atMost are not offered in the panel; the search syntax (jobsearch-query.js) uses them for >= and <=
+const FILTER_OPERATORS = {
+    equals: { label: 'equals', arity: 1 },
+    contains: { label: 'contains', arity: 1 },
+    startsWith: { label: 'starts with', arity: 1 },
+    before: { label: 'before', arity: 1 },
+    after: { label: 'after', arity: 1 },
+    greaterThan: { label: 'greater than', arity: 1 },
+    lessThan: { label: 'less than', arity: 1 },
+    atLeast: { label: 'at least', arity: 1 },
+    atMost: { label: 'at most', arity: 1 },
+    between: { label: 'between', arity: 2 },
+    in: { label: 'in list', arity: 'list' },
+    isEmpty: { label: 'is empty', arity: 0 },
+    isNotEmpty: { label: 'is not empty', arity: 0 }
+};
+
+const FILTER_KIND_OPERATORS = {
+    text: ['contains', 'equals', 'startsWith', 'isEmpty', 'isNotEmpty'],
+    number: ['equals', 'greaterThan', 'lessThan', 'between', 'isEmpty', 'isNotEmpty'],
+    date: ['equals', 'before', 'after', 'between', 'isEmpty', 'isNotEmpty'],
+    time: ['equals', 'before', 'after', 'between', 'isEmpty', 'isNotEmpty'],
+    choice: ['in', 'equals', 'isEmpty', 'isNotEmpty'],
+    reference: ['in', 'contains', 'startsWith', 'isEmpty', 'isNotEmpty'],
+    computed: ['contains', 'equals', 'startsWith', 'greaterThan', 'lessThan', 'isEmpty', 'isNotEmpty']
+};
+
+function isFilterValueProvided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function getFilterEditorOptions(fieldConfig) {
+    const options = fieldConfig?.editType?.options || fieldConfig?.options;
+    return Array.isArray(options) && options.length > 0 ? options : null;
+}
+
+/**
+ * Which operators and value editor a field gets
+ * @param {Object} fieldConfig - Schema field
+ * @returns {'reference'|'choice'|'date'|'time'|'number'|'computed'|'text'}
+ */
+function getFilterFieldKind(fieldConfig = {}) {
+    if (fieldConfig.foreignKey) return 'reference';
+    if (!fieldConfig.computed && getFilterEditorOptions(fieldConfig)) return 'choice';
+    if (fieldConfig.type === 'date') return 'date';
+    if (fieldConfig.type === 'time') return 'time';
+    if (fieldConfig.type === 'number') return 'number';
+    if (fieldConfig.computed || fieldConfig.type === 'computed') return 'computed';
+    return 'text';
+}
+
+function getFilterOperators(fieldConfig) {
+    return FILTER_KIND_OPERATORS[getFilterFieldKind(fieldConfig)];
+}
+
+function isFilterGroup(node) {
+    return Boolean(node) && Array.isArray(node.conditions);
+}
+
+function createFilterGroup(logic = 'and', conditions = []) {
+    return { logic: FILTER_LOGIC.includes(logic) ? logic : 'and', conditions };
+}
+
+function createFilterCondition(fieldName, fieldConfig) {
+    return { field: fieldName, operator: getFilterOperators(fieldConfig)[0], value: '', value2: '', values: [] };
+}
+
+// A condition takes part once every value its operator reads is filled in
+function isFilterConditionComplete(condition) {
+    const arity = FILTER_OPERATORS[condition?.operator]?.arity;
+    if (!condition?.field || arity === undefined) return false;
+    if (arity === 'list') return Array.isArray(condition.values) && condition.values.length > 0;
+    if (arity === 2) return isFilterValueProvided(condition.value) && isFilterValueProvided(condition.value2);
+    return arity === 0 || isFilterValueProvided(condition.value);
+}
+
+function countFilterConditions(node) {
+    if (isFilterGroup(node)) {
+        return node.conditions.reduce((count, child) => count + countFilterConditions(child), 0);
+    }
+    return isFilterConditionComplete(node) ? 1 : 0;
+}
+
+/**
+ * Keep the parts of a stored filter that still fit the schema: conditions on unknown fields or with
+ * operators their field no longer offers are dropped
+ * @param {Object} group
+ * @param {Object} schema
+ * @returns {Object} A new group
+ */
+function normalizeFilterGroup(group, schema = {}) {
+    const conditions = (isFilterGroup(group) ? group.conditions : [])
+        .map(node => {
+            if (isFilterGroup(node)) {
+                return normalizeFilterGroup(node, schema);
+            }
+            const fieldConfig = schema[node?.field];
+            if (!fieldConfig || !getFilterOperators(fieldConfig).includes(node.operator)) {
+                return null;
+            }
+            return {
+                field: node.field,
+                operator: node.operator,
+                value: isFilterValueProvided(node.value) ? String(node.value) : '',
+                value2: isFilterValueProvided(node.value2) ? String(node.value2) : '',
+                values: Array.isArray(node.values) ? node.values.map(String) : []
+            };
+        })
+        .filter(Boolean);
+    return createFilterGroup(group?.logic, conditions);
+}
+
+function toFilterText(value) {
+    return String(value).trim().toLocaleLowerCase();
+}
+
+// Dates compare as local days ('YYYY-MM-DD' or ISO timestamps), times as minutes since midnight
+function toFilterNumber(value, kind) {
+    if (kind === 'date') {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+        return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+    }
+    if (kind === 'time') {
+        const match = /^(\d{1,2}):(\d{2})/.exec(String(value));
+        return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    }
+    return typeof value === 'boolean' || String(value).trim() === '' ? NaN : Number(value);
+}
+
+function compareFilterValues(value, operand, kind) {
+    const number = toFilterNumber(value, kind);
+    const operandNumber = toFilterNumber(operand, kind);
+    if (Number.isNaN(number) || Number.isNaN(operandNumber)) {
+        return null;
+    }
+    return number - operandNumber;
+}
+
+/**
+ * Test one value against a condition
+ * @param {Object} condition
+ * @param {*} value - The record's value for condition.field
+ * @param {string} kind - getFilterFieldKind() of the field
+ * @returns {boolean}
+ */
+function matchFilterCondition(condition, value, kind = 'text') {
+    const { operator } = condition;
+    if (operator === 'isEmpty') return !isFilterValueProvided(value);
+    if (operator === 'isNotEmpty') return isFilterValueProvided(value);
+    if (!isFilterValueProvided(value)) return false;
+
+    switch (operator) {
+        case 'equals': {
+            const difference = ['number', 'date', 'time'].includes(kind) ? compareFilterValues(value, condition.value, kind) : null;
+            return difference === null ? toFilterText(value) === toFilterText(condition.value) : difference === 0;
+        }
+        case 'contains':
+            return toFilterText(value).includes(toFilterText(condition.value));
+        case 'startsWith':
+            return toFilterText(value).startsWith(toFilterText(condition.value));
+        case 'before':
+        case 'lessThan': {
+            const difference = compareFilterValues(value, condition.value, kind);
+            return difference !== null && difference < 0;
+        }
+        case 'after':
+        case 'greaterThan': {
+            const difference = compareFilterValues(value, condition.value, kind);
+            return difference !== null && difference > 0;
+        }
+        case 'atLeast': {
+            const difference = compareFilterValues(value, condition.value, kind);
+            return difference !== null && difference >= 0;
+        }
+        case 'atMost': {
+            const difference = compareFilterValues(value, condition.value, kind);
+            return difference !== null && difference <= 0;
+        }
+        case 'between': {
+            const fromDifference = compareFilterValues(value, condition.value, kind);
+            const toDifference = compareFilterValues(value, condition.value2, kind);
+            return fromDifference !== null && toDifference !== null && fromDifference >= 0 && toDifference <= 0;
+        }
+        case 'in':
+            return condition.values.map(String).includes(String(value));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Does a record match a filter tree?
+ * @param {Object} node - Group or condition
+ * @param {Object} record
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Fields of the record's entity
+ * @param {Function} [options.getValue] - (record, condition) → the value to test; defaults to record[condition.field]
+ * @returns {boolean}
+ */
+function evaluateFilter(node, record, { schema = {}, getValue = (item, condition) => item[condition.field] } = {}) {
+    if (isFilterGroup(node)) {
+        const children = node.conditions.filter(child => isFilterGroup(child) || isFilterConditionComplete(child));
+        if (children.length === 0) {
+            return true;
+        }
+        const matches = child => evaluateFilter(child, record, { schema, getValue });
+        return node.logic === 'or' ? children.some(matches) : children.every(matches);
+    }
+    if (!isFilterConditionComplete(node)) {
+        return true;
+    }
+    return matchFilterCondition(node, getValue(record, node), getFilterFieldKind(schema[node.field]));
+}
+
+const JobSearchFilters = {
+    FILTER_LOGIC,
+    FILTER_OPERATORS,
+    FILTER_KIND_OPERATORS,
+    getFilterFieldKind,
+    getFilterOperators,
+    isFilterGroup,
+    createFilterGroup,
+    createFilterCondition,
+    isFilterConditionComplete,
+    countFilterConditions,
+    normalizeFilterGroup,
+    matchFilterCondition,
+    evaluateFilter
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchFilters;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchFilters = JobSearchFilters;
+}
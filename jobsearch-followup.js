@@ -0,0 +1,215 @@
+/**
+ * JobSearch Follow-ups - Rule engine for positions that need a follow-up
+ * Used by jobsearch.js (row highlighting, the due list and the stats bar)
+ *
+ * A rule is a condition (jobsearch-expressions.js) over the records of one entity; every enabled
+ * record that matches makes its position due:
+ *   {
+ *     id: 'interview-prep',
+ *     label: 'Interview within 2 days with no prep note',
+ *     entity: 'appointments',          // records the condition reads (default 'positions')
+ *     positionKey: 'positionId',       // field holding the position id (default 'id' for positions)
+ *     when: "appointmentType == 'Interview' && daysUntil(appointmentDate) <= 2",
+ *     dueDate: 'appointmentDate',      // optional expression; orders the due list
+ *     severity: 'urgent'               // 'due' (default) or 'urgent'
+ *   }
+ *
+ * Follow-up state is computed, never stored: a position is due while any rule matches it and
+ * takes the highest severity of its matches.
+ */
+
+const FOLLOW_UP_SEVERITIES = ['due', 'urgent'];
+const FOLLOW_UP_POSITION_ENTITY = 'positions';
+
+const DEFAULT_FOLLOW_UP_RULES = [
+    {
+        id: 'no-recent-contact',
+        label: 'No contact for 7 days',
+        entity: 'positions',
+        when: "daysSince(coalesce(lcontact, icontact)) >= 7 && status != 'Rejected' && status != 'Withdrawn'",
+        dueDate: 'addDays(coalesce(lcontact, icontact), 7)',
+        severity: 'due'
+    },
+    {
+        id: 'interview-prep',
+        label: 'Interview within 2 days with no prep note',
+        entity: 'appointments',
+        positionKey: 'positionId',
+        when: "appointmentType == 'Interview' && daysUntil(appointmentDate) >= 0 && daysUntil(appointmentDate) <= 2 && !contains(notes, 'prep')",
+        dueDate: 'appointmentDate',
+        severity: 'urgent'
+    }
+];
+
+function getFollowUpExpressions() {
+    if (typeof window !== 'undefined' && window.JobSearchExpressions) {
+        return window.JobSearchExpressions;
+    }
+    if (typeof require === 'function') {
+        return require('./jobsearch-expressions');
+    }
+    return null;
+}
+
+function getFollowUpEntityRecords(document, entityType) {
+    const entity = document?.jobsearch?.[entityType];
+    if (Array.isArray(entity?.data)) return entity.data;
+    if (Array.isArray(entity?.records)) return entity.records;
+    return [];
+}
+
+function isFollowUpValueProvided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// Same truthiness as the expression language: empty values, false and 0 do not match
+function isFollowUpMatch(value) {
+    return isFollowUpValueProvided(value) && value !== false && value !== 0;
+}
+
+/**
+ * Check and compile rules; invalid rules are left out and reported
+ * @param {Object[]} rules
+ * @returns {{rules: Object[], errors: string[]}} Compiled rules carry `condition` and `dueDateExpression`
+ */
+function compileFollowUpRules(rules) {
+    const expressions = getFollowUpExpressions();
+    const compiled = [];
+    const errors = [];
+    const seenIds = new Set();
+
+    (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+        const name = rule?.id ? `Follow-up rule "${rule.id}"` : `Follow-up rule ${index + 1}`;
+        const entity = rule?.entity || FOLLOW_UP_POSITION_ENTITY;
+        const positionKey = rule?.positionKey || (entity === FOLLOW_UP_POSITION_ENTITY ? 'id' : null);
+        const severity = rule?.severity || 'due';
+
+        if (!rule?.id || seenIds.has(rule.id)) {
+            errors.push(`${name}: needs a unique id`);
+            return;
+        }
+        if (!positionKey) {
+            errors.push(`${name}: rules on ${entity} need a positionKey`);
+            return;
+        }
+        if (!FOLLOW_UP_SEVERITIES.includes(severity)) {
+            errors.push(`${name}: severity must be one of ${FOLLOW_UP_SEVERITIES.join(', ')}`);
+            return;
+        }
+        if (!expressions) {
+            errors.push(`${name}: jobsearch-expressions.js is not loaded`);
+            return;
+        }
+
+        try {
+            compiled.push({
+                id: rule.id,
+                label: rule.label || rule.id,
+                entity,
+                positionKey,
+                severity,
+                condition: expressions.compileExpression(rule.when),
+                dueDateExpression: rule.dueDate ? expressions.compileExpression(rule.dueDate) : null
+            });
+            seenIds.add(rule.id);
+        } catch (error) {
+            errors.push(`${name}: ${error.message}`);
+        }
+    });
+
+    return { rules: compiled, errors };
+}
+
+/**
+ * Work out which positions are due for a follow-up
+ * @param {Object} document - jobsearch.json document ({ jobsearch: { <entity>: { schema, data } } })
+ * @param {Object[]} rules - Rules from compileFollowUpRules()
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @returns {Object[]} [{ positionId, position, severity, dueDate, reasons: [{ ruleId, label, severity, dueDate, entityType, recordId }] }],
+ *   urgent first, then by earliest due date
+ */
+function evaluateFollowUps(document, rules, { now = new Date() } = {}) {
+    const indexes = new Map();
+    const lookup = (entityType, id) => {
+        if (!indexes.has(entityType)) {
+            indexes.set(entityType, new Map(getFollowUpEntityRecords(document, entityType).map(record => [String(record.id), record])));
+        }
+        return indexes.get(entityType).get(String(id)) || null;
+    };
+    const positions = new Map();
+
+    rules.forEach(rule => {
+        getFollowUpEntityRecords(document, rule.entity)
+            .filter(record => !record.isDisabled)
+            .forEach(record => {
+                const positionId = record[rule.positionKey];
+                const position = isFollowUpValueProvided(positionId) ? lookup(FOLLOW_UP_POSITION_ENTITY, positionId) : null;
+                if (!position || position.isDisabled) {
+                    return;
+                }
+
+                const context = { lookup, now };
+                if (!isFollowUpMatch(rule.condition.evaluate(record, context))) {
+                    return;
+                }
+                const dueDate = rule.dueDateExpression ? rule.dueDateExpression.evaluate(record, context) : null;
+
+                const key = String(position.id);
+                if (!positions.has(key)) {
+                    positions.set(key, { positionId: position.id, position, severity: 'due', dueDate: null, reasons: [] });
+                }
+                const item = positions.get(key);
+                item.reasons.push({
+                    ruleId: rule.id,
+                    label: rule.label,
+                    severity: rule.severity,
+                    dueDate: isFollowUpValueProvided(dueDate) ? String(dueDate) : null,
+                    entityType: rule.entity,
+                    recordId: record.id
+                });
+                if (rule.severity === 'urgent') {
+                    item.severity = 'urgent';
+                }
+                if (isFollowUpValueProvided(dueDate) && (!item.dueDate || String(dueDate) < item.dueDate)) {
+                    item.dueDate = String(dueDate);
+                }
+            });
+    });
+
+    const severityRank = severity => FOLLOW_UP_SEVERITIES.indexOf(severity);
+    return Array.from(positions.values()).sort((a, b) =>
+        severityRank(b.severity) - severityRank(a.severity)
+        || (a.dueDate || '9999').localeCompare(b.dueDate || '9999')
+        || String(a.positionId).localeCompare(String(b.positionId), undefined, { numeric: true }));
+}
+
+/**
+ * Counts for the stats bar
+ * @param {Object[]} items - Result of evaluateFollowUps()
+ * @returns {{due: number, urgent: number}} due counts every position with a follow-up, urgent those with an urgent one
+ */
+function summarizeFollowUps(items) {
+    return {
+        due: items.length,
+        urgent: items.filter(item => item.severity === 'urgent').length
+    };
+}
+
+const JobSearchFollowUp = {
+    FOLLOW_UP_SEVERITIES,
+    DEFAULT_FOLLOW_UP_RULES,
+    compileFollowUpRules,
+    evaluateFollowUps,
+    summarizeFollowUps
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchFollowUp;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchFollowUp = JobSearchFollowUp;
+}
@@ -0,0 +1,123 @@
+/**
+ * CommandHistory - Undo/redo stack of reversible commands
+ * Used by jobsearch.js to make record mutations (add, edit, delete, disable/restore) reversible
+ *
+ * A command is any object with:
+ * - label: string shown in the undo/redo button titles
+ * - undo(): reverts the change
+ * - redo(): re-applies the change
+ */
+
+class CommandHistory {
+    constructor(options = {}) {
+        this.options = {
+            limit: Math.max(1, options.limit || 100)
+        };
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Record a command that has already been applied. Clears the redo stack.
+     */
+    push(command) {
+        if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+            throw new Error('CommandHistory: command must implement undo() and redo()');
+        }
+        if (this.isApplying) {
+            return;
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.options.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    undo() {
+        return this.apply(this.undoStack, this.redoStack, 'undo');
+    }
+
+    redo() {
+        return this.apply(this.redoStack, this.undoStack, 'redo');
+    }
+
+    apply(fromStack, toStack, method) {
+        if (this.isApplying || fromStack.length === 0) {
+            return null;
+        }
+
+        const command = fromStack.pop();
+        this.isApplying = true;
+        try {
+            command[method]();
+            toStack.push(command);
+        } catch (error) {
+            // Drop the command: its recorded state no longer applies
+            console.error(`CommandHistory: ${method} failed for "${command.label}"`, error);
+        } finally {
+            this.isApplying = false;
+            this.notify();
+        }
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Visit every recorded command (e.g. to remap ids assigned after the fact)
+     */
+    forEachCommand(callback) {
+        [...this.undoStack, ...this.redoStack].forEach(callback);
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('CommandHistory: change listener failed', error);
+            }
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandHistory;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.CommandHistory = CommandHistory;
+}
@@ -0,0 +1,308 @@
+/**
+ * JobSearch iCalendar - RFC 5545 VEVENT formatting and parsing
+ * Used by jobsearch.js to export appointments as .ics files and import them from calendar files
+ *
+ * Events are plain objects:
+ * {
+ *   uid: 'jobsearch-appointments-12@jobsearch',
+ *   summary: 'Interview: Senior Engineer',
+ *   description: 'Bring portfolio',
+ *   location: 'Acme HQ',
+ *   categories: ['Interview'],
+ *   date: '2024-10-28',          // local date
+ *   time: '14:30',               // local wall time; null for all-day events
+ *   durationMinutes: 60,         // timed events only
+ *   sequence: 3,
+ *   lastModified: '2024-10-20T08:00:00.000Z'
+ * }
+ *
+ * Timed events are written as floating local times (no TZID), which every calendar app accepts.
+ * Parsed UTC times (`...Z`) are converted to local time; TZID times are kept as wall-clock time.
+ */
+
+const ICAL_PRODUCT_ID = '-//HTMLStubs//JobSearch Management//EN';
+const ICAL_LINE_LIMIT = 75;
+const ICAL_DEFAULT_DURATION_MINUTES = 60;
+
+function padICalNumber(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+function escapeICalText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeICalText(value) {
+    return String(value ?? '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function getUtf8Length(char) {
+    const codePoint = char.codePointAt(0);
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    if (codePoint < 0x10000) return 3;
+    return 4;
+}
+
+// Fold content lines longer than 75 octets; continuation lines start with a space
+function foldICalLine(line) {
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+
+    for (const char of line) {
+        const charLength = getUtf8Length(char);
+        const limit = parts.length === 0 ? ICAL_LINE_LIMIT : ICAL_LINE_LIMIT - 1;
+        if (currentLength + charLength > limit) {
+            parts.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += char;
+        currentLength += charLength;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function formatICalUtcDateTime(date) {
+    return `${date.getUTCFullYear()}${padICalNumber(date.getUTCMonth() + 1)}${padICalNumber(date.getUTCDate())}`
+        + `T${padICalNumber(date.getUTCHours())}${padICalNumber(date.getUTCMinutes())}${padICalNumber(date.getUTCSeconds())}Z`;
+}
+
+function formatICalLocalDate(date) {
+    return `${date.getFullYear()}${padICalNumber(date.getMonth() + 1)}${padICalNumber(date.getDate())}`;
+}
+
+function formatICalLocalDateTime(date) {
+    return `${formatICalLocalDate(date)}T${padICalNumber(date.getHours())}${padICalNumber(date.getMinutes())}00`;
+}
+
+// '2024-10-28' + '14:30' → local Date; time defaults to midnight
+function toLocalDate(date, time = null) {
+    const [year, month, day] = String(date).split('-').map(Number);
+    const [hours = 0, minutes = 0] = time ? String(time).split(':').map(Number) : [];
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+function formatICalEvent(event, dtstamp) {
+    if (!event.uid || !event.date) {
+        throw new Error('formatICalendar: every event needs a uid and a date');
+    }
+
+    const start = toLocalDate(event.date, event.time);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${escapeICalText(event.uid)}`,
+        `DTSTAMP:${dtstamp}`
+    ];
+
+    if (event.time) {
+        const end = new Date(start.getTime() + (event.durationMinutes || ICAL_DEFAULT_DURATION_MINUTES) * 60000);
+        lines.push(`DTSTART:${formatICalLocalDateTime(start)}`, `DTEND:${formatICalLocalDateTime(end)}`);
+    } else {
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+        lines.push(`DTSTART;VALUE=DATE:${formatICalLocalDate(start)}`, `DTEND;VALUE=DATE:${formatICalLocalDate(end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeICalText(event.summary || '')}`);
+    if (event.location) {
+        lines.push(`LOCATION:${escapeICalText(event.location)}`);
+    }
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeICalText(event.description)}`);
+    }
+    if (Array.isArray(event.categories) && event.categories.length > 0) {
+        lines.push(`CATEGORIES:${event.categories.map(escapeICalText).join(',')}`);
+    }
+    if (Number.isInteger(event.sequence)) {
+        lines.push(`SEQUENCE:${event.sequence}`);
+    }
+    if (event.lastModified && !Number.isNaN(new Date(event.lastModified).getTime())) {
+        lines.push(`LAST-MODIFIED:${formatICalUtcDateTime(new Date(event.lastModified))}`);
+    }
+    lines.push('END:VEVENT');
+
+    return lines;
+}
+
+/**
+ * Format events as a VCALENDAR document (CRLF line endings, folded lines)
+ * @param {Object[]} events
+ * @param {Object} [options]
+ * @param {string} [options.calendarName] - X-WR-CALNAME shown by calendar apps
+ * @returns {string}
+ */
+function formatICalendar(events, { calendarName = '' } = {}) {
+    const dtstamp = formatICalUtcDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICAL_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (calendarName) {
+        lines.push(`X-WR-CALNAME:${escapeICalText(calendarName)}`);
+    }
+    events.forEach(event => lines.push(...formatICalEvent(event, dtstamp)));
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(foldICalLine).join('\r\n')}\r\n`;
+}
+
+// Undo line folding: a line break followed by a space or tab continues the previous line
+function unfoldICalLines(text) {
+    return String(text ?? '')
+        .replace(/^\uFEFF/, '')
+        .replace(/\r?\n[ \t]/g, '')
+        .split(/\r?\n/)
+        .filter(line => line.trim() !== '');
+}
+
+// 'DTSTART;TZID=Europe/Berlin:20241028T143000' → { name: 'DTSTART', params: { TZID: 'Europe/Berlin' }, value: '...' }
+function parseICalLine(line) {
+    let inQuotes = false;
+    let separatorIndex = -1;
+    for (let index = 0; index < line.length; index++) {
+        if (line[index] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[index] === ':' && !inQuotes) {
+            separatorIndex = index;
+            break;
+        }
+    }
+    if (separatorIndex === -1) {
+        return null;
+    }
+
+    const [name, ...paramParts] = line.slice(0, separatorIndex).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, ...valueParts] = part.split('=');
+        params[key.toUpperCase()] = valueParts.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(separatorIndex + 1) };
+}
+
+// DTSTART value → { date: 'YYYY-MM-DD', time: 'HH:MM' | null }, or null when unreadable
+function parseICalDateTime(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes, , utc] = match;
+    if (params.VALUE === 'DATE' || hours === undefined) {
+        return { date: `${year}-${month}-${day}`, time: null };
+    }
+
+    if (utc) {
+        const local = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)));
+        return {
+            date: `${local.getFullYear()}-${padICalNumber(local.getMonth() + 1)}-${padICalNumber(local.getDate())}`,
+            time: `${padICalNumber(local.getHours())}:${padICalNumber(local.getMinutes())}`
+        };
+    }
+
+    return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar document
+ * @param {string} text
+ * @returns {{events: Object[], errors: string[]}} Events without a readable DTSTART are reported in errors
+ */
+function parseICalendar(text) {
+    const events = [];
+    const errors = [];
+    let current = null;
+    let depth = 0;
+
+    unfoldICalLines(text).forEach(line => {
+        const property = parseICalLine(line);
+        if (!property) {
+            return;
+        }
+
+        if (property.name === 'BEGIN') {
+            depth++;
+            if (property.value.toUpperCase() === 'VEVENT') {
+                current = { categories: [], depth };
+            }
+            return;
+        }
+        if (property.name === 'END') {
+            if (current && property.value.toUpperCase() === 'VEVENT') {
+                const { depth: eventDepth, start, ...event } = current;
+                if (!start) {
+                    errors.push(`Event "${event.summary || event.uid || events.length + errors.length + 1}" has no readable start date`);
+                } else {
+                    events.push({ ...event, date: start.date, time: start.time });
+                }
+                current = null;
+            }
+            depth--;
+            return;
+        }
+        // Properties of nested components (e.g. VALARM) do not belong to the event
+        if (!current || depth !== current.depth) {
+            return;
+        }
+
+        switch (property.name) {
+            case 'UID':
+                current.uid = unescapeICalText(property.value);
+                break;
+            case 'SUMMARY':
+                current.summary = unescapeICalText(property.value);
+                break;
+            case 'LOCATION':
+                current.location = unescapeICalText(property.value);
+                break;
+            case 'DESCRIPTION':
+                current.description = unescapeICalText(property.value);
+                break;
+            case 'CATEGORIES':
+                current.categories.push(...property.value.split(/(?<!\\),/).map(unescapeICalText).map(value => value.trim()).filter(Boolean));
+                break;
+            case 'DTSTART':
+                current.start = parseICalDateTime(property.value, property.params);
+                break;
+            case 'SEQUENCE':
+                current.sequence = Number.parseInt(property.value, 10) || 0;
+                break;
+            default:
+                break;
+        }
+    });
+
+    return { events, errors };
+}
+
+function isICalendarText(text) {
+    return /^\s*(\uFEFF)?BEGIN:VCALENDAR/i.test(String(text ?? ''));
+}
+
+const JobSearchICal = {
+    ICAL_DEFAULT_DURATION_MINUTES,
+    formatICalendar,
+    parseICalendar,
+    isICalendarText
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchICal;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchICal = JobSearchICal;
+}
@@ -0,0 +1,251 @@
+/**
+ * JobSearch Integrity - Foreign key onDelete policies for jobsearch entities
+ * Shared by jobsearch.js (delete and disable in the grid) and the JobSearch API
+ * (testing/jobsearch-api.js) so every path treats dependent records the same way.
+ *
+ * A foreign key field declares what happens to its records when the referenced record goes away:
+ *   "companyId": { "foreignKey": "companies.id", "onDelete": "cascade-disable", ... }
+ *
+ * Policy            | Parent disabled                  | Parent deleted
+ * ----------------- | -------------------------------- | --------------------------------
+ * restrict          | blocked while enabled dependents | blocked while any dependents
+ * cascade           | dependents disabled              | dependents deleted
+ * set-null          | enabled dependents' key cleared  | dependents' key cleared
+ * cascade-disable   | dependents disabled              | blocked while any dependents
+ *
+ * Fields without onDelete use DEFAULT_ON_DELETE_POLICY. Cascades continue through the dependents'
+ * own dependents. Computed display fields (computedKey/computedFrom) are not references.
+ */
+
+const ON_DELETE_POLICIES = ['restrict', 'cascade', 'set-null', 'cascade-disable'];
+const DEFAULT_ON_DELETE_POLICY = 'restrict';
+
+function getIntegrityEntityRecords(entity) {
+    if (Array.isArray(entity?.data)) return entity.data;
+    if (Array.isArray(entity?.records)) return entity.records;
+    return [];
+}
+
+function isIntegrityValueProvided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Foreign key fields in any entity that point at `entityType`
+ * @returns {Array<{entityType: string, fieldName: string, displayName: string, idField: string, policy: string, required: boolean}>}
+ */
+function getForeignKeyReferences(document, entityType) {
+    const references = [];
+    Object.entries(document?.jobsearch || {}).forEach(([dependentType, entity]) => {
+        Object.entries(entity?.schema || {}).forEach(([fieldName, fieldConfig]) => {
+            if (!fieldConfig?.foreignKey || fieldConfig.computedKey || fieldConfig.computedFrom || fieldConfig.computed) {
+                return;
+            }
+            const [collectionKey, idField = 'id'] = String(fieldConfig.foreignKey).split('.');
+            if (collectionKey !== entityType) {
+                return;
+            }
+            references.push({
+                entityType: dependentType,
+                fieldName,
+                displayName: fieldConfig.displayName || fieldName,
+                idField,
+                policy: ON_DELETE_POLICIES.includes(fieldConfig.onDelete) ? fieldConfig.onDelete : DEFAULT_ON_DELETE_POLICY,
+                required: Boolean(fieldConfig.required)
+            });
+        });
+    });
+    return references;
+}
+
+/**
+ * Work out what deleting or disabling records does to the records that reference them
+ * @param {Object} document - jobsearch.json document ({ jobsearch: { <entity>: { schema, data } } })
+ * @param {string} entityType - Entity of the records being removed
+ * @param {Object[]} records - Records being deleted or disabled
+ * @param {Object} [options]
+ * @param {'delete'|'disable'} [options.mode='delete']
+ * @returns {{blocked: Object[], effects: Object[]}}
+ *   blocked: [{ entityType, fieldName, displayName, policy, parentEntityType, records }] - removal must not proceed
+ *   effects: [{ entityType, record, effect: 'delete'|'disable'|'set-null', fieldName, parentEntityType }]
+ */
+function planRecordRemoval(document, entityType, records, { mode = 'delete' } = {}) {
+    const blocked = [];
+    const effects = [];
+    const claimed = new Set(records.map(record => `${entityType}:${record.id}`));
+    const queue = [{ entityType, records, mode }];
+
+    while (queue.length > 0) {
+        const parent = queue.shift();
+
+        getForeignKeyReferences(document, parent.entityType).forEach(reference => {
+            const parentKeys = new Set(parent.records
+                .map(record => record[reference.idField])
+                .filter(isIntegrityValueProvided)
+                .map(String));
+            const dependents = getIntegrityEntityRecords(document.jobsearch[reference.entityType]).filter(record =>
+                isIntegrityValueProvided(record[reference.fieldName])
+                && parentKeys.has(String(record[reference.fieldName]))
+                && !claimed.has(`${reference.entityType}:${record.id}`));
+            // Disabling leaves already-disabled dependents alone
+            const affected = parent.mode === 'disable' ? dependents.filter(record => !record.isDisabled) : dependents;
+            if (affected.length === 0) {
+                return;
+            }
+
+            const block = blockedRecords => blocked.push({
+                entityType: reference.entityType,
+                fieldName: reference.fieldName,
+                displayName: reference.displayName,
+                policy: reference.policy,
+                parentEntityType: parent.entityType,
+                records: blockedRecords
+            });
+            const addEffects = (effect, effectRecords) => effectRecords.forEach(record => effects.push({
+                entityType: reference.entityType,
+                record,
+                effect,
+                fieldName: reference.fieldName,
+                parentEntityType: parent.entityType
+            }));
+            const cascade = (effect, cascadeRecords) => {
+                if (cascadeRecords.length === 0) {
+                    return;
+                }
+                cascadeRecords.forEach(record => claimed.add(`${reference.entityType}:${record.id}`));
+                addEffects(effect, cascadeRecords);
+                queue.push({ entityType: reference.entityType, records: cascadeRecords, mode: effect });
+            };
+
+            if (reference.policy === 'set-null' && !reference.required) {
+                addEffects('set-null', affected);
+            } else if (reference.policy === 'cascade') {
+                cascade(parent.mode, affected);
+            } else if (reference.policy === 'cascade-disable' && parent.mode === 'disable') {
+                cascade('disable', affected);
+            } else {
+                // restrict; cascade-disable on delete (disabled dependents would point at nothing);
+                // set-null on a required key (the validator reports that schema as an error)
+                block(affected);
+            }
+        });
+    }
+
+    return { blocked, effects };
+}
+
+/**
+ * Apply the effects of a plan to the document's entity data (in place)
+ * @param {Object} document
+ * @param {{effects: Object[]}} plan
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - (entityType, before, after) for every changed record; after is null for deletes
+ * @returns {string[]} Entity types whose data changed
+ */
+function applyRecordRemovalEffects(document, plan, { onChange = null } = {}) {
+    const touched = new Set();
+
+    plan.effects.forEach(({ entityType, record, effect, fieldName }) => {
+        const records = getIntegrityEntityRecords(document.jobsearch[entityType]);
+        const index = records.findIndex(candidate => String(candidate.id) === String(record.id));
+        if (index === -1) {
+            return;
+        }
+
+        const before = records[index];
+        let after = null;
+        if (effect === 'delete') {
+            records.splice(index, 1);
+        } else if (effect === 'disable') {
+            after = { ...before, isDisabled: true };
+        } else {
+            after = { ...before, [fieldName]: null };
+        }
+        if (after) {
+            records[index] = after;
+        }
+
+        touched.add(entityType);
+        if (onChange) {
+            onChange(entityType, before, after);
+        }
+    });
+
+    return Array.from(touched);
+}
+
+// Short label for a record in confirmations: its first two plain text values, else its id
+function describeIntegrityRecord(document, entityType, record) {
+    const schema = document?.jobsearch?.[entityType]?.schema || {};
+    const values = Object.entries(schema)
+        .filter(([, fieldConfig]) => !fieldConfig.foreignKey && !fieldConfig.computed && !fieldConfig.computedFrom && !fieldConfig.primaryKey)
+        .filter(([, fieldConfig]) => fieldConfig.editType?.type !== 'hidden')
+        .map(([fieldName]) => record[fieldName])
+        .filter(value => isIntegrityValueProvided(value) && typeof value !== 'object')
+        .slice(0, 2);
+    return values.length > 0 ? values.join(' - ') : `#${record.id}`;
+}
+
+const INTEGRITY_EFFECT_DESCRIPTIONS = {
+    delete: 'deleted',
+    disable: 'disabled',
+    'set-null': 'unlinked'
+};
+
+/**
+ * Human-readable lines for a plan
+ * @param {Object} document
+ * @param {{blocked: Object[], effects: Object[]}} plan
+ * @param {Object} [options]
+ * @param {Function} [options.getEntityLabel] - (entityType, count) => display name, e.g. 'positions'
+ * @param {number} [options.limit=10] - Records listed per group before "and N more"
+ * @returns {{blocked: string[], effects: string[]}}
+ */
+function describeRecordRemovalPlan(document, plan, { getEntityLabel = entityType => entityType, limit = 10 } = {}) {
+    const listRecords = (entityType, records) => {
+        const labels = records.slice(0, limit).map(record => `  • ${describeIntegrityRecord(document, entityType, record)}`);
+        if (records.length > limit) {
+            labels.push(`  … and ${records.length - limit} more`);
+        }
+        return labels;
+    };
+
+    const blocked = plan.blocked.flatMap(group => [
+        `${group.records.length} ${getEntityLabel(group.entityType, group.records.length)} (${group.displayName}, ${group.policy}):`,
+        ...listRecords(group.entityType, group.records)
+    ]);
+
+    const groups = new Map();
+    plan.effects.forEach(effect => {
+        const key = `${effect.entityType}:${effect.effect}`;
+        if (!groups.has(key)) {
+            groups.set(key, { entityType: effect.entityType, effect: effect.effect, records: [] });
+        }
+        groups.get(key).records.push(effect.record);
+    });
+    const effects = Array.from(groups.values()).flatMap(group => [
+        `${group.records.length} ${getEntityLabel(group.entityType, group.records.length)} will be ${INTEGRITY_EFFECT_DESCRIPTIONS[group.effect]}:`,
+        ...listRecords(group.entityType, group.records)
+    ]);
+
+    return { blocked, effects };
+}
+
+const JobSearchIntegrity = {
+    ON_DELETE_POLICIES,
+    DEFAULT_ON_DELETE_POLICY,
+    getForeignKeyReferences,
+    planRecordRemoval,
+    applyRecordRemovalEffects,
+    describeRecordRemovalPlan
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchIntegrity;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchIntegrity = JobSearchIntegrity;
+}
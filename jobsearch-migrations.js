@@ -0,0 +1,522 @@
+/**
+ * JobSearch Migrations - Versioned, ordered migrations for jobsearch.json
+ * Shared by the browser loader (jobsearch.js) and the Node runner (testing/migrate-jobsearch.js)
+ *
+ * jobsearch.json carries a top-level `schemaVersion`, which records the steps already applied;
+ * only later steps run. Files without one are version 0. Every step is idempotent, so running
+ * it on already migrated schemas or data changes nothing.
+ *
+ * Adding a migration: append a step with the next version number. Never edit a released step;
+ * write a new one instead.
+ */
+
+/**
+ * @typedef {Object} MigrationStep
+ * @property {number} version - Schema version the document has after this step
+ * @property {string} description - One line shown in migration reports
+ * @property {Function} migrate - (document, changes: string[]) => void; mutates the document
+ *                                and pushes one human-readable line per change
+ */
+
+function getMigrationEntities(document) {
+    const entities = document?.jobsearch;
+    if (!entities || typeof entities !== 'object') {
+        return [];
+    }
+    return Object.entries(entities).filter(([, entity]) => entity && typeof entity === 'object');
+}
+
+function getMigrationRecords(entity) {
+    return Array.isArray(entity.data) ? entity.data : [];
+}
+
+function isMigrationValueProvided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// Legacy htmlElement/htmlType pair → { element, type, css, options } type config.
+// Input types keep the `input-<htmlType>` form createFieldInputHTML() parses; hidden inputs
+// become plain `hidden` so the visibility checks recognise them.
+function convertLegacyTypeConfig(fieldConfig) {
+    const element = fieldConfig.htmlElement || 'input';
+    const htmlType = fieldConfig.htmlType || 'text';
+    let type = element;
+    if (element === 'input') {
+        type = htmlType === 'hidden' ? 'hidden' : `input-${htmlType}`;
+    }
+
+    const typeConfig = {
+        element,
+        type,
+        css: { ...(fieldConfig.css || {}) }
+    };
+    if (Array.isArray(fieldConfig.options)) {
+        typeConfig.options = [...fieldConfig.options];
+    }
+    return typeConfig;
+}
+
+function buildMigrationTypeConfig(element, type, css = {}) {
+    return { element, type, css: { ...css } };
+}
+
+// Columns that replace the free-text appointments.position field in migration 4
+function buildAppointmentPositionFields() {
+    const positionCss = { width: '180px', minWidth: '140px', flex: '2 1 180px' };
+    const companyCss = { width: '150px', minWidth: '120px', flex: '1.5 1 150px' };
+    const hidden = () => buildMigrationTypeConfig('input', 'hidden');
+
+    return {
+        positionTitle: {
+            type: 'computed',
+            displayName: 'Position',
+            titleType: buildMigrationTypeConfig('label', 'label', positionCss),
+            displayType: buildMigrationTypeConfig('label', 'label', positionCss),
+            editType: buildMigrationTypeConfig('select', 'select', positionCss),
+            computed: true,
+            computedFrom: 'positions.position',
+            computedKey: 'positionId',
+            foreignKey: 'positions.id',
+            foreignKeyDisplay: 'positions.position',
+            required: false
+        },
+        companyName: {
+            type: 'computed',
+            displayName: 'Company',
+            titleType: buildMigrationTypeConfig('label', 'label', companyCss),
+            displayType: buildMigrationTypeConfig('label', 'label', companyCss),
+            editType: buildMigrationTypeConfig('label', 'label', companyCss),
+            computed: true,
+            computedFrom: 'companies.name',
+            computedKey: 'positionId.companyId',
+            required: false
+        },
+        positionId: {
+            type: 'number',
+            displayName: 'Position ID',
+            titleType: hidden(),
+            displayType: hidden(),
+            editType: buildMigrationTypeConfig('select', 'select', positionCss),
+            required: false,
+            foreignKey: 'positions.id',
+            foreignKeyDisplay: 'positions.position',
+            onDelete: 'cascade'
+        }
+    };
+}
+
+const POSITION_STATUS_OPTIONS = ['Applied', 'Screening', 'Interviewing', 'Offer', 'Rejected', 'Withdrawn'];
+
+// Pipeline stage of a position, added in migration 5; the Kanban board groups positions by it
+function buildPositionStatusField() {
+    const statusCss = { width: '120px', minWidth: '100px', flex: '1 1 120px' };
+    const select = () => ({ ...buildMigrationTypeConfig('select', 'select', statusCss), options: [...POSITION_STATUS_OPTIONS] });
+
+    return {
+        type: 'string',
+        displayName: 'Status',
+        titleType: buildMigrationTypeConfig('label', 'label', statusCss),
+        displayType: select(),
+        editType: select(),
+        kanban: true,
+        required: false
+    };
+}
+
+// Days since the last (else initial) contact, added in migration 10; computed by jobsearch-expressions.js
+function buildDaysSinceContactField() {
+    const idleCss = { width: '100px', minWidth: '90px', flex: '0.8 1 100px' };
+
+    return {
+        type: 'computed',
+        displayName: 'Idle Days',
+        titleType: buildMigrationTypeConfig('label', 'label', idleCss),
+        displayType: buildMigrationTypeConfig('label', 'label', idleCss),
+        editType: buildMigrationTypeConfig('label', 'label', idleCss),
+        computed: true,
+        expression: 'daysSince(coalesce(lcontact, icontact))',
+        required: false
+    };
+}
+
+function normalizeMigrationText(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Id of the one position with this title (enabled positions win over disabled ones), else null
+function findMigrationPositionId(positions, title) {
+    const key = normalizeMigrationText(title);
+    const matches = positions.filter(position => normalizeMigrationText(position.position) === key);
+    const enabledMatches = matches.filter(position => !position.isDisabled);
+    const candidates = enabledMatches.length > 0 ? enabledMatches : matches;
+    return candidates.length === 1 ? candidates[0].id : null;
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Convert legacy htmlElement/htmlType field configs to displayType/editType',
+        migrate(document, changes) {
+            getMigrationEntities(document).forEach(([entityType, entity]) => {
+                Object.entries(entity.schema || {}).forEach(([fieldName, fieldConfig]) => {
+                    if (!fieldConfig || (!fieldConfig.htmlElement && !fieldConfig.htmlType)) {
+                        return;
+                    }
+
+                    const converted = [];
+                    ['displayType', 'editType'].forEach(typeKey => {
+                        if (!fieldConfig[typeKey]) {
+                            fieldConfig[typeKey] = convertLegacyTypeConfig(fieldConfig);
+                            converted.push(typeKey);
+                        }
+                    });
+                    delete fieldConfig.htmlElement;
+                    delete fieldConfig.htmlType;
+
+                    changes.push(converted.length > 0
+                        ? `${entityType}.${fieldName}: converted htmlElement/htmlType to ${converted.join(' and ')}`
+                        : `${entityType}.${fieldName}: removed htmlElement/htmlType (already had displayType/editType)`);
+                });
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Store entity records under `data` instead of `records`',
+        migrate(document, changes) {
+            getMigrationEntities(document).forEach(([entityType, entity]) => {
+                if (!Array.isArray(entity.records)) {
+                    return;
+                }
+
+                const data = Array.isArray(entity.data) ? entity.data : [];
+                entity.data = [...data, ...entity.records];
+                delete entity.records;
+                changes.push(`${entityType}: moved ${entity.data.length - data.length} record(s) from records to data`);
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Give every record an id and an explicit isDisabled flag',
+        migrate(document, changes) {
+            getMigrationEntities(document).forEach(([entityType, entity]) => {
+                const idField = Object.keys(entity.schema || {})
+                    .find(fieldName => entity.schema[fieldName]?.primaryKey) || 'id';
+                const records = getMigrationRecords(entity);
+                let assignedIds = 0;
+                let defaultedFlags = 0;
+
+                records.forEach(record => {
+                    if (!isMigrationValueProvided(record[idField])) {
+                        const numericIds = records.map(other => Number(other[idField])).filter(Number.isFinite);
+                        record[idField] = numericIds.length > 0 ? Math.max(...numericIds) + 1 : 1;
+                        assignedIds++;
+                    }
+                    if (!isMigrationValueProvided(record.id)) {
+                        record.id = record[idField];
+                    }
+                    if (typeof record.isDisabled !== 'boolean') {
+                        record.isDisabled = record.isDisabled === 'true';
+                        defaultedFlags++;
+                    }
+                });
+
+                if (assignedIds > 0) {
+                    changes.push(`${entityType}: assigned ids to ${assignedIds} record(s)`);
+                }
+                if (defaultedFlags > 0) {
+                    changes.push(`${entityType}: set isDisabled on ${defaultedFlags} record(s)`);
+                }
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Link appointments to positions by foreign key instead of a free-text position',
+        migrate(document, changes) {
+            const appointments = document?.jobsearch?.appointments;
+            const positions = document?.jobsearch?.positions;
+            if (!appointments?.schema || !positions) {
+                return;
+            }
+
+            if (!appointments.schema.positionId) {
+                // Rebuild the schema so the new columns take the old position column's place
+                const newFields = buildAppointmentPositionFields();
+                const schema = {};
+                Object.entries(appointments.schema).forEach(([fieldName, fieldConfig]) => {
+                    if (fieldName === 'position') {
+                        Object.assign(schema, newFields);
+                    } else {
+                        schema[fieldName] = fieldConfig;
+                    }
+                });
+                Object.keys(newFields).forEach(fieldName => {
+                    if (!schema[fieldName]) {
+                        schema[fieldName] = newFields[fieldName];
+                    }
+                });
+                appointments.schema = schema;
+                changes.push('appointments: replaced the position text field with positionId (foreign key to positions) and computed positionTitle and companyName');
+            }
+
+            // Titles that match no single position are kept at the top of the notes
+            const positionRecords = getMigrationRecords(positions);
+            let linked = 0;
+            let unmatched = 0;
+            getMigrationRecords(appointments).forEach(record => {
+                if (!Object.prototype.hasOwnProperty.call(record, 'position')) {
+                    return;
+                }
+                const title = record.position;
+                delete record.position;
+                if (!isMigrationValueProvided(title) || isMigrationValueProvided(record.positionId)) {
+                    return;
+                }
+
+                const positionId = findMigrationPositionId(positionRecords, title);
+                if (positionId !== null) {
+                    record.positionId = positionId;
+                    linked++;
+                } else {
+                    record.notes = [`Position: ${title}`, record.notes].filter(isMigrationValueProvided).join('\n');
+                    unmatched++;
+                }
+            });
+
+            if (linked > 0) {
+                changes.push(`appointments: linked ${linked} record(s) to positions by title`);
+            }
+            if (unmatched > 0) {
+                changes.push(`appointments: moved ${unmatched} unmatched position title(s) into notes`);
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Add a pipeline status to positions',
+        migrate(document, changes) {
+            const positions = document?.jobsearch?.positions;
+            if (!positions?.schema) {
+                return;
+            }
+
+            if (!positions.schema.status) {
+                // Insert after the position title so the stage reads next to it
+                const schema = {};
+                Object.entries(positions.schema).forEach(([fieldName, fieldConfig]) => {
+                    schema[fieldName] = fieldConfig;
+                    if (fieldName === 'position') {
+                        schema.status = buildPositionStatusField();
+                    }
+                });
+                if (!schema.status) {
+                    schema.status = buildPositionStatusField();
+                }
+                positions.schema = schema;
+                changes.push('positions: added the status field');
+            }
+
+            let defaulted = 0;
+            getMigrationRecords(positions).forEach(record => {
+                if (!Object.prototype.hasOwnProperty.call(record, 'status')) {
+                    record.status = POSITION_STATUS_OPTIONS[0];
+                    defaulted++;
+                }
+            });
+            if (defaulted > 0) {
+                changes.push(`positions: set status "${POSITION_STATUS_OPTIONS[0]}" on ${defaulted} record(s)`);
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Mark the date fields shown in the calendar view',
+        migrate(document, changes) {
+            const calendarFields = [
+                { entityType: 'appointments', fieldName: 'appointmentDate', calendar: { timeField: 'appointmentTime' } },
+                { entityType: 'positions', fieldName: 'icontact', calendar: true },
+                { entityType: 'positions', fieldName: 'lcontact', calendar: true }
+            ];
+
+            calendarFields.forEach(({ entityType, fieldName, calendar }) => {
+                const schema = document?.jobsearch?.[entityType]?.schema;
+                const fieldConfig = schema?.[fieldName];
+                if (!fieldConfig || fieldConfig.calendar !== undefined) {
+                    return;
+                }
+                fieldConfig.calendar = calendar.timeField && !schema[calendar.timeField] ? true : calendar;
+                changes.push(`${entityType}: showing ${fieldName} in the calendar`);
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Weight the search: titles and names rank above notes',
+        migrate(document, changes) {
+            const searchWeights = [
+                { entityType: 'positions', fieldName: 'position', searchWeight: 3 },
+                { entityType: 'companies', fieldName: 'name', searchWeight: 3 },
+                { entityType: 'contacts', fieldName: 'lname', searchWeight: 2 },
+                { entityType: 'contacts', fieldName: 'fname', searchWeight: 2 },
+                { entityType: 'appointments', fieldName: 'positionTitle', searchWeight: 2 },
+                { entityType: 'companies', fieldName: 'notes', searchWeight: 0.5 },
+                { entityType: 'appointments', fieldName: 'notes', searchWeight: 0.5 }
+            ];
+
+            searchWeights.forEach(({ entityType, fieldName, searchWeight }) => {
+                const fieldConfig = document?.jobsearch?.[entityType]?.schema?.[fieldName];
+                if (!fieldConfig || fieldConfig.searchWeight !== undefined) {
+                    return;
+                }
+                fieldConfig.searchWeight = searchWeight;
+                changes.push(`${entityType}: search weight ${searchWeight} for ${fieldName}`);
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Add the hidden appointments.calendarUid field that matches re-imported iCal events',
+        migrate(document, changes) {
+            const schema = document?.jobsearch?.appointments?.schema;
+            if (!schema || schema.calendarUid) {
+                return;
+            }
+
+            const hidden = () => buildMigrationTypeConfig('input', 'hidden');
+            schema.calendarUid = {
+                type: 'string',
+                displayName: 'Calendar UID',
+                titleType: hidden(),
+                displayType: hidden(),
+                editType: hidden(),
+                required: false
+            };
+            changes.push('appointments: added the calendarUid field');
+        }
+    },
+    {
+        version: 9,
+        description: 'Set onDelete policies on the positions company and contact foreign keys',
+        migrate(document, changes) {
+            const onDeletePolicies = [
+                { entityType: 'positions', fieldName: 'companyId', onDelete: 'cascade-disable' },
+                { entityType: 'positions', fieldName: 'contactId', onDelete: 'set-null' }
+            ];
+
+            onDeletePolicies.forEach(({ entityType, fieldName, onDelete }) => {
+                const fieldConfig = document?.jobsearch?.[entityType]?.schema?.[fieldName];
+                if (!fieldConfig?.foreignKey || fieldConfig.onDelete !== undefined) {
+                    return;
+                }
+                fieldConfig.onDelete = onDelete;
+                changes.push(`${entityType}: onDelete "${onDelete}" for ${fieldName}`);
+            });
+        }
+    },
+    {
+        version: 10,
+        description: 'Add the daysSinceContact computed field to positions',
+        migrate(document, changes) {
+            const positions = document?.jobsearch?.positions;
+            if (!positions?.schema || positions.schema.daysSinceContact) {
+                return;
+            }
+            // The expression reads both contact dates; skip schemas that lack them
+            if (!positions.schema.lcontact || !positions.schema.icontact) {
+                return;
+            }
+
+            // Insert after the last contact date so the column sits next to its inputs
+            const schema = {};
+            Object.entries(positions.schema).forEach(([fieldName, fieldConfig]) => {
+                schema[fieldName] = fieldConfig;
+                if (fieldName === 'lcontact') {
+                    schema.daysSinceContact = buildDaysSinceContactField();
+                }
+            });
+            positions.schema = schema;
+            changes.push('positions: added the daysSinceContact computed field');
+        }
+    }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getDocumentSchemaVersion(document) {
+    const version = Number(document?.schemaVersion);
+    return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+/**
+ * Bring a jobsearch.json document up to CURRENT_SCHEMA_VERSION
+ * The input is not modified.
+ * @param {Object} document - Parsed jobsearch.json
+ * @param {Object} [options]
+ * @param {boolean} [options.reapply=false] - Also run steps at or below the document's version
+ *        (safe because steps are idempotent; the tests use it to check that)
+ * @returns {{document: Object, fromVersion: number, toVersion: number, changed: boolean,
+ *            steps: Array<{version: number, description: string, changes: string[]}>}}
+ */
+function migrateDocument(document, { reapply = false } = {}) {
+    const fromVersion = getDocumentSchemaVersion(document);
+    if (fromVersion > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`jobsearch.json schemaVersion ${fromVersion} is newer than this app supports (${CURRENT_SCHEMA_VERSION})`);
+    }
+
+    const migrated = JSON.parse(JSON.stringify(document || {}));
+    const steps = [];
+
+    MIGRATIONS
+        .filter(step => reapply || step.version > fromVersion)
+        .forEach(step => {
+            const changes = [];
+            step.migrate(migrated, changes);
+            if (changes.length > 0) {
+                steps.push({ version: step.version, description: step.description, changes });
+            }
+        });
+
+    // Keep schemaVersion as the first key so it is easy to spot in the file
+    const { schemaVersion, ...rest } = migrated;
+    const result = { schemaVersion: CURRENT_SCHEMA_VERSION, ...rest };
+
+    return {
+        document: result,
+        fromVersion,
+        toVersion: CURRENT_SCHEMA_VERSION,
+        changed: steps.length > 0 || fromVersion !== CURRENT_SCHEMA_VERSION,
+        steps
+    };
+}
+
+function formatMigrationReport(report) {
+    const lines = [`jobsearch.json schema version ${report.fromVersion} → ${report.toVersion}`];
+    if (report.steps.length === 0) {
+        lines.push('  No changes needed');
+    }
+    report.steps.forEach(step => {
+        lines.push(`  v${step.version}: ${step.description}`);
+        step.changes.forEach(change => lines.push(`    - ${change}`));
+    });
+    return lines.join('\n');
+}
+
+const JobSearchMigrations = {
+    CURRENT_SCHEMA_VERSION,
+    MIGRATIONS,
+    getDocumentSchemaVersion,
+    migrateDocument,
+    formatMigrationReport
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchMigrations;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchMigrations = JobSearchMigrations;
+}
@@ -0,0 +1,342 @@
+/**
+ * JobSearch Query - Search box syntax for the records grid
+ * Used by jobsearch.js (window.performGlobalSearch and the search hints)
+ *
+ *   developer remote        both words, anywhere in the record (small typos allowed when a matcher is given)
+ *   "full stack"            exact phrase
+ *   -contractor             records without the word
+ *   company:acme            only in one field; fields are named by key or displayName (other
+ *                           words with a colon, such as https://acme.com, are plain words)
+ *   "last contact":2024-10  displayNames with spaces are quoted (or written lastcontact:)
+ *   lcontact:>2024-01-01    compare dates, times and numbers with > >= < <= (= for an exact value)
+ *   acme OR globex          either side; AND binds tighter, parentheses group
+ *
+ * compileSearchQuery() parses a query once and resolves its field names against the schema; errors
+ * are SearchQueryErrors with the position of the problem. Field values are compared with the
+ * operators of jobsearch-filters.js, so dates and numbers mean the same here as in the filter panel.
+ * Words (field:word included) go through options.matchText, which also scores them; results are
+ * ranked by those scores times each field's searchWeight from the schema.
+ */
+
+const SEARCH_QUERY_MAX_LENGTH = 500;
+const SEARCH_QUERY_OPERATORS = {
+    '': 'contains',
+    '=': 'equals',
+    '>': 'greaterThan',
+    '>=': 'atLeast',
+    '<': 'lessThan',
+    '<=': 'atMost'
+};
+
+class SearchQueryError extends Error {
+    constructor(message, position = null) {
+        super(position === null ? message : `${message} at position ${position + 1}`);
+        this.name = 'SearchQueryError';
+        this.position = position;
+    }
+}
+
+function getSearchQueryFilters() {
+    if (typeof window !== 'undefined' && window.JobSearchFilters) {
+        return window.JobSearchFilters;
+    }
+    if (typeof require === 'function') {
+        return require('./jobsearch-filters');
+    }
+    return null;
+}
+
+// 'Last Contact', 'last-contact' and 'lastContact' all name the same field
+function normalizeSearchFieldName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the schema field a query names: a key first, then a displayName
+ * @param {string} name
+ * @param {Object} schema
+ * @returns {string|null} Field key
+ */
+function resolveSearchField(name, schema = {}) {
+    const normalized = normalizeSearchFieldName(name);
+    if (!normalized) {
+        return null;
+    }
+    const fieldNames = Object.keys(schema);
+    return fieldNames.find(fieldName => normalizeSearchFieldName(fieldName) === normalized)
+        || fieldNames.find(fieldName => normalizeSearchFieldName(schema[fieldName]?.displayName || '') === normalized)
+        || null;
+}
+
+/**
+ * Split a query into tokens: OR, parentheses and terms ({ negated, field, operator, value, quoted })
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Function} [options.isField] - (name) → whether an unquoted name before a colon is a field;
+ *   when it is not, the colon is part of a plain word (https://acme.com, mailto:jane@acme.com)
+ */
+function tokenizeSearchQuery(text, { isField = () => true } = {}) {
+    const tokens = [];
+    let index = 0;
+
+    const readQuoted = () => {
+        const start = index;
+        const end = text.indexOf('"', index + 1);
+        if (end === -1) {
+            throw new SearchQueryError('Missing closing quote', start);
+        }
+        index = end + 1;
+        return text.slice(start + 1, end);
+    };
+    const readBare = () => {
+        const match = /^[^\s()"]+/.exec(text.slice(index));
+        const value = match ? match[0] : '';
+        index += value.length;
+        return value;
+    };
+
+    while (index < text.length) {
+        const char = text[index];
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char, position: index });
+            index++;
+            continue;
+        }
+
+        const position = index;
+        let negated = false;
+        if (char === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+            negated = true;
+            index++;
+            if (text[index] === '(') {
+                tokens.push({ type: 'not', position });
+                continue;
+            }
+        }
+
+        // field:value - the field is a word or a quoted displayName directly followed by a colon
+        let field = null;
+        let fieldPosition = null;
+        const fieldMatch = /^([A-Za-z_][\w-]*|"[^"]*"):/.exec(text.slice(index));
+        // An unquoted name is only a field when it names one and a value follows the colon, so
+        // "note: call back" stays a plain search; quoted names are always fields
+        const isPlainWord = fieldMatch && !fieldMatch[1].startsWith('"')
+            && (!isField(fieldMatch[1]) || /^(\s|$)/.test(text.slice(index + fieldMatch[0].length)));
+        if (fieldMatch && !isPlainWord) {
+            field = fieldMatch[1].replace(/^"|"$/g, '');
+            fieldPosition = index;
+            index += fieldMatch[0].length;
+        }
+
+        let operator = '';
+        if (field !== null) {
+            operator = /^(>=|<=|>|<|=)?/.exec(text.slice(index))[0];
+            index += operator.length;
+        }
+
+        const quoted = text[index] === '"';
+        const value = quoted ? readQuoted() : readBare();
+        if (field === null && !negated && !quoted && value === 'OR') {
+            tokens.push({ type: 'or', position });
+            continue;
+        }
+        if (field !== null && value === '' && !quoted) {
+            throw new SearchQueryError(`Missing value after "${text.slice(position, index)}"`, position);
+        }
+        if (field === null && value === '' && !quoted) {
+            throw new SearchQueryError(`Unexpected "${text[index]}"`, index);
+        }
+        tokens.push({ type: 'term', position, fieldPosition, negated, field, operator, value, quoted });
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse and resolve a query
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Fields of the searched entity
+ * @param {string[]} [options.fields] - Fields searched by words without a field (default: every schema field)
+ * @param {Function} [options.matchText] - (word, value, { phrase }) → score, 0 when the value does not
+ *   match; phrase is set for quoted words. Defaults to a case-insensitive substring test scoring 1
+ * @returns {{text: string, isEmpty: boolean, fields: string[], matches: Function, score: Function, getHighlightTerms: Function}}
+ *   matches(record, getValues) tests a record; getValues(record, fieldName) returns the values a
+ *   field is searched in (e.g. the stored value and what the grid shows). score(record, getValues)
+ *   ranks a matching record, and getHighlightTerms(fieldName) lists the words to mark in a field
+ * @throws {SearchQueryError}
+ */
+function compileSearchQuery(text, { schema = {}, fields = Object.keys(schema), matchText = null } = {}) {
+    const query = String(text ?? '');
+    if (query.length > SEARCH_QUERY_MAX_LENGTH) {
+        throw new SearchQueryError(`Search is longer than ${SEARCH_QUERY_MAX_LENGTH} characters`);
+    }
+    const filters = getSearchQueryFilters();
+    const matchWord = matchText
+        || ((word, value) => (filters.matchFilterCondition({ operator: 'contains', value: word }, value, 'text') ? 1 : 0));
+    const tokens = tokenizeSearchQuery(query, { isField: name => resolveSearchField(name, schema) !== null });
+    const usedFields = new Set();
+    let index = 0;
+
+    const parseTerm = (token) => {
+        if (token.field === null) {
+            return { type: 'term', field: null, operator: 'contains', value: token.value, phrase: token.quoted };
+        }
+        const fieldName = resolveSearchField(token.field, schema);
+        if (!fieldName) {
+            throw new SearchQueryError(`Unknown field "${token.field}"`, token.fieldPosition);
+        }
+        const operator = SEARCH_QUERY_OPERATORS[token.operator];
+        const kind = filters.getFilterFieldKind(schema[fieldName]);
+        // A comparison value only equals itself when it parses as the field's kind
+        if (operator !== 'contains' && operator !== 'equals'
+            && !filters.matchFilterCondition({ operator: 'atLeast', value: token.value }, token.value, kind)) {
+            const expected = kind === 'date' ? 'a date (YYYY-MM-DD)' : kind === 'time' ? 'a time (HH:MM)' : 'a number';
+            throw new SearchQueryError(`"${token.operator}" on ${schema[fieldName].displayName || fieldName} needs ${expected}`, token.position);
+        }
+        usedFields.add(fieldName);
+        return { type: 'term', field: fieldName, kind, operator, value: token.value, phrase: token.quoted };
+    };
+
+    const parseUnary = () => {
+        const token = tokens[index];
+        if (!token) {
+            throw new SearchQueryError('Expected a search term after "-"', tokens[index - 1].position);
+        }
+        if (token.type === 'not') {
+            index++;
+            return { type: 'not', child: parseUnary() };
+        }
+        if (token.type === '(') {
+            index++;
+            if (tokens[index]?.type === ')') {
+                throw new SearchQueryError('Empty parentheses', token.position);
+            }
+            const node = parseOr();
+            if (tokens[index]?.type !== ')') {
+                throw new SearchQueryError('Missing closing parenthesis', token.position);
+            }
+            index++;
+            return node;
+        }
+        index++;
+        const term = parseTerm(token);
+        return token.negated ? { type: 'not', child: term } : term;
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (index < tokens.length && tokens[index].type !== 'or' && tokens[index].type !== ')') {
+            children.push(parseUnary());
+        }
+        if (children.length === 0) {
+            const token = tokens[index];
+            const previous = tokens[index - 1];
+            if (previous?.type === 'or') {
+                throw new SearchQueryError('Expected a search term after "OR"', previous.position);
+            }
+            if (token?.type === 'or') {
+                throw new SearchQueryError('Expected a search term before "OR"', token.position);
+            }
+            throw token
+                ? new SearchQueryError('Unmatched closing parenthesis', token.position)
+                : new SearchQueryError('Expected a search term', query.length);
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (tokens[index]?.type === 'or') {
+            index++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    let tree = null;
+    if (tokens.length > 0) {
+        tree = parseOr();
+        if (index < tokens.length) {
+            throw new SearchQueryError('Unmatched closing parenthesis', tokens[index].position);
+        }
+    }
+
+    const getFieldValues = (record, fieldName, getValues) => getValues(record, fieldName)
+        .filter(value => value !== undefined && value !== null && value !== '');
+    // Best score of a word in one field, 0 when it does not match there
+    const scoreWord = (node, fieldName, record, getValues) => getFieldValues(record, fieldName, getValues)
+        .reduce((best, value) => Math.max(best, Number(matchWord(node.value, value, { phrase: node.phrase })) || 0), 0);
+    const matchTerm = (node, record, getValues) => {
+        if (node.operator === 'contains') {
+            const searched = node.field === null ? fields : [node.field];
+            return searched.some(fieldName => scoreWord(node, fieldName, record, getValues) > 0);
+        }
+        const condition = { operator: node.operator, value: node.value };
+        return getFieldValues(record, node.field, getValues).some(value => filters.matchFilterCondition(condition, value, node.kind));
+    };
+    const evaluate = (node, record, getValues) => {
+        switch (node.type) {
+            case 'and': return node.children.every(child => evaluate(child, record, getValues));
+            case 'or': return node.children.some(child => evaluate(child, record, getValues));
+            case 'not': return !evaluate(node.child, record, getValues);
+            default: return matchTerm(node, record, getValues);
+        }
+    };
+
+    // Words that say what a record should contain: not the comparisons, and nothing under a "-"
+    const wordTerms = [];
+    const collectWords = (node) => {
+        if (node.type === 'and' || node.type === 'or') {
+            node.children.forEach(collectWords);
+        } else if (node.type === 'term' && node.operator === 'contains') {
+            wordTerms.push(node);
+        }
+    };
+    if (tree !== null) {
+        collectWords(tree);
+    }
+    const getFieldWeight = (fieldName) => {
+        const weight = Number(schema[fieldName]?.searchWeight ?? 1);
+        return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+    };
+    const score = (record, getValues) => wordTerms.reduce((total, node) => {
+        const searched = node.field === null ? fields : [node.field];
+        return total + searched.reduce((best, fieldName) =>
+            Math.max(best, scoreWord(node, fieldName, record, getValues) * getFieldWeight(fieldName)), 0);
+    }, 0);
+
+    return {
+        text: query,
+        isEmpty: tree === null,
+        fields: Array.from(usedFields),
+        matches: (record, getValues) => (tree === null ? true : evaluate(tree, record, getValues)),
+        score,
+        getHighlightTerms: (fieldName) => wordTerms
+            .filter(node => node.field === null ? fields.includes(fieldName) : node.field === fieldName)
+            .map(node => ({ value: node.value, phrase: node.phrase }))
+    };
+}
+
+const JobSearchQuery = {
+    SEARCH_QUERY_OPERATORS,
+    SearchQueryError,
+    normalizeSearchFieldName,
+    resolveSearchField,
+    tokenizeSearchQuery,
+    compileSearchQuery
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchQuery;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchQuery = JobSearchQuery;
+}
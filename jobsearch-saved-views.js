@@ -0,0 +1,301 @@
+/**
+ * JobSearch Saved Views - Named setups of the records grid per entity, kept in browser storage
+ * Used by jobsearch.js (the view picker in the header controls)
+ *
+ * A view stores how the grid is set up, not the records:
+ *   {
+ *     id: 'view-3',
+ *     name: 'Waiting on a reply',
+ *     state: {
+ *       search: 'status:applied',                         // jobsearch-query.js syntax
+ *       filters: { logic: 'and', conditions: [...] },     // jobsearch-filters.js group
+ *       sort: [{ fieldName: 'lcontact', direction: 'asc' }],
+ *       columns: { order: ['position', 'status', ...], hidden: ['ophone'], widths: { position: 260 } },
+ *       pageSize: 20,
+ *       viewingEnabled: true
+ *     }
+ *   }
+ *
+ * Every entity has a Default view (id 'default') that can be updated but not deleted; until it is
+ * updated its state is null, meaning the grid as the schema lays it out. The store also remembers
+ * which view each entity used last, and the entity's current column layout, so shown, moved and
+ * resized columns stay as the user left them even when no view is saved. States are normalized
+ * against the schema when they are read, so a view saved before a field was removed still applies.
+ */
+
+const SAVED_VIEWS_STORAGE_KEY = 'jobsearch.savedViews';
+const DEFAULT_SAVED_VIEW_ID = 'default';
+const DEFAULT_SAVED_VIEW_NAME = 'Default';
+const SAVED_VIEW_NAME_MAX_LENGTH = 60;
+const SAVED_VIEW_SORT_DIRECTIONS = ['asc', 'desc'];
+const COLUMN_MIN_WIDTH = 60;
+const COLUMN_MAX_WIDTH = 800;
+
+class SavedViewError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SavedViewError';
+    }
+}
+
+function getSavedViewFilters() {
+    if (typeof window !== 'undefined' && window.JobSearchFilters) {
+        return window.JobSearchFilters;
+    }
+    if (typeof require === 'function') {
+        return require('./jobsearch-filters');
+    }
+    return null;
+}
+
+// localStorage when the browser allows it (it throws in some private modes), otherwise memory for this page
+function getDefaultSavedViewStorage() {
+    try {
+        const storage = typeof window !== 'undefined' ? window.localStorage : null;
+        if (storage) {
+            const probeKey = `${SAVED_VIEWS_STORAGE_KEY}.probe`;
+            storage.setItem(probeKey, '1');
+            storage.removeItem(probeKey);
+            return storage;
+        }
+    } catch (error) {
+        // Fall through to memory
+    }
+
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key)
+    };
+}
+
+/**
+ * Fit a view state to the entity as it is now
+ * @param {Object|null} state - Stored state; null (or anything missing) takes the defaults
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Fields of the entity
+ * @param {string[]} [options.columns] - The entity's grid columns in schema order
+ * @param {number[]} [options.pageSizes] - Page sizes the grid offers
+ * @param {number} [options.defaultPageSize]
+ * @returns {Object} A new state; equal setups give JSON-identical states
+ */
+function normalizeSavedViewState(state, { schema = {}, columns = [], pageSizes = [], defaultPageSize = 10 } = {}) {
+    const source = state && typeof state === 'object' ? state : {};
+    const filters = getSavedViewFilters();
+
+    // Columns the view does not know (added to the schema later) go after the ones it ordered
+    const storedOrder = Array.isArray(source.columns?.order) ? source.columns.order.filter(fieldName => columns.includes(fieldName)) : [];
+    const order = [...new Set([...storedOrder, ...columns])];
+    let hidden = Array.isArray(source.columns?.hidden)
+        ? order.filter(fieldName => source.columns.hidden.includes(fieldName))
+        : [];
+    if (hidden.length >= order.length) {
+        hidden = [];
+    }
+    // Pixel widths of resized columns; the others keep their schema width
+    const storedWidths = source.columns?.widths && typeof source.columns.widths === 'object' ? source.columns.widths : {};
+    const widths = {};
+    order.forEach(fieldName => {
+        const width = Number(storedWidths[fieldName]);
+        if (Number.isFinite(width) && width > 0) {
+            widths[fieldName] = Math.round(Math.min(COLUMN_MAX_WIDTH, Math.max(COLUMN_MIN_WIDTH, width)));
+        }
+    });
+
+    const sort = (Array.isArray(source.sort) ? source.sort : [])
+        .filter(key => schema[key?.fieldName] && SAVED_VIEW_SORT_DIRECTIONS.includes(key.direction))
+        .filter((key, index, keys) => keys.findIndex(other => other.fieldName === key.fieldName) === index)
+        .map(key => ({ fieldName: key.fieldName, direction: key.direction }));
+
+    const requestedPageSize = Number(source.pageSize);
+    const pageSize = pageSizes.includes(requestedPageSize) ? requestedPageSize : defaultPageSize;
+
+    return {
+        search: typeof source.search === 'string' ? source.search.trim() : '',
+        filters: filters ? filters.normalizeFilterGroup(source.filters, schema) : { logic: 'and', conditions: [] },
+        sort,
+        columns: { order, hidden, widths },
+        pageSize,
+        viewingEnabled: source.viewingEnabled !== false
+    };
+}
+
+function areSavedViewStatesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Saved views of every entity in one storage entry:
+ *   { entities: { positions: { activeViewId: 'view-3', nextId: 4, views: [...], columns: {...} } } }
+ */
+class SavedViewStore {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - getItem/setItem storage; defaults to localStorage
+     * @param {string} [options.key]
+     */
+    constructor({ storage = getDefaultSavedViewStorage(), key = SAVED_VIEWS_STORAGE_KEY } = {}) {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    read() {
+        try {
+            const data = JSON.parse(this.storage.getItem(this.key) || 'null');
+            return data && typeof data.entities === 'object' && data.entities !== null ? data : { entities: {} };
+        } catch (error) {
+            return { entities: {} };
+        }
+    }
+
+    write(data) {
+        this.storage.setItem(this.key, JSON.stringify(data));
+    }
+
+    getEntityEntry(data, entityType) {
+        const entry = data.entities[entityType] || {};
+        return {
+            activeViewId: entry.activeViewId || DEFAULT_SAVED_VIEW_ID,
+            nextId: Number.isInteger(entry.nextId) ? entry.nextId : 1,
+            views: Array.isArray(entry.views) ? entry.views.filter(view => view && view.id && typeof view.name === 'string') : [],
+            columns: entry.columns && typeof entry.columns === 'object' ? entry.columns : null
+        };
+    }
+
+    /**
+     * The entity's views: Default first, then by name
+     * @returns {Array<{id: string, name: string, state: Object|null}>}
+     */
+    listViews(entityType) {
+        const { views } = this.getEntityEntry(this.read(), entityType);
+        const defaultView = views.find(view => view.id === DEFAULT_SAVED_VIEW_ID)
+            || { id: DEFAULT_SAVED_VIEW_ID, name: DEFAULT_SAVED_VIEW_NAME, state: null };
+        const namedViews = views
+            .filter(view => view.id !== DEFAULT_SAVED_VIEW_ID)
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }));
+        return [defaultView, ...namedViews];
+    }
+
+    getView(entityType, viewId) {
+        return this.listViews(entityType).find(view => view.id === viewId) || null;
+    }
+
+    // The view the entity used last, or Default when that view is gone
+    getActiveViewId(entityType) {
+        const { activeViewId } = this.getEntityEntry(this.read(), entityType);
+        return this.getView(entityType, activeViewId) ? activeViewId : DEFAULT_SAVED_VIEW_ID;
+    }
+
+    setActiveViewId(entityType, viewId) {
+        this.updateEntity(entityType, entry => {
+            entry.activeViewId = viewId;
+        });
+    }
+
+    // The entity's column layout ({ order, hidden, widths }) as last changed, or null
+    getColumnLayout(entityType) {
+        return this.getEntityEntry(this.read(), entityType).columns;
+    }
+
+    setColumnLayout(entityType, columns) {
+        this.updateEntity(entityType, entry => {
+            entry.columns = columns;
+        });
+    }
+
+    /**
+     * Check a name for a new or renamed view
+     * @throws {SavedViewError}
+     */
+    validateViewName(entityType, name, viewId = null) {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) {
+            throw new SavedViewError('Enter a name for the view');
+        }
+        if (trimmed.length > SAVED_VIEW_NAME_MAX_LENGTH) {
+            throw new SavedViewError(`View names are limited to ${SAVED_VIEW_NAME_MAX_LENGTH} characters`);
+        }
+        const duplicate = this.listViews(entityType)
+            .find(view => view.id !== viewId && view.name.localeCompare(trimmed, undefined, { sensitivity: 'base' }) === 0);
+        if (duplicate) {
+            throw new SavedViewError(`There is already a view named "${duplicate.name}"`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Store a new view (no id) or replace the state of an existing one
+     * @param {string} entityType
+     * @param {{id?: string, name?: string, state: Object}} view
+     * @returns {Object} The stored view
+     * @throws {SavedViewError}
+     */
+    saveView(entityType, { id = null, name, state }) {
+        let saved = null;
+        this.updateEntity(entityType, entry => {
+            if (id) {
+                const existing = this.getView(entityType, id);
+                if (!existing) {
+                    throw new SavedViewError('That view no longer exists');
+                }
+                saved = {
+                    id,
+                    name: name === undefined ? existing.name : this.validateViewName(entityType, name, id),
+                    state
+                };
+                entry.views = [...entry.views.filter(view => view.id !== id), saved];
+            } else {
+                saved = { id: `view-${entry.nextId}`, name: this.validateViewName(entityType, name), state };
+                entry.nextId += 1;
+                entry.views = [...entry.views, saved];
+            }
+        });
+        return saved;
+    }
+
+    /**
+     * @throws {SavedViewError} For the Default view
+     */
+    deleteView(entityType, viewId) {
+        if (viewId === DEFAULT_SAVED_VIEW_ID) {
+            throw new SavedViewError('The Default view cannot be deleted');
+        }
+        this.updateEntity(entityType, entry => {
+            entry.views = entry.views.filter(view => view.id !== viewId);
+            if (entry.activeViewId === viewId) {
+                entry.activeViewId = DEFAULT_SAVED_VIEW_ID;
+            }
+        });
+    }
+
+    updateEntity(entityType, update) {
+        const data = this.read();
+        const entry = this.getEntityEntry(data, entityType);
+        update(entry);
+        data.entities[entityType] = entry;
+        this.write(data);
+    }
+}
+
+const JobSearchSavedViews = {
+    SAVED_VIEWS_STORAGE_KEY,
+    DEFAULT_SAVED_VIEW_ID,
+    DEFAULT_SAVED_VIEW_NAME,
+    COLUMN_MIN_WIDTH,
+    COLUMN_MAX_WIDTH,
+    SavedViewError,
+    SavedViewStore,
+    normalizeSavedViewState,
+    areSavedViewStatesEqual
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchSavedViews;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchSavedViews = JobSearchSavedViews;
+}
@@ -0,0 +1,620 @@
+/**
+ * JobSearch Storage - Pluggable storage adapters for jobsearch entity data
+ * Lets the management page hydrate from and write to an in-memory copy of jobsearch.json,
+ * a browser IndexedDB database (offline use), or the JobSearch API served by testing/server.js
+ *
+ * Adapter interface:
+ * - listEntities()                           → Promise<string[]>
+ * - loadEntity(entityType)                   → Promise<{ schema, data }>
+ * - saveRecord(entityType, record, { isNew }) → Promise<Object> (saved record, id assigned when new)
+ * - deleteRecord(entityType, id, { version }) → Promise<void>
+ * - loadAuditTrail(entityType, id)           → Promise<Object[]> (audit entries, oldest first)
+ * - loadSchemaVersion()                      → Promise<number|null> (jobsearch.json schemaVersion the
+ *                                              schemas were stored at, null when unknown)
+ *
+ * Every stored record carries `version` and `updatedAt`. Saving or deleting a record whose
+ * `version` no longer matches storage rejects with a StorageConflictError holding the current copy.
+ * Every stored change also records an audit entry (see jobsearch-audit.js) in the same write.
+ */
+
+const storageLogger = (typeof window !== 'undefined' && window.DataGridNamespace?.logger) || {
+    debug: () => {},
+    info: console.info,
+    warn: console.warn,
+    error: console.error
+};
+
+const STORAGE_MODES = ['auto', 'http', 'indexeddb', 'memory'];
+
+const storageAudit = (typeof window !== 'undefined' && window.JobSearchAudit)
+    || (typeof require === 'function' ? require('./jobsearch-audit') : null);
+
+/**
+ * Raised when a write is based on a stale record version.
+ * `current` is the stored record, or null when it has since been deleted.
+ */
+class StorageConflictError extends Error {
+    constructor(entityType, id, current = null) {
+        super(current
+            ? `${entityType} record ${id} was modified by someone else`
+            : `${entityType} record ${id} was deleted by someone else`);
+        this.name = 'StorageConflictError';
+        this.entityType = entityType;
+        this.id = id;
+        this.current = current;
+    }
+}
+
+function cloneStorageValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function getSchemaPrimaryKey(schema = {}) {
+    return Object.keys(schema).find(fieldName => schema[fieldName]?.primaryKey) || 'id';
+}
+
+// Entities normally keep rows under `data`; older entries use `records`
+function getStoredEntityRecords(entity) {
+    if (Array.isArray(entity?.data)) {
+        return entity.data;
+    }
+    if (Array.isArray(entity?.records)) {
+        return entity.records;
+    }
+    return [];
+}
+
+function isStorageValueProvided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function getNextRecordId(records, idField) {
+    const numericIds = records
+        .map(record => Number(record[idField]))
+        .filter(id => Number.isFinite(id));
+    return numericIds.length > 0 ? Math.max(...numericIds) + 1 : 1;
+}
+
+/**
+ * Give id-less records sequential ids in file order, matching the server and
+ * the index-based fallback used by the grid.
+ */
+function assignMissingRecordIds(records, idField) {
+    records.forEach(record => {
+        if (!isStorageValueProvided(record[idField])) {
+            record[idField] = getNextRecordId(records, idField);
+        }
+        if (!isStorageValueProvided(record.id)) {
+            record.id = record[idField];
+        }
+    });
+    return records;
+}
+
+// Records written before versioning was introduced start at version 1
+function ensureRecordVersion(record) {
+    if (!Number.isInteger(record.version) || record.version < 1) {
+        record.version = 1;
+    }
+    return record;
+}
+
+function stampRecordVersion(record, previousVersion = 0) {
+    record.version = previousVersion + 1;
+    record.updatedAt = new Date().toISOString();
+    return record;
+}
+
+function assertRecordVersion(entityType, record, existing) {
+    if (isStorageValueProvided(record.version) && String(record.version) !== String(existing.version)) {
+        throw new StorageConflictError(entityType, existing.id, cloneStorageValue(existing));
+    }
+}
+
+/**
+ * Base adapter - documents the interface and provides whole-document loading
+ */
+class JobSearchStorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async listEntities() {
+        throw new Error(`${this.name}: listEntities() not implemented`);
+    }
+
+    async loadEntity(entityType) {
+        throw new Error(`${this.name}: loadEntity(${entityType}) not implemented`);
+    }
+
+    async saveRecord(entityType) {
+        throw new Error(`${this.name}: saveRecord(${entityType}) not implemented`);
+    }
+
+    async deleteRecord(entityType) {
+        throw new Error(`${this.name}: deleteRecord(${entityType}) not implemented`);
+    }
+
+    // Adapters without change history report an empty trail
+    async loadAuditTrail() {
+        return [];
+    }
+
+    async loadSchemaVersion() {
+        return null;
+    }
+
+    /**
+     * Load every entity into the `{ jobsearch: { entity: { schema, data } } }` shape
+     * the grid works with
+     */
+    async loadDocument() {
+        const document = { jobsearch: {} };
+        // Without a version the loader migrates from version 0 (every step is idempotent)
+        const schemaVersion = await this.loadSchemaVersion();
+        if (Number.isInteger(schemaVersion)) {
+            document.schemaVersion = schemaVersion;
+        }
+        const entityTypes = await this.listEntities();
+
+        for (const entityType of entityTypes) {
+            document.jobsearch[entityType] = await this.loadEntity(entityType);
+        }
+
+        return document;
+    }
+}
+
+/**
+ * In-memory adapter - keeps a private copy of the seed document for the page lifetime
+ */
+class MemoryStorageAdapter extends JobSearchStorageAdapter {
+    constructor(document = { jobsearch: {} }) {
+        super('MemoryStorageAdapter');
+        this.document = cloneStorageValue(document) || { jobsearch: {} };
+        this.document.jobsearch = this.document.jobsearch || {};
+
+        Object.values(this.document.jobsearch).forEach(entity => {
+            if (entity && typeof entity === 'object') {
+                entity.data = assignMissingRecordIds(getStoredEntityRecords(entity), getSchemaPrimaryKey(entity.schema));
+                entity.data.forEach(ensureRecordVersion);
+                delete entity.records;
+            }
+        });
+        storageAudit.getDocumentAuditEntries(this.document);
+    }
+
+    getEntity(entityType) {
+        const entity = this.document.jobsearch[entityType];
+        if (!entity) {
+            throw new Error(`MemoryStorageAdapter: unknown entity "${entityType}"`);
+        }
+        return entity;
+    }
+
+    async listEntities() {
+        return Object.keys(this.document.jobsearch)
+            .filter(entityType => this.document.jobsearch[entityType]?.schema);
+    }
+
+    async loadEntity(entityType) {
+        const entity = this.getEntity(entityType);
+        return { schema: cloneStorageValue(entity.schema), data: cloneStorageValue(entity.data) };
+    }
+
+    async saveRecord(entityType, record, { isNew = false } = {}) {
+        const entity = this.getEntity(entityType);
+        const idField = getSchemaPrimaryKey(entity.schema);
+        const saved = cloneStorageValue(record);
+
+        if (isNew || !isStorageValueProvided(saved[idField])) {
+            saved[idField] = getNextRecordId(entity.data, idField);
+            saved.id = saved[idField];
+            entity.data.push(stampRecordVersion(saved));
+            this.recordAudit(entityType, null, saved, idField);
+            return cloneStorageValue(saved);
+        }
+
+        const index = entity.data.findIndex(existing => String(existing[idField]) === String(saved[idField]));
+        const previous = index === -1 ? null : entity.data[index];
+        if (index === -1) {
+            entity.data.push(stampRecordVersion(saved));
+        } else {
+            assertRecordVersion(entityType, saved, previous);
+            entity.data[index] = stampRecordVersion(saved, previous.version);
+        }
+        this.recordAudit(entityType, previous, saved, idField);
+        return cloneStorageValue(saved);
+    }
+
+    async deleteRecord(entityType, id, { version } = {}) {
+        const entity = this.getEntity(entityType);
+        const idField = getSchemaPrimaryKey(entity.schema);
+        const existing = entity.data.find(record => String(record[idField]) === String(id));
+        if (existing) {
+            assertRecordVersion(entityType, { version }, existing);
+            this.recordAudit(entityType, existing, null, idField);
+        }
+        entity.data = entity.data.filter(record => String(record[idField]) !== String(id));
+    }
+
+    recordAudit(entityType, before, after, idField) {
+        storageAudit.appendAuditEntry(this.document, storageAudit.createAuditEntry(entityType, before, after, { idField }));
+    }
+
+    async loadAuditTrail(entityType, id) {
+        return cloneStorageValue(storageAudit.getRecordAuditTrail(this.document.audit, entityType, id));
+    }
+
+    async loadSchemaVersion() {
+        return Number.isInteger(this.document.schemaVersion) ? this.document.schemaVersion : null;
+    }
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+/**
+ * IndexedDB adapter - persists records in the browser so edits survive reloads offline.
+ * Schemas are refreshed from the seed document on every open; records are only seeded
+ * into an empty database.
+ *
+ * Object stores:
+ * - entities: { name, schema, idField, schemaVersion } (schemaVersion of the seed the schema came from)
+ * - records:  { entity, key, order, record } keyed by [entity, key]
+ * - audit:    audit entries keyed by entry id, indexed by entity
+ */
+class IndexedDBStorageAdapter extends JobSearchStorageAdapter {
+    constructor({ databaseName = 'jobsearch', seedDocument = null, indexedDB = null } = {}) {
+        super('IndexedDBStorageAdapter');
+        this.databaseName = databaseName;
+        this.seedDocument = seedDocument;
+        this.indexedDB = indexedDB || (typeof window !== 'undefined' ? window.indexedDB : null);
+        this.database = null;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && Boolean(window.indexedDB);
+    }
+
+    async open() {
+        if (this.database) {
+            return this.database;
+        }
+        if (!this.indexedDB) {
+            throw new Error('IndexedDBStorageAdapter: IndexedDB is not available');
+        }
+
+        // Version 2 added the audit store
+        const request = this.indexedDB.open(this.databaseName, 2);
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            if (!database.objectStoreNames.contains('entities')) {
+                database.createObjectStore('entities', { keyPath: 'name' });
+            }
+            if (!database.objectStoreNames.contains('records')) {
+                const records = database.createObjectStore('records', { keyPath: ['entity', 'key'] });
+                records.createIndex('entity', 'entity', { unique: false });
+            }
+            if (!database.objectStoreNames.contains('audit')) {
+                const audit = database.createObjectStore('audit', { keyPath: 'id' });
+                audit.createIndex('entity', 'entity', { unique: false });
+            }
+        };
+
+        this.database = await promisifyRequest(request);
+        await this.applySeedDocument();
+        return this.database;
+    }
+
+    async applySeedDocument() {
+        const entities = this.seedDocument?.jobsearch;
+        if (!entities) {
+            return;
+        }
+
+        const transaction = this.database.transaction(['entities', 'records', 'audit'], 'readwrite');
+        const entityStore = transaction.objectStore('entities');
+        const recordStore = transaction.objectStore('records');
+        const existingCount = await promisifyRequest(recordStore.count());
+
+        if (existingCount === 0 && Array.isArray(this.seedDocument.audit)) {
+            const auditStore = transaction.objectStore('audit');
+            this.seedDocument.audit.forEach(entry => auditStore.put(cloneStorageValue(entry)));
+        }
+
+        Object.entries(entities).forEach(([name, entity]) => {
+            if (!entity?.schema) {
+                return;
+            }
+
+            const idField = getSchemaPrimaryKey(entity.schema);
+            entityStore.put({ name, schema: entity.schema, idField, schemaVersion: this.seedDocument.schemaVersion });
+
+            if (existingCount === 0) {
+                const records = assignMissingRecordIds(cloneStorageValue(getStoredEntityRecords(entity)), idField);
+                records.forEach((record, order) => {
+                    ensureRecordVersion(record);
+                    recordStore.put({ entity: name, key: String(record[idField]), order, record });
+                });
+            }
+        });
+
+        await promisifyTransaction(transaction);
+        if (existingCount === 0) {
+            storageLogger.info('IndexedDB storage seeded from jobsearch.json');
+        }
+    }
+
+    async getEntityMeta(entityType) {
+        const database = await this.open();
+        const meta = await promisifyRequest(database.transaction('entities').objectStore('entities').get(entityType));
+        if (!meta) {
+            throw new Error(`IndexedDBStorageAdapter: unknown entity "${entityType}"`);
+        }
+        return meta;
+    }
+
+    async getEntityRows(entityType) {
+        const database = await this.open();
+        const index = database.transaction('records').objectStore('records').index('entity');
+        const rows = await promisifyRequest(index.getAll(entityType));
+        return rows.sort((a, b) => a.order - b.order);
+    }
+
+    async listEntities() {
+        const database = await this.open();
+        return promisifyRequest(database.transaction('entities').objectStore('entities').getAllKeys());
+    }
+
+    // The oldest schema wins, so an entity left over from an older seed is still migrated
+    async loadSchemaVersion() {
+        const database = await this.open();
+        const metas = await promisifyRequest(database.transaction('entities').objectStore('entities').getAll());
+        const versions = metas.map(meta => (Number.isInteger(meta.schemaVersion) ? meta.schemaVersion : 0));
+        return versions.length > 0 ? Math.min(...versions) : null;
+    }
+
+    async loadEntity(entityType) {
+        const meta = await this.getEntityMeta(entityType);
+        const rows = await this.getEntityRows(entityType);
+        return { schema: meta.schema, data: rows.map(row => ensureRecordVersion(row.record)) };
+    }
+
+    async saveRecord(entityType, record, { isNew = false } = {}) {
+        const meta = await this.getEntityMeta(entityType);
+        const rows = await this.getEntityRows(entityType);
+        const idField = meta.idField;
+        const saved = cloneStorageValue(record);
+        const existing = isNew ? null : rows.find(row => row.key === String(saved[idField]));
+
+        if (isNew || !isStorageValueProvided(saved[idField])) {
+            saved[idField] = getNextRecordId(rows.map(row => row.record), idField);
+            saved.id = saved[idField];
+        }
+        if (existing) {
+            assertRecordVersion(entityType, saved, ensureRecordVersion(existing.record));
+        }
+        stampRecordVersion(saved, existing ? existing.record.version : 0);
+
+        const order = existing ? existing.order : rows.reduce((max, row) => Math.max(max, row.order), -1) + 1;
+        const database = await this.open();
+        const transaction = database.transaction(['records', 'audit'], 'readwrite');
+        transaction.objectStore('records').put({ entity: entityType, key: String(saved[idField]), order, record: saved });
+        this.putAuditEntry(transaction, entityType, existing ? existing.record : null, saved, idField);
+        await promisifyTransaction(transaction);
+
+        return cloneStorageValue(saved);
+    }
+
+    async deleteRecord(entityType, id, { version } = {}) {
+        const { idField } = await this.getEntityMeta(entityType);
+        const rows = await this.getEntityRows(entityType);
+        const existing = rows.find(row => row.key === String(id));
+        if (existing) {
+            assertRecordVersion(entityType, { version }, ensureRecordVersion(existing.record));
+        }
+
+        const database = await this.open();
+        const transaction = database.transaction(['records', 'audit'], 'readwrite');
+        transaction.objectStore('records').delete([entityType, String(id)]);
+        if (existing) {
+            this.putAuditEntry(transaction, entityType, existing.record, null, idField);
+        }
+        await promisifyTransaction(transaction);
+    }
+
+    putAuditEntry(transaction, entityType, before, after, idField) {
+        const entry = storageAudit.createAuditEntry(entityType, before, after, { idField });
+        if (entry) {
+            transaction.objectStore('audit').put(entry);
+        }
+    }
+
+    async loadAuditTrail(entityType, id) {
+        const database = await this.open();
+        const index = database.transaction('audit').objectStore('audit').index('entity');
+        const entries = await promisifyRequest(index.getAll(entityType));
+        return storageAudit.getRecordAuditTrail(entries, entityType, id);
+    }
+}
+
+/**
+ * HTTP adapter - talks to the JobSearch API (testing/jobsearch-api.js)
+ */
+class HttpStorageAdapter extends JobSearchStorageAdapter {
+    constructor({ baseUrl = '/api', fetchImpl = null } = {}) {
+        super('HttpStorageAdapter');
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.fetch = fetchImpl || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Check whether the JobSearch API answers at the given base URL
+     */
+    static async isAvailable(baseUrl = '/api', fetchImpl = null) {
+        try {
+            const adapter = new HttpStorageAdapter({ baseUrl, fetchImpl });
+            const body = await adapter.request('GET', '');
+            return Array.isArray(body?.entities);
+        } catch (error) {
+            storageLogger.debug('JobSearch API not available:', error);
+            return false;
+        }
+    }
+
+    async request(method, path, body, headers = {}) {
+        const options = { method, headers: { Accept: 'application/json', ...headers } };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await this.fetch(`${this.baseUrl}${path}`, options);
+        const payload = await response.json().catch(() => null);
+        if (!response.ok) {
+            const details = Array.isArray(payload?.details) && payload.details.length > 0
+                ? ` (${payload.details.join('; ')})`
+                : '';
+            const error = new Error(`${payload?.error || response.statusText}${details}`);
+            error.status = response.status;
+            error.payload = payload;
+            throw error;
+        }
+        return payload;
+    }
+
+    entityPath(entityType, id) {
+        const base = `/${encodeURIComponent(entityType)}`;
+        return id === undefined ? base : `${base}/${encodeURIComponent(id)}`;
+    }
+
+    async listEntities() {
+        const body = await this.request('GET', '');
+        return (body?.entities || []).map(entity => entity.name);
+    }
+
+    async loadSchemaVersion() {
+        const body = await this.request('GET', '');
+        return Number.isInteger(body?.schemaVersion) ? body.schemaVersion : null;
+    }
+
+    async loadEntity(entityType) {
+        const body = await this.request('GET', this.entityPath(entityType));
+        return { schema: body.schema, data: body.data };
+    }
+
+    // Conditional requests send the record version as If-Match; 409/404 become StorageConflictErrors
+    async conditionalRequest(entityType, id, method, body, version) {
+        const headers = isStorageValueProvided(version) ? { 'If-Match': `"${version}"` } : {};
+        try {
+            return await this.request(method, this.entityPath(entityType, id), body, headers);
+        } catch (error) {
+            if (error.status === 409) {
+                throw new StorageConflictError(entityType, id, error.payload?.current || null);
+            }
+            if (error.status === 404 && isStorageValueProvided(version)) {
+                throw new StorageConflictError(entityType, id, null);
+            }
+            throw error;
+        }
+    }
+
+    async saveRecord(entityType, record, { isNew = false } = {}) {
+        if (isNew || !isStorageValueProvided(record.id)) {
+            return this.request('POST', this.entityPath(entityType), record);
+        }
+        return this.conditionalRequest(entityType, record.id, 'PUT', record, record.version);
+    }
+
+    async deleteRecord(entityType, id, { version } = {}) {
+        await this.conditionalRequest(entityType, id, 'DELETE', undefined, version);
+    }
+
+    // The API records audit entries itself as part of each write
+    async loadAuditTrail(entityType, id) {
+        const body = await this.request('GET', `${this.entityPath(entityType, id)}/history`);
+        return body?.entries || [];
+    }
+}
+
+async function fetchSeedDocument(seedUrl) {
+    const response = await fetch(seedUrl);
+    if (!response.ok) {
+        throw new Error(`Unable to load ${seedUrl}: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Create the storage adapter selected at startup
+ * 'auto' prefers the JobSearch API, then IndexedDB, then memory.
+ * @param {Object} options
+ * @param {string} [options.mode='auto'] - One of auto, http, indexeddb, memory
+ * @param {string} [options.apiBaseUrl='/api'] - JobSearch API base URL
+ * @param {string} [options.seedUrl='./jobsearch.json'] - Seed document for memory/IndexedDB
+ * @returns {Promise<JobSearchStorageAdapter>}
+ */
+async function createStorageAdapter({ mode = 'auto', apiBaseUrl = '/api', seedUrl = './jobsearch.json' } = {}) {
+    const requestedMode = STORAGE_MODES.includes(mode) ? mode : 'auto';
+    if (requestedMode !== mode) {
+        storageLogger.warn(`Unknown storage mode "${mode}", falling back to auto`);
+    }
+
+    if (requestedMode === 'http' || (requestedMode === 'auto' && await HttpStorageAdapter.isAvailable(apiBaseUrl))) {
+        storageLogger.info('Using JobSearch API storage');
+        return new HttpStorageAdapter({ baseUrl: apiBaseUrl });
+    }
+
+    const seedDocument = await fetchSeedDocument(seedUrl).catch(error => {
+        storageLogger.warn('Seed document unavailable:', error);
+        return null;
+    });
+
+    if ((requestedMode === 'indexeddb' || requestedMode === 'auto') && IndexedDBStorageAdapter.isSupported()) {
+        const adapter = new IndexedDBStorageAdapter({ seedDocument });
+        try {
+            await adapter.open();
+            storageLogger.info('Using IndexedDB storage');
+            return adapter;
+        } catch (error) {
+            storageLogger.warn('IndexedDB storage unavailable, using memory storage:', error);
+        }
+    }
+
+    storageLogger.info('Using in-memory storage');
+    return new MemoryStorageAdapter(seedDocument || { jobsearch: {} });
+}
+
+const JobSearchStorage = {
+    STORAGE_MODES,
+    StorageConflictError,
+    JobSearchStorageAdapter,
+    MemoryStorageAdapter,
+    IndexedDBStorageAdapter,
+    HttpStorageAdapter,
+    createStorageAdapter,
+    getSchemaPrimaryKey
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchStorage;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchStorage = JobSearchStorage;
+}
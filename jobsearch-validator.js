@@ -0,0 +1,465 @@
+/**
+ * JobSearch Validator - Schema and data integrity checks for jobsearch.json
+ * Shared by the browser loader (jobsearch.js) and the Node CLI (testing/validate-jobsearch.js)
+ *
+ * Every issue carries the JSON path of the offending value, e.g.
+ *   error   jobsearch.positions.schema.companyName.foreignKey: references unknown entity "companys"
+ *   warning jobsearch.positions.schema.position.editType.css.minwidth: unknown css key (did you mean "minWidth"?)
+ *
+ * Errors break the grid (a missing table, duplicate ids, rows it will never read);
+ * warnings are likely typos that are silently ignored.
+ */
+
+const TYPE_CONFIG_KEYS = ['titleType', 'displayType', 'editType'];
+
+const KNOWN_ELEMENTS = ['input', 'select', 'textarea', 'label'];
+
+const KNOWN_INPUT_TYPES = [
+    'text', 'hidden', 'number', 'date', 'time', 'datetime-local', 'email', 'tel', 'url',
+    'password', 'checkbox', 'color', 'search'
+];
+
+const KNOWN_FIELD_TYPES = ['string', 'text', 'number', 'date', 'time', 'email', 'tel', 'url', 'boolean', 'computed'];
+
+// Keys read by the grid layout (applySchemaCSSDimensions) and by createFieldInputHTML
+const KNOWN_CSS_KEYS = [
+    'width', 'minWidth', 'maxWidth', 'height', 'minHeight', 'maxHeight', 'flex', 'gridFlex',
+    'placeholder', 'min', 'max', 'step', 'maxlength', 'minlength', 'pattern', 'rows'
+];
+
+const KNOWN_FIELD_KEYS = [
+    'type', 'displayName', 'required', 'primaryKey', 'computed', 'computedFrom', 'computedKey', 'expression',
+    'foreignKey', 'foreignKeyDisplay', 'onDelete', 'kanban', 'calendar', 'searchWeight', 'css', 'options', ...TYPE_CONFIG_KEYS
+];
+
+// Same policies as jobsearch-integrity.js enforces on delete/disable
+const KNOWN_ON_DELETE_POLICIES = ['restrict', 'cascade', 'set-null', 'cascade-disable'];
+
+// Fields the grid manages on every record
+const RECORD_META_FIELDS = ['id', 'isDisabled', 'timestamp', 'version', 'updatedAt'];
+
+function isValidatorObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidatorValueProvided(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function findCaseInsensitiveMatch(name, candidates) {
+    return candidates.find(candidate => candidate.toLowerCase() === String(name).toLowerCase()) || null;
+}
+
+function getValidatorPrimaryKey(schema) {
+    return Object.keys(schema || {}).find(fieldName => schema[fieldName]?.primaryKey) || 'id';
+}
+
+// "contacts.lname, contacts.fname" → [{ entity: 'contacts', field: 'lname' }, ...]
+function parseFieldReferences(value) {
+    return String(value || '')
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const [entity, field] = part.split('.');
+            return field === undefined ? { entity: null, field: entity } : { entity, field };
+        });
+}
+
+function isFieldRequiredInSchema(fieldConfig) {
+    if (fieldConfig.required !== undefined) {
+        return Boolean(fieldConfig.required);
+    }
+    return Boolean(fieldConfig.editType?.required);
+}
+
+class ValidationCollector {
+    constructor() {
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    error(path, message) {
+        this.errors.push({ severity: 'error', path, message });
+    }
+
+    warning(path, message) {
+        this.warnings.push({ severity: 'warning', path, message });
+    }
+}
+
+function validateCss(css, path, issues) {
+    if (css === undefined) {
+        return;
+    }
+    if (!isValidatorObject(css)) {
+        issues.error(path, 'css must be an object');
+        return;
+    }
+
+    Object.keys(css).forEach(key => {
+        if (KNOWN_CSS_KEYS.includes(key)) {
+            return;
+        }
+        const suggestion = findCaseInsensitiveMatch(key, KNOWN_CSS_KEYS);
+        issues.warning(`${path}.${key}`, suggestion
+            ? `unknown css key (did you mean "${suggestion}"?)`
+            : 'unknown css key; it is ignored');
+    });
+}
+
+function validateTypeConfig(typeConfig, fieldConfig, path, issues) {
+    if (!isValidatorObject(typeConfig)) {
+        issues.error(path, 'must be an object with element, type and css');
+        return;
+    }
+
+    if (typeof typeConfig.type !== 'string' || typeConfig.type === '') {
+        issues.error(`${path}.type`, 'is required');
+    }
+
+    const [typePrefix, typeSuffix] = String(typeConfig.type || '').split('-');
+    const element = typeConfig.element || (KNOWN_ELEMENTS.includes(typePrefix) ? typePrefix : 'input');
+    if (typeConfig.element !== undefined && !KNOWN_ELEMENTS.includes(typeConfig.element)) {
+        issues.error(`${path}.element`, `unknown element "${typeConfig.element}" (expected ${KNOWN_ELEMENTS.join(', ')})`);
+    } else if (element === 'input' && typeConfig.type) {
+        const inputType = typePrefix === 'input' ? typeSuffix : typeConfig.type;
+        if (!KNOWN_INPUT_TYPES.includes(inputType)) {
+            issues.warning(`${path}.type`, `unknown input type "${typeConfig.type}"`);
+        }
+    }
+
+    if (element === 'select' && !Array.isArray(typeConfig.options) && !fieldConfig.foreignKey) {
+        issues.warning(path, 'select has neither options nor a foreignKey, so it will be empty');
+    }
+    if (typeConfig.options !== undefined && !Array.isArray(typeConfig.options)) {
+        issues.error(`${path}.options`, 'must be an array');
+    }
+
+    validateCss(typeConfig.css, `${path}.css`, issues);
+}
+
+// Own properties only: names like "constructor" are not entities or fields
+function hasValidatorName(object, name) {
+    return isValidatorObject(object) && Object.prototype.hasOwnProperty.call(object, name);
+}
+
+function validateFieldReference(reference, document, path, issues) {
+    const targetEntity = hasValidatorName(document.jobsearch, reference.entity) ? document.jobsearch[reference.entity] : null;
+    if (!reference.entity) {
+        issues.error(path, `"${reference.field}" must be written as entity.field`);
+        return;
+    }
+    if (!isValidatorObject(targetEntity) || !isValidatorObject(targetEntity.schema)) {
+        issues.error(path, `references unknown entity "${reference.entity}"`);
+        return;
+    }
+    if (!hasValidatorName(targetEntity.schema, reference.field) && !RECORD_META_FIELDS.includes(reference.field)) {
+        issues.error(path, `references unknown field "${reference.entity}.${reference.field}"`);
+    }
+}
+
+function validateField(fieldName, fieldConfig, schema, document, path, issues) {
+    if (!isValidatorObject(fieldConfig)) {
+        issues.error(path, 'field config must be an object');
+        return;
+    }
+
+    Object.keys(fieldConfig).forEach(key => {
+        if (key === 'htmlElement' || key === 'htmlType') {
+            issues.error(`${path}.${key}`, 'legacy field config; run `npm run migrate` in testing/ to convert it');
+        } else if (!KNOWN_FIELD_KEYS.includes(key)) {
+            const suggestion = findCaseInsensitiveMatch(key, KNOWN_FIELD_KEYS);
+            issues.warning(`${path}.${key}`, suggestion
+                ? `unknown field property (did you mean "${suggestion}"?)`
+                : 'unknown field property; it is ignored');
+        }
+    });
+
+    if (fieldConfig.type !== undefined && !KNOWN_FIELD_TYPES.includes(fieldConfig.type)) {
+        issues.warning(`${path}.type`, `unknown field type "${fieldConfig.type}"`);
+    }
+    if (!fieldConfig.displayName) {
+        issues.warning(`${path}.displayName`, 'is missing; the column header falls back to the field name');
+    }
+
+    const typeKeys = TYPE_CONFIG_KEYS.filter(typeKey => fieldConfig[typeKey] !== undefined);
+    if (typeKeys.length === 0 && !fieldConfig.htmlElement && !fieldConfig.htmlType) {
+        issues.error(path, 'needs at least one of titleType, displayType or editType');
+    }
+    typeKeys.forEach(typeKey => validateTypeConfig(fieldConfig[typeKey], fieldConfig, `${path}.${typeKey}`, issues));
+    validateCss(fieldConfig.css, `${path}.css`, issues);
+
+    if (fieldConfig.foreignKey !== undefined) {
+        const references = parseFieldReferences(fieldConfig.foreignKey);
+        if (references.length !== 1) {
+            issues.error(`${path}.foreignKey`, 'must be a single entity.field reference');
+        } else {
+            validateFieldReference(references[0], document, `${path}.foreignKey`, issues);
+        }
+    }
+
+    if (fieldConfig.onDelete !== undefined) {
+        if (!fieldConfig.foreignKey || fieldConfig.computed) {
+            issues.warning(`${path}.onDelete`, 'only applies to foreign key fields; it is ignored');
+        } else if (!KNOWN_ON_DELETE_POLICIES.includes(fieldConfig.onDelete)) {
+            issues.error(`${path}.onDelete`, `must be one of ${KNOWN_ON_DELETE_POLICIES.join(', ')}`);
+        } else if (fieldConfig.onDelete === 'set-null' && fieldConfig.required) {
+            issues.error(`${path}.onDelete`, 'set-null cannot clear a required field; use restrict, cascade or cascade-disable');
+        }
+    }
+
+    if (fieldConfig.kanban && (fieldConfig.computed || !Array.isArray(fieldConfig.editType?.options) || fieldConfig.editType.options.length === 0)) {
+        issues.error(`${path}.kanban`, 'board columns come from editType.options; the field needs a select editor with options');
+    }
+
+    if (fieldConfig.calendar) {
+        validateCalendarField(fieldConfig, schema, `${path}.calendar`, issues);
+    }
+
+    if (fieldConfig.searchWeight !== undefined
+        && (typeof fieldConfig.searchWeight !== 'number' || !Number.isFinite(fieldConfig.searchWeight) || fieldConfig.searchWeight < 0)) {
+        issues.error(`${path}.searchWeight`, 'must be a number of 0 or more (1 is the default weight)');
+    }
+
+    if (fieldConfig.expression !== undefined && !fieldConfig.computed) {
+        issues.warning(`${path}.expression`, 'only applies to computed fields; set "computed": true');
+    }
+
+    if (fieldConfig.computed && fieldConfig.expression !== undefined) {
+        validateComputedExpression(fieldConfig.expression, schema, document, `${path}.expression`, issues);
+    } else if (fieldConfig.computed) {
+        if (!fieldConfig.computedFrom) {
+            issues.error(`${path}.computedFrom`, 'is required for computed fields');
+        } else {
+            parseFieldReferences(fieldConfig.computedFrom)
+                .forEach(reference => validateFieldReference(reference, document, `${path}.computedFrom`, issues));
+        }
+        if (!fieldConfig.computedKey) {
+            issues.error(`${path}.computedKey`, 'is required for computed fields');
+        } else {
+            validateComputedKeyPath(fieldConfig.computedKey, schema, document, `${path}.computedKey`, issues);
+        }
+    }
+}
+
+// Calendar fields are editable dates; an optional timeField names the time that goes with them
+function validateCalendarField(fieldConfig, schema, path, issues) {
+    const isDateEditor = config => ['date', 'input-date'].includes(config?.editType?.type);
+    if (fieldConfig.calendar !== true && !isValidatorObject(fieldConfig.calendar)) {
+        issues.error(path, 'must be true or { "timeField": "<field>" }');
+        return;
+    }
+    if (fieldConfig.computed || !isDateEditor(fieldConfig)) {
+        issues.error(path, 'calendar events are rescheduled by editing the field; it needs a date editor');
+    }
+
+    const timeField = fieldConfig.calendar.timeField;
+    if (timeField === undefined) {
+        return;
+    }
+    if (!isValidatorObject(schema[timeField])) {
+        issues.error(`${path}.timeField`, `references unknown field "${timeField}"`);
+    } else if (!['time', 'input-time'].includes(schema[timeField].editType?.type)) {
+        issues.error(`${path}.timeField`, `"${timeField}" needs a time editor`);
+    }
+}
+
+// Computed field expressions (jobsearch-expressions.js) must parse and read fields that exist
+function validateComputedExpression(expression, schema, document, path, issues) {
+    const expressions = getValidatorExpressions();
+    if (!expressions) {
+        return;
+    }
+
+    let compiled;
+    try {
+        compiled = expressions.compileExpression(expression);
+    } catch (error) {
+        issues.error(path, error.message);
+        return;
+    }
+
+    compiled.dependencies.fields
+        .filter(fieldName => !hasValidatorName(schema, fieldName) && !RECORD_META_FIELDS.includes(fieldName))
+        .forEach(fieldName => issues.error(path, `reads unknown field "${fieldName}" in this schema`));
+    compiled.dependencies.lookups.forEach(({ entity, field }) => {
+        validateFieldReference({ entity, field }, document, path, issues);
+    });
+}
+
+// The expression module is a global in the browser and a sibling module in Node
+function getValidatorExpressions() {
+    if (typeof window !== 'undefined' && window.JobSearchExpressions) {
+        return window.JobSearchExpressions;
+    }
+    return typeof require === 'function' ? require('./jobsearch-expressions') : null;
+}
+
+// computedKey is a key field of this schema, or a path through foreign keys ("positionId.companyId")
+function validateComputedKeyPath(computedKey, schema, document, path, issues) {
+    const [keyField, ...hops] = String(computedKey).split('.');
+    if (!schema[keyField]) {
+        issues.error(path, `references unknown field "${keyField}" in this schema`);
+        return;
+    }
+
+    let currentSchema = schema;
+    let currentField = keyField;
+    hops.forEach(nextField => {
+        if (!currentSchema) {
+            return;
+        }
+        const [reference] = parseFieldReferences(currentSchema[currentField]?.foreignKey);
+        const targetSchema = document.jobsearch?.[reference?.entity]?.schema;
+        if (!reference || !isValidatorObject(targetSchema)) {
+            issues.error(path, `"${currentField}" is not a foreign key, so the path cannot continue to "${nextField}"`);
+            currentSchema = null;
+        } else if (!targetSchema[nextField]) {
+            issues.error(path, `references unknown field "${reference.entity}.${nextField}"`);
+            currentSchema = null;
+        } else {
+            currentSchema = targetSchema;
+            currentField = nextField;
+        }
+    });
+}
+
+function validateSchema(entityType, schema, document, path, issues) {
+    if (!isValidatorObject(schema)) {
+        issues.error(path, 'schema must be an object');
+        return;
+    }
+
+    Object.entries(schema).forEach(([fieldName, fieldConfig]) => {
+        validateField(fieldName, fieldConfig, schema, document, `${path}.${fieldName}`, issues);
+    });
+
+    const primaryKeys = Object.keys(schema).filter(fieldName => schema[fieldName]?.primaryKey);
+    if (primaryKeys.length > 1) {
+        issues.error(path, `has more than one primaryKey field (${primaryKeys.join(', ')})`);
+    }
+    primaryKeys.forEach(fieldName => {
+        if (schema[fieldName].computed) {
+            issues.error(`${path}.${fieldName}.primaryKey`, 'a computed field cannot be the primary key');
+        }
+    });
+
+    const kanbanFields = Object.keys(schema).filter(fieldName => schema[fieldName]?.kanban);
+    if (kanbanFields.length > 1) {
+        issues.warning(path, `has more than one kanban field (${kanbanFields.join(', ')}); the board groups by ${kanbanFields[0]}`);
+    }
+}
+
+function validateRecords(entityType, entity, document, path, issues) {
+    const schema = isValidatorObject(entity.schema) ? entity.schema : {};
+    const idField = getValidatorPrimaryKey(schema);
+    const seenIds = new Map();
+
+    entity.data.forEach((record, index) => {
+        const recordPath = `${path}[${index}]`;
+        if (!isValidatorObject(record)) {
+            issues.error(recordPath, 'record must be an object');
+            return;
+        }
+
+        const id = record[idField];
+        if (!isValidatorValueProvided(id)) {
+            issues.warning(`${recordPath}.${idField}`, 'is missing; an id is assigned when the record is loaded');
+        } else if (seenIds.has(String(id))) {
+            issues.error(`${recordPath}.${idField}`, `duplicate id ${JSON.stringify(id)} (also used by ${path}[${seenIds.get(String(id))}])`);
+        } else {
+            seenIds.set(String(id), index);
+        }
+
+        Object.entries(schema).forEach(([fieldName, fieldConfig]) => {
+            if (!isValidatorObject(fieldConfig) || fieldConfig.computed || fieldName === idField) {
+                return;
+            }
+
+            const value = record[fieldName];
+            if (isFieldRequiredInSchema(fieldConfig) && !isValidatorValueProvided(value)) {
+                issues.error(`${recordPath}.${fieldName}`, 'is required');
+                return;
+            }
+
+            if (fieldConfig.foreignKey && isValidatorValueProvided(value)) {
+                const [reference] = parseFieldReferences(fieldConfig.foreignKey);
+                const targetRecords = document.jobsearch?.[reference?.entity]?.data;
+                if (Array.isArray(targetRecords)
+                    && !targetRecords.some(target => String(target?.[reference.field]) === String(value))) {
+                    issues.error(`${recordPath}.${fieldName}`, `references missing ${reference.entity} record ${JSON.stringify(value)}`);
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Validate a parsed jobsearch.json document
+ * @param {Object} document
+ * @returns {{valid: boolean, errors: Object[], warnings: Object[]}} Issues are
+ *          `{ severity, path, message }`; `valid` is false when there is at least one error
+ */
+function validateDocument(document) {
+    const issues = new ValidationCollector();
+
+    if (!isValidatorObject(document) || !isValidatorObject(document.jobsearch)) {
+        issues.error('jobsearch', 'document must have a top-level "jobsearch" object');
+        return { valid: false, errors: issues.errors, warnings: issues.warnings };
+    }
+
+    Object.entries(document.jobsearch).forEach(([entityType, entity]) => {
+        const path = `jobsearch.${entityType}`;
+        if (!isValidatorObject(entity)) {
+            issues.error(path, 'entity must be an object with schema and data');
+            return;
+        }
+
+        validateSchema(entityType, entity.schema, document, `${path}.schema`, issues);
+
+        if (Array.isArray(entity.records)) {
+            issues.error(`${path}.records`, Array.isArray(entity.data)
+                ? 'is ignored because the entity also has data; move these rows into data'
+                : 'rows must be stored under data; run `npm run migrate` in testing/ to move them');
+        }
+        if (entity.data === undefined) {
+            if (!Array.isArray(entity.records)) {
+                issues.error(`${path}.data`, 'is missing');
+            }
+        } else if (!Array.isArray(entity.data)) {
+            issues.error(`${path}.data`, 'must be an array');
+        } else {
+            validateRecords(entityType, entity, document, `${path}.data`, issues);
+        }
+    });
+
+    return { valid: issues.errors.length === 0, errors: issues.errors, warnings: issues.warnings };
+}
+
+function formatValidationIssue(issue) {
+    return `${issue.severity.padEnd(7)} ${issue.path}: ${issue.message}`;
+}
+
+function formatValidationReport(result) {
+    const lines = [...result.errors, ...result.warnings].map(formatValidationIssue);
+    lines.push(`${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    return lines.join('\n');
+}
+
+const JobSearchValidator = {
+    KNOWN_CSS_KEYS,
+    validateDocument,
+    formatValidationIssue,
+    formatValidationReport
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchValidator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchValidator = JobSearchValidator;
+}
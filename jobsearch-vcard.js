@@ -0,0 +1,310 @@
+/**
+ * JobSearch vCard - RFC 2426 (3.0) / RFC 6350 (4.0) formatting and parsing
+ * Used by jobsearch.js to export contacts as .vcf files and import address book exports
+ *
+ * Cards are plain objects:
+ * {
+ *   uid: 'jobsearch-contacts-1@jobsearch',
+ *   givenName: 'John',
+ *   familyName: 'Smith',
+ *   formattedName: 'John Smith',
+ *   phones: [{ value: '(555) 123-4567', types: ['cell'] }],
+ *   emails: [{ value: 'john.smith@techcorp.com', types: ['work'] }],
+ *   revision: '2024-10-20T08:00:00.000Z'
+ * }
+ *
+ * Types are lower-case; a preferred value carries the 'pref' type in both versions.
+ * Parsing also accepts vCard 2.1 cards with bare type parameters (TEL;CELL:...).
+ */
+
+const VCARD_VERSIONS = ['3.0', '4.0'];
+const VCARD_PRODUCT_ID = '-//HTMLStubs//JobSearch Management//EN';
+const VCARD_LINE_LIMIT = 75;
+
+function escapeVCardText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeVCardText(value) {
+    return String(value ?? '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Split a structured value (N) on separators that are not escaped
+function splitVCardComponents(value, separator = ';') {
+    const components = [];
+    let current = '';
+    for (let index = 0; index < value.length; index++) {
+        if (value[index] === '\\' && index + 1 < value.length) {
+            current += value[index] + value[index + 1];
+            index++;
+        } else if (value[index] === separator) {
+            components.push(current);
+            current = '';
+        } else {
+            current += value[index];
+        }
+    }
+    components.push(current);
+    return components.map(unescapeVCardText);
+}
+
+// Fold content lines longer than 75 octets; continuation lines start with a space
+function foldVCardLine(line) {
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+
+    for (const char of line) {
+        const codePoint = char.codePointAt(0);
+        const charLength = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        const limit = parts.length === 0 ? VCARD_LINE_LIMIT : VCARD_LINE_LIMIT - 1;
+        if (currentLength + charLength > limit) {
+            parts.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += char;
+        currentLength += charLength;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function formatVCardRevision(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatVCardTypes(types, version) {
+    const cleanTypes = (types || []).filter(Boolean).map(type => String(type).toLowerCase());
+    if (cleanTypes.length === 0) {
+        return '';
+    }
+    if (version === '4.0') {
+        // 4.0 expresses preference with PREF=1; 'pref' is not a TYPE value there
+        const pref = cleanTypes.includes('pref') ? ';PREF=1' : '';
+        const otherTypes = cleanTypes.filter(type => type !== 'pref');
+        return `${otherTypes.length > 0 ? `;TYPE=${otherTypes.join(',')}` : ''}${pref}`;
+    }
+    return `;TYPE=${cleanTypes.map(type => type.toUpperCase()).join(',')}`;
+}
+
+function getVCardFormattedName(card) {
+    return card.formattedName || [card.givenName, card.familyName].filter(Boolean).join(' ');
+}
+
+function formatVCard(card, version) {
+    const lines = [
+        'BEGIN:VCARD',
+        `VERSION:${version}`,
+        `PRODID:${VCARD_PRODUCT_ID}`
+    ];
+    if (version === '4.0') {
+        lines.push('KIND:individual');
+    }
+
+    lines.push(`N:${escapeVCardText(card.familyName)};${escapeVCardText(card.givenName)};;;`);
+    lines.push(`FN:${escapeVCardText(getVCardFormattedName(card))}`);
+
+    (card.phones || []).filter(phone => phone?.value).forEach(phone => {
+        const types = version === '3.0' ? [...(phone.types || []), 'voice'] : phone.types;
+        lines.push(`TEL${formatVCardTypes([...new Set(types)], version)}${version === '4.0' ? ';VALUE=text' : ''}:${escapeVCardText(phone.value)}`);
+    });
+    (card.emails || []).filter(email => email?.value).forEach(email => {
+        const types = version === '3.0' ? ['internet', ...(email.types || [])] : email.types;
+        lines.push(`EMAIL${formatVCardTypes(types, version)}:${escapeVCardText(email.value)}`);
+    });
+
+    if (card.uid) {
+        lines.push(`UID:${escapeVCardText(card.uid)}`);
+    }
+    const revision = card.revision ? formatVCardRevision(card.revision) : null;
+    if (revision) {
+        lines.push(`REV:${revision}`);
+    }
+    lines.push('END:VCARD');
+
+    return lines;
+}
+
+/**
+ * Format cards as a .vcf document (CRLF line endings, folded lines)
+ * @param {Object[]} cards
+ * @param {Object} [options]
+ * @param {string} [options.version='3.0'] - '3.0' or '4.0'
+ * @returns {string}
+ */
+function formatVCards(cards, { version = '3.0' } = {}) {
+    if (!VCARD_VERSIONS.includes(version)) {
+        throw new Error(`formatVCards: unsupported vCard version "${version}"`);
+    }
+    const lines = cards.flatMap(card => formatVCard(card, version));
+    return `${lines.map(foldVCardLine).join('\r\n')}\r\n`;
+}
+
+// Undo line folding: a line break followed by a space or tab continues the previous line
+function unfoldVCardLines(text) {
+    return String(text ?? '')
+        .replace(/^\uFEFF/, '')
+        .replace(/\r?\n[ \t]/g, '')
+        .split(/\r?\n/)
+        .filter(line => line.trim() !== '');
+}
+
+// 'item1.TEL;TYPE=CELL,VOICE:555' → { name: 'TEL', params: { TYPE: ['cell', 'voice'] }, value: '555' }
+function parseVCardLine(line) {
+    let inQuotes = false;
+    let separatorIndex = -1;
+    for (let index = 0; index < line.length; index++) {
+        if (line[index] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[index] === ':' && !inQuotes) {
+            separatorIndex = index;
+            break;
+        }
+    }
+    if (separatorIndex === -1) {
+        return null;
+    }
+
+    const [groupedName, ...paramParts] = line.slice(0, separatorIndex).split(';');
+    const name = groupedName.split('.').pop().toUpperCase();
+    const params = { TYPE: [] };
+    paramParts.forEach(part => {
+        const equalsIndex = part.indexOf('=');
+        if (equalsIndex === -1) {
+            // vCard 2.1 bare type: TEL;CELL:...
+            params.TYPE.push(part.toLowerCase());
+            return;
+        }
+        const key = part.slice(0, equalsIndex).toUpperCase();
+        const value = part.slice(equalsIndex + 1).replace(/^"|"$/g, '');
+        if (key === 'TYPE') {
+            params.TYPE.push(...value.split(',').map(type => type.trim().toLowerCase()).filter(Boolean));
+        } else {
+            params[key] = value;
+        }
+    });
+
+    return { name, params, value: line.slice(separatorIndex + 1) };
+}
+
+function getVCardValueTypes(params) {
+    const types = [...params.TYPE];
+    if (params.PREF && !types.includes('pref')) {
+        types.push('pref');
+    }
+    return types;
+}
+
+function stripVCardUriScheme(value, scheme) {
+    return value.toLowerCase().startsWith(`${scheme}:`) ? value.slice(scheme.length + 1) : value;
+}
+
+/**
+ * Parse every card of a .vcf document
+ * @param {string} text
+ * @returns {{cards: Object[], errors: string[]}} Cards without a name, phone or email are reported in errors
+ */
+function parseVCards(text) {
+    const cards = [];
+    const errors = [];
+    let current = null;
+
+    unfoldVCardLines(text).forEach(line => {
+        const property = parseVCardLine(line);
+        if (!property) {
+            return;
+        }
+
+        if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+            current = { givenName: '', familyName: '', formattedName: '', phones: [], emails: [] };
+            return;
+        }
+        if (!current) {
+            return;
+        }
+        if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+            const card = current;
+            current = null;
+            if (!card.givenName && !card.familyName && !card.formattedName && card.phones.length === 0 && card.emails.length === 0) {
+                errors.push(`Card ${cards.length + errors.length + 1} has no name, phone or email`);
+                return;
+            }
+            cards.push(card);
+            return;
+        }
+
+        switch (property.name) {
+            case 'VERSION':
+                current.version = property.value.trim();
+                break;
+            case 'UID':
+                current.uid = stripVCardUriScheme(unescapeVCardText(property.value), 'urn:uuid');
+                break;
+            case 'N': {
+                const [familyName = '', givenName = ''] = splitVCardComponents(property.value);
+                current.familyName = familyName.trim();
+                current.givenName = givenName.trim();
+                break;
+            }
+            case 'FN':
+                current.formattedName = unescapeVCardText(property.value).trim();
+                break;
+            case 'TEL': {
+                const value = stripVCardUriScheme(unescapeVCardText(property.value).trim(), 'tel');
+                if (value) {
+                    current.phones.push({ value, types: getVCardValueTypes(property.params) });
+                }
+                break;
+            }
+            case 'EMAIL': {
+                const value = stripVCardUriScheme(unescapeVCardText(property.value).trim(), 'mailto');
+                if (value) {
+                    current.emails.push({ value, types: getVCardValueTypes(property.params) });
+                }
+                break;
+            }
+            case 'REV':
+                current.revision = property.value.trim();
+                break;
+            default:
+                break;
+        }
+    });
+
+    if (current) {
+        errors.push(`Card ${cards.length + errors.length + 1} is missing END:VCARD`);
+    }
+
+    return { cards, errors };
+}
+
+function isVCardText(text) {
+    return /^\s*(\uFEFF)?BEGIN:VCARD/i.test(String(text ?? ''));
+}
+
+const JobSearchVCard = {
+    VCARD_VERSIONS,
+    formatVCards,
+    parseVCards,
+    isVCardText
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobSearchVCard;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobSearchVCard = JobSearchVCard;
+}
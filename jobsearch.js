@@ -8,7 +8,12 @@ const CONFIG = {
     DEFAULT_PAGE_SIZE: 10,
     DEBOUNCE_DELAY: 300,
     MAX_PAGE_SIZE: 100,
-    MIN_PAGE_SIZE: 5
+    MIN_PAGE_SIZE: 5,
+    API_BASE_URL: '/api',
+    DATA_URL: './jobsearch.json',
+    STORAGE_MODE: 'auto', // auto | http | indexeddb | memory - override with ?storage=<mode>
+    HISTORY_LIMIT: 100,
+    FOLLOW_UP_RULES: null // null uses JobSearchFollowUp.DEFAULT_FOLLOW_UP_RULES - override with window.JOBSEARCH_FOLLOW_UP_RULES
 };
 
 // Create logger instance
@@ -60,6 +65,18 @@ let originalRecordData = null; // Store original data for cancel functionality
 // Toggle state
 let viewingEnabled = true; // Track whether viewing enabled (true) or disabled (false) records
 
+// Persistence state - write-through to the storage adapter selected at startup (see jobsearch-storage.js)
+let storageAdapter = null;
+let persistenceQueue = Promise.resolve();
+const persistedSnapshots = {}; // Last storage-confirmed records per entity, keyed by record id
+
+// Undo/redo state (see jobsearch-history.js)
+const commandHistory = typeof CommandHistory === 'function'
+    ? new CommandHistory({ limit: CONFIG.HISTORY_LIMIT })
+    : null;
+let historyRecordingDepth = 0; // Nested mutations are recorded as part of the outermost one
+let pendingHistoryRestore = null; // An undo waiting for storage before it restores cascaded records
+
 /**
  * Apply schema-driven CSS dimensions to DataGrid and row-form elements
  */
@@ -71,8 +88,11 @@ function applySchemaCSSDimensions(entityType = currentEntityType) {
             return;
         }
 
-        // Apply to DataGrid
+        // Apply to DataGrid; widths the user resized stay over the schema ones
         applyDataGridDimensionsFromSchema(schema, entityType);
+        if (entityType === currentEntityType) {
+            applyColumnWidths();
+        }
 
         // Apply to row-form fields
         applyRowFormDimensions(schema);
@@ -150,7 +170,7 @@ function setEntityContext(entityType) {
     currentSchema = jobSearchData?.jobsearch?.[entityType]?.schema || {};
     currentFieldOrder = Object.keys(currentSchema);
     currentIdField = currentFieldOrder.find(name => name.toLowerCase() === 'id') || 'id';
-    currentVisibleFieldOrder = currentFieldOrder.filter(fieldName => isTitleVisible(currentSchema[fieldName]));
+    currentVisibleFieldOrder = getDisplayedColumns(entityType);
 }
 
 function getFieldDefinitions(entityType = currentEntityType) {
@@ -183,55 +203,57 @@ function getVisibleFieldOrder(entityType = currentEntityType) {
     return Object.keys(schema).filter(fieldName => isTitleVisible(schema[fieldName]));
 }
 
+// Column order, hidden columns and user widths (px) per entity; saved views store and restore them
+const entityColumnLayouts = new Map();
+
+function getColumnLayout(entityType = currentEntityType) {
+    const columns = getVisibleFieldOrder(entityType);
+    const layout = entityColumnLayouts.get(entityType) || {};
+    const order = [...new Set([...(layout.order || []).filter(fieldName => columns.includes(fieldName)), ...columns])];
+    const hidden = order.filter(fieldName => (layout.hidden || []).includes(fieldName));
+    const widths = {};
+    order.forEach(fieldName => {
+        if (layout.widths?.[fieldName]) {
+            widths[fieldName] = layout.widths[fieldName];
+        }
+    });
+    return { order, hidden: hidden.length < order.length ? hidden : [], widths };
+}
+
+function setColumnLayout(layout, entityType = currentEntityType) {
+    entityColumnLayouts.set(entityType, {
+        order: [...(layout.order || [])],
+        hidden: [...(layout.hidden || [])],
+        widths: { ...(layout.widths || {}) }
+    });
+    if (entityType === currentEntityType) {
+        currentVisibleFieldOrder = getDisplayedColumns(entityType);
+        applyColumnWidths();
+    }
+}
+
+// The grid's columns, in the user's order and without the hidden ones
+function getDisplayedColumns(entityType = currentEntityType) {
+    const { order, hidden } = getColumnLayout(entityType);
+    return order.filter(fieldName => !hidden.includes(fieldName));
+}
+
 /**
- * Schema Migration and Field Type Resolution
- * Handles both legacy (htmlElement/htmlType) and new (titleType/displayType/editType) schema formats
+ * Field Type Resolution
+ * Schemas use the three-state titleType/displayType/editType format. Legacy htmlElement/htmlType
+ * configs are converted once at load time by jobsearch-migrations.js (see loadJobSearchData).
  */
 
 // Get the appropriate field configuration for a specific mode (title, display, or edit)
 function getFieldTypeConfig(fieldConfig, mode) {
   if (!fieldConfig) return null;
   
-  // New three-state schema format with titleType/displayType/editType
-  if (fieldConfig.titleType || fieldConfig.displayType || fieldConfig.editType) {
-    if (mode === 'title') {
-      return fieldConfig.titleType || fieldConfig.displayType || fieldConfig.editType; // Fallback chain
-    } else if (mode === 'read' || mode === 'display') {
-      return fieldConfig.displayType || fieldConfig.editType; // Fallback to editType if displayType missing
-    } else {
-      return fieldConfig.editType || fieldConfig.displayType; // Fallback to displayType if editType missing
-    }
-  }
-  
-  // Legacy schema format - convert on the fly
-  return migrateLegacyFieldConfig(fieldConfig);
-}
-
-// Convert legacy schema format to new format
-function migrateLegacyFieldConfig(fieldConfig) {
-  if (!fieldConfig.htmlElement && !fieldConfig.htmlType) {
-    return null;
-  }
-  
-  // Convert htmlElement + htmlType to new type format
-  let type = '';
-  if (fieldConfig.htmlElement === 'input') {
-    type = `input-${fieldConfig.htmlType || 'text'}`;
-  } else if (fieldConfig.htmlElement === 'select') {
-    type = 'select';
-  } else if (fieldConfig.htmlElement === 'textarea') {
-    type = 'textarea';
-  } else if (fieldConfig.htmlElement === 'label') {
-    type = 'label';
-  } else {
-    type = fieldConfig.htmlElement || 'input-text';
+  if (mode === 'title') {
+    return fieldConfig.titleType || fieldConfig.displayType || fieldConfig.editType || null; // Fallback chain
+  } else if (mode === 'read' || mode === 'display') {
+    return fieldConfig.displayType || fieldConfig.editType || null; // Fallback to editType if displayType missing
   }
-  
-  return {
-    type: type,
-    css: fieldConfig.css || {},
-    required: fieldConfig.required || false
-  };
+  return fieldConfig.editType || fieldConfig.displayType || null; // Fallback to displayType if editType missing
 }
 
 // Get validation rules for a field
@@ -322,6 +344,10 @@ function getMissingRequiredFields(record, mode = 'edit') {
   
   Object.keys(currentSchema).forEach(fieldName => {
     const fieldConfig = currentSchema[fieldName];
+    // New records get their id from storeRecord() and storage
+    if (fieldName === currentIdField) {
+      return;
+    }
     if (isFieldRequired(fieldConfig, mode)) {
       const value = record[fieldName];
       if (!value || value.toString().trim() === '') {
@@ -338,6 +364,9 @@ function validateRecord(record, mode = 'edit') {
   const errors = [];
   
   Object.keys(currentSchema).forEach(fieldName => {
+    if (fieldName === currentIdField) {
+      return;
+    }
     const fieldConfig = currentSchema[fieldName];
     const fieldErrors = validateFieldValue(fieldName, record[fieldName], fieldConfig, mode);
     errors.push(...fieldErrors);
@@ -405,8 +434,12 @@ function resolveForeignKeyOptions(fieldConfig) {
         return [];
     }
 
-    if (Array.isArray(fieldConfig.options) && fieldConfig.options.length > 0) {
-        return fieldConfig.options.map(option => {
+    // Static options live on the field or, in the three-state format, on its editType
+    const staticOptions = Array.isArray(fieldConfig.options) && fieldConfig.options.length > 0
+        ? fieldConfig.options
+        : getFieldTypeConfig(fieldConfig, 'edit')?.options;
+    if (Array.isArray(staticOptions) && staticOptions.length > 0) {
+        return staticOptions.map(option => {
             if (option && typeof option === 'object') {
                 const value = option.value ?? option.id ?? option.key ?? option.code ?? option.name ?? option.label ?? '';
                 const label = option.label ?? option.name ?? option.display ?? option.title ?? String(value ?? '');
@@ -491,47 +524,122 @@ function getFieldDisplayValue(record, fieldName) {
     const value = record[fieldName];
 
     // Handle computed fields
-    if (fieldConfig.computed && fieldConfig.computedFrom && fieldConfig.computedKey) {
-        const foreignKeyValue = record[fieldConfig.computedKey];
-        if (!foreignKeyValue) {
-            return '';
-        }
-
-        // Parse computedFrom (e.g., "contacts.lname,contacts.fname" or "companies.name")
-        const computedFrom = fieldConfig.computedFrom;
-        
-        // Extract table name from computedFrom (e.g., "companies.name" -> "companies")
-        const tableName = computedFrom.includes('.') ? computedFrom.split('.')[0] : 'contacts';
-        const foreignRecord = resolveForeignRecord(tableName, foreignKeyValue);
-        
-        if (foreignRecord) {
-            // Handle multiple fields by extracting field names after table prefix
-            if (computedFrom.includes(',')) {
-                // Split by comma and extract field names
-                const fieldParts = computedFrom.split(',').map(part => {
-                    const trimmed = part.trim();
-                    // Extract field name after the dot (e.g., "contacts.lname" -> "lname")
-                    return trimmed.includes('.') ? trimmed.split('.').pop() : trimmed;
-                });
-                return fieldParts.map(fn => foreignRecord[fn]).filter(v => v).join(', ');
-            } else {
-                // Single field: extract field name after dot
-                const fieldName = computedFrom.includes('.') ? computedFrom.split('.').pop() : computedFrom;
-                return foreignRecord[fieldName];
-            }
-        }
-        
-        return '';
+    if (fieldConfig.computed) {
+        return evaluateComputedField(record, fieldName) ?? '';
     }
 
     // Handle regular foreign key lookups
-    if (fieldConfig.htmlElement === 'select' && fieldConfig.foreignKey) {
+    if (fieldConfig.foreignKey && getFieldTypeConfig(fieldConfig, 'edit')?.element === 'select') {
         return resolveForeignKeyLabel(fieldConfig, value);
     }
 
     return value;
 }
 
+/**
+ * Computed fields
+ * Computed columns evaluate an expression over their record (jobsearch-expressions.js); fields
+ * declared with computedFrom/computedKey are rewritten as lookups. An expression's dependencies -
+ * the record fields it reads and the entities it looks up - decide which cells refresh: editing an
+ * input updates the computed labels of its row or form, and changes to another entity refresh the
+ * current grid's cells that read from it.
+ */
+function getComputedFieldExpression(fieldName, entityType = currentEntityType) {
+    const fieldConfig = getFieldConfig(fieldName, entityType);
+    const schema = jobSearchData?.jobsearch?.[entityType]?.schema;
+    const source = window.JobSearchExpressions?.getComputedExpression(fieldConfig, schema, jobSearchData);
+    if (!source) {
+        return null;
+    }
+    try {
+        return window.JobSearchExpressions.compileExpression(source);
+    } catch (error) {
+        // Reported with its schema path by reportSchemaValidation() when the data loads
+        return null;
+    }
+}
+
+function evaluateComputedField(record, fieldName, entityType = currentEntityType) {
+    const expression = getComputedFieldExpression(fieldName, entityType);
+    return expression ? expression.evaluate(record, { lookup: resolveForeignRecord }) : null;
+}
+
+// Computed fields of the current entity that read any of `fields` or look up `sourceEntityType`
+function getDependentComputedFields({ fields = [], sourceEntityType = null } = {}) {
+    return currentFieldOrder.filter(fieldName => {
+        const dependencies = getComputedFieldExpression(fieldName)?.dependencies;
+        return Boolean(dependencies)
+            && (dependencies.fields.some(dependency => fields.includes(dependency))
+                || dependencies.entities.includes(sourceEntityType));
+    });
+}
+
+// Unsaved values of an editable row or the record form over the stored record
+function getDraftRecord(container) {
+    const index = container.getAttribute('data-record-index');
+    const storedRecord = index !== null ? storedRecords[Number(index)] : null;
+    return { ...(storedRecord || {}), ...collectFieldValues(container) };
+}
+
+// Re-render the cells of `fieldNames` in each row (a row, the form, or every row of a container)
+function refreshComputedCells(container, fieldNames, getRecord) {
+    if (!container || fieldNames.length === 0) {
+        return;
+    }
+
+    const rows = container.matches('[data-record-index], .row-form')
+        ? [container]
+        : Array.from(container.querySelectorAll('[data-record-index]'));
+    rows.forEach(row => {
+        const record = getRecord(row);
+        if (!record) {
+            return;
+        }
+        fieldNames.forEach(fieldName => {
+            const value = getFieldDisplayValue(record, fieldName) ?? '';
+            const label = row.querySelector(`label.field-label-display[data-field="${fieldName}"]`);
+            if (label) {
+                label.textContent = value;
+                if (isValueProvided(value)) {
+                    label.setAttribute('data-value', value);
+                } else {
+                    label.removeAttribute('data-value');
+                }
+                return;
+            }
+            const cell = row.querySelector(`.record-field.field-${toKebabCase(fieldName)}`);
+            if (cell && !cell.querySelector('[data-field]')) {
+                cell.textContent = value;
+            }
+        });
+    });
+}
+
+// Another entity changed: refresh the current grid's cells that look it up
+function refreshComputedCellsForEntity(sourceEntityType) {
+    if (sourceEntityType === currentEntityType) {
+        return;
+    }
+    refreshComputedCells(
+        document.getElementById('recordsDisplay'),
+        getDependentComputedFields({ sourceEntityType }),
+        row => (row.classList.contains('editing') ? getDraftRecord(row) : storedRecords[Number(row.getAttribute('data-record-index'))])
+    );
+}
+
+function initializeComputedFieldRefresh() {
+    const handleFieldInput = (event) => {
+        const input = event.target.closest?.('[data-field]');
+        const container = input?.closest('.record-row.editing, .row-form');
+        if (!container) {
+            return;
+        }
+        refreshComputedCells(container, getDependentComputedFields({ fields: [input.getAttribute('data-field')] }), getDraftRecord);
+    };
+    document.addEventListener('input', handleFieldInput);
+    document.addEventListener('change', handleFieldInput);
+}
+
 function normalizeFieldValue(fieldName, value) {
     const fieldConfig = getFieldConfig(fieldName);
     if (!fieldConfig) {
@@ -588,18 +696,95 @@ function getFieldCSSDimensions(fieldName, entityType = currentEntityType) {
     }
 }
 
-// Load job search data from consolidated JSON file
+// Load job search data from the configured storage adapter (falls back to the consolidated JSON file)
 async function loadJobSearchData() {
   try {
-    const response = await fetch('./jobsearch.json');
-    jobSearchData = await response.json();
+    if (window.JobSearchStorage) {
+      storageAdapter = await window.JobSearchStorage.createStorageAdapter({
+        mode: resolveStorageMode(),
+        apiBaseUrl: CONFIG.API_BASE_URL,
+        seedUrl: CONFIG.DATA_URL
+      });
+      jobSearchData = await storageAdapter.loadDocument();
+    } else {
+      const response = await fetch(CONFIG.DATA_URL);
+      jobSearchData = await response.json();
+    }
+    jobSearchData = normalizeEntityRecordKeys(applySchemaMigrations(jobSearchData));
+    reportSchemaValidation(jobSearchData);
     initializeEntity(currentEntityType);
+    refreshFollowUps();
   } catch (error) {
     logger.error('Error loading job search data:', error);
     // Fallback to hardcoded options if file load fails
   }
 }
 
+// Bring a loaded document up to the current schema version (jobsearch-migrations.js). Only steps
+// above the document's schemaVersion run, as with `npm run migrate` in testing/, which persists
+// the result to jobsearch.json. Older records in storage are handled by normalizeEntityRecordKeys().
+function applySchemaMigrations(document) {
+  if (!window.JobSearchMigrations) {
+    return document;
+  }
+
+  const report = window.JobSearchMigrations.migrateDocument(document);
+  if (report.steps.length > 0) {
+    logger.warn(`jobsearch.json data needed migration:\n${window.JobSearchMigrations.formatMigrationReport(report)}`);
+  }
+  return report.document;
+}
+
+// Rows kept under the legacy `records` key join `data`, which the grid, foreign key lookups and
+// storage read. Migration 2 does the same; this covers pages loaded without jobsearch-migrations.js.
+// Records stored before their schema gained a kanban field (IndexedDB keeps records across seed
+// updates) start in its first column, as migration 5 does for the file.
+function normalizeEntityRecordKeys(document) {
+  Object.values(document?.jobsearch || {}).forEach(entity => {
+    if (!entity) {
+      return;
+    }
+    if (Array.isArray(entity.records)) {
+      entity.data = [...(Array.isArray(entity.data) ? entity.data : []), ...entity.records];
+      delete entity.records;
+    }
+
+    const kanbanField = getSchemaKanbanField(entity.schema || {});
+    const firstOption = kanbanField ? entity.schema[kanbanField].editType.options[0] : undefined;
+    if (firstOption !== undefined && Array.isArray(entity.data)) {
+      entity.data.forEach(record => {
+        if (record && !Object.prototype.hasOwnProperty.call(record, kanbanField)) {
+          record[kanbanField] = firstOption;
+        }
+      });
+    }
+  });
+  return document;
+}
+
+// Log schema/data integrity problems (jobsearch-validator.js) that would otherwise fail silently.
+// Loading continues so the rest of the data stays usable; `npm run validate` in testing/ prints the same report.
+function reportSchemaValidation(document) {
+  if (!window.JobSearchValidator) {
+    return null;
+  }
+
+  const result = window.JobSearchValidator.validateDocument(document);
+  result.errors.forEach(issue => logger.error(window.JobSearchValidator.formatValidationIssue(issue)));
+  result.warnings.forEach(issue => logger.warn(window.JobSearchValidator.formatValidationIssue(issue)));
+
+  if (!result.valid) {
+    showTransferNotification(`jobsearch.json has ${result.errors.length} error(s) - see the console for details`, 'warning');
+  }
+  return result;
+}
+
+// Storage mode precedence: ?storage= query parameter, window.JOBSEARCH_STORAGE_MODE, CONFIG default
+function resolveStorageMode() {
+  const params = new URLSearchParams(window.location?.search || '');
+  return params.get('storage') || window.JOBSEARCH_STORAGE_MODE || CONFIG.STORAGE_MODE;
+}
+
 function initializeEntity(entityType = currentEntityType) {
   if (!jobSearchData?.jobsearch?.[entityType]) {
     logger.warn(`Entity "${entityType}" not found in job search data`);
@@ -630,11 +815,20 @@ function initializeEntity(entityType = currentEntityType) {
   });
 
   jobSearchData.jobsearch[entityType].data = storedRecords.map(record => ({ ...record }));
+  if (!persistedSnapshots[entityType]) {
+    persistedSnapshots[entityType] = createPersistenceSnapshot(entityType, storedRecords);
+  }
 
+  // Entity-specific grid styles (e.g. the wider appointments action column)
+  document.querySelector('.datagrid-container')?.setAttribute('data-entity', entityType);
+  resetSelectionState();
+  loadSavedViewState(entityType);
+  updateViewModeState();
+  renderFilterPanel();
+  renderColumnMenu();
   applySchemaCSSDimensions(entityType);
   renderRowFormFromSchema();
   renderTitleFromSchema();
-  resetSelectionState();
   updateHeaderTitle();
   updatePagination();
   renderRecordsDisplay();
@@ -651,407 +845,3280 @@ function resetSelectionState() {
   currentPage = 1;
   filteredSearchRecords = [];
   currentSearchTerm = '';
+  currentSearchQuery = null;
 }
 
 function persistStoredRecords() {
   if (jobSearchData?.jobsearch?.[currentEntityType]) {
     jobSearchData.jobsearch[currentEntityType].data = storedRecords.map(record => ({ ...record }));
   }
+
+  return persistEntityData(currentEntityType);
 }
 
-function renderRowFormFromSchema() {
-  const fieldsContainer = document.getElementById('rowFormFields');
-  if (!fieldsContainer) {
-    return;
+// Queue a write-through of jobSearchData for one entity (the active one or, for cascades, another)
+function persistEntityData(entityType) {
+  refreshComputedCellsForEntity(entityType);
+  refreshFollowUps();
+  if (!storageAdapter) {
+    return Promise.resolve();
   }
 
-  const fieldsHTML = currentFieldOrder
-    .map(fieldName => createFormFieldGroupHTML(fieldName, currentSchema[fieldName]))
-    .join('');
+  persistenceQueue = persistenceQueue
+    .then(() => writeThroughEntityChanges(entityType))
+    .catch(error => {
+      logger.error(`Error saving ${getEntityDisplayName(entityType).toLowerCase()} to ${storageAdapter.name}:`, error);
+      showTransferNotification(`Could not save changes: ${error.message}`, 'warning');
+    });
 
-  fieldsContainer.innerHTML = fieldsHTML;
+  return persistenceQueue;
 }
 
-function renderTitleFromSchema() {
-  const titleContainer = document.getElementById('rowTitleFields');
-  if (!titleContainer) {
-    return;
-  }
+// Fields managed by the grid and storage rather than declared in the schema
+const PERSISTED_META_FIELDS = ['id', 'isDisabled', 'timestamp', 'version', 'updatedAt'];
 
-  const titleHTML = currentVisibleFieldOrder
-    .map(fieldName => {
-      const fieldConfig = currentSchema[fieldName];
-      if (!fieldConfig) {
-        return '';
-      }
+// Strip computed and UI-only fields so only schema-backed values reach storage
+function buildPersistencePayload(record, entityType) {
+  const schema = jobSearchData?.jobsearch?.[entityType]?.schema || {};
+  const payload = {};
 
-      const style = buildDimensionStyle(fieldConfig);
-      const styleAttr = style ? ` style="${style}"` : '';
-      const hintText = getTitleHint(fieldName, fieldConfig);
-      return `
-        <div class="title-group field-${toKebabCase(fieldName)}"${styleAttr}>
-          <span class="title-label">${escapeHtml(fieldConfig.displayName || fieldName)}</span>
-          ${hintText ? `<span class="title-hint">${escapeHtml(hintText)}</span>` : ''}
-        </div>
-      `;
-    })
-    .join('');
+  Object.keys(record).forEach(fieldName => {
+    const fieldConfig = schema[fieldName];
+    if (fieldConfig?.computed) {
+      return;
+    }
+    if (fieldConfig || PERSISTED_META_FIELDS.includes(fieldName)) {
+      payload[fieldName] = record[fieldName];
+    }
+  });
 
-  titleContainer.innerHTML = titleHTML;
+  return payload;
 }
 
-function getTitleHint(fieldName, fieldConfig) {
-  if (!fieldConfig) {
-    return '';
-  }
-
-  const computedFrom = typeof fieldConfig.computedFrom === 'string'
-    ? fieldConfig.computedFrom.toLowerCase()
-    : '';
+// Key-order independent serialization so snapshots compare by content
+function serializePersistencePayload(payload) {
+  return JSON.stringify(Object.keys(payload).sort().map(key => [key, payload[key]]));
+}
 
-  if (
-    fieldName.toLowerCase() === 'name' &&
-    computedFrom.includes('lname') &&
-    computedFrom.includes('fname')
-  ) {
-    return 'Last Name, First Name';
-  }
+function createPersistenceSnapshot(entityType, records) {
+  const snapshot = new Map();
+  records.forEach(record => {
+    snapshot.set(String(record.id), serializePersistencePayload(buildPersistencePayload(record, entityType)));
+  });
+  return snapshot;
+}
 
-  return '';
+function getSnapshotRecord(snapshot, recordKey) {
+  const serialized = snapshot.get(recordKey);
+  return serialized ? Object.fromEntries(JSON.parse(serialized)) : null;
 }
 
-function createFormFieldGroupHTML(fieldName, fieldConfig, value = '') {
-  if (!fieldConfig) {
-    return '';
+/**
+ * Storage write-through
+ * Diffs the in-memory entity data against the last confirmed snapshot and replays
+ * the difference through the storage adapter. Failed writes leave the snapshot
+ * untouched so the next persist retries them; version conflicts are resolved
+ * through the conflict dialog before continuing.
+ */
+async function writeThroughEntityChanges(entityType) {
+  const entity = jobSearchData?.jobsearch?.[entityType];
+  const snapshot = persistedSnapshots[entityType];
+  if (!entity || !snapshot) {
+    return;
   }
 
-  if (!isFieldVisible(fieldConfig)) {
-    const hiddenValue = escapeHtml(value ?? '');
-    return `<input type="hidden" data-field="${fieldName}" value="${hiddenValue}" />`;
+  const records = Array.isArray(entity.data) ? [...entity.data] : [];
+  const remainingIds = new Set(records.map(record => String(record.id)));
+
+  for (const record of records) {
+    const recordKey = String(record.id);
+    const payload = buildPersistencePayload(record, entityType);
+
+    if (!snapshot.has(recordKey)) {
+      const saved = await storageAdapter.saveRecord(entityType, payload, { isNew: true });
+      remainingIds.add(String(saved.id));
+      applyStoredRecord(entityType, record.id, saved);
+    } else if (snapshot.get(recordKey) !== serializePersistencePayload(payload)) {
+      await saveRecordResolvingConflicts(entityType, payload);
+    }
   }
 
-  const style = buildDimensionStyle(fieldConfig);
-  const styleAttr = style ? ` style="${style}"` : '';
-  const fieldClass = `field-group field-${toKebabCase(fieldName)}`;
-  const inputHTML = createFieldInputHTML(fieldName, fieldConfig, value, { mode: 'form' });
+  for (const recordKey of Array.from(snapshot.keys())) {
+    if (!remainingIds.has(recordKey)) {
+      await deleteRecordResolvingConflicts(entityType, recordKey, getSnapshotRecord(snapshot, recordKey));
+    }
+  }
+}
 
-  return `<div class="${fieldClass}"${styleAttr}>${inputHTML}</div>`;
+function isStorageConflict(error) {
+  return error?.name === 'StorageConflictError';
 }
 
-function createRecordFieldHTML(record, fieldName, fieldConfig, mode) {
-  if (!fieldConfig) {
-    return '';
-  }
+async function saveRecordResolvingConflicts(entityType, payload) {
+  try {
+    const saved = await storageAdapter.saveRecord(entityType, payload);
+    applyStoredRecord(entityType, payload.id, saved);
+  } catch (error) {
+    if (!isStorageConflict(error)) {
+      throw error;
+    }
 
-  if (!isFieldVisible(fieldConfig)) {
-    if (mode === 'edit') {
-      const hiddenValue = escapeHtml(record[fieldName] ?? '');
-      return `<input type="hidden" data-field="${fieldName}" value="${hiddenValue}" />`;
+    const theirs = error.current;
+    const snapshot = persistedSnapshots[entityType];
+    const base = snapshot ? getSnapshotRecord(snapshot, String(payload.id)) : null;
+    const resolution = await showRecordConflictDialog(entityType, payload, theirs, base);
+    if (!resolution) {
+      showTransferNotification('Save conflict left unresolved - your changes were not saved', 'warning');
+      return;
     }
-    return '';
+
+    if (resolution.choice === 'theirs') {
+      if (theirs) {
+        replaceLocalRecord(entityType, payload.id, theirs);
+      } else {
+        removeLocalRecord(entityType, payload.id);
+      }
+      return;
+    }
+
+    if (!theirs) {
+      // Someone else deleted the record - keeping ours re-creates it
+      const saved = await storageAdapter.saveRecord(entityType, resolution.record, { isNew: true });
+      persistedSnapshots[entityType]?.delete(String(payload.id));
+      applyStoredRecord(entityType, payload.id, saved);
+      return;
+    }
+
+    await saveRecordResolvingConflicts(entityType, { ...resolution.record, version: theirs.version });
   }
+}
 
-  const style = buildDimensionStyle(fieldConfig, { mode: mode });
-  const styleAttr = style ? ` style="${style}"` : '';
-  const fieldClass = `record-field field-${toKebabCase(fieldName)}`;
+async function deleteRecordResolvingConflicts(entityType, recordKey, lastKnownRecord) {
+  const snapshot = persistedSnapshots[entityType];
+  try {
+    await storageAdapter.deleteRecord(entityType, recordKey, { version: lastKnownRecord?.version });
+    snapshot?.delete(recordKey);
+  } catch (error) {
+    if (!isStorageConflict(error)) {
+      throw error;
+    }
 
-  let content = '';
-  if (mode === 'read') {
-    const displayValue = getFieldDisplayValue(record, fieldName);
-    
-    // Check if this field should be rendered as a label in read mode
-    const typeConfig = getFieldTypeConfig(fieldConfig, 'display');
-    if (typeConfig && typeConfig.type === 'label') {
-      const escapedValue = escapeHtml(displayValue ?? '');
-      const dataValueAttr = isValueProvided(displayValue) ? ` data-value="${escapedValue}"` : '';
-      content = `<label class="field-label-display" data-field="${fieldName}"${dataValueAttr}>${escapedValue}</label>`;
-    } else {
-      content = escapeHtml(displayValue ?? '');
+    const theirs = error.current;
+    if (!theirs) {
+      // Already deleted elsewhere - nothing left to do
+      snapshot?.delete(recordKey);
+      return;
+    }
+
+    const resolution = await showRecordConflictDialog(entityType, null, theirs);
+    if (!resolution) {
+      showTransferNotification('Delete conflict left unresolved - the record was not deleted', 'warning');
+      return;
+    }
+
+    if (resolution.choice === 'theirs') {
+      insertLocalRecord(entityType, theirs);
+      return;
     }
+
+    await deleteRecordResolvingConflicts(entityType, recordKey, theirs);
+  }
+}
+
+/**
+ * Local record bookkeeping after storage answers
+ * Keeps jobSearchData, storedRecords (for the active entity) and the snapshot aligned.
+ */
+function updateLocalRecords(entityType, updater) {
+  const entity = jobSearchData?.jobsearch?.[entityType];
+  if (entity) {
+    entity.data = updater(Array.isArray(entity.data) ? entity.data : []);
+  }
+  if (entityType === currentEntityType) {
+    storedRecords = updater(storedRecords);
+  }
+}
+
+function refreshAfterStorageChange(entityType) {
+  if (entityType === currentEntityType) {
+    renderRecordsDisplay();
+    updatePagination();
   } else {
-    content = createFieldInputHTML(fieldName, fieldConfig, record[fieldName], { mode: 'edit' });
+    refreshComputedCellsForEntity(entityType);
   }
+}
 
-  return `<div class="${fieldClass}"${styleAttr}>${content}</div>`;
+// Copy storage-assigned values (id for new records, version, updatedAt) onto the local record
+function applyStoredRecord(entityType, localId, saved) {
+  const idField = entityType === currentEntityType ? currentIdField : 'id';
+  updateLocalRecords(entityType, records => records.map(record => {
+    if (String(record.id) !== String(localId)) {
+      return record;
+    }
+    Object.assign(record, saved);
+    record[idField] = saved.id;
+    return record;
+  }));
+
+  persistedSnapshots[entityType]?.set(String(saved.id), serializePersistencePayload(buildPersistencePayload(saved, entityType)));
+  if (String(localId) !== String(saved.id)) {
+    remapHistoryRecordId(entityType, localId, saved.id);
+    remapForeignKeyReferences(entityType, localId, saved.id);
+    refreshAfterStorageChange(entityType);
+  }
 }
 
-function createFieldInputHTML(fieldName, fieldConfig, value, { mode }) {
-  const safeValue = value ?? '';
-  const typeConfig = getFieldTypeConfig(fieldConfig, mode);
-  
-  if (!typeConfig) {
-    // Fallback for fields without proper configuration
-    return `<input type="text" class="field-input" data-field="${fieldName}" value="${escapeHtml(safeValue)}" />`;
+function replaceLocalRecord(entityType, recordId, replacement) {
+  updateLocalRecords(entityType, records => records.map(record => (
+    String(record.id) === String(recordId) ? { ...replacement } : record
+  )));
+  persistedSnapshots[entityType]?.set(String(replacement.id), serializePersistencePayload(buildPersistencePayload(replacement, entityType)));
+  refreshAfterStorageChange(entityType);
+}
+
+function removeLocalRecord(entityType, recordId) {
+  updateLocalRecords(entityType, records => records.filter(record => String(record.id) !== String(recordId)));
+  persistedSnapshots[entityType]?.delete(String(recordId));
+  if (entityType === currentEntityType) {
+    selectedRecords.clear();
+    editingIndex = -1;
   }
-  
-  const elementType = typeConfig.type;
-  const css = typeConfig.css || {};
-  const isRequired = isFieldRequired(fieldConfig, mode);
-  
+  refreshAfterStorageChange(entityType);
+}
+
+function insertLocalRecord(entityType, record) {
+  updateLocalRecords(entityType, records => [...records, { ...record }]);
+  persistedSnapshots[entityType]?.set(String(record.id), serializePersistencePayload(buildPersistencePayload(record, entityType)));
+  refreshAfterStorageChange(entityType);
+}
+
+/**
+ * Conflict dialog
+ * Shows our copy next to the stored copy. `mine` is null when our change was a delete,
+ * `theirs` is null when the stored record was deleted by someone else.
+ * `base` is the last copy both sides agreed on (the persisted snapshot): a field changed
+ * on one side only takes that side, only fields changed on both sides offer a choice.
+ * Resolves to { choice: 'mine' | 'theirs' | 'merge', record } or null when dismissed.
+ */
+async function showRecordConflictDialog(entityType, mine, theirs, base = null) {
+  const entityLabel = getEntityDisplayName(entityType, false);
+
+  if (!window.JobSearchDialog) {
+    const keepMine = confirm(`This ${entityLabel.toLowerCase()} was changed by someone else.\nOK keeps your version, Cancel takes theirs.`);
+    return { choice: keepMine ? 'mine' : 'theirs', record: mine };
+  }
+
+  const schema = jobSearchData?.jobsearch?.[entityType]?.schema || {};
+  const fieldNames = Object.keys(schema).filter(fieldName => !schema[fieldName]?.computed);
+  const changedFields = fieldNames.filter(fieldName => (
+    mine && theirs && String(mine[fieldName] ?? '') !== String(theirs[fieldName] ?? '')
+  ));
+  const canMerge = changedFields.length > 0;
+  const isSameValue = (left, right) => String(left ?? '') === String(right ?? '');
+
+  // Which side a merge takes for a differing field: 'mine' or 'theirs' when only that side
+  // moved away from the base, 'conflict' when both did (or there is no base to compare with)
+  const getFieldResolution = fieldName => {
+    if (!base) {
+      return 'conflict';
+    }
+    if (isSameValue(mine[fieldName], base[fieldName])) {
+      return 'theirs';
+    }
+    if (isSameValue(theirs[fieldName], base[fieldName])) {
+      return 'mine';
+    }
+    return 'conflict';
+  };
+  const fieldResolutions = Object.fromEntries(changedFields.map(fieldName => [fieldName, getFieldResolution(fieldName)]));
+  const conflictCount = changedFields.filter(fieldName => fieldResolutions[fieldName] === 'conflict').length;
+
+  const formatValue = (record, fieldName) => {
+    if (!record) {
+      return '<em>deleted</em>';
+    }
+    const value = record[fieldName];
+    const fieldConfig = schema[fieldName];
+    const display = fieldConfig?.foreignKey ? resolveForeignKeyLabel(fieldConfig, value) : value;
+    return escapeHtml(display ?? '');
+  };
+
+  const rowsHTML = fieldNames.map(fieldName => {
+    const label = escapeHtml(schema[fieldName]?.displayName || fieldName);
+    const isChanged = changedFields.includes(fieldName);
+    if (!isChanged) {
+      return `<tr><td>${label}</td><td>${formatValue(mine, fieldName)}</td><td>${formatValue(theirs, fieldName)}</td></tr>`;
+    }
+    const resolution = fieldResolutions[fieldName];
+    if (resolution !== 'conflict') {
+      const keptMark = ' <em>(kept when merging)</em>';
+      return `
+      <tr class="conflict-field--changed">
+        <td>${label}</td>
+        <td>${formatValue(mine, fieldName)}${resolution === 'mine' ? keptMark : ''}</td>
+        <td>${formatValue(theirs, fieldName)}${resolution === 'theirs' ? keptMark : ''}</td>
+      </tr>
+    `;
+    }
+    return `
+      <tr class="conflict-field--changed">
+        <td>${label}</td>
+        <td><label class="conflict-choice"><input type="radio" name="conflict-${fieldName}" value="mine" checked /> ${formatValue(mine, fieldName)}</label></td>
+        <td><label class="conflict-choice"><input type="radio" name="conflict-${fieldName}" value="theirs" /> ${formatValue(theirs, fieldName)}</label></td>
+      </tr>
+    `;
+  }).join('');
+
+  let summary;
+  if (!mine) {
+    summary = `You deleted this ${entityLabel.toLowerCase()}, but someone else changed it first.`;
+  } else if (!theirs) {
+    summary = `Someone else deleted this ${entityLabel.toLowerCase()} while you were editing it.`;
+  } else {
+    const savedAt = theirs.updatedAt ? ` at ${new Date(theirs.updatedAt).toLocaleString()}` : '';
+    const mergeHint = conflictCount > 0 ? ' - pick a side for fields you both changed to merge' : ' - merging keeps each side\'s own changes';
+    summary = `Someone else saved this ${entityLabel.toLowerCase()}${savedAt}. Fields that differ are highlighted${canMerge ? mergeHint : ''}.`;
+  }
+
+  const actions = [
+    { id: 'mine', label: mine ? 'Keep mine' : 'Delete anyway', variant: mine ? 'primary' : 'danger' },
+    { id: 'theirs', label: theirs ? 'Take theirs' : 'Discard mine' }
+  ];
+  if (canMerge) {
+    actions.push({ id: 'merge', label: 'Merge field by field' });
+  }
+
+  const { action, element } = await window.JobSearchDialog.open({
+    title: `${entityLabel} save conflict`,
+    className: 'JobSearchDialog__panel--wide',
+    body: `
+      <p>${escapeHtml(summary)}</p>
+      <table class="JobSearchDialog__table">
+        <thead><tr><th>Field</th><th>Yours</th><th>Theirs</th></tr></thead>
+        <tbody>${rowsHTML}</tbody>
+      </table>
+    `,
+    actions
+  });
+
+  if (!action) {
+    return null;
+  }
+
+  if (action === 'merge') {
+    const merged = { ...theirs };
+    changedFields.forEach(fieldName => {
+      const resolution = fieldResolutions[fieldName];
+      const choice = resolution === 'conflict'
+        ? element.querySelector(`input[name="conflict-${fieldName}"]:checked`)?.value
+        : resolution;
+      merged[fieldName] = choice === 'mine' ? mine[fieldName] : theirs[fieldName];
+    });
+    return { choice: 'merge', record: merged };
+  }
+
+  return { choice: action, record: action === 'mine' ? mine : theirs };
+}
+
+/**
+ * Record audit trail
+ * Storage records a field-level audit entry for every stored change (jobsearch-audit.js).
+ * The History row action shows a record's timeline and reverts it to an earlier version;
+ * a revert is saved like any other edit, so it is itself undoable and audited.
+ */
+const AUDIT_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  disable: 'Disabled',
+  restore: 'Restored',
+  delete: 'Deleted'
+};
+
+function formatAuditValue(entityType, fieldName, value) {
+  if (value === null || value === undefined) {
+    return '<em>empty</em>';
+  }
+  const fieldConfig = jobSearchData?.jobsearch?.[entityType]?.schema?.[fieldName];
+  const display = fieldConfig?.foreignKey ? resolveForeignKeyLabel(fieldConfig, value) : value;
+  return escapeHtml(typeof display === 'boolean' ? (display ? 'Yes' : 'No') : display);
+}
+
+function getAuditFieldLabel(entityType, fieldName) {
+  if (fieldName === 'isDisabled') {
+    return 'Disabled';
+  }
+  return jobSearchData?.jobsearch?.[entityType]?.schema?.[fieldName]?.displayName || fieldName;
+}
+
+function buildRecordHistoryHTML(entityType, entries) {
+  if (entries.length === 0) {
+    return '<p>No changes have been recorded for this record yet.</p>';
+  }
+
+  const latestEntry = entries[entries.length - 1];
+  const itemsHTML = entries.slice().reverse().map(entry => {
+    const canRevert = entry !== latestEntry && entry.action !== 'delete' && entry.record;
+    const changesHTML = entry.changes.length === 0 ? '' : `
+      <table class="JobSearchDialog__table">
+        <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+        <tbody>
+          ${entry.changes.map(change => `
+            <tr>
+              <td>${escapeHtml(getAuditFieldLabel(entityType, change.field))}</td>
+              <td>${formatAuditValue(entityType, change.field, change.from)}</td>
+              <td>${formatAuditValue(entityType, change.field, change.to)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    return `
+      <li class="audit-entry audit-entry--${escapeHtml(entry.action)}">
+        <div class="audit-entry__header">
+          <span class="audit-entry__action">${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</span>
+          <span class="audit-entry__time">${escapeHtml(new Date(entry.timestamp).toLocaleString())}</span>
+          ${entry.version ? `<span class="audit-entry__version">v${escapeHtml(entry.version)}</span>` : ''}
+          ${canRevert ? `
+            <button type="button" class="JobSearchDialog__button JobSearchDialog__button--secondary audit-entry__revert"
+                    data-dialog-action="revert:${escapeHtml(entry.id)}">Revert to this version</button>
+          ` : ''}
+        </div>
+        ${changesHTML}
+      </li>
+    `;
+  }).join('');
+
+  const deletedNote = latestEntry.action === 'delete'
+    ? '<p>This record has been deleted. Reverting re-creates it with a new id.</p>'
+    : '';
+
+  return `${deletedNote}<ol class="audit-timeline">${itemsHTML}</ol>`;
+}
+
+// Show the audit timeline for a record and apply a revert when one is picked
+async function showRecordHistory(index) {
+  const record = storedRecords[index];
+  if (!record) {
+    return;
+  }
+  if (!storageAdapter || !window.JobSearchDialog) {
+    showTransferNotification('Record history is not available with the current storage', 'warning');
+    return;
+  }
+
+  const entityType = currentEntityType;
+  const recordId = record.id;
+  let entries;
+  try {
+    // Let pending writes land so the timeline includes them
+    await persistenceQueue;
+    entries = await storageAdapter.loadAuditTrail(entityType, recordId);
+  } catch (error) {
+    logger.error('Error loading record history:', error);
+    showTransferNotification(`Could not load history: ${error.message}`, 'warning');
+    return;
+  }
+
+  const entityLabel = getEntityDisplayName(entityType, false);
+  const { action } = await window.JobSearchDialog.open({
+    title: `${entityLabel} ${recordId} history`,
+    className: 'JobSearchDialog__panel--wide',
+    body: buildRecordHistoryHTML(entityType, entries),
+    actions: [{ id: 'close', label: 'Close', variant: 'primary' }]
+  });
+
+  if (!action || !action.startsWith('revert:')) {
+    return;
+  }
+
+  const entry = entries.find(candidate => candidate.id === action.slice('revert:'.length));
+  if (entry && entityType === currentEntityType) {
+    window.revertRecordToAuditEntry(recordId, entry);
+  }
+}
+
+/**
+ * Restore the field values a record had as of an audit entry.
+ * The stored version is kept so the revert saves as a normal update on top of it.
+ */
+function revertRecordToAuditEntry(recordId, entry) {
+  const revertedRecord = { ...entry.record };
+  HISTORY_IGNORED_FIELDS.forEach(fieldName => delete revertedRecord[fieldName]);
+
+  const index = storedRecords.findIndex(record => String(record.id) === String(recordId));
+  if (index !== -1) {
+    HISTORY_IGNORED_FIELDS.forEach(fieldName => {
+      if (storedRecords[index][fieldName] !== undefined) {
+        revertedRecord[fieldName] = storedRecords[index][fieldName];
+      }
+    });
+    storedRecords[index] = revertedRecord;
+  } else {
+    storedRecords.push(revertedRecord);
+  }
+  persistStoredRecords();
+
+  renderRecordsDisplay();
+  updatePagination();
+  updateHeaderSummary();
+
+  const versionLabel = entry.version ? ` version ${entry.version}` : ' an earlier version';
+  showTransferNotification(`Reverted ${getEntityDisplayName(currentEntityType, false).toLowerCase()} ${recordId} to${versionLabel}`, 'info');
+}
+
+/**
+ * Undo/redo history
+ * Mutating actions are wrapped by withHistory(), which diffs the active entity's records
+ * before and after the action and records the difference as a reversible command.
+ * Undo/redo re-applies the recorded record states, writes them through storage, and
+ * restores the tab, toggle view, page and selection that were showing at the time.
+ */
+
+// version/updatedAt are owned by storage and never restored from history
+const HISTORY_IGNORED_FIELDS = ['version', 'updatedAt'];
+
+function getHistoryComparableRecord(record) {
+  const comparable = { ...record };
+  HISTORY_IGNORED_FIELDS.forEach(fieldName => delete comparable[fieldName]);
+  return JSON.stringify(Object.keys(comparable).sort().map(key => [key, comparable[key]]));
+}
+
+function captureHistoryViewState() {
+  return {
+    viewingEnabled,
+    currentPage,
+    selectedIds: Array.from(selectedRecords)
+      .map(index => storedRecords[index]?.id)
+      .filter(id => id !== undefined)
+  };
+}
+
+function diffHistoryRecords(beforeRecords, afterRecords) {
+  const beforeById = new Map(beforeRecords.map((record, index) => [String(record.id), { record, index }]));
+  const afterById = new Map(afterRecords.map((record, index) => [String(record.id), { record, index }]));
+  const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+  const changes = [];
+
+  ids.forEach(id => {
+    const before = beforeById.get(id);
+    const after = afterById.get(id);
+    if (before && after && getHistoryComparableRecord(before.record) === getHistoryComparableRecord(after.record)) {
+      return;
+    }
+    changes.push({
+      id: after ? after.record.id : before.record.id,
+      before: before ? { ...before.record } : null,
+      beforeIndex: before ? before.index : -1,
+      after: after ? { ...after.record } : null,
+      afterIndex: after ? after.index : -1
+    });
+  });
+
+  return changes;
+}
+
+function describeHistoryChanges(entityType, changes) {
+  const count = changes.length;
+  const noun = count === 1
+    ? getEntityDisplayName(entityType, false).toLowerCase()
+    : `${count} ${getEntityDisplayName(entityType).toLowerCase()}`;
+
+  if (changes.every(change => !change.before)) {
+    return `Add ${noun}`;
+  }
+  if (changes.every(change => !change.after)) {
+    return `Delete ${noun}`;
+  }
+  if (changes.every(change => change.before && change.after && !change.before.isDisabled && change.after.isDisabled)) {
+    return `Disable ${noun}`;
+  }
+  if (changes.every(change => change.before && change.after && change.before.isDisabled && !change.after.isDisabled)) {
+    return `Restore ${noun}`;
+  }
+  return `Edit ${noun}`;
+}
+
+/**
+ * Wrap a mutating action so whatever it changes becomes one undoable command.
+ * Actions that end up changing nothing (validation failure, cancelled confirm) record nothing.
+ */
+function withHistory(action) {
+  return function(...args) {
+    if (!commandHistory || commandHistory.isApplying || historyRecordingDepth > 0) {
+      return action.apply(this, args);
+    }
+
+    const entityType = currentEntityType;
+    const beforeRecords = storedRecords.map(record => ({ ...record }));
+    const beforeRelated = captureRelatedHistoryRecords(entityType);
+    const beforeView = captureHistoryViewState();
+
+    historyRecordingDepth++;
+    let result;
+    try {
+      result = action.apply(this, args);
+    } finally {
+      historyRecordingDepth--;
+    }
+
+    if (entityType === currentEntityType) {
+      const changes = diffHistoryRecords(beforeRecords, storedRecords);
+      const relatedChanges = diffRelatedHistoryRecords(beforeRelated);
+      if (changes.length > 0 || relatedChanges.length > 0) {
+        commandHistory.push(createRecordHistoryCommand(entityType, changes, beforeView, captureHistoryViewState(), relatedChanges));
+      }
+    }
+
+    return result;
+  };
+}
+
+// Other entities' data, for actions that cascade beyond the active entity (see applyIntegrityEffects).
+// Records there are replaced rather than mutated, so copying the arrays is enough.
+function captureRelatedHistoryRecords(entityType) {
+  return Object.entries(jobSearchData?.jobsearch || {})
+    .filter(([relatedType, entity]) => relatedType !== entityType && Array.isArray(entity?.data))
+    .map(([relatedType, entity]) => ({ entityType: relatedType, records: [...entity.data] }));
+}
+
+function diffRelatedHistoryRecords(beforeRelated) {
+  return beforeRelated
+    .map(({ entityType, records }) => ({
+      entityType,
+      changes: diffHistoryRecords(records, jobSearchData?.jobsearch?.[entityType]?.data || [])
+    }))
+    .filter(({ changes }) => changes.length > 0);
+}
+
+function createRecordHistoryCommand(entityType, changes, beforeView, afterView, relatedChanges = []) {
+  const labelSource = changes.length > 0 ? { entityType, changes } : relatedChanges[0];
+  return {
+    label: describeHistoryChanges(labelSource.entityType, labelSource.changes),
+    entityType,
+    changes,
+    relatedChanges,
+    views: { before: beforeView, after: afterView },
+    undo() {
+      applyHistoryCommand(this, 'before');
+    },
+    redo() {
+      applyHistoryCommand(this, 'after');
+    }
+  };
+}
+
+// Put each changed record back to its `side` ('before' or 'after') state; mutates and returns records
+function applyHistoryChanges(records, changes, side) {
+  const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+  const findIndex = id => records.findIndex(record => String(record.id) === String(id));
+
+  // Removals first so recorded indexes line up for re-insertions
+  changes
+    .filter(change => !change[side])
+    .forEach(change => {
+      const index = findIndex(change.id);
+      if (index !== -1) {
+        records.splice(index, 1);
+      }
+    });
+
+  changes
+    .filter(change => change[side])
+    .sort((a, b) => a[indexKey] - b[indexKey])
+    .forEach(change => {
+      const targetRecord = { ...change[side] };
+      const index = findIndex(change.id);
+      if (index !== -1) {
+        HISTORY_IGNORED_FIELDS.forEach(fieldName => {
+          if (records[index][fieldName] !== undefined) {
+            targetRecord[fieldName] = records[index][fieldName];
+          }
+        });
+        records[index] = targetRecord;
+      } else {
+        HISTORY_IGNORED_FIELDS.forEach(fieldName => delete targetRecord[fieldName]);
+        records.splice(Math.min(Math.max(change[indexKey], 0), records.length), 0, targetRecord);
+      }
+    });
+
+  return records;
+}
+
+function applyHistoryCommand(command, side) {
+  if (command.entityType !== currentEntityType && typeof window.switchTab === 'function') {
+    window.switchTab(command.entityType);
+  }
+  if (editingIndex !== -1) {
+    cancelInlineEdit(editingIndex);
+  }
+
+  if (side === 'before' && command.relatedChanges.length > 0) {
+    // Undo: re-create the parents first. Storage may give them new ids, which
+    // remapForeignKeyReferences() writes into the dependents' recorded state before they are restored
+    applyHistoryChanges(storedRecords, command.changes, side);
+    pendingHistoryRestore = persistStoredRecords()
+      .then(() => applyRelatedHistoryChanges(command, side))
+      .finally(() => {
+        pendingHistoryRestore = null;
+      });
+  } else {
+    // Redo: dependents first, so storage never sees them pointing at a removed record
+    applyRelatedHistoryChanges(command, side);
+    applyHistoryChanges(storedRecords, command.changes, side);
+    persistStoredRecords();
+  }
+
+  restoreHistoryViewState(command.views[side]);
+  showTransferNotification(`${side === 'before' ? 'Undid' : 'Redid'}: ${command.label}`, 'info');
+}
+
+function applyRelatedHistoryChanges(command, side) {
+  command.relatedChanges.forEach(({ entityType, changes }) => {
+    const entity = jobSearchData?.jobsearch?.[entityType];
+    if (entity) {
+      entity.data = applyHistoryChanges(Array.isArray(entity.data) ? [...entity.data] : [], changes, side);
+      persistEntityData(entityType);
+    }
+  });
+}
+
+function restoreHistoryViewState(view) {
+  if (viewingEnabled !== view.viewingEnabled) {
+    viewingEnabled = view.viewingEnabled;
+    const enableToggle = document.getElementById('enableToggle');
+    if (enableToggle) {
+      enableToggle.checked = viewingEnabled;
+    }
+    updateToggleBasedUI();
+  }
+
+  if (currentSearchTerm) {
+    filteredSearchRecords = getSearchResults();
+  }
+
+  selectedRecords = new Set(view.selectedIds
+    .map(id => storedRecords.findIndex(record => String(record.id) === String(id)))
+    .filter(index => index !== -1));
+  currentPage = view.currentPage;
+
+  renderRecordsDisplay();
+  updatePagination();
+  updateHeaderForSelection();
+}
+
+// Storage may replace a placeholder id after the command was recorded
+function remapHistoryRecordId(entityType, oldId, newId) {
+  if (!commandHistory) {
+    return;
+  }
+
+  const remap = id => (String(id) === String(oldId) ? newId : id);
+  const idField = entityType === currentEntityType ? currentIdField : 'id';
+  commandHistory.forEachCommand(command => {
+    getHistoryChangeGroups(command)
+      .filter(group => group.entityType === entityType)
+      .forEach(({ changes }) => changes.forEach(change => {
+        change.id = remap(change.id);
+        ['before', 'after'].forEach(side => {
+          if (change[side] && String(change[side].id) === String(oldId)) {
+            change[side].id = newId;
+            change[side][idField] = newId;
+          }
+        });
+      }));
+    if (command.entityType === entityType) {
+      Object.values(command.views).forEach(view => {
+        view.selectedIds = view.selectedIds.map(remap);
+      });
+    }
+  });
+}
+
+// The active entity's changes plus any cascaded changes to other entities
+function getHistoryChangeGroups(command) {
+  return [{ entityType: command.entityType, changes: command.changes }, ...(command.relatedChanges || [])];
+}
+
+/**
+ * Storage re-creates an undone delete under a new id; point foreign keys (live records and
+ * undo history) that referenced the old id at the new one.
+ */
+function remapForeignKeyReferences(entityType, oldId, newId) {
+  if (!window.JobSearchIntegrity || !jobSearchData) {
+    return;
+  }
+
+  window.JobSearchIntegrity.getForeignKeyReferences(jobSearchData, entityType).forEach(({ entityType: dependentType, fieldName }) => {
+    const remapRecord = record => (record && String(record[fieldName]) === String(oldId) ? { ...record, [fieldName]: newId } : record);
+
+    if (!persistedSnapshots[dependentType]) {
+      persistedSnapshots[dependentType] = createPersistenceSnapshot(dependentType, jobSearchData.jobsearch[dependentType]?.data || []);
+    }
+    let changed = false;
+    updateLocalRecords(dependentType, records => records.map(record => {
+      const remapped = remapRecord(record);
+      changed = changed || remapped !== record;
+      return remapped;
+    }));
+    if (changed) {
+      if (dependentType === currentEntityType) {
+        persistStoredRecords();
+      } else {
+        persistEntityData(dependentType);
+      }
+    }
+
+    commandHistory?.forEachCommand(command => {
+      getHistoryChangeGroups(command)
+        .filter(group => group.entityType === dependentType)
+        .forEach(({ changes }) => changes.forEach(change => {
+          change.before = remapRecord(change.before);
+          change.after = remapRecord(change.after);
+        }));
+    });
+  });
+}
+
+// Undo and redo wait for an undo that is still restoring cascaded records
+function undoLastChange() {
+  if (pendingHistoryRestore) {
+    pendingHistoryRestore.then(undoLastChange);
+    return;
+  }
+  if (commandHistory?.canUndo()) {
+    commandHistory.undo();
+  }
+}
+
+function redoLastChange() {
+  if (pendingHistoryRestore) {
+    pendingHistoryRestore.then(redoLastChange);
+    return;
+  }
+  if (commandHistory?.canRedo()) {
+    commandHistory.redo();
+  }
+}
+
+function updateHistoryControls() {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const nextUndo = commandHistory?.peekUndo();
+  const nextRedo = commandHistory?.peekRedo();
+
+  if (undoBtn) {
+    undoBtn.disabled = !nextUndo;
+    undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !nextRedo;
+    redoBtn.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+}
+
+function isEditableTarget(target) {
+  return Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y also redoes); native undo is left alone inside form fields
+function handleHistoryKeydown(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditableTarget(event.target)) {
+    return;
+  }
+
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    undoLastChange();
+  } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+    event.preventDefault();
+    redoLastChange();
+  }
+}
+
+function initializeHistoryControls() {
+  if (!commandHistory) {
+    return;
+  }
+
+  commandHistory.onChange(updateHistoryControls);
+  document.addEventListener('keydown', handleHistoryKeydown);
+
+  // Delegated: the header controls are re-rendered when the selection changes
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-history-action]');
+    if (!button) {
+      return;
+    }
+    event.preventDefault();
+    if (button.getAttribute('data-history-action') === 'undo') {
+      undoLastChange();
+    } else {
+      redoLastChange();
+    }
+  });
+
+  updateHistoryControls();
+}
+
+function renderRowFormFromSchema() {
+  const fieldsContainer = document.getElementById('rowFormFields');
+  if (!fieldsContainer) {
+    return;
+  }
+
+  const fieldsHTML = currentFieldOrder
+    .map(fieldName => createFormFieldGroupHTML(fieldName, currentSchema[fieldName]))
+    .join('');
+
+  fieldsContainer.innerHTML = fieldsHTML;
+}
+
+function renderTitleFromSchema() {
+  const titleContainer = document.getElementById('rowTitleFields');
+  if (!titleContainer) {
+    return;
+  }
+
+  const titleHTML = currentVisibleFieldOrder
+    .map(fieldName => {
+      const fieldConfig = currentSchema[fieldName];
+      if (!fieldConfig) {
+        return '';
+      }
+
+      const style = buildColumnStyle(fieldName, fieldConfig);
+      const styleAttr = style ? ` style="${style}"` : '';
+      const hintText = getTitleHint(fieldName, fieldConfig);
+      const displayName = fieldConfig.displayName || fieldName;
+      const sortKeys = getSortKeys();
+      const sortIndex = sortKeys.findIndex(key => key.fieldName === fieldName);
+      const sortKey = sortKeys[sortIndex];
+      const ariaSort = sortKey ? (sortKey.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+      const indicator = sortKey
+        ? `<span class="title-sort-indicator" aria-hidden="true">${sortKey.direction === 'asc' ? '▲' : '▼'}${sortKeys.length > 1 ? `<sup>${sortIndex + 1}</sup>` : ''}</span>`
+        : '';
+      return `
+        <div class="title-group title-group--sortable field-${toKebabCase(fieldName)}${sortKey ? ' title-group--sorted' : ''}"${styleAttr}
+             role="columnheader" aria-sort="${ariaSort}" tabindex="0" data-sort-field="${escapeHtml(fieldName)}"
+             draggable="true" data-column-field="${escapeHtml(fieldName)}"
+             title="Sort by ${escapeHtml(displayName)} (Shift+click to add to the sort). Drag to move; Alt+Shift+Arrow moves, Alt+Arrow resizes">
+          <span class="title-label">${escapeHtml(displayName)}${indicator}</span>
+          ${hintText ? `<span class="title-hint">${escapeHtml(hintText)}</span>` : ''}
+          <span class="column-resize-handle" aria-hidden="true" title="Drag to resize, double-click to reset"></span>
+        </div>
+      `;
+    })
+    .join('');
+
+  titleContainer.innerHTML = titleHTML;
+}
+
+function getTitleHint(fieldName, fieldConfig) {
+  if (!fieldConfig) {
+    return '';
+  }
+
+  const computedFrom = typeof fieldConfig.computedFrom === 'string'
+    ? fieldConfig.computedFrom.toLowerCase()
+    : '';
+
+  if (
+    fieldName.toLowerCase() === 'name' &&
+    computedFrom.includes('lname') &&
+    computedFrom.includes('fname')
+  ) {
+    return 'Last Name, First Name';
+  }
+
+  return '';
+}
+
+/**
+ * Sorting
+ * Clicking a column title cycles its sort ascending → descending → off; Shift+click (or
+ * Shift+Enter) adds the column to the sort instead of replacing it. Sort keys are kept per entity
+ * as [{ fieldName, direction }] and applied in getFilteredRecords(), so search results, pages, the
+ * board and the calendar all follow them. Values compare by schema type on what the grid shows
+ * (computed and foreign key columns by their display value); empty values sort last.
+ */
+const entitySortKeys = new Map();
+
+function getSortKeys(entityType = currentEntityType) {
+  const schema = jobSearchData?.jobsearch?.[entityType]?.schema || {};
+  return (entitySortKeys.get(entityType) || []).filter(key => schema[key.fieldName]);
+}
+
+function setSortKeys(sortKeys) {
+  entitySortKeys.set(currentEntityType, sortKeys);
+  if (currentSearchTerm) {
+    filteredSearchRecords = getSearchResults();
+  }
+  currentPage = 1;
+  renderTitleFromSchema();
+  renderRecordsDisplay();
+  updatePagination();
+}
+
+/**
+ * Click on a column title: cycle that column's direction
+ * @param {string} fieldName
+ * @param {boolean} [multi=false] - Keep the other sort columns (Shift+click)
+ */
+function toggleSortField(fieldName, multi = false) {
+  const sortKeys = getSortKeys();
+  const current = sortKeys.find(key => key.fieldName === fieldName);
+  const nextDirection = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+
+  if (!multi) {
+    setSortKeys(nextDirection ? [{ fieldName, direction: nextDirection }] : []);
+    return;
+  }
+  if (!current) {
+    setSortKeys([...sortKeys, { fieldName, direction: 'asc' }]);
+  } else if (nextDirection) {
+    setSortKeys(sortKeys.map(key => (key.fieldName === fieldName ? { fieldName, direction: nextDirection } : key)));
+  } else {
+    setSortKeys(sortKeys.filter(key => key.fieldName !== fieldName));
+  }
+}
+
+function getTimeSortValue(value) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+function compareSortValues(a, b, fieldConfig = {}) {
+  const aMissing = !isValueProvided(a);
+  const bMissing = !isValueProvided(b);
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  }
+
+  // Select fields follow their option order (the status pipeline), unknown values after
+  const options = fieldConfig.computed ? null : getFieldTypeConfig(fieldConfig, 'edit')?.options;
+  if (Array.isArray(options) && !fieldConfig.foreignKey) {
+    const rank = value => {
+      const index = options.map(String).indexOf(String(value));
+      return index === -1 ? options.length : index;
+    };
+    const result = rank(a) - rank(b);
+    if (result !== 0) {
+      return result;
+    }
+  }
+
+  let numbers = null;
+  if (fieldConfig.type === 'number' || fieldConfig.type === 'computed') {
+    numbers = [Number(a), Number(b)];
+  } else if (fieldConfig.type === 'date') {
+    numbers = [Date.parse(a), Date.parse(b)];
+  } else if (fieldConfig.type === 'time') {
+    numbers = [getTimeSortValue(a), getTimeSortValue(b)];
+  }
+  if (numbers && !Number.isNaN(numbers[0]) && !Number.isNaN(numbers[1])) {
+    return numbers[0] - numbers[1];
+  }
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Sorted copy; records keep their order when the sort keys tie
+function sortRecords(records, sortKeys = getSortKeys()) {
+  if (sortKeys.length === 0) {
+    return records;
+  }
+
+  return records
+    .map((record, position) => ({
+      record,
+      position,
+      values: sortKeys.map(key => getFieldDisplayValue(record, key.fieldName))
+    }))
+    .sort((a, b) => {
+      for (let index = 0; index < sortKeys.length; index++) {
+        const { fieldName, direction } = sortKeys[index];
+        const aValue = a.values[index];
+        const bValue = b.values[index];
+        const result = compareSortValues(aValue, bValue, currentSchema[fieldName]);
+        if (result !== 0) {
+          // Empty values stay last in both directions
+          const bothProvided = isValueProvided(aValue) && isValueProvided(bValue);
+          return direction === 'desc' && bothProvided ? -result : result;
+        }
+      }
+      return a.position - b.position;
+    })
+    .map(entry => entry.record);
+}
+
+function initializeSorting() {
+  const titleContainer = document.getElementById('rowTitleFields');
+  if (!titleContainer) {
+    return;
+  }
+
+  titleContainer.addEventListener('click', (event) => {
+    const title = event.target.closest('[data-sort-field]');
+    // The click that ends a column resize does not sort
+    if (title && !ignoreNextTitleClick && !event.target.closest('.column-resize-handle')) {
+      toggleSortField(title.getAttribute('data-sort-field'), event.shiftKey);
+    }
+  });
+  titleContainer.addEventListener('keydown', (event) => {
+    const title = event.target.closest('[data-sort-field]');
+    if (!title || (event.key !== 'Enter' && event.key !== ' ')) {
+      return;
+    }
+    event.preventDefault();
+    const fieldName = title.getAttribute('data-sort-field');
+    toggleSortField(fieldName, event.shiftKey);
+    document.querySelector(`#rowTitleFields [data-sort-field="${fieldName}"]`)?.focus();
+  });
+}
+
+/**
+ * Column chooser
+ * The column menu shows, hides and reorders the grid's columns; titles can also be dragged to a
+ * new place and resized by the handle on their right edge (Alt+Shift+Arrow moves the focused title,
+ * Alt+Arrow resizes it). User widths are set as the --{field}-width custom properties on the grid
+ * container that applyDataGridDimensionsFromSchema() sets from the schema, and the cells of a
+ * resized column are sized from them. Each change is stored for the user (SavedViewStore) and is
+ * part of the view state, so it survives a reload and marks the selected view as modified.
+ */
+const COLUMN_RESIZE_STEP = 10;
+let columnWidthProperties = new Map(); // Custom property per resized column of the current entity
+let columnResize = null; // { fieldName, startX, startWidth, moved } while a resize handle is dragged
+let ignoreNextTitleClick = false;
+let draggedColumnField = null;
+
+function clampColumnWidth(width) {
+  const { COLUMN_MIN_WIDTH = 60, COLUMN_MAX_WIDTH = 800 } = window.JobSearchSavedViews || {};
+  return Math.round(Math.min(COLUMN_MAX_WIDTH, Math.max(COLUMN_MIN_WIDTH, width)));
+}
+
+// Set the current entity's user widths on the grid container
+function applyColumnWidths() {
+  const container = document.querySelector('.datagrid-container');
+  if (!container) {
+    return;
+  }
+  const { widths } = getColumnLayout();
+  const cssPrefixes = typeof window.generateFieldToCSSMap === 'function'
+    ? window.generateFieldToCSSMap(currentSchema, currentEntityType)
+    : {};
+  const properties = new Map(Object.keys(widths)
+    .map(fieldName => [fieldName, `${cssPrefixes[fieldName] || `--${toKebabCase(fieldName)}`}-width`]));
+
+  const cleared = [...columnWidthProperties.values()].filter(property => ![...properties.values()].includes(property));
+  cleared.forEach(property => container.style.removeProperty(property));
+  columnWidthProperties = properties;
+  if (cleared.length > 0) {
+    // A reset width falls back to what the schema sets, if anything
+    applyDataGridDimensionsFromSchema(currentSchema, currentEntityType);
+  }
+  properties.forEach((property, fieldName) => container.style.setProperty(property, `${widths[fieldName]}px`));
+}
+
+// Schema dimensions of a grid cell, sized from the column's custom property once the user resized it
+function buildColumnStyle(fieldName, fieldConfig, options) {
+  const style = buildDimensionStyle(fieldConfig, options);
+  const property = columnWidthProperties.get(fieldName);
+  if (!property) {
+    return style;
+  }
+  const widthStyle = `flex:0 0 var(${property});width:var(${property});min-width:var(${property});max-width:var(${property})`;
+  return style ? `${style};${widthStyle}` : widthStyle;
+}
+
+// Apply a layout change to the current entity, store it for the user and re-render the grid
+function updateColumnLayout(changes, { persist = true } = {}) {
+  if (editingIndex !== -1) {
+    cancelInlineEdit(editingIndex);
+  }
+  setColumnLayout({ ...getColumnLayout(), ...changes });
+  if (persist) {
+    savedViewStore?.setColumnLayout(currentEntityType, getColumnLayout());
+  }
+  renderTitleFromSchema();
+  renderRecordsDisplay();
+  renderColumnMenu();
+  updateColumnControls();
+  updateSavedViewControls();
+}
+
+function moveColumn(fieldName, targetFieldName, { after = false } = {}) {
+  const { order } = getColumnLayout();
+  if (fieldName === targetFieldName || !order.includes(fieldName) || !order.includes(targetFieldName)) {
+    return;
+  }
+  const remaining = order.filter(name => name !== fieldName);
+  remaining.splice(remaining.indexOf(targetFieldName) + (after ? 1 : 0), 0, fieldName);
+  updateColumnLayout({ order: remaining });
+}
+
+// Move a column past its neighbour in `columns` (-1 earlier, 1 later)
+function moveColumnBy(fieldName, offset, columns) {
+  const neighbour = columns[columns.indexOf(fieldName) + offset];
+  if (neighbour) {
+    moveColumn(fieldName, neighbour, { after: offset > 0 });
+  }
+}
+
+function setColumnVisible(fieldName, visible) {
+  const { hidden } = getColumnLayout();
+  const nextHidden = visible ? hidden.filter(name => name !== fieldName) : [...new Set([...hidden, fieldName])];
+  // The last shown column cannot be hidden
+  if (!visible && currentVisibleFieldOrder.every(name => nextHidden.includes(name))) {
+    renderColumnMenu();
+    return;
+  }
+  updateColumnLayout({ hidden: nextHidden });
+}
+
+/**
+ * @param {string} fieldName
+ * @param {number|null} width - Pixels, clamped to the allowed range; null returns to the schema width
+ * @param {Object} [options]
+ * @param {boolean} [options.persist] - false while a handle is dragged; the release stores the width
+ */
+function resizeColumn(fieldName, width, { persist = true } = {}) {
+  const widths = { ...getColumnLayout().widths };
+  if (width === null) {
+    delete widths[fieldName];
+  } else {
+    widths[fieldName] = clampColumnWidth(width);
+  }
+  // Cells of an already resized column follow its custom property without a re-render
+  if (!persist && width !== null && columnWidthProperties.has(fieldName)) {
+    setColumnLayout({ ...getColumnLayout(), widths });
+    return;
+  }
+  updateColumnLayout({ widths }, { persist });
+}
+
+function resetColumns() {
+  updateColumnLayout({ order: getVisibleFieldOrder(), hidden: [], widths: {} });
+}
+
+function getColumnTitleWidth(fieldName) {
+  const title = document.querySelector(`#rowTitleFields [data-column-field="${fieldName}"]`);
+  return getColumnLayout().widths[fieldName] || Math.round(title?.getBoundingClientRect().width || 0) || clampColumnWidth(0);
+}
+
+function updateColumnControls() {
+  const button = document.querySelector('[data-column-action="toggle-menu"]');
+  if (!button) {
+    return;
+  }
+  const { order, hidden, widths } = getColumnLayout();
+  const customized = hidden.length > 0 || Object.keys(widths).length > 0
+    || order.some((fieldName, index) => fieldName !== getVisibleFieldOrder()[index]);
+  const menu = document.getElementById('columnMenu');
+  button.classList.toggle('btn-columns--active', customized);
+  button.setAttribute('aria-expanded', String(Boolean(menu && !menu.hidden)));
+  button.title = hidden.length > 0 ? `Choose columns (${hidden.length} hidden)` : 'Choose columns';
+}
+
+function renderColumnMenu() {
+  const menu = document.getElementById('columnMenu');
+  if (!menu || menu.hidden) {
+    return;
+  }
+  const { order, hidden, widths } = getColumnLayout();
+  const lastShown = order.length - hidden.length === 1;
+  const itemsHTML = order.map((fieldName, index) => {
+    const displayName = escapeHtml(currentSchema[fieldName]?.displayName || fieldName);
+    const shown = !hidden.includes(fieldName);
+    const widthHTML = widths[fieldName]
+      ? `<button type="button" class="column-menu__width" data-column-action="reset-width" title="Reset the width of ${displayName}">${widths[fieldName]}px ✕</button>`
+      : '';
+    return `
+      <li class="column-menu__item" data-column-field="${escapeHtml(fieldName)}">
+        <label class="column-menu__label">
+          <input type="checkbox" data-column-visible${shown ? ' checked' : ''}${shown && lastShown ? ' disabled' : ''} />
+          ${displayName}
+        </label>
+        ${widthHTML}
+        <button type="button" class="column-menu__move" data-column-action="move-up" aria-label="Move ${displayName} left"${index === 0 ? ' disabled' : ''}>↑</button>
+        <button type="button" class="column-menu__move" data-column-action="move-down" aria-label="Move ${displayName} right"${index === order.length - 1 ? ' disabled' : ''}>↓</button>
+      </li>
+    `;
+  }).join('');
+
+  menu.innerHTML = `
+    <ul class="column-menu__list" aria-label="Columns">${itemsHTML}</ul>
+    <div class="column-menu__footer">
+      <button type="button" class="column-menu__reset" data-column-action="reset">Reset columns</button>
+    </div>
+  `;
+}
+
+function toggleColumnMenu(show) {
+  const menu = document.getElementById('columnMenu');
+  if (!menu) {
+    return;
+  }
+  menu.hidden = !(show ?? menu.hidden);
+  if (!menu.hidden) {
+    renderColumnMenu();
+    menu.querySelector('input, button')?.focus();
+  }
+  updateColumnControls();
+}
+
+function handleColumnMenuAction(action, fieldName) {
+  if (action === 'reset') {
+    resetColumns();
+    document.querySelector('#columnMenu [data-column-action="reset"]')?.focus();
+    return;
+  }
+  if (action === 'reset-width') {
+    resizeColumn(fieldName, null);
+  } else {
+    moveColumnBy(fieldName, action === 'move-up' ? -1 : 1, getColumnLayout().order);
+  }
+  // Keep focus on the item the user is working with
+  const item = document.querySelector(`#columnMenu [data-column-field="${fieldName}"]`);
+  const button = item?.querySelector(`[data-column-action="${action}"]`);
+  (button && !button.disabled ? button : item?.querySelector('[data-column-visible]'))?.focus();
+}
+
+function clearColumnDropMarkers() {
+  document.querySelectorAll('#rowTitleFields .title-group--drop-before, #rowTitleFields .title-group--drop-after')
+    .forEach(title => title.classList.remove('title-group--drop-before', 'title-group--drop-after'));
+}
+
+function isColumnDropAfter(title, event) {
+  const rect = title.getBoundingClientRect();
+  return event.clientX > rect.left + rect.width / 2;
+}
+
+function initializeColumnControls() {
+  // Delegated: the header controls are re-rendered when the selection changes
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-column-action="toggle-menu"]');
+    if (button) {
+      event.preventDefault();
+      toggleColumnMenu();
+    }
+  });
+
+  const menu = document.getElementById('columnMenu');
+  if (menu) {
+    menu.addEventListener('change', (event) => {
+      const checkbox = event.target.closest('[data-column-visible]');
+      if (checkbox) {
+        const fieldName = checkbox.closest('[data-column-field]').getAttribute('data-column-field');
+        setColumnVisible(fieldName, checkbox.checked);
+        document.querySelector(`#columnMenu [data-column-field="${fieldName}"] [data-column-visible]`)?.focus();
+      }
+    });
+    menu.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-column-action]');
+      if (button) {
+        handleColumnMenuAction(button.getAttribute('data-column-action'),
+          button.closest('[data-column-field]')?.getAttribute('data-column-field'));
+      }
+    });
+    menu.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        toggleColumnMenu(false);
+        document.querySelector('[data-column-action="toggle-menu"]')?.focus();
+      }
+    });
+  }
+
+  const titleContainer = document.getElementById('rowTitleFields');
+  if (!titleContainer) {
+    return;
+  }
+
+  // Reorder by dragging a title onto another one
+  titleContainer.addEventListener('dragstart', (event) => {
+    const title = event.target.closest?.('[data-column-field]');
+    if (!title || columnResize) {
+      event.preventDefault();
+      return;
+    }
+    draggedColumnField = title.getAttribute('data-column-field');
+    event.dataTransfer?.setData('text/plain', draggedColumnField);
+    title.classList.add('title-group--dragging');
+  });
+  titleContainer.addEventListener('dragover', (event) => {
+    const title = event.target.closest('[data-column-field]');
+    if (!title || !draggedColumnField) {
+      return;
+    }
+    event.preventDefault();
+    clearColumnDropMarkers();
+    if (title.getAttribute('data-column-field') !== draggedColumnField) {
+      title.classList.add(isColumnDropAfter(title, event) ? 'title-group--drop-after' : 'title-group--drop-before');
+    }
+  });
+  titleContainer.addEventListener('dragleave', (event) => {
+    if (!titleContainer.contains(event.relatedTarget)) {
+      clearColumnDropMarkers();
+    }
+  });
+  titleContainer.addEventListener('drop', (event) => {
+    const title = event.target.closest('[data-column-field]');
+    const fieldName = draggedColumnField;
+    draggedColumnField = null;
+    clearColumnDropMarkers();
+    if (title && fieldName) {
+      event.preventDefault();
+      moveColumn(fieldName, title.getAttribute('data-column-field'), { after: isColumnDropAfter(title, event) });
+    }
+  });
+  titleContainer.addEventListener('dragend', () => {
+    draggedColumnField = null;
+    clearColumnDropMarkers();
+    titleContainer.querySelector('.title-group--dragging')?.classList.remove('title-group--dragging');
+  });
+
+  // Resize by dragging the handle; the document listens so the pointer can leave the title
+  titleContainer.addEventListener('pointerdown', (event) => {
+    const handle = event.target.closest('.column-resize-handle');
+    if (!handle || event.button !== 0) {
+      return;
+    }
+    event.preventDefault();
+    const fieldName = handle.closest('[data-column-field]').getAttribute('data-column-field');
+    columnResize = { fieldName, startX: event.clientX, startWidth: getColumnTitleWidth(fieldName), moved: false };
+    document.body.classList.add('column-resizing');
+  });
+  document.addEventListener('pointermove', (event) => {
+    if (!columnResize) {
+      return;
+    }
+    const delta = event.clientX - columnResize.startX;
+    if (delta !== 0 || columnResize.moved) {
+      columnResize.moved = true;
+      resizeColumn(columnResize.fieldName, columnResize.startWidth + delta, { persist: false });
+    }
+  });
+  document.addEventListener('pointerup', (event) => {
+    if (!columnResize) {
+      return;
+    }
+    const { fieldName, startX, startWidth, moved } = columnResize;
+    columnResize = null;
+    document.body.classList.remove('column-resizing');
+    if (moved) {
+      resizeColumn(fieldName, startWidth + event.clientX - startX);
+      ignoreNextTitleClick = true;
+      setTimeout(() => {
+        ignoreNextTitleClick = false;
+      }, 0);
+    }
+  });
+  titleContainer.addEventListener('dblclick', (event) => {
+    const handle = event.target.closest('.column-resize-handle');
+    if (handle) {
+      resizeColumn(handle.closest('[data-column-field]').getAttribute('data-column-field'), null);
+    }
+  });
+
+  titleContainer.addEventListener('keydown', (event) => {
+    const title = event.target.closest('[data-column-field]');
+    if (!title || !event.altKey || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) {
+      return;
+    }
+    event.preventDefault();
+    const fieldName = title.getAttribute('data-column-field');
+    const direction = event.key === 'ArrowLeft' ? -1 : 1;
+    if (event.shiftKey) {
+      moveColumnBy(fieldName, direction, currentVisibleFieldOrder);
+    } else {
+      resizeColumn(fieldName, getColumnTitleWidth(fieldName) + direction * COLUMN_RESIZE_STEP);
+    }
+    document.querySelector(`#rowTitleFields [data-column-field="${fieldName}"]`)?.focus();
+  });
+}
+
+/**
+ * Filters
+ * The filter panel builds a condition tree per entity (jobsearch-filters.js) from the columns the
+ * grid shows, with AND/OR groups that can nest. Filters apply in getFilteredRecords() after the
+ * enabled/disabled toggle, so the search, pages, board and calendar all work on the filtered
+ * records. Conditions take effect once they are filled in; "in list" on a foreign key column tests
+ * the key the column displays, every other operator what the grid shows.
+ */
+const entityFilters = new Map();
+
+function getEntityFilter(entityType = currentEntityType) {
+  if (!entityFilters.has(entityType)) {
+    entityFilters.set(entityType, window.JobSearchFilters.createFilterGroup());
+  }
+  return entityFilters.get(entityType);
+}
+
+function getActiveFilterCount(entityType = currentEntityType) {
+  return window.JobSearchFilters ? window.JobSearchFilters.countFilterConditions(getEntityFilter(entityType)) : 0;
+}
+
+function getFilterRecordValue(record, condition) {
+  const fieldConfig = currentSchema[condition.field];
+  if (condition.operator === 'in' && fieldConfig?.foreignKey) {
+    return record[getFieldEditTarget(condition.field, fieldConfig)];
+  }
+  return getFieldDisplayValue(record, condition.field);
+}
+
+function applyRecordFilters(records) {
+  if (getActiveFilterCount() === 0) {
+    return records;
+  }
+  const filter = getEntityFilter();
+  return records.filter(record => window.JobSearchFilters.evaluateFilter(filter, record, {
+    schema: currentSchema,
+    getValue: getFilterRecordValue
+  }));
+}
+
+// Paths address nodes by their indexes from the root group: '' is the root, '1.0' the first child of its second
+function getFilterNode(path) {
+  return path === ''
+    ? getEntityFilter()
+    : path.split('.').reduce((node, index) => node?.conditions?.[Number(index)], getEntityFilter());
+}
+
+function getFilterParent(path) {
+  const indexes = path.split('.');
+  const index = Number(indexes.pop());
+  return { group: getFilterNode(indexes.join('.')), index };
+}
+
+function createFilterOptionsHTML(options, selectedValues) {
+  return options.map(option => {
+    const isSelected = selectedValues.includes(String(option.value));
+    return `<option value="${escapeHtml(option.value)}"${isSelected ? ' selected' : ''}>${escapeHtml(option.label)}</option>`;
+  }).join('');
+}
+
+function createFilterValueHTML(condition, fieldConfig) {
+  const { FILTER_OPERATORS, getFilterFieldKind } = window.JobSearchFilters;
+  const arity = FILTER_OPERATORS[condition.operator]?.arity;
+  const kind = getFilterFieldKind(fieldConfig);
+  const label = escapeHtml(fieldConfig.displayName || condition.field);
+
+  if (arity === 'list') {
+    const options = resolveForeignKeyOptions(fieldConfig);
+    return `
+      <select class="filter-condition__values" data-filter-input="values" multiple size="${Math.min(Math.max(options.length, 2), 5)}" aria-label="${label} values">
+        ${createFilterOptionsHTML(options, condition.values)}
+      </select>
+    `;
+  }
+  if (kind === 'choice' && arity === 1) {
+    return `
+      <select class="filter-condition__value" data-filter-input="value" aria-label="${label} value">
+        <option value="">Select...</option>
+        ${createFilterOptionsHTML(resolveForeignKeyOptions(fieldConfig), [condition.value])}
+      </select>
+    `;
+  }
+  if (arity !== 1 && arity !== 2) {
+    return '';
+  }
+
+  const isComparison = ['greaterThan', 'lessThan', 'between'].includes(condition.operator);
+  const inputType = kind === 'date' || kind === 'time' ? kind : (kind === 'number' || (kind === 'computed' && isComparison) ? 'number' : 'text');
+  const input = (name, value, ariaLabel) =>
+    `<input type="${inputType}" class="filter-condition__value" data-filter-input="${name}" value="${escapeHtml(value)}" aria-label="${ariaLabel}" />`;
+  return arity === 2
+    ? `${input('value', condition.value, `${label} from`)}<span class="filter-condition__and">and</span>${input('value2', condition.value2, `${label} to`)}`
+    : input('value', condition.value, `${label} value`);
+}
+
+function createFilterConditionHTML(condition, path) {
+  const { FILTER_OPERATORS, getFilterOperators } = window.JobSearchFilters;
+  const fieldConfig = currentSchema[condition.field] || {};
+  const fieldOptions = currentVisibleFieldOrder
+    .filter(fieldName => currentSchema[fieldName])
+    .map(fieldName => ({ value: fieldName, label: currentSchema[fieldName].displayName || fieldName }));
+  const operatorOptions = getFilterOperators(fieldConfig)
+    .map(operator => ({ value: operator, label: FILTER_OPERATORS[operator].label }));
+
+  return `
+    <div class="filter-condition" data-filter-path="${path}">
+      <select class="filter-condition__field" data-filter-input="field" aria-label="Field">
+        ${createFilterOptionsHTML(fieldOptions, [condition.field])}
+      </select>
+      <select class="filter-condition__operator" data-filter-input="operator" aria-label="Operator">
+        ${createFilterOptionsHTML(operatorOptions, [condition.operator])}
+      </select>
+      ${createFilterValueHTML(condition, fieldConfig)}
+      <button type="button" class="filter-remove" data-filter-action="remove" title="Remove condition" aria-label="Remove condition">✕</button>
+    </div>
+  `;
+}
+
+function createFilterGroupHTML(group, path) {
+  const { isFilterGroup } = window.JobSearchFilters;
+  const isRoot = path === '';
+  const conditionsHTML = group.conditions.map((node, index) => {
+    const childPath = isRoot ? String(index) : `${path}.${index}`;
+    return `<li>${isFilterGroup(node) ? createFilterGroupHTML(node, childPath) : createFilterConditionHTML(node, childPath)}</li>`;
+  }).join('');
+
+  return `
+    <div class="filter-group${isRoot ? ' filter-group--root' : ''}" role="group" data-filter-path="${path}">
+      <div class="filter-group__header">
+        <label>
+          Match
+          <select class="filter-group__logic" data-filter-input="logic">
+            <option value="and"${group.logic === 'and' ? ' selected' : ''}>all</option>
+            <option value="or"${group.logic === 'or' ? ' selected' : ''}>any</option>
+          </select>
+          of these conditions
+        </label>
+        ${isRoot ? '' : '<button type="button" class="filter-remove" data-filter-action="remove" title="Remove group" aria-label="Remove group">✕</button>'}
+      </div>
+      <ul class="filter-group__conditions">
+        ${conditionsHTML || '<li class="filter-group__empty">No conditions yet.</li>'}
+      </ul>
+      <div class="filter-group__actions">
+        <button type="button" data-filter-action="add-condition">+ Condition</button>
+        <button type="button" data-filter-action="add-group">+ Group</button>
+      </div>
+    </div>
+  `;
+}
+
+// Filter button badge and the Clear button follow the number of filled-in conditions
+function updateFilterControls() {
+  const count = getActiveFilterCount();
+  const panel = document.getElementById('filterPanel');
+  const button = document.querySelector('[data-filter-action="toggle-panel"]');
+  if (button) {
+    button.classList.toggle('btn-filter--active', count > 0);
+    button.setAttribute('data-filter-count', count > 0 ? String(count) : '');
+    button.setAttribute('aria-expanded', String(Boolean(panel && !panel.hidden)));
+    button.title = count > 0 ? `Filter records (${count} active)` : 'Filter records';
+  }
+  const clearButton = panel?.querySelector('[data-filter-action="clear"]');
+  if (clearButton) {
+    clearButton.disabled = count === 0;
+  }
+}
+
+function renderFilterPanel() {
+  const panel = document.getElementById('filterPanel');
+  if (panel && window.JobSearchFilters) {
+    panel.innerHTML = `
+      ${createFilterGroupHTML(getEntityFilter(), '')}
+      <div class="filter-panel__footer">
+        <button type="button" class="filter-panel__clear" data-filter-action="clear">Clear filters</button>
+      </div>
+    `;
+  }
+  updateFilterControls();
+}
+
+// Re-run the search (it starts from getFilteredRecords()) or redraw from the first page
+function applyFilterChange({ renderPanel = true } = {}) {
+  if (renderPanel) {
+    renderFilterPanel();
+  } else {
+    updateFilterControls();
+  }
+  if (currentSearchTerm) {
+    window.performGlobalSearch(currentSearchTerm);
+    return;
+  }
+  currentPage = 1;
+  renderRecordsDisplay();
+  updatePagination();
+}
+
+function handleFilterInputChange(input) {
+  const { createFilterCondition, FILTER_OPERATORS } = window.JobSearchFilters;
+  const path = input.closest('[data-filter-path]').getAttribute('data-filter-path');
+  const node = getFilterNode(path);
+  const name = input.getAttribute('data-filter-input');
+
+  if (name === 'field') {
+    const { group, index } = getFilterParent(path);
+    group.conditions[index] = createFilterCondition(input.value, currentSchema[input.value]);
+  } else if (name === 'operator') {
+    // Keep what was typed while the operator reads the same kind of values
+    if (FILTER_OPERATORS[node.operator]?.arity === 'list' || FILTER_OPERATORS[input.value].arity === 'list') {
+      Object.assign(node, { value: '', value2: '', values: [] });
+    }
+    node.operator = input.value;
+  } else if (name === 'values') {
+    node.values = Array.from(input.selectedOptions).map(option => option.value);
+  } else {
+    node[name] = input.value;
+  }
+
+  // Field and operator changes swap the value editors; values only re-filter
+  applyFilterChange({ renderPanel: name === 'field' || name === 'operator' });
+  if (name === 'field' || name === 'operator') {
+    document.querySelector(`#filterPanel .filter-condition[data-filter-path="${path}"] [data-filter-input="${name}"]`)?.focus();
+  }
+}
+
+function handleFilterAction(action, path) {
+  const { createFilterGroup, createFilterCondition } = window.JobSearchFilters;
+  const firstField = currentVisibleFieldOrder.find(fieldName => currentSchema[fieldName]);
+
+  if (action === 'clear') {
+    entityFilters.set(currentEntityType, createFilterGroup());
+  } else if (action === 'remove') {
+    const { group, index } = getFilterParent(path);
+    group.conditions.splice(index, 1);
+  } else if (firstField) {
+    const group = getFilterNode(path);
+    const condition = createFilterCondition(firstField, currentSchema[firstField]);
+    // A new group starts with the other logic, so "all of ... and any of ..." takes two clicks
+    group.conditions.push(action === 'add-group'
+      ? createFilterGroup(group.logic === 'and' ? 'or' : 'and', [condition])
+      : condition);
+  }
+  applyFilterChange();
+}
+
+function toggleFilterPanel(show) {
+  const panel = document.getElementById('filterPanel');
+  if (!panel) {
+    return;
+  }
+  panel.hidden = !(show ?? panel.hidden);
+  if (!panel.hidden) {
+    renderFilterPanel();
+    panel.querySelector('select, input, button')?.focus();
+  } else {
+    updateFilterControls();
+  }
+}
+
+function initializeFilterPanel() {
+  // Delegated: the header controls are re-rendered when the selection changes
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-filter-action="toggle-panel"]');
+    if (button) {
+      event.preventDefault();
+      toggleFilterPanel();
+    }
+  });
+
+  const panel = document.getElementById('filterPanel');
+  if (!panel) {
+    return;
+  }
+  panel.addEventListener('change', (event) => {
+    const input = event.target.closest('[data-filter-input]');
+    if (input) {
+      handleFilterInputChange(input);
+    }
+  });
+  panel.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-filter-action]');
+    if (button) {
+      const path = button.closest('[data-filter-path]')?.getAttribute('data-filter-path') ?? '';
+      handleFilterAction(button.getAttribute('data-filter-action'), path);
+    }
+  });
+  panel.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      toggleFilterPanel(false);
+      document.querySelector('[data-filter-action="toggle-panel"]')?.focus();
+    }
+  });
+}
+
+// A computed foreign-key column with a select editor (companyName) edits the key it displays (companyId)
+function getFieldEditTarget(fieldName, fieldConfig) {
+  const computedKey = fieldConfig?.computed ? fieldConfig.computedKey : null;
+  if (fieldConfig?.foreignKey && currentSchema[computedKey] && getFieldTypeConfig(fieldConfig, 'edit')?.type === 'select') {
+    return computedKey;
+  }
+  return fieldName;
+}
+
+// Hidden key fields whose value a visible computed select already submits
+function isEditedThroughComputedField(fieldName) {
+  return currentFieldOrder.some(otherName => otherName !== fieldName
+    && isFieldVisible(currentSchema[otherName])
+    && getFieldEditTarget(otherName, currentSchema[otherName]) === fieldName);
+}
+
+function createFormFieldGroupHTML(fieldName, fieldConfig, value = '') {
+  if (!fieldConfig) {
+    return '';
+  }
+
+  if (!isFieldVisible(fieldConfig)) {
+    if (isEditedThroughComputedField(fieldName)) {
+      return '';
+    }
+    const hiddenValue = escapeHtml(value ?? '');
+    return `<input type="hidden" data-field="${fieldName}" value="${hiddenValue}" />`;
+  }
+
+  const style = buildDimensionStyle(fieldConfig);
+  const styleAttr = style ? ` style="${style}"` : '';
+  const fieldClass = `field-group field-${toKebabCase(fieldName)}`;
+  const inputHTML = createFieldInputHTML(getFieldEditTarget(fieldName, fieldConfig), fieldConfig, value, { mode: 'form' });
+
+  return `<div class="${fieldClass}"${styleAttr}>${inputHTML}</div>`;
+}
+
+function createRecordFieldHTML(record, fieldName, fieldConfig, mode) {
+  if (!fieldConfig) {
+    return '';
+  }
+
+  if (!isFieldVisible(fieldConfig)) {
+    if (mode === 'edit' && !isEditedThroughComputedField(fieldName)) {
+      const hiddenValue = escapeHtml(record[fieldName] ?? '');
+      return `<input type="hidden" data-field="${fieldName}" value="${hiddenValue}" />`;
+    }
+    return '';
+  }
+
+  const style = buildColumnStyle(fieldName, fieldConfig, { mode: mode });
+  const styleAttr = style ? ` style="${style}"` : '';
+  const fieldClass = `record-field field-${toKebabCase(fieldName)}`;
+
+  let content = '';
+  if (mode === 'read') {
+    const displayValue = getFieldDisplayValue(record, fieldName);
+    
+    // Check if this field should be rendered as a label in read mode
+    const typeConfig = getFieldTypeConfig(fieldConfig, 'display');
+    if (typeConfig && typeConfig.type === 'label') {
+      const escapedValue = escapeHtml(displayValue ?? '');
+      const dataValueAttr = isValueProvided(displayValue) ? ` data-value="${escapedValue}"` : '';
+      content = `<label class="field-label-display" data-field="${fieldName}"${dataValueAttr}>${highlightSearchMatches(fieldName, displayValue)}</label>`;
+    } else {
+      content = highlightSearchMatches(fieldName, displayValue);
+    }
+  } else {
+    const editTarget = getFieldEditTarget(fieldName, fieldConfig);
+    // Computed labels show their resolved value while the row is edited
+    const value = fieldConfig.computed && editTarget === fieldName
+      ? getFieldDisplayValue(record, fieldName)
+      : record[editTarget];
+    content = createFieldInputHTML(editTarget, fieldConfig, value, { mode: 'edit' });
+  }
+
+  return `<div class="${fieldClass}"${styleAttr}>${content}</div>`;
+}
+
+function createFieldInputHTML(fieldName, fieldConfig, value, { mode }) {
+  const safeValue = value ?? '';
+  const typeConfig = getFieldTypeConfig(fieldConfig, mode);
+  
+  if (!typeConfig) {
+    // Fallback for fields without proper configuration
+    return `<input type="text" class="field-input" data-field="${fieldName}" value="${escapeHtml(safeValue)}" />`;
+  }
+  
+  const elementType = typeConfig.type;
+  const css = typeConfig.css || {};
+  const isRequired = isFieldRequired(fieldConfig, mode);
+  
   // Parse element type (e.g., "input-text", "select", "label")
   const [element, subtype] = elementType.split('-');
   
-  switch (element.toLowerCase()) {
-    case 'label': {
-      const display = escapeHtml(safeValue);
-      const dataValueAttr = isValueProvided(safeValue) ? ` data-value="${display}"` : '';
-      return `<label class="field-label-display" data-field="${fieldName}"${dataValueAttr}>${display}</label>`;
+  switch (element.toLowerCase()) {
+    case 'label': {
+      const display = escapeHtml(safeValue);
+      const dataValueAttr = isValueProvided(safeValue) ? ` data-value="${display}"` : '';
+      return `<label class="field-label-display" data-field="${fieldName}"${dataValueAttr}>${display}</label>`;
+    }
+    
+    case 'select': {
+      const optionsHTML = buildSelectOptions(fieldName, fieldConfig, safeValue);
+      const requiredAttr = isRequired ? ' required' : '';
+      const styleClass = 'field-select';
+      return `<select class="${styleClass}${isRequired ? ' required' : ''}" data-field="${fieldName}"${requiredAttr}>${optionsHTML}</select>`;
+    }
+    
+    case 'textarea': {
+      const placeholder = getFieldPlaceholder(fieldName, fieldConfig, css);
+      const requiredAttr = isRequired ? ' required' : '';
+      const rows = css.rows || '3';
+      const attributes = [
+        `class="field-input${isRequired ? ' required' : ''}"`,
+        `data-field="${fieldName}"`,
+        `rows="${rows}"`,
+        `placeholder="${escapeHtml(placeholder || '')}"`
+      ];
+      
+      // Add validation attributes
+      ['maxlength', 'minlength'].forEach(attr => {
+        if (css[attr] !== undefined) {
+          attributes.push(`${attr}="${escapeHtml(css[attr])}"`);
+        }
+      });
+      
+      if (isRequired) {
+        attributes.push('required');
+      }
+      
+      return `<textarea ${attributes.join(' ')}>${escapeHtml(safeValue)}</textarea>`;
+    }
+    
+    case 'input':
+    default: {
+      const inputType = subtype || fieldConfig.type || 'text';
+      const placeholder = getFieldPlaceholder(fieldName, fieldConfig, css);
+      const attributes = [
+        `type="${inputType}"`,
+        `class="field-input${isRequired ? ' required' : ''}"`,
+        `data-field="${fieldName}"`
+      ];
+
+      if (placeholder) {
+        attributes.push(`placeholder="${escapeHtml(placeholder)}"`);
+      }
+
+      // Add validation attributes from CSS
+      ['min', 'max', 'step', 'maxlength', 'minlength', 'pattern'].forEach(attr => {
+        if (css[attr] !== undefined) {
+          attributes.push(`${attr}="${escapeHtml(css[attr])}"`);
+        }
+      });
+
+      if (mode !== 'read') {
+        attributes.push(`value="${escapeHtml(safeValue)}"`);
+      }
+
+      if (isRequired) {
+        attributes.push('required');
+      }
+
+      return `<input ${attributes.join(' ')} />`;
+    }
+  }
+}
+
+function buildSelectOptions(fieldName, fieldConfig, selectedValue) {
+  const options = resolveForeignKeyOptions(fieldConfig);
+  const placeholder = getFieldPlaceholder(fieldName, fieldConfig) || `Select ${fieldConfig.displayName || fieldName}...`;
+  const optionsHTML = [
+    `<option value="">${escapeHtml(placeholder)}</option>`
+  ];
+
+  options.forEach(option => {
+    const isSelected = String(option.value) === String(selectedValue);
+    optionsHTML.push(
+      `<option value="${escapeHtml(option.value)}"${isSelected ? ' selected' : ''}>${escapeHtml(option.label)}</option>`
+    );
+  });
+
+  return optionsHTML.join('');
+}
+
+function getFieldPlaceholder(fieldName, fieldConfig, css = null) {
+  // Try CSS from new schema format first
+  if (css && css.placeholder) {
+    return css.placeholder;
+  }
+  
+  // Fallback to legacy CSS format
+  if (fieldConfig?.css?.placeholder) {
+    return fieldConfig.css.placeholder;
+  }
+  
+  // Generate default placeholder
+  return fieldConfig?.displayName ? `Enter ${fieldConfig.displayName.toLowerCase()}` : '';
+}
+
+function updateHeaderTitle() {
+  const headerTitleElement = document.querySelector('.header-title');
+  if (headerTitleElement) {
+    headerTitleElement.textContent = `${getEntityDisplayName(currentEntityType, false)} Records`;
+  }
+}
+
+function initializeSearchComponent() {
+  const searchInput = document.querySelector('#datagrid-search');
+  if (!searchInput) {
+    return;
+  }
+
+  const searchContainer = searchInput.closest('.DataGridSearch');
+  if (!searchContainer) {
+    logger.warn('DataGridSearch container not found for search input');
+    return;
+  }
+
+  if (window.formMockSearch && typeof window.formMockSearch.destroy === 'function') {
+    try {
+      window.formMockSearch.destroy();
+    } catch (error) {
+      logger.warn('Error destroying previous DataGridSearch instance:', error);
+    }
+  }
+
+  const placeholder = `Search ${getEntityDisplayName(currentEntityType).toLowerCase()}...`;
+
+  try {
+    window.formMockSearch = new DataGridSearch(searchContainer, {
+      debounceDelay: CONFIG.DEBOUNCE_DELAY,
+      placeholder,
+      hints: getSearchHints,
+      onSearch: (searchTerm) => {
+        if (typeof window.performGlobalSearch === 'function') {
+          window.performGlobalSearch(searchTerm);
+        }
+      },
+      onClear: () => {
+        if (typeof window.clearSearch === 'function') {
+          window.clearSearch();
+        }
+      }
+    });
+    // The box is re-created with the header controls and when a saved view sets the search
+    window.formMockSearch.setSearchTerm(currentSearchTerm);
+  } catch (error) {
+    logger.error('Error initializing DataGridSearch:', error);
+    window.formMockSearch = null;
+  }
+}
+
+// Get filtered record by index (accounting for filtering)
+function getFilteredRecordIndex(filteredIndex) {
+  const filteredRecords = getFilteredRecords();
+  const targetRecord = filteredRecords[filteredIndex];
+  return storedRecords.findIndex(record => record.id === targetRecord.id);
+}
+
+// clearRowForm function has been moved to DataGridRow.js
+
+// Save method for gathering form data and converting to JSON
+function saveFormData() {
+  const rowForm = document.querySelector('.row-form');
+  if (!rowForm) {
+    alert('Form not found');
+    return;
+  }
+
+  // Gather data from all fields with data-field attributes
+  const formData = collectFieldValues(rowForm);
+
+  // Add timestamp
+  formData.timestamp = new Date().toISOString();
+
+  // Validate the record using new validation system
+  const validationErrors = validateRecord(formData, 'edit');
+  if (validationErrors.length > 0) {
+    alert(`Validation errors:\n${validationErrors.join('\n')}`);
+    return;
+  }
+  
+  const missingFields = getMissingRequiredFields(formData, 'edit');
+  if (missingFields.length > 0) {
+    alert(`Please provide values for: ${missingFields.map(field => currentSchema[field]?.displayName || field).join(', ')}`);
+    return;
+  }
+
+  // Check if we're editing an existing record
+  if (typeof window.editingRecordIndex !== 'undefined' && window.editingRecordIndex >= 0) {
+    // Update existing record
+    const existingRecord = storedRecords[window.editingRecordIndex] || {};
+    const updatedRecord = { ...existingRecord, ...formData };
+    storedRecords[window.editingRecordIndex] = updatedRecord;
+    persistStoredRecords();
+    window.editingRecordIndex = undefined; // Clear editing flag
+    logger.debug('Record updated:', updatedRecord);
+  } else {
+    // Store new record for pagination
+    storeRecord(formData);
+
+    // Navigate to the last page to show the new record
+    const newTotalPages = Math.ceil(storedRecords.length / pageSize);
+    currentPage = newTotalPages; // Go to last page where new record is
+  }
+  
+  // Clear the form after successful save
+  clearFormAfterSave(rowForm);
+  
+  // Hide the form after save
+  hideRecordForm();
+  
+  // Update pagination display
+  updatePagination();
+
+  return formData;
+}
+
+// Values of the inputs in a form or editable row, keyed by field
+function collectFieldValues(container) {
+  const values = {};
+  container.querySelectorAll('[data-field]').forEach(element => {
+    const fieldName = element.getAttribute('data-field');
+    // Computed columns are display-only; their key fields carry the value
+    if (currentSchema[fieldName]?.computed) {
+      return;
     }
-    
-    case 'select': {
-      const optionsHTML = buildSelectOptions(fieldName, fieldConfig, safeValue);
-      const requiredAttr = isRequired ? ' required' : '';
-      const styleClass = 'field-select';
-      return `<select class="${styleClass}${isRequired ? ' required' : ''}" data-field="${fieldName}"${requiredAttr}>${optionsHTML}</select>`;
+
+    let value = '';
+    // Check for data-value attribute first (preferred for labels/displays)
+    if (element.hasAttribute('data-value')) {
+      value = element.getAttribute('data-value');
+    } else if (element.tagName === 'INPUT') {
+      value = element.value;
+    } else if (element.tagName === 'SELECT') {
+      value = element.value;
+    } else if (element.classList.contains('field-label-display')) {
+      value = element.textContent;
     }
-    
-    case 'textarea': {
-      const placeholder = getFieldPlaceholder(fieldName, fieldConfig, css);
-      const requiredAttr = isRequired ? ' required' : '';
-      const rows = css.rows || '3';
-      const attributes = [
-        `class="field-input${isRequired ? ' required' : ''}"`,
-        `data-field="${fieldName}"`,
-        `rows="${rows}"`,
-        `placeholder="${escapeHtml(placeholder || '')}"`
-      ];
-      
-      // Add validation attributes
-      ['maxlength', 'minlength'].forEach(attr => {
-        if (css[attr] !== undefined) {
-          attributes.push(`${attr}="${escapeHtml(css[attr])}"`);
+
+    const trimmedValue = typeof value === 'string' ? value.trim() : value;
+    values[fieldName] = normalizeFieldValue(fieldName, trimmedValue);
+  });
+  return values;
+}
+
+// Store saved record for pagination
+function storeRecord(formData) {
+  // Add unique ID and timestamp if not present
+  const uniqueId = Date.now();
+  if (!isValueProvided(formData[currentIdField])) {
+    formData[currentIdField] = normalizeFieldValue(currentIdField, uniqueId);
+  }
+  if (!isValueProvided(formData.id)) {
+    formData.id = formData[currentIdField];
+  }
+  if (!formData.timestamp) {
+    formData.timestamp = new Date().toISOString();
+  }
+  // Add isDisabled field for new records (default to false = enabled)
+  if (formData.isDisabled === undefined) {
+    formData.isDisabled = false;
+  }
+
+  storedRecords.push(formData);
+  persistStoredRecords();
+  logger.info('Record stored. Total records:', storedRecords.length);
+}
+
+/**
+ * CSV import
+ * Import wizard for the active entity: pick a CSV file, map its columns to schema fields
+ * (auto-mapped by displayName or field name), preview per-row validation, then store the
+ * valid rows through storeRecord(). The whole import is a single undoable change.
+ */
+const IMPORT_PREVIEW_ROW_LIMIT = 50;
+
+function normalizeImportName(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Same words regardless of order and punctuation: "Smith, John" matches "John Smith"
+function getImportNameTokens(value) {
+  return String(value ?? '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).sort().join(' ');
+}
+
+// Schema fields a CSV column can fill; the id is always assigned by storage
+function getImportTargetFields() {
+  return currentFieldOrder.filter(fieldName => fieldName !== currentIdField && !currentSchema[fieldName]?.computed);
+}
+
+// Header names that map onto each target field. Computed foreign-key displays (e.g. "Company")
+// stand in for their key field, whose values are then resolved by label.
+function getImportFieldAliases() {
+  const targetFields = getImportTargetFields();
+  const aliases = new Map();
+  const addAlias = (name, fieldName) => {
+    const key = normalizeImportName(name);
+    if (key && !aliases.has(key)) {
+      aliases.set(key, fieldName);
+    }
+  };
+
+  targetFields.forEach(fieldName => {
+    addAlias(currentSchema[fieldName].displayName, fieldName);
+    addAlias(fieldName, fieldName);
+  });
+  currentFieldOrder.forEach(fieldName => {
+    const fieldConfig = currentSchema[fieldName];
+    if (fieldConfig?.computed && fieldConfig.foreignKey && targetFields.includes(fieldConfig.computedKey)) {
+      addAlias(fieldConfig.displayName, fieldConfig.computedKey);
+      addAlias(fieldName, fieldConfig.computedKey);
+    }
+  });
+
+  return aliases;
+}
+
+// One entry per CSV column: the target field name, or '' to skip the column
+function autoMapImportColumns(headers) {
+  const aliases = getImportFieldAliases();
+  const usedFields = new Set();
+
+  return headers.map(header => {
+    const fieldName = aliases.get(normalizeImportName(header));
+    if (!fieldName || usedFields.has(fieldName)) {
+      return '';
+    }
+    usedFields.add(fieldName);
+    return fieldName;
+  });
+}
+
+function formatImportDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Convert one CSV cell to the stored value for a field; returns { value } or { error }
+function convertImportValue(fieldName, rawValue) {
+  const fieldConfig = currentSchema[fieldName];
+  const label = fieldConfig?.displayName || fieldName;
+  const options = resolveForeignKeyOptions(fieldConfig);
+
+  if (options.length > 0) {
+    const match = options.find(option => String(option.value) === rawValue)
+      || options.find(option => normalizeImportName(option.label) === normalizeImportName(rawValue))
+      || options.find(option => getImportNameTokens(option.label) === getImportNameTokens(rawValue));
+    if (match) {
+      return { value: match.value };
+    }
+    if (fieldConfig.foreignKey) {
+      const [collectionKey] = fieldConfig.foreignKey.split('.');
+      return { error: `${label}: no ${getEntityDisplayName(collectionKey, false).toLowerCase()} matches "${rawValue}"` };
+    }
+    return { error: `${label}: "${rawValue}" is not one of ${options.map(option => option.label).join(', ')}` };
+  }
+
+  if (fieldConfig?.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(rawValue)) {
+    const parsed = new Date(rawValue);
+    if (Number.isNaN(parsed.getTime())) {
+      return { error: `${label}: "${rawValue}" is not a date` };
+    }
+    return { value: formatImportDate(parsed) };
+  }
+
+  if (fieldConfig?.type === 'number' && Number.isNaN(Number(rawValue))) {
+    return { error: `${label}: "${rawValue}" is not a number` };
+  }
+
+  return { value: normalizeFieldValue(fieldName, rawValue) };
+}
+
+/**
+ * Build and validate the record for every CSV row
+ * @returns {Array<{rowNumber: number, record: Object, errors: string[]}>}
+ */
+function buildImportResults(rows, mapping) {
+  const baseId = Date.now();
+
+  return rows.map((cells, rowIndex) => {
+    const record = {};
+    const errors = [];
+    const unconvertedLabels = new Set();
+
+    mapping.forEach((fieldName, columnIndex) => {
+      const rawValue = String(cells[columnIndex] ?? '').trim();
+      if (!fieldName || rawValue === '') {
+        return;
+      }
+      const converted = convertImportValue(fieldName, rawValue);
+      if (converted.error) {
+        errors.push(converted.error);
+        unconvertedLabels.add(currentSchema[fieldName]?.displayName || fieldName);
+      } else {
+        record[fieldName] = converted.value;
+      }
+    });
+
+    // Provisional local id, replaced by the storage-assigned one on save
+    record[currentIdField] = normalizeFieldValue(currentIdField, baseId + rowIndex);
+    record.timestamp = new Date().toISOString();
+
+    const missingFields = getMissingRequiredFields(record, 'edit')
+      .map(fieldName => `${currentSchema[fieldName]?.displayName || fieldName} is required`);
+    const validationErrors = [...validateRecord(record, 'edit'), ...missingFields];
+    validationErrors.forEach(error => {
+      // A value that could not be converted is already reported; skip the follow-on "is required"
+      if (!errors.includes(error) && !unconvertedLabels.has(error.replace(/ is required$/, ''))) {
+        errors.push(error);
+      }
+    });
+
+    // Header is row 1
+    return { rowNumber: rowIndex + 2, record, errors };
+  });
+}
+
+function buildImportMappingHTML(headers, rows, mapping) {
+  const targetFields = getImportTargetFields();
+
+  const rowsHTML = headers.map((header, columnIndex) => {
+    const optionsHTML = [
+      `<option value="">— Skip column —</option>`,
+      ...targetFields.map(fieldName => `
+        <option value="${escapeHtml(fieldName)}"${mapping[columnIndex] === fieldName ? ' selected' : ''}>
+          ${escapeHtml(currentSchema[fieldName].displayName || fieldName)}
+        </option>
+      `)
+    ].join('');
+    const sample = rows.find(cells => String(cells[columnIndex] ?? '').trim() !== '')?.[columnIndex] ?? '';
+
+    return `
+      <tr>
+        <td>${escapeHtml(header || `Column ${columnIndex + 1}`)}</td>
+        <td class="csv-import__sample">${escapeHtml(sample)}</td>
+        <td><select class="csv-import__field" data-import-column="${columnIndex}">${optionsHTML}</select></td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <table class="JobSearchDialog__table">
+      <thead><tr><th>CSV column</th><th>Example</th><th>Field</th></tr></thead>
+      <tbody>${rowsHTML}</tbody>
+    </table>
+  `;
+}
+
+function buildImportPreviewHTML(results, mapping) {
+  const mappedFields = getImportTargetFields().filter(fieldName => mapping.includes(fieldName));
+  const validCount = results.filter(result => result.errors.length === 0).length;
+  const invalidCount = results.length - validCount;
+
+  if (mappedFields.length === 0) {
+    return '<p class="csv-import__summary">Map at least one column to a field.</p>';
+  }
+
+  const formatValue = (record, fieldName) => {
+    const fieldConfig = currentSchema[fieldName];
+    const value = record[fieldName];
+    return escapeHtml(fieldConfig?.foreignKey ? resolveForeignKeyLabel(fieldConfig, value) : value);
+  };
+
+  const rowsHTML = results.slice(0, IMPORT_PREVIEW_ROW_LIMIT).map(result => `
+    <tr class="${result.errors.length > 0 ? 'csv-import__row--error' : ''}">
+      <td>${result.rowNumber}</td>
+      ${mappedFields.map(fieldName => `<td>${formatValue(result.record, fieldName)}</td>`).join('')}
+      <td>${result.errors.length > 0 ? escapeHtml(result.errors.join('; ')) : '✓'}</td>
+    </tr>
+  `).join('');
+
+  const limitNote = results.length > IMPORT_PREVIEW_ROW_LIMIT
+    ? ` Showing the first ${IMPORT_PREVIEW_ROW_LIMIT} rows.`
+    : '';
+
+  return `
+    <p class="csv-import__summary">
+      ${results.length} row(s): ${validCount} ready to import${invalidCount > 0 ? `, ${invalidCount} with errors will be skipped` : ''}.${limitNote}
+    </p>
+    <table class="JobSearchDialog__table">
+      <thead>
+        <tr>
+          <th>Row</th>
+          ${mappedFields.map(fieldName => `<th>${escapeHtml(currentSchema[fieldName].displayName || fieldName)}</th>`).join('')}
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>${rowsHTML}</tbody>
+    </table>
+  `;
+}
+
+function getImportValidRecords(results) {
+  return results.filter(result => result.errors.length === 0).map(result => result.record);
+}
+
+function formatImportButtonLabel(results) {
+  const validCount = getImportValidRecords(results).length;
+  return `Import ${validCount} ${formatEntityCount(validCount)}`;
+}
+
+// Calendar and address book files the import button accepts besides CSV, each on one entity's tab
+function getImportFileFormats() {
+  return [
+    {
+      entity: CALENDAR_ENTITY,
+      label: 'Calendar',
+      available: Boolean(window.JobSearchICal),
+      accept: '.ics,text/calendar',
+      note: 'Calendar files (.ics) are also accepted: each event creates an appointment, or updates the one it was exported from.',
+      matches: text => window.JobSearchICal.isICalendarText(text),
+      importText: importCalendarText
+    },
+    {
+      entity: CONTACTS_ENTITY,
+      label: 'vCard',
+      available: Boolean(window.JobSearchVCard),
+      accept: '.vcf,text/vcard,text/x-vcard',
+      note: 'vCard files (.vcf) from phones and address books are also accepted; cards matching an existing contact by email or phone are flagged as duplicates.',
+      matches: text => window.JobSearchVCard.isVCardText(text),
+      importText: importVCardText
+    }
+  ].filter(format => format.available);
+}
+
+// Step 1: pick a file; resolves with its text, or null when cancelled
+async function chooseImportFile(entityPlural) {
+  const extraFormat = getImportFileFormats().find(format => format.entity === currentEntityType);
+  const { action, element } = await window.JobSearchDialog.open({
+    title: `Import ${entityPlural}`,
+    body: `
+      <p>Choose a CSV file whose first row holds the column headers. Columns are matched to fields by name; you can adjust the mapping next.</p>
+      ${extraFormat ? `<p>${escapeHtml(extraFormat.note)}</p>` : ''}
+      <input type="file" class="csv-import__file" accept=".csv,text/csv,text/plain${extraFormat ? `,${extraFormat.accept}` : ''}" />
+      <p class="csv-import__error" hidden></p>
+    `,
+    actions: [
+      { id: 'next', label: 'Next', variant: 'primary' },
+      { id: 'cancel', label: 'Cancel' }
+    ],
+    onAction: (actionId, panel) => {
+      if (actionId === 'next' && !panel.querySelector('.csv-import__file').files?.length) {
+        const errorElement = panel.querySelector('.csv-import__error');
+        errorElement.textContent = 'Choose a file to import.';
+        errorElement.hidden = false;
+        return false;
+      }
+      return true;
+    }
+  });
+
+  if (action !== 'next') {
+    return null;
+  }
+  return element.querySelector('.csv-import__file').files[0].text();
+}
+
+// Step 2: adjust the mapping while the preview follows; resolves with the records to import, or null
+async function reviewCsvImport(entityPlural, headers, rows) {
+  const mapping = autoMapImportColumns(headers);
+  let results = buildImportResults(rows, mapping);
+
+  const refresh = (panel) => {
+    results = buildImportResults(rows, mapping);
+    panel.querySelector('.csv-import__preview').innerHTML = buildImportPreviewHTML(results, mapping);
+    const importButton = panel.querySelector('[data-dialog-action="import"]');
+    importButton.textContent = formatImportButtonLabel(results);
+    importButton.disabled = getImportValidRecords(results).length === 0;
+  };
+
+  const { action } = await window.JobSearchDialog.open({
+    title: `Import ${entityPlural} from CSV`,
+    className: 'JobSearchDialog__panel--wide',
+    body: `
+      <div class="csv-import__mapping">${buildImportMappingHTML(headers, rows, mapping)}</div>
+      <div class="csv-import__preview">${buildImportPreviewHTML(results, mapping)}</div>
+    `,
+    actions: [
+      { id: 'import', label: formatImportButtonLabel(results), variant: 'primary' },
+      { id: 'cancel', label: 'Cancel' }
+    ],
+    onOpen: panel => {
+      refresh(panel);
+      panel.addEventListener('change', (event) => {
+        const select = event.target.closest('[data-import-column]');
+        if (!select) {
+          return;
         }
+        const columnIndex = Number(select.getAttribute('data-import-column'));
+        // A field takes its value from one column only
+        mapping.forEach((fieldName, otherIndex) => {
+          if (select.value && fieldName === select.value && otherIndex !== columnIndex) {
+            mapping[otherIndex] = '';
+            panel.querySelector(`[data-import-column="${otherIndex}"]`).value = '';
+          }
+        });
+        mapping[columnIndex] = select.value;
+        refresh(panel);
       });
-      
-      if (isRequired) {
-        attributes.push('required');
-      }
-      
-      return `<textarea ${attributes.join(' ')}>${escapeHtml(safeValue)}</textarea>`;
     }
-    
-    case 'input':
-    default: {
-      const inputType = subtype || fieldConfig.type || 'text';
-      const placeholder = getFieldPlaceholder(fieldName, fieldConfig, css);
-      const attributes = [
-        `type="${inputType}"`,
-        `class="field-input${isRequired ? ' required' : ''}"`,
-        `data-field="${fieldName}"`
-      ];
+  });
+
+  return action === 'import' ? getImportValidRecords(results) : null;
+}
+
+async function importCsvText(entityType, text) {
+  const entityPlural = getEntityDisplayName(entityType);
+  const parsed = window.JobSearchCsv.parseCsvWithHeaders(text);
+  if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+    showTransferNotification('The file has no data rows to import', 'warning');
+    return;
+  }
+
+  const records = await reviewCsvImport(entityPlural, parsed.headers, parsed.rows);
+  if (!records || records.length === 0 || entityType !== currentEntityType) {
+    return;
+  }
+
+  window.commitCsvImport(records);
+  const skippedCount = parsed.rows.length - records.length;
+  showTransferNotification(
+    `Imported ${records.length} ${formatEntityCount(records.length)}${skippedCount > 0 ? ` (${skippedCount} row(s) with errors skipped)` : ''}`,
+    'success'
+  );
+}
+
+// Import button: CSV for every entity, plus the formats from getImportFileFormats()
+async function showImportWizard() {
+  if (!window.JobSearchDialog || !window.JobSearchCsv) {
+    showTransferNotification('Import is not available', 'warning');
+    return;
+  }
+
+  const entityType = currentEntityType;
+  let text;
+  try {
+    text = await chooseImportFile(getEntityDisplayName(entityType));
+  } catch (error) {
+    logger.error('Error reading import file:', error);
+    showTransferNotification(`Could not read the file: ${error.message}`, 'warning');
+    return;
+  }
+  if (text === null || entityType !== currentEntityType) {
+    return;
+  }
+
+  const fileFormat = getImportFileFormats().find(format => format.matches(text));
+  if (fileFormat) {
+    if (entityType !== fileFormat.entity) {
+      showTransferNotification(`${fileFormat.label} files can only be imported on the ${getEntityDisplayName(fileFormat.entity)} tab`, 'warning');
+      return;
+    }
+    await fileFormat.importText(text);
+    return;
+  }
+
+  await importCsvText(entityType, text);
+}
+
+// Show freshly imported records: enabled view, last page
+function showImportedRecords() {
+  if (!viewingEnabled) {
+    toggleView(true);
+  }
+  const enabledCount = getFilteredRecords().length;
+  currentPage = Math.max(1, Math.ceil(enabledCount / pageSize));
+  renderRecordsDisplay();
+  updatePagination();
+}
+
+function commitCsvImport(records) {
+  records.forEach(record => storeRecord({ ...record }));
+  showImportedRecords();
+  return records.length;
+}
+
+// Calendar and vCard import plans: one entry per event/card
+const IMPORT_CHANGE_LABELS = {
+  create: 'New',
+  update: 'Update',
+  unchanged: 'Unchanged',
+  duplicate: 'Duplicate',
+  skip: 'Skipped'
+};
+
+/**
+ * Preview table of an import plan
+ * @param {Array<{action: string, record: Object, errors: string[], note?: string}>} plan
+ * @param {string[]} parseErrors - Problems reported by the file parser
+ * @param {Object} options
+ * @param {string[]} options.fieldNames - Record fields shown as columns
+ * @param {string} options.itemLabel - 'event', 'card', ...
+ */
+function buildImportChangesPreviewHTML(plan, parseErrors, { fieldNames, itemLabel }) {
+  const counts = Object.fromEntries(Object.keys(IMPORT_CHANGE_LABELS).map(action => [action, 0]));
+  plan.forEach(entry => counts[entry.action]++);
+
+  const rowsHTML = plan.slice(0, IMPORT_PREVIEW_ROW_LIMIT).map(entry => `
+    <tr class="${entry.action === 'skip' ? 'csv-import__row--error' : ''}">
+      <td>${IMPORT_CHANGE_LABELS[entry.action]}</td>
+      ${fieldNames.map(fieldName => `<td>${escapeHtml(getFieldDisplayValue(entry.record, fieldName))}</td>`).join('')}
+      <td>${escapeHtml(entry.errors.length > 0 ? entry.errors.join('; ') : entry.note || '✓')}</td>
+    </tr>
+  `).join('');
+
+  const limitNote = plan.length > IMPORT_PREVIEW_ROW_LIMIT ? ` Showing the first ${IMPORT_PREVIEW_ROW_LIMIT} ${itemLabel}s.` : '';
+  const duplicateNote = counts.duplicate > 0 ? `, ${counts.duplicate} duplicate(s) skipped` : '';
+  const skipNote = counts.skip > 0 ? `, ${counts.skip} skipped` : '';
+  const parseErrorsHTML = parseErrors.length > 0
+    ? `<p class="csv-import__error">${parseErrors.map(escapeHtml).join('<br>')}</p>`
+    : '';
 
-      if (placeholder) {
-        attributes.push(`placeholder="${escapeHtml(placeholder)}"`);
-      }
+  return `
+    <p class="csv-import__summary">
+      ${plan.length} ${itemLabel}(s): ${counts.create} new, ${counts.update} to update, ${counts.unchanged} unchanged${duplicateNote}${skipNote}.${limitNote}
+    </p>
+    ${parseErrorsHTML}
+    <table class="JobSearchDialog__table">
+      <thead>
+        <tr>
+          <th>Action</th>
+          ${fieldNames.map(fieldName => `<th>${escapeHtml(currentSchema[fieldName]?.displayName || fieldName)}</th>`).join('')}
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>${rowsHTML}</tbody>
+    </table>
+  `;
+}
 
-      // Add validation attributes from CSS
-      ['min', 'max', 'step', 'maxlength', 'minlength', 'pattern'].forEach(attr => {
-        if (css[attr] !== undefined) {
-          attributes.push(`${attr}="${escapeHtml(css[attr])}"`);
-        }
-      });
+function getImportChanges(plan) {
+  return {
+    creates: plan.filter(entry => entry.action === 'create').map(entry => entry.record),
+    updates: plan.filter(entry => entry.action === 'update').map(entry => ({ index: entry.index, record: entry.record }))
+  };
+}
 
-      if (mode !== 'read') {
-        attributes.push(`value="${escapeHtml(safeValue)}"`);
-      }
+// Calendar and vCard imports: new records plus updates of the records they were matched to
+function commitImportChanges({ creates = [], updates = [] }) {
+  updates.forEach(({ index, record }) => {
+    // Like saveInlineEdit: the enabled/disabled state is not part of the imported data
+    storedRecords[index] = { ...record, isDisabled: storedRecords[index].isDisabled };
+  });
+  if (creates.length > 0) {
+    creates.forEach(record => storeRecord({ ...record }));
+    showImportedRecords();
+  } else {
+    persistStoredRecords();
+    renderRecordsDisplay();
+    updateHeaderSummary();
+  }
+  return creates.length + updates.length;
+}
 
-      if (isRequired) {
-        attributes.push('required');
-      }
+/**
+ * Appointment calendar
+ * Appointments round-trip through iCalendar (.ics) files. Exported events get a UID derived from
+ * the record id, so re-importing them updates the same appointment; events from other calendars
+ * keep their own UID in the hidden calendarUid field for the same purpose.
+ * Event summaries name the linked position as "Type: Title (Company)"; imports link the position
+ * they name, or keep the text in the notes when no single position matches.
+ */
+const CALENDAR_ENTITY = 'appointments';
+const CALENDAR_UID_FIELD = 'calendarUid';
+const CALENDAR_UID_PATTERN = /^jobsearch-appointments-(.+)@jobsearch$/;
+const CALENDAR_FALLBACK_TYPE = 'Other';
+const CALENDAR_POSITION_FIELD = 'positionId';
+const CALENDAR_POSITION_COMPANY_PATTERN = /^(.*?)\s*\(([^()]+)\)$/;
+
+function getAppointmentCalendarUid(record) {
+  return isValueProvided(record[CALENDAR_UID_FIELD])
+    ? String(record[CALENDAR_UID_FIELD])
+    : `jobsearch-appointments-${record.id}@jobsearch`;
+}
 
-      return `<input ${attributes.join(' ')} />`;
+// "Senior Engineer (Acme)" for the linked position, '' when there is none
+function formatAppointmentPosition(record) {
+  const position = resolveForeignRecord('positions', record[CALENDAR_POSITION_FIELD]);
+  if (!position) {
+    return '';
+  }
+  const company = resolveForeignRecord('companies', position.companyId);
+  return company?.name ? `${position.position} (${company.name})` : String(position.position ?? '');
+}
+
+// Id of the one position a summary names (enabled positions win over disabled ones), else null
+function findCalendarPositionId(text) {
+  const positions = jobSearchData?.jobsearch?.positions?.data || [];
+  const companyMatch = CALENDAR_POSITION_COMPANY_PATTERN.exec(text);
+  const readings = companyMatch ? [[companyMatch[1], companyMatch[2]], [text, '']] : [[text, '']];
+
+  for (const [title, companyName] of readings) {
+    const matches = positions.filter(position => normalizeImportName(position.position) === normalizeImportName(title)
+      && (!companyName || normalizeImportName(resolveForeignRecord('companies', position.companyId)?.name) === normalizeImportName(companyName)));
+    const enabledMatches = matches.filter(position => !position.isDisabled);
+    const candidates = enabledMatches.length > 0 ? enabledMatches : matches;
+    if (candidates.length === 1) {
+      return candidates[0].id;
     }
   }
+  return null;
 }
 
-function buildSelectOptions(fieldName, fieldConfig, selectedValue) {
-  const options = resolveForeignKeyOptions(fieldConfig);
-  const placeholder = getFieldPlaceholder(fieldName, fieldConfig) || `Select ${fieldConfig.displayName || fieldName}...`;
-  const optionsHTML = [
-    `<option value="">${escapeHtml(placeholder)}</option>`
-  ];
+function buildAppointmentCalendarEvent(record) {
+  return {
+    uid: getAppointmentCalendarUid(record),
+    summary: [record.appointmentType, formatAppointmentPosition(record)].filter(isValueProvided).join(': '),
+    description: record.notes || '',
+    location: record.location || '',
+    categories: isValueProvided(record.appointmentType) ? [String(record.appointmentType)] : [],
+    date: record.appointmentDate,
+    time: record.appointmentTime || null,
+    // Calendar apps replace an event they already have when its SEQUENCE grows
+    sequence: Number.isInteger(Number(record.version)) ? Number(record.version) : 0,
+    lastModified: record.updatedAt || record.timestamp
+  };
+}
 
-  options.forEach(option => {
-    const isSelected = String(option.value) === String(selectedValue);
-    optionsHTML.push(
-      `<option value="${escapeHtml(option.value)}"${isSelected ? ' selected' : ''}>${escapeHtml(option.label)}</option>`
-    );
-  });
+function formatAppointmentsICalendar(records) {
+  const events = records
+    .filter(record => isValueProvided(record.appointmentDate))
+    .map(buildAppointmentCalendarEvent);
+  return window.JobSearchICal.formatICalendar(events, { calendarName: 'Job search appointments' });
+}
 
-  return optionsHTML.join('');
+// Appointments dated today or later, soonest first
+function getUpcomingAppointments(records) {
+  const today = formatImportDate(new Date());
+  return records
+    .filter(record => isValueProvided(record.appointmentDate) && String(record.appointmentDate) >= today)
+    .sort((a, b) => `${a.appointmentDate} ${a.appointmentTime || ''}`.localeCompare(`${b.appointmentDate} ${b.appointmentTime || ''}`));
 }
 
-function getFieldPlaceholder(fieldName, fieldConfig, css = null) {
-  // Try CSS from new schema format first
-  if (css && css.placeholder) {
-    return css.placeholder;
+// Row 📅 button
+function downloadAppointmentEvent(index) {
+  const record = storedRecords[index];
+  if (!record || !window.JobSearchICal) {
+    return;
   }
-  
-  // Fallback to legacy CSS format
-  if (fieldConfig?.css?.placeholder) {
-    return fieldConfig.css.placeholder;
+  if (!isValueProvided(record.appointmentDate)) {
+    showTransferNotification('This appointment has no date to add to a calendar', 'warning');
+    return;
   }
-  
-  // Generate default placeholder
-  return fieldConfig?.displayName ? `Enter ${fieldConfig.displayName.toLowerCase()}` : '';
+  downloadExportFile(formatAppointmentsICalendar([record]), `appointment-${record.id}.ics`, EXPORT_FORMATS.ics.mimeType);
 }
 
-function updateHeaderTitle() {
-  const headerTitleElement = document.querySelector('.header-title');
-  if (headerTitleElement) {
-    headerTitleElement.textContent = `${getEntityDisplayName(currentEntityType, false)} Records`;
+// "Interview: Senior Engineer" → type from the prefix, else CATEGORIES, else a type named in the summary
+function splitCalendarSummary(event, typeOptions) {
+  const summary = String(event.summary || '').trim();
+  const findType = text => typeOptions.find(option => normalizeImportName(option) === normalizeImportName(text));
+
+  const separatorIndex = summary.indexOf(':');
+  if (separatorIndex > 0) {
+    const prefixType = findType(summary.slice(0, separatorIndex));
+    if (prefixType) {
+      return { appointmentType: prefixType, positionText: summary.slice(separatorIndex + 1).trim() };
+    }
   }
+
+  const matchedType = (event.categories || []).map(findType).find(Boolean)
+    || typeOptions.find(option => option !== CALENDAR_FALLBACK_TYPE && normalizeImportName(summary).includes(normalizeImportName(option)));
+  const fallbackType = typeOptions.includes(CALENDAR_FALLBACK_TYPE) ? CALENDAR_FALLBACK_TYPE : '';
+  return { appointmentType: matchedType || fallbackType, positionText: summary };
 }
 
-function initializeSearchComponent() {
-  const searchInput = document.querySelector('#datagrid-search');
-  if (!searchInput) {
-    return;
+// Appointment fields an event sets; calendarUid only for events that did not come from this app.
+// A summary that names no known position leaves an existing link alone.
+function buildAppointmentFromCalendarEvent(event, existingRecord = null) {
+  const typeOptions = resolveForeignKeyOptions(currentSchema.appointmentType).map(option => String(option.value));
+  const { appointmentType, positionText } = splitCalendarSummary(event, typeOptions);
+  const positionId = positionText ? findCalendarPositionId(positionText) : null;
+  const fields = {
+    appointmentType,
+    appointmentDate: event.date,
+    appointmentTime: event.time || '',
+    location: event.location || '',
+    notes: event.description || ''
+  };
+  if (positionId !== null) {
+    fields[CALENDAR_POSITION_FIELD] = positionId;
+  } else if (positionText && !isValueProvided(existingRecord?.[CALENDAR_POSITION_FIELD])) {
+    fields.notes = [`Position: ${positionText}`, fields.notes].filter(isValueProvided).join('\n');
   }
+  if (event.uid && !CALENDAR_UID_PATTERN.test(event.uid)) {
+    fields[CALENDAR_UID_FIELD] = event.uid;
+  }
+  return fields;
+}
 
-  const searchContainer = searchInput.closest('.DataGridSearch');
-  if (!searchContainer) {
-    logger.warn('DataGridSearch container not found for search input');
+function findCalendarEventRecordIndex(uid) {
+  if (!uid) {
+    return -1;
+  }
+  const importedIndex = storedRecords.findIndex(record => record[CALENDAR_UID_FIELD] === uid);
+  if (importedIndex !== -1) {
+    return importedIndex;
+  }
+  const ownUid = CALENDAR_UID_PATTERN.exec(uid);
+  return ownUid ? storedRecords.findIndex(record => String(record.id) === ownUid[1]) : -1;
+}
+
+/**
+ * Decide what each event does to the appointments
+ * @returns {Array<{event: Object, action: 'create'|'update'|'unchanged'|'skip', index: number, record: Object, errors: string[]}>}
+ */
+function buildCalendarImportPlan(events) {
+  const baseId = Date.now();
+  const seenUids = new Set();
+
+  return events.map((event, eventIndex) => {
+    const index = findCalendarEventRecordIndex(event.uid);
+    const fields = buildAppointmentFromCalendarEvent(event, storedRecords[index]);
+
+    if (event.uid && seenUids.has(event.uid)) {
+      return { event, action: 'skip', index, record: fields, errors: ['Repeats an earlier event in this file'] };
+    }
+    seenUids.add(event.uid);
+
+    const record = index === -1
+      ? { ...fields, [currentIdField]: normalizeFieldValue(currentIdField, baseId + eventIndex), timestamp: new Date().toISOString() }
+      : { ...storedRecords[index], ...fields };
+    const missingFields = getMissingRequiredFields(record, 'edit')
+      .map(fieldName => `${currentSchema[fieldName]?.displayName || fieldName} is required`);
+    const errors = [...new Set([...validateRecord(record, 'edit'), ...missingFields])];
+    if (errors.length > 0) {
+      return { event, action: 'skip', index, record, errors };
+    }
+
+    if (index === -1) {
+      return { event, action: 'create', index, record, errors };
+    }
+    const changed = Object.keys(fields).some(fieldName => String(storedRecords[index][fieldName] ?? '') !== String(fields[fieldName]));
+    return { event, action: changed ? 'update' : 'unchanged', index, record, errors };
+  });
+}
+
+async function importCalendarText(text) {
+  const { events, errors: parseErrors } = window.JobSearchICal.parseICalendar(text);
+  if (events.length === 0) {
+    showTransferNotification(parseErrors[0] || 'The calendar file has no events to import', 'warning');
     return;
   }
 
-  if (window.formMockSearch && typeof window.formMockSearch.destroy === 'function') {
-    try {
-      window.formMockSearch.destroy();
-    } catch (error) {
-      logger.warn('Error destroying previous DataGridSearch instance:', error);
+  const plan = buildCalendarImportPlan(events);
+  const { creates, updates } = getImportChanges(plan);
+  const changeCount = creates.length + updates.length;
+
+  const { action } = await window.JobSearchDialog.open({
+    title: `Import ${getEntityDisplayName(CALENDAR_ENTITY)} from calendar`,
+    className: 'JobSearchDialog__panel--wide',
+    body: buildImportChangesPreviewHTML(plan, parseErrors, {
+      fieldNames: ['appointmentDate', 'appointmentTime', 'appointmentType', 'positionTitle', 'companyName', 'location'],
+      itemLabel: 'event'
+    }),
+    actions: [
+      { id: 'import', label: `Import ${changeCount} ${formatEntityCount(changeCount)}`, variant: 'primary' },
+      { id: 'cancel', label: 'Cancel' }
+    ],
+    onOpen: panel => {
+      panel.querySelector('[data-dialog-action="import"]').disabled = changeCount === 0;
     }
+  });
+  if (action !== 'import' || changeCount === 0 || currentEntityType !== CALENDAR_ENTITY) {
+    return;
   }
 
-  const placeholder = `Search ${getEntityDisplayName(currentEntityType).toLowerCase()}...`;
+  window.commitImportChanges({ creates, updates });
+  showTransferNotification(`Imported calendar: ${creates.length} new, ${updates.length} updated`, 'success');
+}
 
-  try {
-    window.formMockSearch = new DataGridSearch(searchContainer, {
-      debounceDelay: CONFIG.DEBOUNCE_DELAY,
-      placeholder,
-      onSearch: (searchTerm) => {
-        if (typeof window.performGlobalSearch === 'function') {
-          window.performGlobalSearch(searchTerm);
-        }
-      },
-      onClear: () => {
-        if (typeof window.clearSearch === 'function') {
-          window.clearSearch();
-        }
-      }
-    });
-  } catch (error) {
-    logger.error('Error initializing DataGridSearch:', error);
-    window.formMockSearch = null;
-  }
+
+/**
+ * Contact address book
+ * Contacts round-trip through vCard (.vcf) files. Imported cards that match an existing contact
+ * by email or phone number are duplicates: skipped by default, or merged into that contact.
+ */
+const CONTACTS_ENTITY = 'contacts';
+const CONTACT_UID_PATTERN = /^jobsearch-contacts-(.+)@jobsearch$/;
+const CONTACT_PHONE_FIELDS = ['cphone', 'ophone'];
+const CONTACT_PHONE_MIN_DIGITS = 7;
+
+function buildContactVCard(record) {
+  return {
+    uid: `jobsearch-contacts-${record.id}@jobsearch`,
+    givenName: record.fname || '',
+    familyName: record.lname || '',
+    phones: [
+      { value: record.cphone, types: ['cell'] },
+      { value: record.ophone, types: ['work'] }
+    ].filter(phone => isValueProvided(phone.value)),
+    emails: isValueProvided(record.email) ? [{ value: record.email, types: ['work'] }] : [],
+    revision: record.updatedAt || record.timestamp
+  };
 }
 
-// Get filtered record by index (accounting for filtering)
-function getFilteredRecordIndex(filteredIndex) {
-  const filteredRecords = getFilteredRecords();
-  const targetRecord = filteredRecords[filteredIndex];
-  return storedRecords.findIndex(record => record.id === targetRecord.id);
+function formatContactsVCards(records, version) {
+  return window.JobSearchVCard.formatVCards(records.map(buildContactVCard), { version });
 }
 
-// clearRowForm function has been moved to DataGridRow.js
+// Mobile number to cphone, work number to ophone; other numbers fill whichever is still empty
+function buildContactFromVCard(card) {
+  const [firstWord = '', ...otherWords] = String(card.formattedName || '').split(/\s+/).filter(Boolean);
+  const phones = [...card.phones];
+  const takePhone = matches => {
+    const phoneIndex = phones.findIndex(phone => matches(phone.types));
+    return phoneIndex === -1 ? '' : phones.splice(phoneIndex, 1)[0].value;
+  };
 
-// Save method for gathering form data and converting to JSON
-function saveFormData() {
-  const rowForm = document.querySelector('.row-form');
-  if (!rowForm) {
-    alert('Form not found');
-    return;
+  const cphone = takePhone(types => types.includes('cell') || types.includes('mobile') || types.includes('iphone'));
+  const ophone = takePhone(types => types.includes('work'));
+  const preferredEmail = card.emails.find(email => email.types.includes('pref')) || card.emails[0];
+
+  return {
+    fname: card.givenName || (card.familyName ? '' : firstWord),
+    lname: card.familyName || (card.givenName ? '' : otherWords.join(' ')),
+    cphone: cphone || takePhone(() => true),
+    ophone: ophone || takePhone(() => true),
+    email: preferredEmail?.value || ''
+  };
+}
+
+// Compare phone numbers by digits, ignoring formatting and a leading US country code
+function normalizeContactPhone(value) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  const localDigits = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  return localDigits.length >= CONTACT_PHONE_MIN_DIGITS ? localDigits : '';
+}
+
+function getContactMatchKeys(contact) {
+  const keys = [];
+  if (isValueProvided(contact.email)) {
+    keys.push({ key: `email:${String(contact.email).trim().toLowerCase()}`, reason: 'email' });
+  }
+  CONTACT_PHONE_FIELDS.forEach(fieldName => {
+    const phone = normalizeContactPhone(contact[fieldName]);
+    if (phone) {
+      keys.push({ key: `phone:${phone}`, reason: 'phone' });
+    }
+  });
+  return keys;
+}
+
+/**
+ * Find the existing contact a card duplicates: the contact it was exported from, else one sharing an email or phone
+ * @returns {{index: number, reason: string} | null}
+ */
+function findDuplicateContact(card, fields) {
+  const ownUid = card.uid ? CONTACT_UID_PATTERN.exec(card.uid) : null;
+  if (ownUid) {
+    const index = storedRecords.findIndex(record => String(record.id) === ownUid[1]);
+    if (index !== -1) {
+      return { index, reason: 'exported card' };
+    }
   }
 
-  const formData = {};
+  const cardKeys = getContactMatchKeys(fields);
+  for (let index = 0; index < storedRecords.length; index++) {
+    const recordKeys = new Set(getContactMatchKeys(storedRecords[index]).map(({ key }) => key));
+    const match = cardKeys.find(({ key }) => recordKeys.has(key));
+    if (match) {
+      return { index, reason: match.reason };
+    }
+  }
+  return null;
+}
 
-  // Gather data from all fields with data-field attributes
-  rowForm.querySelectorAll('[data-field]').forEach(element => {
-    const fieldName = element.getAttribute('data-field');
-    let value = '';
+/**
+ * Decide what each card does to the contacts
+ * @param {Object[]} cards
+ * @param {Object} [options]
+ * @param {boolean} [options.updateDuplicates=false] - Merge duplicates into the matching contact instead of skipping them
+ */
+function buildContactImportPlan(cards, { updateDuplicates = false } = {}) {
+  const baseId = Date.now();
+  const seenKeys = new Set();
 
-    // Check for data-value attribute first (preferred for labels/displays)
-    if (element.hasAttribute('data-value')) {
-      value = element.getAttribute('data-value');
-    } else if (element.tagName === 'INPUT') {
-      value = element.value;
-    } else if (element.tagName === 'SELECT') {
-      value = element.value;
-    } else if (element.classList.contains('field-label-display')) {
-      value = element.textContent;
+  return cards.map((card, cardIndex) => {
+    const fields = buildContactFromVCard(card);
+    const keys = getContactMatchKeys(fields).map(({ key }) => key);
+
+    if (keys.some(key => seenKeys.has(key))) {
+      return { action: 'skip', index: -1, record: fields, errors: ['Repeats an earlier card in this file'] };
+    }
+    keys.forEach(key => seenKeys.add(key));
+
+    const duplicate = findDuplicateContact(card, fields);
+    if (duplicate) {
+      const existing = storedRecords[duplicate.index];
+      const note = `Matches ${formatContactName(existing)} by ${duplicate.reason}`;
+      if (!updateDuplicates) {
+        return { action: 'duplicate', index: duplicate.index, record: fields, errors: [], note };
+      }
+      // Values the card leaves empty keep the contact's current value
+      const changedFields = Object.fromEntries(Object.entries(fields)
+        .filter(([fieldName, value]) => isValueProvided(value) && String(existing[fieldName] ?? '') !== String(value)));
+      const record = { ...existing, ...changedFields };
+      const errors = validateRecord(record, 'edit');
+      if (errors.length > 0) {
+        return { action: 'skip', index: duplicate.index, record, errors };
+      }
+      const action = Object.keys(changedFields).length > 0 ? 'update' : 'unchanged';
+      return { action, index: duplicate.index, record, errors, note };
     }
 
-    const trimmedValue = typeof value === 'string' ? value.trim() : value;
-    formData[fieldName] = normalizeFieldValue(fieldName, trimmedValue);
+    const record = { ...fields, [currentIdField]: normalizeFieldValue(currentIdField, baseId + cardIndex), timestamp: new Date().toISOString() };
+    const missingFields = getMissingRequiredFields(record, 'edit')
+      .map(fieldName => `${currentSchema[fieldName]?.displayName || fieldName} is required`);
+    const errors = [...new Set([...validateRecord(record, 'edit'), ...missingFields])];
+    return { action: errors.length > 0 ? 'skip' : 'create', index: -1, record, errors };
   });
+}
 
-  // Add timestamp
-  formData.timestamp = new Date().toISOString();
+function formatContactName(record) {
+  return [record.fname, record.lname].filter(isValueProvided).join(' ') || `#${record.id}`;
+}
 
-  // Validate the record using new validation system
-  const validationErrors = validateRecord(formData, 'edit');
-  if (validationErrors.length > 0) {
-    alert(`Validation errors:\n${validationErrors.join('\n')}`);
+async function importVCardText(text) {
+  const { cards, errors: parseErrors } = window.JobSearchVCard.parseVCards(text);
+  if (cards.length === 0) {
+    showTransferNotification(parseErrors[0] || 'The vCard file has no contacts to import', 'warning');
     return;
   }
-  
-  const missingFields = getMissingRequiredFields(formData, 'edit');
-  if (missingFields.length > 0) {
-    alert(`Please provide values for: ${missingFields.map(field => currentSchema[field]?.displayName || field).join(', ')}`);
+
+  const previewOptions = { fieldNames: ['fname', 'lname', 'cphone', 'ophone', 'email'], itemLabel: 'card' };
+  let plan = buildContactImportPlan(cards);
+  const formatButtonLabel = () => {
+    const { creates, updates } = getImportChanges(plan);
+    const changeCount = creates.length + updates.length;
+    return `Import ${changeCount} ${formatEntityCount(changeCount)}`;
+  };
+  const refresh = (panel) => {
+    plan = buildContactImportPlan(cards, { updateDuplicates: panel.querySelector('.vcard-import__update').checked });
+    panel.querySelector('.vcard-import__preview').innerHTML = buildImportChangesPreviewHTML(plan, parseErrors, previewOptions);
+    const importButton = panel.querySelector('[data-dialog-action="import"]');
+    importButton.textContent = formatButtonLabel();
+    const { creates, updates } = getImportChanges(plan);
+    importButton.disabled = creates.length + updates.length === 0;
+  };
+
+  const { action } = await window.JobSearchDialog.open({
+    title: `Import ${getEntityDisplayName(CONTACTS_ENTITY)} from vCard`,
+    className: 'JobSearchDialog__panel--wide',
+    body: `
+      <label class="vcard-import__option">
+        <input type="checkbox" class="vcard-import__update" />
+        Update matching contacts with the card's details instead of skipping them
+      </label>
+      <div class="vcard-import__preview">${buildImportChangesPreviewHTML(plan, parseErrors, previewOptions)}</div>
+    `,
+    actions: [
+      { id: 'import', label: formatButtonLabel(), variant: 'primary' },
+      { id: 'cancel', label: 'Cancel' }
+    ],
+    onOpen: panel => {
+      refresh(panel);
+      panel.querySelector('.vcard-import__update').addEventListener('change', () => refresh(panel));
+    }
+  });
+
+  const { creates, updates } = getImportChanges(plan);
+  if (action !== 'import' || creates.length + updates.length === 0 || currentEntityType !== CONTACTS_ENTITY) {
     return;
   }
 
-  // Check if we're editing an existing record
-  if (typeof window.editingRecordIndex !== 'undefined' && window.editingRecordIndex >= 0) {
-    // Update existing record
-    const existingRecord = storedRecords[window.editingRecordIndex] || {};
-    const updatedRecord = { ...existingRecord, ...formData };
-    storedRecords[window.editingRecordIndex] = updatedRecord;
-    persistStoredRecords();
-    window.editingRecordIndex = undefined; // Clear editing flag
-    logger.debug('Record updated:', updatedRecord);
-  } else {
-    // Store new record for pagination
-    storeRecord(formData);
+  window.commitImportChanges({ creates, updates });
+  const duplicateCount = plan.filter(entry => entry.action === 'duplicate').length;
+  showTransferNotification(
+    `Imported vCard: ${creates.length} new, ${updates.length} updated${duplicateCount > 0 ? `, ${duplicateCount} duplicate(s) skipped` : ''}`,
+    'success'
+  );
+}
 
-    // Navigate to the last page to show the new record
-    const newTotalPages = Math.ceil(storedRecords.length / pageSize);
-    currentPage = newTotalPages; // Go to last page where new record is
+/**
+ * Grid export
+ * Exports exactly what the grid shows: the enabled/disabled view, the active search,
+ * the visible columns in order and display values (computed and foreign-key labels resolved).
+ * Formats and scopes with an `entity` are only offered on that entity's tab.
+ */
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown table', extension: 'md', mimeType: 'text/markdown' },
+  ics: { label: 'iCalendar (.ics)', extension: 'ics', mimeType: 'text/calendar', entity: CALENDAR_ENTITY },
+  vcard3: { label: 'vCard 3.0 (.vcf)', extension: 'vcf', mimeType: 'text/vcard', entity: CONTACTS_ENTITY, vcardVersion: '3.0' },
+  vcard4: { label: 'vCard 4.0 (.vcf)', extension: 'vcf', mimeType: 'text/vcard', entity: CONTACTS_ENTITY, vcardVersion: '4.0' }
+};
+
+const EXPORT_SCOPES = {
+  all: { label: 'All matching records' },
+  page: { label: 'Current page' },
+  selected: { label: 'Selected rows' },
+  upcoming: { label: 'Upcoming appointments', entity: CALENDAR_ENTITY }
+};
+
+function getAvailableExportOptions(options) {
+  return Object.entries(options).filter(([, { entity }]) => !entity || entity === currentEntityType);
+}
+
+// Records currently shown by the grid (search results or the toggle view), in display order
+function getGridViewRecords() {
+  return currentSearchTerm ? filteredSearchRecords : getFilteredRecords();
+}
+
+function getExportRecords(scope) {
+  const viewRecords = getGridViewRecords();
+
+  if (scope === 'page') {
+    const startIndex = (currentPage - 1) * pageSize;
+    return viewRecords.slice(startIndex, startIndex + pageSize);
   }
-  
-  // Clear the form after successful save
-  clearFormAfterSave(rowForm);
-  
-  // Hide the form after save
-  hideRecordForm();
-  
-  // Update pagination display
-  updatePagination();
+  if (scope === 'selected') {
+    const selectedIds = new Set(Array.from(selectedRecords)
+      .map(index => storedRecords[index]?.id)
+      .filter(isValueProvided)
+      .map(String));
+    return viewRecords.filter(record => selectedIds.has(String(record.id)));
+  }
+  if (scope === 'upcoming') {
+    return getUpcomingAppointments(viewRecords);
+  }
+  return viewRecords;
+}
+
+/**
+ * Build the exported table for a scope
+ * @returns {{columns: Array<{field: string, label: string}>, rows: Array<Array<string>>}}
+ */
+function buildExportTable(scope) {
+  const columns = getVisibleFieldOrder().map(fieldName => ({
+    field: fieldName,
+    label: currentSchema[fieldName]?.displayName || fieldName
+  }));
+  const rows = getExportRecords(scope).map(record => columns.map(({ field }) => {
+    const value = getFieldDisplayValue(record, field);
+    return isValueProvided(value) ? String(value) : '';
+  }));
+
+  return { columns, rows };
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function formatExportMarkdown({ columns, rows }) {
+  const headerLine = `| ${columns.map(column => escapeMarkdownCell(column.label)).join(' | ')} |`;
+  const separatorLine = `| ${columns.map(() => '---').join(' | ')} |`;
+  const rowLines = rows.map(cells => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`);
+  return [headerLine, separatorLine, ...rowLines].join('\n');
+}
+
+function formatExportJSON({ columns, rows }, scope) {
+  return JSON.stringify({
+    entity: currentEntityType,
+    view: viewingEnabled ? 'enabled' : 'disabled',
+    search: currentSearchTerm || null,
+    scope,
+    exportedAt: new Date().toISOString(),
+    columns,
+    records: rows.map(cells => Object.fromEntries(columns.map((column, index) => [column.field, cells[index]])))
+  }, null, 2);
+}
+
+function formatGridExport(format, scope) {
+  if (format === 'ics') {
+    return formatAppointmentsICalendar(getExportRecords(scope));
+  }
+  if (EXPORT_FORMATS[format].vcardVersion) {
+    return formatContactsVCards(getExportRecords(scope), EXPORT_FORMATS[format].vcardVersion);
+  }
+  const table = buildExportTable(scope);
+  if (format === 'json') {
+    return formatExportJSON(table, scope);
+  }
+  if (format === 'markdown') {
+    return formatExportMarkdown(table);
+  }
+  // Exports are opened in spreadsheet apps: record values must not run as formulas
+  return window.JobSearchCsv.formatCsv([table.columns.map(column => column.label), ...table.rows], { escapeFormulas: true });
+}
 
-  return formData;
+function getExportFileName(format, scope) {
+  const view = viewingEnabled ? 'enabled' : 'disabled';
+  const date = new Date().toISOString().slice(0, 10);
+  return `${currentEntityType}-${view}-${scope}-${date}.${EXPORT_FORMATS[format].extension}`;
 }
 
-// Store saved record for pagination
-function storeRecord(formData) {
-  // Add unique ID and timestamp if not present
-  const uniqueId = Date.now();
-  if (!isValueProvided(formData[currentIdField])) {
-    formData[currentIdField] = normalizeFieldValue(currentIdField, uniqueId);
+function downloadExportFile(content, fileName, mimeType) {
+  // Byte order mark so spreadsheet apps read UTF-8 CSV correctly
+  const parts = mimeType === 'text/csv' ? ['\uFEFF', content] : [content];
+  const url = URL.createObjectURL(new Blob(parts, { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function buildExportDialogHTML() {
+  const scopes = getAvailableExportOptions(EXPORT_SCOPES);
+  const counts = Object.fromEntries(scopes.map(([scope]) => [scope, getExportRecords(scope).length]));
+  const defaultScope = counts.selected > 0 ? 'selected' : 'all';
+  const viewLabel = `${viewingEnabled ? 'enabled' : 'disabled'} ${getEntityDisplayName().toLowerCase()}`;
+  const searchNote = currentSearchTerm ? ` matching "${escapeHtml(currentSearchTerm)}"` : '';
+
+  const formatsHTML = getAvailableExportOptions(EXPORT_FORMATS).map(([format, { label }], index) => `
+    <label class="grid-export__option">
+      <input type="radio" name="grid-export-format" value="${format}"${index === 0 ? ' checked' : ''} /> ${escapeHtml(label)}
+    </label>
+  `).join('');
+
+  const scopesHTML = scopes.map(([scope, { label }]) => `
+    <label class="grid-export__option">
+      <input type="radio" name="grid-export-scope" value="${scope}"${scope === defaultScope ? ' checked' : ''}${counts[scope] === 0 ? ' disabled' : ''} />
+      ${escapeHtml(label)} (${counts[scope]})
+    </label>
+  `).join('');
+
+  return `
+    <p>Exports the visible columns of the ${escapeHtml(viewLabel)}${searchNote}, as displayed in the grid.</p>
+    <fieldset class="grid-export__group"><legend>Format</legend>${formatsHTML}</fieldset>
+    <fieldset class="grid-export__group"><legend>Rows</legend>${scopesHTML}</fieldset>
+  `;
+}
+
+async function showGridExportDialog() {
+  if (!window.JobSearchDialog || !window.JobSearchCsv) {
+    showTransferNotification('Export is not available', 'warning');
+    return;
   }
-  if (!isValueProvided(formData.id)) {
-    formData.id = formData[currentIdField];
+  if (getExportRecords('all').length === 0) {
+    showTransferNotification(`No ${getEntityDisplayName().toLowerCase()} to export`, 'warning');
+    return;
   }
-  if (!formData.timestamp) {
-    formData.timestamp = new Date().toISOString();
+
+  const actions = [{ id: 'download', label: 'Download', variant: 'primary' }];
+  if (navigator.clipboard?.writeText) {
+    actions.push({ id: 'copy', label: 'Copy to clipboard' });
   }
-  // Add isDisabled field for new records (default to false = enabled)
-  if (formData.isDisabled === undefined) {
-    formData.isDisabled = false;
+  actions.push({ id: 'cancel', label: 'Cancel' });
+
+  const { action, element } = await window.JobSearchDialog.open({
+    title: `Export ${getEntityDisplayName()}`,
+    body: buildExportDialogHTML(),
+    actions
+  });
+  if (action !== 'download' && action !== 'copy') {
+    return;
   }
 
-  storedRecords.push(formData);
-  persistStoredRecords();
-  logger.info('Record stored. Total records:', storedRecords.length);
+  const format = element.querySelector('input[name="grid-export-format"]:checked')?.value || 'csv';
+  const scope = element.querySelector('input[name="grid-export-scope"]:checked')?.value || 'all';
+  const content = formatGridExport(format, scope);
+  const count = getExportRecords(scope).length;
+
+  if (action === 'copy') {
+    try {
+      await navigator.clipboard.writeText(content);
+      showTransferNotification(`Copied ${count} ${formatEntityCount(count)} as ${EXPORT_FORMATS[format].label}`, 'success');
+    } catch (error) {
+      logger.error('Error copying export:', error);
+      showTransferNotification(`Could not copy to the clipboard: ${error.message}`, 'warning');
+    }
+    return;
+  }
+
+  downloadExportFile(content, getExportFileName(format, scope), EXPORT_FORMATS[format].mimeType);
+  showTransferNotification(`Exported ${count} ${formatEntityCount(count)} as ${EXPORT_FORMATS[format].label}`, 'success');
+}
+
+// Import/export buttons; delegated because the header controls are re-rendered when the selection changes
+function initializeDataTransferControls() {
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-transfer-action]');
+    if (!button) {
+      return;
+    }
+    event.preventDefault();
+    if (button.getAttribute('data-transfer-action') === 'import') {
+      showImportWizard();
+    } else {
+      showGridExportDialog();
+    }
+  });
 }
 
 // Update pagination display and controls
@@ -1073,6 +4140,8 @@ function updatePagination() {
   loadCurrentPageRecord();
   updateMasterCheckboxState();
   updateGridVisibility();
+  updateSavedViewControls();
+  updateColumnControls();
   
   // Hide pagination controls when no display records exist
   const paginationContainer = document.getElementById('paginationControls');
@@ -1167,17 +4236,21 @@ function updateHeaderSummary() {
   const entityPlural = getEntityDisplayName(currentEntityType);
   const viewPhrase = `${viewLabel} ${entityPlural}`;
   const searchInfo = currentSearchTerm ? ` matching "${currentSearchTerm}"` : '';
+  const filterCount = getActiveFilterCount();
+  const filterInfo = filterCount > 0 ? ` (${filterCount} filter${filterCount === 1 ? '' : 's'})` : '';
 
   if (displayRecords.length === 0) {
     if (currentSearchTerm) {
-      headerSummary.textContent = `No ${viewPhrase.toLowerCase()} found matching "${currentSearchTerm}"`;
+      headerSummary.textContent = `No ${viewPhrase.toLowerCase()} found matching "${currentSearchTerm}"${filterInfo}`;
+    } else if (filterCount > 0) {
+      headerSummary.textContent = `No ${viewPhrase.toLowerCase()} match the filters`;
     } else {
       headerSummary.textContent = `No ${viewPhrase.toLowerCase()} - Click ➕ to add your first record`;
     }
   } else {
     const startRecord = (currentPage - 1) * pageSize + 1;
     const endRecord = Math.min(currentPage * pageSize, displayRecords.length);
-    headerSummary.textContent = `Showing ${startRecord}-${endRecord} of ${displayRecords.length} ${viewPhrase.toLowerCase()}${searchInfo}`;
+    headerSummary.textContent = `Showing ${startRecord}-${endRecord} of ${displayRecords.length} ${viewPhrase.toLowerCase()}${searchInfo}${filterInfo}`;
   }
 }
 
@@ -1190,6 +4263,8 @@ function loadCurrentPageRecord() {
 function renderRecordsDisplay() {
   const recordsContainer = document.getElementById('recordsDisplay');
   if (!recordsContainer) return;
+  renderKanbanBoard();
+  renderCalendarView();
   
   // Determine which records to display (search results or normal filtered records)
   const displayRecords = currentSearchTerm
@@ -1201,12 +4276,14 @@ function renderRecordsDisplay() {
 
   // Handle no records cases
   if (currentSearchTerm && filteredSearchRecords.length === 0) {
-    recordsContainer.innerHTML = `<div class="no-records-message">No ${viewPhrase} found matching "${currentSearchTerm}".</div>`;
+    recordsContainer.innerHTML = `<div class="no-records-message">No ${viewPhrase} found matching "${escapeHtml(currentSearchTerm)}".</div>`;
     return;
   }
 
   if (displayRecords.length === 0) {
-    recordsContainer.innerHTML = `<div class="no-records-message">No ${viewPhrase} found.</div>`;
+    recordsContainer.innerHTML = getActiveFilterCount() > 0
+      ? `<div class="no-records-message">No ${viewPhrase} match the filters.</div>`
+      : `<div class="no-records-message">No ${viewPhrase} found.</div>`;
     return;
   }
   
@@ -1245,15 +4322,18 @@ function createReadOnlyRecordRowHTML(record, index, isSelected) {
   const fieldsHTML = currentVisibleFieldOrder
     .map(fieldName => createRecordFieldHTML(record, fieldName, currentSchema[fieldName], 'read'))
     .join('');
+  const followUp = getFollowUpRowAttributes(record);
 
   return `
-    <div class="record-row ${isSelected ? 'selected' : ''}" data-record-index="${index}">
+    <div class="record-row ${isSelected ? 'selected' : ''} ${followUp.className}" data-record-index="${index}"${followUp.title ? ` title="${escapeHtml(followUp.title)}"` : ''}>
       <div class="record-actions">
         <input type="checkbox" class="record-checkbox"
                data-index="${index}"
                ${isSelected ? 'checked' : ''}
                title="Select record" />
         <button class="btn-emoji btn-edit" data-action="edit" data-index="${index}" title="Edit">✏️</button>
+        <button class="btn-emoji btn-history" data-action="history" data-index="${index}" title="History">🕘</button>
+        ${currentEntityType === CALENDAR_ENTITY ? `<button class="btn-emoji btn-calendar" data-action="calendar" data-index="${index}" title="Add to calendar (.ics)">📅</button>` : ''}
       </div>
       ${fieldsHTML}
     </div>
@@ -1261,7 +4341,9 @@ function createReadOnlyRecordRowHTML(record, index, isSelected) {
 }
 
 function createEditableRecordRowHTML(record, index, isSelected) {
-  const fieldsHTML = currentFieldOrder
+  // Same column order as the read-only rows; fields that are not columns only add hidden inputs
+  const columns = getColumnLayout().order;
+  const fieldsHTML = [...currentVisibleFieldOrder, ...currentFieldOrder.filter(fieldName => !columns.includes(fieldName))]
     .map(fieldName => createRecordFieldHTML(record, fieldName, currentSchema[fieldName], 'edit'))
     .join('');
 
@@ -1303,6 +4385,24 @@ function attachRecordActionListeners() {
     });
   });
 
+  // History buttons
+  const historyButtons = recordsContainer.querySelectorAll('[data-action="history"]');
+  historyButtons.forEach(button => {
+    button.addEventListener('click', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      showRecordHistory(index);
+    });
+  });
+
+  // Add-to-calendar buttons (appointments only)
+  const calendarButtons = recordsContainer.querySelectorAll('[data-action="calendar"]');
+  calendarButtons.forEach(button => {
+    button.addEventListener('click', (e) => {
+      const index = parseInt(e.target.dataset.index);
+      downloadAppointmentEvent(index);
+    });
+  });
+
   // Save buttons
   const saveButtons = recordsContainer.querySelectorAll('[data-action="save"]');
   saveButtons.forEach(button => {
@@ -1349,83 +4449,642 @@ function startInlineEdit(index) {
   renderRecordsDisplay();
 }
 
-// Save inline edit changes
-function saveInlineEdit(index) {
-  const recordRow = document.querySelector(`[data-record-index="${index}"]`);
-  if (!recordRow) return;
-  
-  // Gather form data from the editable row
-  const formData = {};
-  recordRow.querySelectorAll('[data-field]').forEach(element => {
-    const fieldName = element.getAttribute('data-field');
-    let value = '';
+// Save inline edit changes
+function saveInlineEdit(index) {
+  const recordRow = document.querySelector(`[data-record-index="${index}"]`);
+  if (!recordRow) return;
+  
+  // Gather form data from the editable row
+  const formData = collectFieldValues(recordRow);
+  if (!updateStoredRecord(index, formData)) {
+    return;
+  }
+
+  // Clear editing state
+  editingIndex = -1;
+  originalRecordData = null;
+  
+  // Re-render to show read-only row
+  renderRecordsDisplay();
+  updateHeaderSummary();
+  
+  logger.debug('Record saved:', storedRecords[index]);
+}
+
+// Validate and store changes to an existing record; shared by inline edits and board moves
+function updateStoredRecord(index, changes) {
+  const updatedRecord = { ...storedRecords[index], ...changes };
+  
+  // Validate the record using new validation system
+  const validationErrors = validateRecord(updatedRecord, 'edit');
+  if (validationErrors.length > 0) {
+    alert(`Validation errors:\n${validationErrors.join('\n')}`);
+    return false;
+  }
+
+  const missingFields = getMissingRequiredFields(updatedRecord, 'edit');
+  if (missingFields.length > 0) {
+    alert(`Please provide values for: ${missingFields.map(field => currentSchema[field]?.displayName || field).join(', ')}`);
+    return false;
+  }
+
+  // Update the stored record (preserve isDisabled state)
+  const currentIsDisabled = storedRecords[index].isDisabled;
+  storedRecords[index] = updatedRecord;
+  storedRecords[index].isDisabled = currentIsDisabled; // Preserve the disabled state
+  persistStoredRecords();
+  return true;
+}
+
+// Cancel inline edit
+function cancelInlineEdit(index) {
+  // Restore original data if it was modified
+  if (originalRecordData) {
+    storedRecords[index] = { ...originalRecordData };
+  }
+  
+  // Clear editing state
+  editingIndex = -1;
+  originalRecordData = null;
+  
+  // Re-render to show read-only row
+  renderRecordsDisplay();
+}
+
+/**
+ * View modes
+ * Each entity is shown as the row grid, or as a board (kanban field) or calendar (calendar date
+ * fields) when its schema has one. The header buttons toggle between the grid and those views;
+ * the choice is kept per entity while the page is open.
+ */
+const entityViewModes = new Map();
+
+const VIEW_MODE_BUTTONS = {
+  board: { emoji: '🗂️', title: 'Show board' },
+  calendar: { emoji: '📆', title: 'Show calendar' }
+};
+
+function isViewModeAvailable(mode, entityType = currentEntityType) {
+  if (mode === 'board') {
+    return Boolean(getKanbanField(entityType));
+  }
+  if (mode === 'calendar') {
+    return typeof window.CalendarControl === 'function' && getCalendarViewFields(entityType).length > 0;
+  }
+  return mode === 'grid';
+}
+
+function getEntityViewMode(entityType = currentEntityType) {
+  const mode = entityViewModes.get(entityType) || 'grid';
+  return isViewModeAvailable(mode, entityType) ? mode : 'grid';
+}
+
+function updateViewModeState() {
+  const activeMode = getEntityViewMode();
+  document.querySelector('.datagrid-container')?.setAttribute('data-view', activeMode);
+
+  Object.entries(VIEW_MODE_BUTTONS).forEach(([mode, { emoji, title }]) => {
+    const button = document.querySelector(`[data-view-action="${mode}"]`);
+    if (button) {
+      button.hidden = !isViewModeAvailable(mode);
+      button.textContent = activeMode === mode ? '📋' : emoji;
+      button.title = activeMode === mode ? 'Show grid' : title;
+    }
+  });
+}
+
+function setEntityViewMode(mode) {
+  if (mode !== 'grid' && editingIndex !== -1) {
+    cancelInlineEdit(editingIndex);
+  }
+  entityViewModes.set(currentEntityType, isViewModeAvailable(mode) ? mode : 'grid');
+  updateViewModeState();
+  renderRecordsDisplay();
+}
+
+function initializeViewModes() {
+  // Delegated: the header controls are re-rendered when the selection changes
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-view-action]');
+    if (!button) {
+      return;
+    }
+    event.preventDefault();
+    const mode = button.getAttribute('data-view-action');
+    setEntityViewMode(getEntityViewMode() === mode ? 'grid' : mode);
+  });
+}
+
+/**
+ * Kanban board
+ * Entities with a `kanban` select field (positions.status) can be shown as a board with one column
+ * per editType option. Cards show the fields the grid displays, and dragging a card to another
+ * column (or Arrow Left/Right on a focused card) saves the new value through updateStoredRecord(),
+ * like an inline edit. The board follows the enabled/disabled view and the search.
+ */
+function getKanbanField(entityType = currentEntityType) {
+  return getSchemaKanbanField(jobSearchData?.jobsearch?.[entityType]?.schema);
+}
+
+function getSchemaKanbanField(schema = {}) {
+  return Object.keys(schema).find(fieldName => schema[fieldName]?.kanban && Array.isArray(schema[fieldName].editType?.options)) || null;
+}
+
+function isKanbanViewActive() {
+  return getEntityViewMode() === 'board';
+}
+
+// Board columns: the field's options, plus one for values that match none of them
+function getKanbanColumns(fieldName, records) {
+  const fieldConfig = currentSchema[fieldName];
+  const options = fieldConfig.editType.options.map(String);
+  const columns = options.map(option => ({ value: option, label: option }));
+  if (records.some(record => !options.includes(String(record[fieldName] ?? '')))) {
+    columns.unshift({ value: '', label: `No ${(fieldConfig.displayName || fieldName).toLowerCase()}` });
+  }
+  return columns;
+}
+
+function createKanbanCardHTML(record, index, kanbanField) {
+  const [titleField, ...detailFields] = currentVisibleFieldOrder
+    .filter(fieldName => fieldName !== kanbanField && isFieldVisible(currentSchema[fieldName]));
+  const title = titleField ? getFieldDisplayValue(record, titleField) : '';
+  const details = detailFields
+    .map(fieldName => ({ fieldName, value: getFieldDisplayValue(record, fieldName) }))
+    .filter(({ value }) => isValueProvided(value))
+    .map(({ fieldName, value }) => `
+      <div class="kanban-card__field">
+        <span class="kanban-card__label">${escapeHtml(currentSchema[fieldName]?.displayName || fieldName)}</span>
+        <span class="kanban-card__value">${escapeHtml(value)}</span>
+      </div>
+    `)
+    .join('');
+  const followUp = getFollowUpRowAttributes(record);
+
+  return `
+    <div class="kanban-card ${followUp.className}" draggable="true" tabindex="0" data-record-index="${index}"${followUp.title ? ` title="${escapeHtml(followUp.title)}"` : ''}>
+      <div class="kanban-card__title">${escapeHtml(isValueProvided(title) ? title : `#${record.id}`)}</div>
+      ${details}
+    </div>
+  `;
+}
+
+function renderKanbanBoard() {
+  const board = document.getElementById('kanbanBoard');
+  if (!board) return;
+  const kanbanField = getKanbanField();
+  if (!isKanbanViewActive()) {
+    board.innerHTML = '';
+    return;
+  }
+
+  const records = currentSearchTerm ? filteredSearchRecords : getFilteredRecords();
+  const columns = getKanbanColumns(kanbanField, records);
+  const options = columns.map(column => column.value);
+
+  board.innerHTML = columns.map(column => {
+    const columnRecords = records.filter(record => {
+      const value = String(record[kanbanField] ?? '');
+      return column.value === '' ? !options.includes(value) || value === '' : value === column.value;
+    });
+    const cards = columnRecords
+      .map(record => createKanbanCardHTML(record, storedRecords.findIndex(r => r.id === record.id), kanbanField))
+      .join('');
+    return `
+      <section class="kanban-column" data-kanban-value="${escapeHtml(column.value)}">
+        <header class="kanban-column__header">
+          <span class="kanban-column__title">${escapeHtml(column.label)}</span>
+          <span class="kanban-column__count">${columnRecords.length}</span>
+        </header>
+        <div class="kanban-column__cards">${cards}</div>
+      </section>
+    `;
+  }).join('');
+}
+
+/**
+ * Move a record to another board column
+ * @param {number} index - Index in storedRecords
+ * @param {string} value - Column value; '' clears the field
+ * @returns {boolean} Whether the record changed
+ */
+function moveKanbanCard(index, value) {
+  const kanbanField = getKanbanField();
+  const record = storedRecords[index];
+  if (!kanbanField || !record || String(record[kanbanField] ?? '') === String(value)) {
+    return false;
+  }
+  if (!updateStoredRecord(index, { [kanbanField]: value })) {
+    return false;
+  }
+
+  renderRecordsDisplay();
+  updateHeaderSummary();
+  document.querySelector(`#kanbanBoard .kanban-card[data-record-index="${index}"]`)?.focus();
+  return true;
+}
+
+function initializeKanbanBoard() {
+  const board = document.getElementById('kanbanBoard');
+  if (!board) {
+    return;
+  }
+  const clearDropTargets = () => board.querySelectorAll('.kanban-column--over').forEach(column => column.classList.remove('kanban-column--over'));
+
+  board.addEventListener('dragstart', (event) => {
+    const card = event.target.closest?.('.kanban-card');
+    if (!card) return;
+    event.dataTransfer.setData('text/plain', card.getAttribute('data-record-index'));
+    event.dataTransfer.effectAllowed = 'move';
+    card.classList.add('kanban-card--dragging');
+  });
+  board.addEventListener('dragend', (event) => {
+    event.target.closest?.('.kanban-card')?.classList.remove('kanban-card--dragging');
+    clearDropTargets();
+  });
+  board.addEventListener('dragover', (event) => {
+    const column = event.target.closest?.('.kanban-column');
+    if (!column) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    if (!column.classList.contains('kanban-column--over')) {
+      clearDropTargets();
+      column.classList.add('kanban-column--over');
+    }
+  });
+  board.addEventListener('drop', (event) => {
+    const column = event.target.closest?.('.kanban-column');
+    if (!column) return;
+    event.preventDefault();
+    clearDropTargets();
+    const index = Number(event.dataTransfer.getData('text/plain'));
+    if (Number.isInteger(index)) {
+      window.moveKanbanCard(index, column.getAttribute('data-kanban-value'));
+    }
+  });
+
+  // Keyboard moves: Arrow Left/Right sends the focused card to the neighbouring column
+  board.addEventListener('keydown', (event) => {
+    const card = event.target.closest?.('.kanban-card');
+    if (!card || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) return;
+    const column = card.closest('.kanban-column');
+    const target = event.key === 'ArrowLeft' ? column.previousElementSibling : column.nextElementSibling;
+    if (!target) return;
+    event.preventDefault();
+    window.moveKanbanCard(Number(card.getAttribute('data-record-index')), target.getAttribute('data-kanban-value'));
+  });
+}
+
+/**
+ * Calendar view
+ * Date fields marked `calendar` (appointments.appointmentDate with its appointmentTime,
+ * positions.icontact and lcontact) are plotted by CalendarControl (testing/controls/Calendar).
+ * Clicking an event opens its record for inline editing in the grid; dragging it to another day
+ * or hour saves the new date and time through updateStoredRecord(), like an inline edit.
+ */
+let calendarViewControl = null;
+
+// [{ fieldName, timeField, label }] for the entity's calendar date fields
+function getCalendarViewFields(entityType = currentEntityType) {
+  const schema = jobSearchData?.jobsearch?.[entityType]?.schema || {};
+  return Object.entries(schema)
+    .filter(([, fieldConfig]) => fieldConfig?.calendar && !fieldConfig.computed)
+    .map(([fieldName, fieldConfig]) => {
+      const timeField = fieldConfig.calendar.timeField;
+      return {
+        fieldName,
+        timeField: timeField && schema[timeField] ? timeField : null,
+        label: fieldConfig.displayName || fieldName
+      };
+    });
+}
+
+function isCalendarViewActive() {
+  return getEntityViewMode() === 'calendar';
+}
+
+// One event per calendar field with a value; the title is the first other field the grid shows
+function getCalendarViewEvents(records) {
+  const calendarFields = getCalendarViewFields();
+  const dateFields = new Set(calendarFields.flatMap(({ fieldName, timeField }) => [fieldName, timeField]));
+  const titleField = currentVisibleFieldOrder
+    .find(fieldName => !dateFields.has(fieldName) && isFieldVisible(currentSchema[fieldName]));
+
+  return records.flatMap(record => {
+    const index = storedRecords.findIndex(r => r.id === record.id);
+    const title = titleField ? getFieldDisplayValue(record, titleField) : '';
+    const followUp = getFollowUpRowAttributes(record);
+
+    return calendarFields
+      .filter(({ fieldName }) => isValueProvided(record[fieldName]))
+      .map(({ fieldName, timeField, label }) => ({
+        id: `${record.id}:${fieldName}`,
+        title: isValueProvided(title) ? String(title) : `#${record.id}`,
+        date: String(record[fieldName]),
+        time: timeField ? String(record[timeField] ?? '') : '',
+        allDay: !timeField,
+        label: calendarFields.length > 1 ? label : '',
+        tooltip: followUp.title ? `${isValueProvided(title) ? title : `#${record.id}`} · ${followUp.title}` : '',
+        className: followUp.className,
+        data: { index, fieldName }
+      }));
+  });
+}
+
+function renderCalendarView() {
+  const container = document.getElementById('calendarView');
+  if (!container || !isCalendarViewActive()) {
+    return;
+  }
+
+  if (!calendarViewControl) {
+    calendarViewControl = new window.CalendarControl({ container, emptyMessage: 'Nothing scheduled in this period' })
+      .onEventOpen(event => openCalendarRecord(event.data.index))
+      .onEventMove(move => window.rescheduleCalendarRecord(move.event.data.index, move.event.data.fieldName, move.date, move.time));
+    calendarViewControl.init();
+  }
+
+  const records = currentSearchTerm ? filteredSearchRecords : getFilteredRecords();
+  calendarViewControl.setEvents(getCalendarViewEvents(records));
+}
+
+/**
+ * Move a record's calendar date, and the time that goes with it
+ * @param {number} index - Index in storedRecords
+ * @param {string} fieldName - Calendar date field
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time] - HH:MM; only saved for fields with a timeField
+ * @returns {boolean} Whether the record changed
+ */
+function rescheduleCalendarRecord(index, fieldName, date, time) {
+  const calendarField = getCalendarViewFields().find(field => field.fieldName === fieldName);
+  const record = storedRecords[index];
+  if (!calendarField || !record) {
+    return false;
+  }
+
+  const changes = { [fieldName]: date };
+  if (calendarField.timeField && time !== undefined) {
+    changes[calendarField.timeField] = time;
+  }
+  if (Object.entries(changes).every(([key, value]) => String(record[key] ?? '') === String(value))) {
+    return false;
+  }
+  if (!updateStoredRecord(index, changes)) {
+    return false;
+  }
+
+  renderRecordsDisplay();
+  updateHeaderSummary();
+  return true;
+}
+
+// Back to the grid, on the record's page, with the record in edit mode
+function openCalendarRecord(index) {
+  const record = storedRecords[index];
+  if (!record) {
+    return;
+  }
+  setEntityViewMode('grid');
+
+  const displayRecords = currentSearchTerm ? filteredSearchRecords : getFilteredRecords();
+  const displayIndex = displayRecords.findIndex(candidate => candidate.id === record.id);
+  if (displayIndex !== -1) {
+    goToPage(Math.floor(displayIndex / pageSize) + 1);
+  }
+  startInlineEdit(index);
+  document.querySelector(`#recordsDisplay [data-record-index="${index}"]`)?.scrollIntoView?.({ block: 'nearest' });
+}
+
+/**
+ * Referential integrity
+ * Deleting or disabling records applies the onDelete policy of every foreign key that points at
+ * them (jobsearch-integrity.js). Dependents in other entities are changed in jobSearchData and
+ * written through before the removal itself, so storage never holds a dangling reference.
+ */
+
+// The loaded document, with the active entity's live records
+function getIntegrityDocument() {
+  const jobsearch = { ...(jobSearchData?.jobsearch || {}) };
+  if (jobsearch[currentEntityType]) {
+    jobsearch[currentEntityType] = { ...jobsearch[currentEntityType], data: storedRecords };
+  }
+  return { ...jobSearchData, jobsearch };
+}
+
+function planIntegrityRemoval(records, mode) {
+  if (!window.JobSearchIntegrity || records.length === 0) {
+    return { blocked: [], effects: [] };
+  }
+  return window.JobSearchIntegrity.planRecordRemoval(getIntegrityDocument(), currentEntityType, records, { mode });
+}
+
+/**
+ * Ask before a delete/disable, listing the dependents it changes; refuse when a policy blocks it
+ * @param {{blocked: Object[], effects: Object[]}} plan
+ * @param {Object} prompt
+ * @param {string} prompt.question - Confirmation shown when nothing blocks the removal
+ * @param {string} prompt.action - 'delete' or 'disable'
+ * @param {string} prompt.subject - e.g. 'this company' or '3 selected companies'
+ * @returns {boolean} Whether to go ahead
+ */
+function confirmIntegrityRemoval(plan, { question, action, subject }) {
+  if (plan.blocked.length === 0 && plan.effects.length === 0) {
+    return confirm(question);
+  }
+
+  const lines = window.JobSearchIntegrity.describeRecordRemovalPlan(getIntegrityDocument(), plan, {
+    getEntityLabel: (entityType, count) => formatEntityCount(count, entityType)
+  });
+  if (lines.blocked.length > 0) {
+    const advice = action === 'disable' ? 'Disable or reassign them first.' : 'Delete or reassign them first, or disable instead.';
+    alert(`Cannot ${action} ${subject} because of these related records:\n\n${lines.blocked.join('\n')}\n\n${advice}`);
+    return false;
+  }
+  return confirm(`${question}\n\nThis also changes related records:\n${lines.effects.join('\n')}`);
+}
+
+function applyIntegrityEffects(plan) {
+  if (plan.effects.length === 0) {
+    return;
+  }
+
+  const document = getIntegrityDocument();
+  // Snapshot entities that were never opened so write-through can diff the cascade
+  plan.effects.forEach(({ entityType }) => {
+    if (!persistedSnapshots[entityType]) {
+      persistedSnapshots[entityType] = createPersistenceSnapshot(entityType, document.jobsearch[entityType]?.data || []);
+    }
+  });
+
+  window.JobSearchIntegrity.applyRecordRemovalEffects(document, plan)
+    .filter(entityType => entityType !== currentEntityType)
+    .forEach(entityType => persistEntityData(entityType));
+}
+
+// " (2 positions disabled)" for notifications
+function formatIntegrityEffectsSummary(plan) {
+  if (plan.effects.length === 0) {
+    return '';
+  }
+  const counts = new Map();
+  plan.effects.forEach(({ entityType, effect }) => {
+    const key = `${entityType}:${effect}`;
+    counts.set(key, { entityType, effect, count: (counts.get(key)?.count || 0) + 1 });
+  });
+  const effectLabels = { delete: 'deleted', disable: 'disabled', 'set-null': 'unlinked' };
+  const parts = Array.from(counts.values()).map(({ entityType, effect, count }) =>
+    `${count} ${getEntityDisplayName(entityType, count !== 1).toLowerCase()} ${effectLabels[effect]}`);
+  return ` (${parts.join(', ')})`;
+}
+
+/**
+ * Follow-ups
+ * Positions that need a follow-up come from the rules in CONFIG.FOLLOW_UP_RULES (jobsearch-followup.js).
+ * The state is recomputed from the live data whenever an entity is persisted: due rows are highlighted,
+ * the due list above the grid links to them and the stats bar counts them.
+ */
+let followUpRules = null;
+let followUpItems = [];
+
+function getFollowUpRules() {
+  if (followUpRules === null) {
+    const configuredRules = window.JOBSEARCH_FOLLOW_UP_RULES || CONFIG.FOLLOW_UP_RULES || window.JobSearchFollowUp.DEFAULT_FOLLOW_UP_RULES;
+    const { rules, errors } = window.JobSearchFollowUp.compileFollowUpRules(configuredRules);
+    errors.forEach(error => logger.warn(error));
+    followUpRules = rules;
+  }
+  return followUpRules;
+}
+
+function refreshFollowUps() {
+  if (!window.JobSearchFollowUp || !jobSearchData?.jobsearch) {
+    return;
+  }
+  followUpItems = window.JobSearchFollowUp.evaluateFollowUps(getIntegrityDocument(), getFollowUpRules());
+  renderFollowUpPanel();
+  applyFollowUpRowState();
+  updateStatistics();
+}
 
-    if (element.hasAttribute('data-value')) {
-      value = element.getAttribute('data-value');
-    } else if (element.tagName === 'INPUT') {
-      value = element.value;
-    } else if (element.tagName === 'SELECT') {
-      value = element.value;
-    } else if (element.classList.contains('field-label-display')) {
-      value = element.textContent;
-    }
+function getPositionFollowUp(record) {
+  return followUpItems.find(item => String(item.positionId) === String(record?.id)) || null;
+}
 
-    const trimmedValue = typeof value === 'string' ? value.trim() : value;
-    formData[fieldName] = normalizeFieldValue(fieldName, trimmedValue);
+function describeFollowUp(item) {
+  return item.reasons.map(reason => (reason.dueDate ? `${reason.label} (${reason.dueDate})` : reason.label)).join('\n');
+}
+
+// Class and tooltip for a read-only positions row
+function getFollowUpRowAttributes(record) {
+  const item = currentEntityType === 'positions' ? getPositionFollowUp(record) : null;
+  return item
+    ? { className: `follow-up--${item.severity}`, title: `Follow-up ${item.severity}:\n${describeFollowUp(item)}` }
+    : { className: '', title: '' };
+}
+
+// Update highlighting of rendered rows in place (edit rows keep theirs until they re-render)
+function applyFollowUpRowState() {
+  document.querySelectorAll('#recordsDisplay .record-row:not(.editing)[data-record-index]').forEach(row => {
+    const { className, title } = getFollowUpRowAttributes(storedRecords[Number(row.getAttribute('data-record-index'))]);
+    row.classList.remove(...window.JobSearchFollowUp.FOLLOW_UP_SEVERITIES.map(severity => `follow-up--${severity}`));
+    if (className) {
+      row.classList.add(className);
+      row.setAttribute('title', title);
+    } else {
+      row.removeAttribute('title');
+    }
   });
+}
 
-  const updatedRecord = { ...storedRecords[index], ...formData };
-  
-  // Validate the record using new validation system
-  const validationErrors = validateRecord(updatedRecord, 'edit');
-  if (validationErrors.length > 0) {
-    alert(`Validation errors:\n${validationErrors.join('\n')}`);
+function renderFollowUpPanel() {
+  const list = document.getElementById('followUpList');
+  const count = document.getElementById('followUpPanelCount');
+  if (count) count.textContent = followUpItems.length;
+  if (!list) {
     return;
   }
 
-  const missingFields = getMissingRequiredFields(updatedRecord, 'edit');
-  if (missingFields.length > 0) {
-    alert(`Please provide values for: ${missingFields.map(field => currentSchema[field]?.displayName || field).join(', ')}`);
+  if (followUpItems.length === 0) {
+    list.innerHTML = '<li class="follow-up-panel__empty">Nothing to follow up on.</li>';
     return;
   }
+  list.innerHTML = followUpItems.map(item => {
+    const company = evaluateComputedField(item.position, 'companyName', 'positions');
+    const reasons = item.reasons
+      .map(reason => `<li>${escapeHtml(reason.label)}${reason.dueDate ? ` <span class="follow-up-item__date">${escapeHtml(reason.dueDate)}</span>` : ''}</li>`)
+      .join('');
+    return `
+      <li class="follow-up-item follow-up-item--${item.severity}">
+        <button type="button" class="follow-up-item__open" data-follow-up-position="${escapeHtml(item.positionId)}" title="Show position">
+          ${escapeHtml(item.position.position || `#${item.positionId}`)}${company ? ` <span class="follow-up-item__company">${escapeHtml(company)}</span>` : ''}
+        </button>
+        <ul class="follow-up-item__reasons">${reasons}</ul>
+      </li>
+    `;
+  }).join('');
+}
 
-  // Update the stored record (preserve isDisabled state)
-  const currentIsDisabled = storedRecords[index].isDisabled;
-  storedRecords[index] = updatedRecord;
-  storedRecords[index].isDisabled = currentIsDisabled; // Preserve the disabled state
-  persistStoredRecords();
+// Show a position from the due list: positions tab, enabled view, no search, its page
+function openFollowUpPosition(positionId) {
+  if (currentEntityType !== 'positions') {
+    window.switchTab('positions');
+  }
+  if (!viewingEnabled) {
+    window.toggleView(true);
+  }
+  if (currentSearchTerm) {
+    const searchInput = document.getElementById('datagrid-search');
+    if (searchInput) searchInput.value = '';
+    window.clearSearch();
+  }
 
-  // Clear editing state
-  editingIndex = -1;
-  originalRecordData = null;
-  
-  // Re-render to show read-only row
-  renderRecordsDisplay();
-  updateHeaderSummary();
-  
-  logger.debug('Record saved:', storedRecords[index]);
+  const filteredIndex = getFilteredRecords().findIndex(record => String(record.id) === String(positionId));
+  if (filteredIndex === -1) {
+    return;
+  }
+  goToPage(Math.floor(filteredIndex / pageSize) + 1);
+
+  const recordIndex = storedRecords.findIndex(record => String(record.id) === String(positionId));
+  const row = document.querySelector(`#recordsDisplay [data-record-index="${recordIndex}"]`);
+  if (row) {
+    row.scrollIntoView?.({ block: 'nearest' });
+    row.classList.add('follow-up--focus');
+    setTimeout(() => row.classList.remove('follow-up--focus'), 2000);
+  }
 }
 
-// Cancel inline edit
-function cancelInlineEdit(index) {
-  // Restore original data if it was modified
-  if (originalRecordData) {
-    storedRecords[index] = { ...originalRecordData };
+function initializeFollowUpPanel() {
+  const list = document.getElementById('followUpList');
+  if (list) {
+    list.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-follow-up-position]');
+      if (button) {
+        openFollowUpPosition(button.getAttribute('data-follow-up-position'));
+      }
+    });
   }
-  
-  // Clear editing state
-  editingIndex = -1;
-  originalRecordData = null;
-  
-  // Re-render to show read-only row
-  renderRecordsDisplay();
 }
 
 // Delete a record
 function deleteRecord(index) {
-  if (confirm('Are you sure you want to delete this record?')) {
+  const record = storedRecords[index];
+  if (!record) {
+    return;
+  }
+
+  const plan = planIntegrityRemoval([record], 'delete');
+  const prompt = {
+    question: 'Are you sure you want to delete this record?',
+    action: 'delete',
+    subject: `this ${getEntityDisplayName(currentEntityType, false).toLowerCase()}`
+  };
+  if (confirmIntegrityRemoval(plan, prompt)) {
+    applyIntegrityEffects(plan);
+
     // Remove from stored records
     storedRecords.splice(index, 1);
+    persistStoredRecords();
     
     // Update selection set (shift indexes down for records after deleted one)
     const newSelectedRecords = new Set();
@@ -1632,6 +5291,8 @@ function updateHeaderForSelection() {
     // Re-initialize toggle after DOM update
     initializeToggle();
     initializeSearchComponent();
+    updateHistoryControls();
+    updateSavedViewControls();
 
   } else {
     // Update header info for normal state
@@ -1659,6 +5320,8 @@ function updateHeaderForSelection() {
     // Re-initialize toggle and DataGridSearch
     initializeToggle();
     initializeSearchComponent();
+    updateHistoryControls();
+    updateSavedViewControls();
 
     // Re-attach add/restore button event listener
     const addBtn = document.getElementById('addBtn');
@@ -1769,8 +5432,16 @@ function handleDeleteSelected() {
 
   const deletedCount = selectedRecords.size; // Capture count before clearing
   const countLabel = formatEntityCount(deletedCount);
+  const plan = planIntegrityRemoval(Array.from(selectedRecords).map(index => storedRecords[index]).filter(Boolean), 'disable');
+  const prompt = {
+    question: `Delete ${deletedCount} selected ${countLabel}?`,
+    action: 'disable',
+    subject: deletedCount === 1 ? `the selected ${countLabel}` : `${deletedCount} selected ${countLabel}`
+  };
+
+  if (confirmIntegrityRemoval(plan, prompt)) {
+    applyIntegrityEffects(plan);
 
-  if (confirm(`Delete ${deletedCount} selected ${countLabel}?`)) {
     // Use the global indices directly from selectedRecords
     selectedRecords.forEach(globalIndex => {
       if (globalIndex >= 0 && globalIndex < storedRecords.length) {
@@ -1802,7 +5473,7 @@ function handleDeleteSelected() {
     }
 
     // Show success notification
-    showTransferNotification(`${deletedCount} ${countLabel} deleted and moved to Disabled view`, 'warning');
+    showTransferNotification(`${deletedCount} ${countLabel} deleted and moved to Disabled view${formatIntegrityEffectsSummary(plan)}`, 'warning');
 
     logger.info(`Selected records soft deleted and removed from enabled view`);
   }
@@ -2266,6 +5937,36 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Initialize toggle switch with proper state management
   initializeToggle();
+
+  // Undo/redo buttons and keyboard shortcuts
+  initializeHistoryControls();
+
+  // CSV import and grid export
+  initializeDataTransferControls();
+
+  // Live computed cells while a row or the form is edited
+  initializeComputedFieldRefresh();
+
+  // Follow-up due list above the grid
+  initializeFollowUpPanel();
+
+  // Click a column title to sort, Shift+click for more columns
+  initializeSorting();
+
+  // Filter panel: per-field conditions in AND/OR groups
+  initializeFilterPanel();
+
+  // Saved views picker: save as, update and delete
+  initializeSavedViewControls();
+
+  // Column chooser, title drag to reorder and resize handles
+  initializeColumnControls();
+
+  // Grid, board and calendar view toggles (the calendar is drawn by CalendarControl)
+  initializeViewModes();
+
+  // Board view for entities with a kanban field
+  initializeKanbanBoard();
   
   // Backup visibility enforcement after a short delay
   setTimeout(() => {
@@ -2305,46 +6006,137 @@ function attachPaginationListeners() {
   }
 }
 
-// Global search variables
+/**
+ * Search
+ * The search box takes the query syntax of jobsearch-query.js: words and "phrases" anywhere in the
+ * record, field:value for one field (named by key or displayName), -negation, comparisons such as
+ * lcontact:>2024-01-01 and OR. A query that does not parse keeps the previous results and shows its
+ * error through DataGridSearch.setErrorState(); the dropdown lists field names and the syntax.
+ * Words are matched by CollectionSearch.matchText(): accents and case are ignored and longer words
+ * may have a typo or two. Without sort keys, results are ordered by score (weighted by each field's
+ * searchWeight), and the matched fragments are marked in the grid cells.
+ */
 let currentSearchTerm = '';
+let currentSearchQuery = null; // currentSearchTerm compiled against currentSchema
 let filteredSearchRecords = [];
 
-function recordMatchesSearchTerm(record, lowerSearchTerm) {
-  return currentFieldOrder.some(fieldName => {
-    const fieldConfig = currentSchema[fieldName];
-    const rawValue = record[fieldName];
-    const displayValue = getFieldDisplayValue(record, fieldName);
+const SEARCH_SYNTAX_HINTS = [
+  { label: 'field:value', description: 'Search one column, e.g. company:acme' },
+  { label: '"exact phrase"', description: 'Match the words together' },
+  { label: '-word', description: 'Leave out records that match' },
+  { label: 'field:>value', description: 'Compare dates and numbers: > >= < <= =' },
+  { label: 'a OR b', description: 'Match either side; ( ) group' }
+];
+
+// Values a field is searched in: what the grid shows, and the stored value when it differs
+function getSearchValues(record, fieldName) {
+  const displayValue = getFieldDisplayValue(record, fieldName);
+  const rawValue = record[fieldName];
+  return currentSchema[fieldName]?.computed || displayValue === rawValue ? [displayValue] : [rawValue, displayValue];
+}
 
-    const valuesToCheck = [];
-    
-    // For computed fields, only use the display value since rawValue won't exist in the record
-    if (fieldConfig?.computed) {
-      if (isValueProvided(displayValue)) {
-        valuesToCheck.push(displayValue);
-      }
-    } else {
-      // For regular fields, check both raw and display values
-      if (isValueProvided(rawValue)) {
-        valuesToCheck.push(rawValue);
-      }
-      if (displayValue !== rawValue && isValueProvided(displayValue)) {
-        valuesToCheck.push(displayValue);
-      }
-    }
+function recordMatchesSearchQuery(record, query = currentSearchQuery) {
+  return !query || query.matches(record, getSearchValues);
+}
 
-    return valuesToCheck.some(value => {
-      const stringValue = String(value).toLowerCase();
-      return stringValue.includes(lowerSearchTerm);
-    });
+function matchSearchWord(word, value, { phrase = false } = {}) {
+  return window.CollectionSearch.matchText(word, value, { fuzzy: !phrase }).score;
+}
+
+function compileCurrentSearchQuery(searchTerm) {
+  return window.JobSearchQuery.compileSearchQuery(searchTerm, {
+    schema: currentSchema,
+    fields: currentFieldOrder,
+    matchText: matchSearchWord
   });
 }
 
+/**
+ * Records of the current view that match a query; by score unless the user sorted the grid
+ */
+function getSearchResults(query = currentSearchQuery) {
+  const matches = getFilteredRecords().filter(record => recordMatchesSearchQuery(record, query));
+  if (!query || getSortKeys().length > 0) {
+    return matches;
+  }
+  return matches
+    .map((record, index) => ({ record, index, score: query.score(record, getSearchValues) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.record);
+}
+
+/**
+ * A read-mode cell's text as HTML, with the words of the current search marked
+ */
+function highlightSearchMatches(fieldName, displayValue) {
+  const text = displayValue ?? '';
+  const terms = currentSearchQuery?.getHighlightTerms(fieldName) || [];
+  if (terms.length === 0 || !isValueProvided(text)) {
+    return escapeHtml(text);
+  }
+  const ranges = terms.flatMap(term =>
+    window.CollectionSearch.matchText(term.value, text, { fuzzy: !term.phrase }).ranges);
+  return window.CollectionSearch.highlightText(text, ranges, 'search-match');
+}
+
+// Shortest name for a field in a query: a one-word displayName, otherwise the key
+function getSearchFieldAlias(fieldName) {
+  const displayName = currentSchema[fieldName]?.displayName || '';
+  return displayName && !/\s/.test(displayName) ? displayName.toLowerCase() : fieldName;
+}
+
+/**
+ * Dropdown hints for the search box: columns whose name starts like the word being typed, otherwise
+ * the syntax
+ */
+function getSearchHints(searchTerm) {
+  const { normalizeSearchFieldName } = window.JobSearchQuery;
+  const match = /(^|\s)(-?)([A-Za-z_][\w-]*)$/.exec(searchTerm);
+  const partial = match ? normalizeSearchFieldName(match[3]) : '';
+
+  if (partial) {
+    const fieldHints = currentVisibleFieldOrder
+      .filter(fieldName => currentSchema[fieldName])
+      .filter(fieldName => [fieldName, currentSchema[fieldName].displayName || '', getSearchFieldAlias(fieldName)]
+        .some(name => normalizeSearchFieldName(name).startsWith(partial)))
+      .slice(0, 6)
+      .map(fieldName => {
+        const alias = getSearchFieldAlias(fieldName);
+        return {
+          label: `${alias}:`,
+          description: currentSchema[fieldName].displayName || fieldName,
+          value: `${searchTerm.slice(0, match.index + match[1].length)}${match[2]}${alias}:`
+        };
+      });
+    if (fieldHints.length > 0) {
+      return fieldHints;
+    }
+  }
+  return searchTerm.trim() ? [] : SEARCH_SYNTAX_HINTS;
+}
+
 // Global search function for DataGridSearch integration
 window.performGlobalSearch = function(searchTerm) {
-  currentSearchTerm = searchTerm.toLowerCase().trim();
-  logger.debug('Search for:', searchTerm);
+  const term = String(searchTerm ?? '').trim();
+  logger.debug('Search for:', term);
+
+  let query = null;
+  try {
+    query = term ? compileCurrentSearchQuery(term) : null;
+  } catch (error) {
+    if (!(error instanceof window.JobSearchQuery.SearchQueryError)) {
+      throw error;
+    }
+    logger.debug('Search query error:', error.message);
+    window.formMockSearch?.setErrorState(true, error.message);
+    return;
+  }
+  window.formMockSearch?.setErrorState(false);
 
-  if (!currentSearchTerm) {
+  currentSearchTerm = term;
+  currentSearchQuery = query;
+  if (!query || query.isEmpty) {
+    currentSearchTerm = '';
     filteredSearchRecords = [];
     currentPage = 1;
     renderRecordsDisplay();
@@ -2352,10 +6144,9 @@ window.performGlobalSearch = function(searchTerm) {
     return;
   }
 
-  const baseRecords = getFilteredRecords();
-  filteredSearchRecords = baseRecords.filter(record => recordMatchesSearchTerm(record, currentSearchTerm));
+  filteredSearchRecords = getSearchResults(query);
 
-  logger.debug(`Found ${filteredSearchRecords.length} matches for "${searchTerm}"`);
+  logger.debug(`Found ${filteredSearchRecords.length} matches for "${term}"`);
 
   currentPage = 1;
   renderRecordsDisplay();
@@ -2366,6 +6157,8 @@ window.performGlobalSearch = function(searchTerm) {
 window.clearSearch = function() {
   logger.debug('Clearing global search');
   currentSearchTerm = '';
+  currentSearchQuery = null;
+  window.formMockSearch?.setErrorState(false);
   filteredSearchRecords = [];
   currentPage = 1;
   renderRecordsDisplay();
@@ -2374,21 +6167,21 @@ window.clearSearch = function() {
 
 /**
  * Get filtered records based on current toggle state
- * Returns all available records filtered by enabled/disabled state
+ * Returns all available records filtered by enabled/disabled state and the filter panel, in the current sort order
  */
 function getFilteredRecords() {
   try {
     if (storedRecords && storedRecords.length > 0) {
-      return viewingEnabled
+      return sortRecords(applyRecordFilters(viewingEnabled
         ? storedRecords.filter(record => !record.isDisabled)
-        : storedRecords.filter(record => record.isDisabled);
+        : storedRecords.filter(record => record.isDisabled)));
     }
 
     const entityData = jobSearchData?.jobsearch?.[currentEntityType]?.data;
     if (Array.isArray(entityData)) {
-      return viewingEnabled
+      return sortRecords(applyRecordFilters(viewingEnabled
         ? entityData.filter(record => !record.isDisabled)
-        : entityData.filter(record => record.isDisabled);
+        : entityData.filter(record => record.isDisabled)));
     }
 
     return [];
@@ -2420,10 +6213,7 @@ function filterRecords(searchTerm) {
       return getFilteredRecords(); // Return all filtered records if no search term
     }
 
-    const lowerSearchTerm = searchTerm.toLowerCase();
-    const baseRecords = getFilteredRecords();
-
-    return baseRecords.filter(record => recordMatchesSearchTerm(record, lowerSearchTerm));
+    return getSearchResults(compileCurrentSearchQuery(searchTerm));
   } catch (error) {
     logger.error('Error filtering records:', error);
     return [];
@@ -2447,6 +6237,302 @@ window.applySearch = applySearch;
 window.filterRecords = filterRecords;
 window.clearSearchFilter = clearSearchFilter;
 
+/**
+ * Saved views
+ * Named setups of the grid per entity (jobsearch-saved-views.js): search, filters, sort, column
+ * order, visibility and widths, page size and the enabled/disabled toggle. The picker in the header
+ * controls applies a view and remembers it as the entity's view for the next visit; switching tabs
+ * brings an entity back as it was left. "Save as" stores the current setup under a new name,
+ * "Update" overwrites the selected view with it, and any view but Default can be deleted.
+ */
+const savedViewStore = window.JobSearchSavedViews ? new window.JobSearchSavedViews.SavedViewStore() : null;
+const entitySavedViewIds = new Map(); // Selected view per entity
+const entityWorkingViewStates = new Map(); // Setup an entity was left in, restored by switchTab
+
+function getPageSizeOptions() {
+  const options = Array.from(document.querySelectorAll('#pageSizeSelect option'), option => Number(option.value));
+  return options.length > 0 ? options : [CONFIG.DEFAULT_PAGE_SIZE];
+}
+
+function normalizeViewState(state) {
+  return window.JobSearchSavedViews.normalizeSavedViewState(state, {
+    schema: currentSchema,
+    columns: getVisibleFieldOrder(),
+    pageSizes: getPageSizeOptions(),
+    defaultPageSize: CONFIG.DEFAULT_PAGE_SIZE
+  });
+}
+
+function captureViewState() {
+  return normalizeViewState({
+    search: currentSearchTerm,
+    filters: getEntityFilter(),
+    sort: getSortKeys(),
+    columns: getColumnLayout(),
+    pageSize,
+    viewingEnabled
+  });
+}
+
+function getSelectedSavedView(entityType = currentEntityType) {
+  if (!savedViewStore) {
+    return null;
+  }
+  const viewId = entitySavedViewIds.get(entityType) || savedViewStore.getActiveViewId(entityType);
+  return savedViewStore.getView(entityType, viewId) || savedViewStore.getView(entityType, window.JobSearchSavedViews.DEFAULT_SAVED_VIEW_ID);
+}
+
+function isSavedViewModified() {
+  const view = getSelectedSavedView();
+  return Boolean(view) && !window.JobSearchSavedViews.areSavedViewStatesEqual(normalizeViewState(view.state), captureViewState());
+}
+
+/**
+ * Set the grid state from a view state without rendering; a search that no longer parses is dropped
+ */
+function setViewState(state) {
+  const normalized = normalizeViewState(state);
+  entityFilters.set(currentEntityType, normalized.filters);
+  entitySortKeys.set(currentEntityType, normalized.sort);
+  setColumnLayout(normalized.columns);
+  pageSize = normalized.pageSize;
+  viewingEnabled = normalized.viewingEnabled;
+
+  currentSearchTerm = '';
+  currentSearchQuery = null;
+  filteredSearchRecords = [];
+  if (normalized.search) {
+    try {
+      const query = compileCurrentSearchQuery(normalized.search);
+      if (!query.isEmpty) {
+        currentSearchTerm = normalized.search;
+        currentSearchQuery = query;
+        filteredSearchRecords = getSearchResults(query);
+      }
+    } catch (error) {
+      if (!(error instanceof window.JobSearchQuery.SearchQueryError)) {
+        throw error;
+      }
+      logger.warn(`Saved search "${normalized.search}" no longer applies:`, error.message);
+    }
+  }
+  currentPage = 1;
+}
+
+// Called by initializeEntity: the state the entity was left in, otherwise its selected view
+function loadSavedViewState(entityType) {
+  if (!savedViewStore) {
+    return;
+  }
+  const workingState = entityWorkingViewStates.get(entityType);
+  const viewState = workingState || getSelectedSavedView(entityType)?.state || null;
+  // Columns as the user last left them, even when that differs from the view
+  const columnLayout = workingState ? null : savedViewStore.getColumnLayout(entityType);
+  setViewState(columnLayout ? { ...viewState, columns: columnLayout } : viewState);
+
+  const enableToggle = document.getElementById('enableToggle');
+  if (enableToggle) {
+    enableToggle.checked = viewingEnabled;
+  }
+  updateToggleBasedUI();
+}
+
+function rememberSavedViewState() {
+  if (savedViewStore && jobSearchData?.jobsearch?.[currentEntityType]) {
+    entityWorkingViewStates.set(currentEntityType, captureViewState());
+  }
+}
+
+function applySavedView(viewId) {
+  const view = savedViewStore?.getView(currentEntityType, viewId);
+  if (!view) {
+    return;
+  }
+  if (editingIndex !== -1) {
+    cancelInlineEdit(editingIndex);
+  }
+
+  entitySavedViewIds.set(currentEntityType, view.id);
+  savedViewStore.setActiveViewId(currentEntityType, view.id);
+  setViewState(view.state);
+  savedViewStore.setColumnLayout(currentEntityType, getColumnLayout());
+  selectedRecords = new Set();
+  masterCheckboxState = false;
+
+  const enableToggle = document.getElementById('enableToggle');
+  if (enableToggle) {
+    enableToggle.checked = viewingEnabled;
+  }
+  updateToggleBasedUI();
+  window.formMockSearch?.setErrorState(false);
+  window.formMockSearch?.setSearchTerm(currentSearchTerm);
+  renderFilterPanel();
+  renderColumnMenu();
+  renderTitleFromSchema();
+  renderRecordsDisplay();
+  updatePagination();
+  updateHeaderForSelection();
+}
+
+function createSavedViewOptionsHTML() {
+  const selected = getSelectedSavedView();
+  const modified = isSavedViewModified();
+  return savedViewStore.listViews(currentEntityType)
+    .map(view => {
+      const isSelected = view.id === selected?.id;
+      const label = isSelected && modified ? `${view.name} (modified)` : view.name;
+      return `<option value="${escapeHtml(view.id)}"${isSelected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    })
+    .join('');
+}
+
+// Options are written with `selected` so the outerHTML copy in updateHeaderForSelection keeps the choice
+function updateSavedViewControls() {
+  const select = document.getElementById('savedViewSelect');
+  if (!select || !savedViewStore) {
+    return;
+  }
+  select.innerHTML = createSavedViewOptionsHTML();
+
+  const selected = getSelectedSavedView();
+  const modified = isSavedViewModified();
+  const updateButton = document.querySelector('[data-saved-view-action="update"]');
+  if (updateButton) {
+    updateButton.disabled = !modified;
+    updateButton.title = modified ? `Update "${selected.name}" with the current setup` : 'The view matches the current setup';
+  }
+  const deleteButton = document.querySelector('[data-saved-view-action="delete"]');
+  if (deleteButton) {
+    const isDefault = selected?.id === window.JobSearchSavedViews.DEFAULT_SAVED_VIEW_ID;
+    deleteButton.disabled = isDefault;
+    deleteButton.title = isDefault ? 'The Default view cannot be deleted' : `Delete "${selected.name}"`;
+  }
+}
+
+async function saveCurrentViewAs() {
+  const { SavedViewError } = window.JobSearchSavedViews;
+  let saved = null;
+
+  await window.JobSearchDialog.open({
+    title: `Save ${getEntityDisplayName().toLowerCase()} view`,
+    body: `
+      <label class="saved-view-dialog__label" for="savedViewName">View name</label>
+      <input type="text" id="savedViewName" class="saved-view-dialog__input" maxlength="60" autocomplete="off" autofocus />
+      <p class="saved-view-dialog__error" role="alert" hidden></p>
+      <p class="saved-view-dialog__hint">Saves the search, filters, sort, columns, page size and the ${viewingEnabled ? 'enabled' : 'disabled'} records toggle.</p>
+    `,
+    actions: [
+      { id: 'save', label: 'Save view', variant: 'primary' },
+      { id: 'cancel', label: 'Cancel' }
+    ],
+    onOpen: (panel) => {
+      panel.querySelector('#savedViewName').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          panel.querySelector('[data-dialog-action="save"]').click();
+        }
+      });
+    },
+    onAction: (action, panel) => {
+      if (action !== 'save') {
+        return true;
+      }
+      try {
+        saved = savedViewStore.saveView(currentEntityType, {
+          name: panel.querySelector('#savedViewName').value,
+          state: captureViewState()
+        });
+        return true;
+      } catch (error) {
+        if (!(error instanceof SavedViewError)) {
+          throw error;
+        }
+        const message = panel.querySelector('.saved-view-dialog__error');
+        message.textContent = error.message;
+        message.hidden = false;
+        panel.querySelector('#savedViewName').focus();
+        return false;
+      }
+    }
+  });
+
+  if (saved) {
+    entitySavedViewIds.set(currentEntityType, saved.id);
+    savedViewStore.setActiveViewId(currentEntityType, saved.id);
+    updateSavedViewControls();
+    showTransferNotification(`Saved view "${saved.name}"`, 'success');
+  }
+}
+
+function updateSelectedSavedView() {
+  const view = getSelectedSavedView();
+  if (!view) {
+    return;
+  }
+  savedViewStore.saveView(currentEntityType, { id: view.id, state: captureViewState() });
+  updateSavedViewControls();
+  showTransferNotification(`Updated view "${view.name}"`, 'success');
+}
+
+async function deleteSelectedSavedView() {
+  const view = getSelectedSavedView();
+  if (!view || view.id === window.JobSearchSavedViews.DEFAULT_SAVED_VIEW_ID) {
+    return;
+  }
+
+  const { action } = await window.JobSearchDialog.open({
+    title: 'Delete view',
+    body: `<p>Delete the view "${escapeHtml(view.name)}"? The grid keeps its current setup.</p>`,
+    actions: [
+      { id: 'delete', label: 'Delete view', variant: 'danger' },
+      { id: 'cancel', label: 'Cancel' }
+    ]
+  });
+  if (action !== 'delete') {
+    return;
+  }
+
+  savedViewStore.deleteView(currentEntityType, view.id);
+  entitySavedViewIds.set(currentEntityType, window.JobSearchSavedViews.DEFAULT_SAVED_VIEW_ID);
+  updateSavedViewControls();
+  showTransferNotification(`Deleted view "${view.name}"`, 'success');
+}
+
+function handleSavedViewError(error) {
+  logger.error('Error saving views:', error);
+  showTransferNotification(`Could not save views: ${error.message}`, 'warning');
+}
+
+function initializeSavedViewControls() {
+  // Delegated: the header controls are re-rendered when the selection changes
+  document.addEventListener('change', (event) => {
+    const select = event.target.closest('#savedViewSelect');
+    if (select) {
+      try {
+        applySavedView(select.value);
+      } catch (error) {
+        handleSavedViewError(error);
+      }
+    }
+  });
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-saved-view-action]');
+    if (!button || !savedViewStore) {
+      return;
+    }
+    event.preventDefault();
+    const actions = {
+      'save-as': saveCurrentViewAs,
+      update: updateSelectedSavedView,
+      delete: deleteSelectedSavedView
+    };
+    Promise.resolve()
+      .then(() => actions[button.getAttribute('data-saved-view-action')]?.())
+      .catch(handleSavedViewError);
+  });
+  updateSavedViewControls();
+}
+
 // DataGridSearch class has been moved to DataGrid.js
 
 // Export for module usage
@@ -2464,16 +6550,20 @@ if (typeof window !== 'undefined') {
 
 // Tab switching functionality
 window.switchTab = function(tabName) {
-    
-    // Activate selected tab
-    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
-    const mainContentPanel = document.getElementById('main-content-panel');
-    if (mainContentPanel) {
-        mainContentPanel.classList.add('active');
-    }
+    try {
+      // Deactivate all tabs
+      document.querySelectorAll('.tab-button').forEach(button => button.classList.remove('active'));
+
+      // Activate selected tab
+      document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+      const mainContentPanel = document.getElementById('main-content-panel');
+      if (mainContentPanel) {
+          mainContentPanel.classList.add('active');
+      }
 
       const entityKey = TAB_ENTITY_MAP[tabName] || tabName;
       if (jobSearchData?.jobsearch?.[entityKey]) {
+          rememberSavedViewState();
           initializeEntity(entityKey);
       } else {
           logger.warn(`No data available for tab "${tabName}"`);
@@ -2490,9 +6580,13 @@ window.switchTab = function(tabName) {
 // Update statistics function
 function updateStatistics() {
     if (typeof storedRecords !== 'undefined' && storedRecords) {
-        const totalRecords = storedRecords.length;
-        const enabledRecords = storedRecords.filter(record => !record.isDisabled).length;
-        const disabledRecords = storedRecords.filter(record => record.isDisabled).length;
+        // The bar counts positions whichever tab is open
+        const positionRecords = currentEntityType === 'positions'
+            ? storedRecords
+            : jobSearchData?.jobsearch?.positions?.data || [];
+        const totalRecords = positionRecords.length;
+        const enabledRecords = positionRecords.filter(record => !record.isDisabled).length;
+        const disabledRecords = positionRecords.filter(record => record.isDisabled).length;
 
         const totalEl = document.getElementById('totalPositions');
         const activeEl = document.getElementById('activePositions');
@@ -2501,6 +6595,14 @@ function updateStatistics() {
         if (activeEl) activeEl.textContent = enabledRecords;
         if (archivedEl) archivedEl.textContent = disabledRecords;
 
+        if (window.JobSearchFollowUp) {
+            const followUps = window.JobSearchFollowUp.summarizeFollowUps(followUpItems);
+            const dueEl = document.getElementById('followUpsDue');
+            const urgentEl = document.getElementById('followUpsUrgent');
+            if (dueEl) dueEl.textContent = followUps.due;
+            if (urgentEl) urgentEl.textContent = followUps.urgent;
+        }
+
         // Update current page display
         if (typeof currentPage !== 'undefined') {
             const currentPageEl = document.getElementById('currentPage');
@@ -2530,6 +6632,15 @@ if (typeof window.originalUpdatePagination === 'undefined') {
     };
 }
 
+// Record every user-facing mutation on the undo/redo history
+['saveFormData', 'saveInlineEdit', 'deleteRecord', 'handleDeleteSelected', 'handleRestoreSelected', 'handleAddRestoreButtonClick',
+    'revertRecordToAuditEntry', 'commitCsvImport', 'commitImportChanges', 'moveKanbanCard', 'rescheduleCalendarRecord']
+    .forEach(functionName => {
+        if (typeof window[functionName] === 'function') {
+            window[functionName] = withHistory(window[functionName]);
+        }
+    });
+
 // Hook into FormMock save operations to update statistics
 if (typeof window.originalSaveFormData === 'undefined' && typeof window.saveFormData === 'function') {
     window.originalSaveFormData = window.saveFormData;
@@ -6,7 +6,9 @@
  * 
  * Features:
  * - Real-time search with debouncing
- * - Alert-based result display
+ * - Typo-tolerant, accent- and case-insensitive matching ranked by score
+ * - Per-field weights (fieldWeights option or searchWeight in a schema)
+ * - Alert-based result display with highlighted matches
  * - Customizable search logic via callbacks
  * - Clear button management
  * - Event handling and cleanup
@@ -39,6 +41,11 @@ class CollectionSearch {
             searchFields: [], // Fields to search in (for objects)
             caseSensitive: false,
             exactMatch: false,
+            fuzzy: true, // Allow typos (edit distance scaled to the length of each word)
+            fieldWeights: {}, // { field: weight } - matches in heavier fields rank higher
+            schema: null, // Field configs; a field's searchWeight is used when fieldWeights has none
+            displayField: null, // Field shown for object results (defaults to the first search field)
+            maxDisplayResults: 10, // Results listed under the alert; 0 shows only the alert
             onSearch: null, // Custom search function
             onResult: null, // Custom result handler
             onClear: null,  // Callback for clear events
@@ -53,6 +60,7 @@ class CollectionSearch {
         this.isSearching = false;
         this.lastSearchTerm = '';
         this.lastResults = [];
+        this.lastMatches = [];
         
         // Find elements
         this.input = this.element.querySelector('.CollectionSearch__input');
@@ -267,46 +275,104 @@ class CollectionSearch {
     
     defaultSearch(searchTerm) {
         if (!searchTerm) {
+            this.lastMatches = [];
             return [];
         }
         
         const collection = this.options.collection || [];
-        const searchFields = this.options.searchFields || [];
-        const caseSensitive = this.options.caseSensitive;
-        const exactMatch = this.options.exactMatch;
-        
-        const normalizedTerm = caseSensitive ? searchTerm : searchTerm.toLowerCase();
+        const words = this.getSearchWords(searchTerm);
+        const matches = [];
         
-        return collection.filter(item => {
-            // Handle string items
-            if (typeof item === 'string') {
-                const normalizedItem = caseSensitive ? item : item.toLowerCase();
-                return exactMatch ? 
-                    normalizedItem === normalizedTerm : 
-                    normalizedItem.includes(normalizedTerm);
-            }
+        collection.forEach((item, position) => {
+            const fields = this.getItemSearchFields(item);
+            const ranges = {};
+            let score = 0;
             
-            // Handle object items
-            if (typeof item === 'object' && item !== null) {
-                // If no search fields specified, search all string properties
-                const fieldsToSearch = searchFields.length > 0 ? 
-                    searchFields : 
-                    Object.keys(item).filter(key => typeof item[key] === 'string');
-                
-                return fieldsToSearch.some(field => {
-                    const value = item[field];
-                    if (typeof value === 'string') {
-                        const normalizedValue = caseSensitive ? value : value.toLowerCase();
-                        return exactMatch ?
-                            normalizedValue === normalizedTerm :
-                            normalizedValue.includes(normalizedTerm);
+            // Every word has to match somewhere; its best weighted field counts towards the score
+            const allWordsMatch = words.every(word => {
+                let best = 0;
+                fields.forEach(field => {
+                    const value = field === null ? item : item[field];
+                    const match = CollectionSearch.matchText(word, value, this.getMatchOptions());
+                    if (match.score > 0) {
+                        const key = field ?? '';
+                        ranges[key] = (ranges[key] || []).concat(match.ranges);
+                        best = Math.max(best, match.score * this.getFieldWeight(field));
                     }
-                    return false;
                 });
-            }
+                score += best;
+                return best > 0;
+            });
             
-            return false;
+            if (allWordsMatch) {
+                matches.push({ item, score: score / words.length, ranges, position });
+            }
+        });
+        
+        // Best score first; equal scores keep the collection order
+        matches.sort((a, b) => b.score - a.score || a.position - b.position);
+        this.lastMatches = matches;
+        return matches.map(match => match.item);
+    }
+    
+    getSearchWords(searchTerm) {
+        const term = String(searchTerm).trim();
+        return this.options.exactMatch ? [term] : term.split(/\s+/).filter(Boolean);
+    }
+    
+    getMatchOptions() {
+        return {
+            fuzzy: this.options.fuzzy,
+            caseSensitive: this.options.caseSensitive,
+            exactMatch: this.options.exactMatch
+        };
+    }
+    
+    // null stands for a string item itself
+    getItemSearchFields(item) {
+        if (typeof item === 'string') {
+            return [null];
+        }
+        if (typeof item !== 'object' || item === null) {
+            return [];
+        }
+        const searchFields = this.options.searchFields || [];
+        return searchFields.length > 0 ?
+            searchFields.filter(field => typeof item[field] === 'string') :
+            Object.keys(item).filter(key => typeof item[key] === 'string');
+    }
+    
+    getFieldWeight(field) {
+        if (field === null) {
+            return 1;
+        }
+        const weight = Number(this.options.fieldWeights?.[field] ?? this.options.schema?.[field]?.searchWeight ?? 1);
+        return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+    }
+    
+    /**
+     * Where the words of a search term match an item, per field ('' for string items)
+     * @returns {Object<string, Array<[number, number]>>}
+     */
+    getMatchRanges(searchTerm, item) {
+        const known = this.lastMatches.find(match => match.item === item);
+        if (known && searchTerm === this.lastSearchTerm) {
+            return known.ranges;
+        }
+        
+        // Results from an onSearch callback are highlighted with the default matching
+        const ranges = {};
+        this.getSearchWords(searchTerm).forEach(word => {
+            this.getItemSearchFields(item).forEach(field => {
+                const value = field === null ? item : item[field];
+                const match = CollectionSearch.matchText(word, value, this.getMatchOptions());
+                if (match.score > 0) {
+                    const key = field ?? '';
+                    ranges[key] = (ranges[key] || []).concat(match.ranges);
+                }
+            });
         });
+        return ranges;
     }
     
     handleResults(searchTerm, results) {
@@ -346,9 +412,40 @@ class CollectionSearch {
                 `Items found matching "${searchTerm}".`;
             
             this.displayAlert('success', title, message);
+            this.displayResultList(searchTerm, results);
         }
     }
     
+    displayResultList(searchTerm, results) {
+        const limit = this.options.maxDisplayResults;
+        if (!limit || limit <= 0) {
+            return;
+        }
+        
+        const items = results.slice(0, limit).map(item => {
+            const ranges = this.getMatchRanges(searchTerm, item);
+            if (typeof item === 'string') {
+                return `<li class="CollectionSearch__result">${CollectionSearch.highlightText(item, ranges[''])}</li>`;
+            }
+            
+            const fields = this.getItemSearchFields(item);
+            const displayField = this.options.displayField || fields[0];
+            const title = item?.[displayField] ?? '';
+            // Show the other fields a match was found in, so a hit outside the title is visible
+            const details = fields
+                .filter(field => field !== displayField && ranges[field])
+                .map(field => `<span class="CollectionSearch__result-field">${this.escapeHTML(field)}: ${CollectionSearch.highlightText(item[field], ranges[field])}</span>`)
+                .join('');
+            return `<li class="CollectionSearch__result">
+                <span class="CollectionSearch__result-title">${CollectionSearch.highlightText(title, ranges[displayField])}</span>${details}
+            </li>`;
+        });
+        const more = results.length > limit ?
+            `<li class="CollectionSearch__result CollectionSearch__result--more">and ${results.length - limit} more</li>` : '';
+        
+        this.results.insertAdjacentHTML('beforeend', `<ul class="CollectionSearch__result-list">${items.join('')}${more}</ul>`);
+    }
+    
     displayAlert(type, title, message) {
         const alertHTML = `
             <div class="CollectionSearch__alert CollectionSearch__alert--${type}">
@@ -375,6 +472,7 @@ class CollectionSearch {
         this.updateClearButtonVisibility();
         this.lastSearchTerm = '';
         this.lastResults = [];
+        this.lastMatches = [];
         this.clearResults();
         
         // Call clear callback
@@ -426,6 +524,11 @@ class CollectionSearch {
         return this.lastResults;
     }
     
+    // [{ item, score, ranges }] of the last default search, best first
+    getMatches() {
+        return this.lastMatches;
+    }
+    
     setCollection(collection, searchFields = null) {
         this.options.collection = collection || [];
         if (searchFields) {
@@ -487,6 +590,7 @@ class CollectionSearch {
         this.loading = null;
         this.options = null;
         this.lastResults = null;
+        this.lastMatches = null;
         
         console.log('CollectionSearch: Destroyed');
     }
@@ -508,6 +612,182 @@ class CollectionSearch {
         console.log(`CollectionSearch: Initialized ${instances.length} instances`);
         return instances;
     }
+    
+    // ========== Matching (no DOM; also used by the jobsearch grid) ==========
+    
+    /**
+     * Fold text for comparison: accents removed ("é" → "e") and, unless caseSensitive, lower case.
+     * indexMap[i] is the index in the original text of normalized character i (plus one entry for the end).
+     */
+    static normalizeText(text, { caseSensitive = false } = {}) {
+        const source = String(text ?? '');
+        const indexMap = [];
+        let normalized = '';
+        
+        for (let index = 0; index < source.length; index++) {
+            let folded = source[index].normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            if (!caseSensitive) {
+                folded = folded.toLowerCase();
+            }
+            for (const char of folded) {
+                normalized += char;
+                indexMap.push(index);
+            }
+        }
+        indexMap.push(source.length);
+        
+        return { text: normalized, indexMap };
+    }
+    
+    /**
+     * Optimal string alignment distance: insertions, deletions, substitutions and swapped neighbours.
+     * Gives up early and returns maxDistance + 1 once the distance is known to be larger.
+     */
+    static editDistance(a, b, maxDistance = Infinity) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+        
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMinimum = Math.min(rowMinimum, current[j]);
+            }
+            if (rowMinimum > maxDistance) {
+                return maxDistance + 1;
+            }
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+    
+    // Typos allowed in a word: none up to 3 characters or with digits (dates, numbers), then 1, and 2 from 6 characters
+    static getMaxTypos(word) {
+        if (word.length <= 3 || /\d/.test(word)) {
+            return 0;
+        }
+        return word.length <= 5 ? 1 : 2;
+    }
+    
+    /**
+     * Score how well a search word matches a text.
+     * 1 for the whole text, 0.9 at the start of a word, 0.75 inside a word, and below 0.6 for
+     * matches with typos (less the more typos). A term with spaces matches as a phrase without typos.
+     * @param {string} term
+     * @param {*} text
+     * @param {Object} [options] - fuzzy, caseSensitive, exactMatch
+     * @returns {{score: number, ranges: Array<[number, number]>}} ranges are [start, end) in the original text
+     */
+    static matchText(term, text, { fuzzy = true, caseSensitive = false, exactMatch = false } = {}) {
+        const noMatch = { score: 0, ranges: [] };
+        if (text === undefined || text === null) {
+            return noMatch;
+        }
+        const needle = CollectionSearch.normalizeText(term, { caseSensitive }).text.trim();
+        const haystack = CollectionSearch.normalizeText(text, { caseSensitive });
+        if (!needle || !haystack.text) {
+            return noMatch;
+        }
+        const toRange = (start, end) => [haystack.indexMap[start], haystack.indexMap[end]];
+        
+        if (exactMatch) {
+            return haystack.text === needle ? { score: 1, ranges: [toRange(0, haystack.text.length)] } : noMatch;
+        }
+        
+        const ranges = [];
+        let score = 0;
+        let position = haystack.text.indexOf(needle);
+        while (position !== -1) {
+            const atWordStart = position === 0 || !/[\p{L}\p{N}]/u.test(haystack.text[position - 1]);
+            score = Math.max(score, needle.length === haystack.text.length ? 1 : atWordStart ? 0.9 : 0.75);
+            ranges.push(toRange(position, position + needle.length));
+            position = haystack.text.indexOf(needle, position + needle.length);
+        }
+        if (ranges.length > 0 || !fuzzy || /\s/.test(needle)) {
+            return { score, ranges };
+        }
+        
+        // Compare with each word, and with the start of longer words (the user may not have finished typing)
+        const maxTypos = CollectionSearch.getMaxTypos(needle);
+        if (maxTypos === 0) {
+            return noMatch;
+        }
+        let fewestTypos = maxTypos + 1;
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        let word;
+        while ((word = wordPattern.exec(haystack.text)) !== null) {
+            const candidates = [word[0]];
+            for (let length = needle.length - 1; length <= needle.length + 1; length++) {
+                if (length > 0 && length < word[0].length) {
+                    candidates.push(word[0].slice(0, length));
+                }
+            }
+            candidates.forEach(candidate => {
+                const typos = CollectionSearch.editDistance(needle, candidate, maxTypos);
+                if (typos > maxTypos || typos > fewestTypos) {
+                    return;
+                }
+                if (typos < fewestTypos) {
+                    fewestTypos = typos;
+                    ranges.length = 0;
+                }
+                const range = toRange(word.index, word.index + candidate.length);
+                const sameStart = ranges.find(existing => existing[0] === range[0]);
+                if (sameStart) {
+                    sameStart[1] = Math.max(sameStart[1], range[1]);
+                } else {
+                    ranges.push(range);
+                }
+            });
+        }
+        
+        return fewestTypos > maxTypos ? noMatch : { score: 0.6 * (1 - fewestTypos / (needle.length + 1)), ranges };
+    }
+    
+    /**
+     * Escape text for HTML and wrap the given ranges in <mark>
+     * @param {*} text
+     * @param {Array<[number, number]>} [ranges]
+     * @param {string} [className]
+     * @returns {string} HTML
+     */
+    static highlightText(text, ranges = [], className = 'CollectionSearch__mark') {
+        const source = String(text ?? '');
+        const escape = value => value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+        
+        // Overlapping ranges (several words matching the same text) become one mark
+        const merged = [];
+        (ranges || []).slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else if (end > start) {
+                merged.push([start, end]);
+            }
+        });
+        
+        let html = '';
+        let cursor = 0;
+        merged.forEach(([start, end]) => {
+            html += `${escape(source.slice(cursor, start))}<mark class="${className}">${escape(source.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+        return html + escape(source.slice(cursor));
+    }
 }
 
 // Export for module usage
@@ -476,8 +476,14 @@ Object.assign(DataGrid.prototype, {
     handleSearch(searchTerm) {
         this.searchTerm = searchTerm.trim();
         this.currentPage = 1;
-        this.calculatePagination();
-        this.render();
+
+        // Remote searches wait for typing to pause instead of querying on every keystroke
+        if (this.isRemote()) {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.updateView(), this.config.searchDebounce);
+        } else {
+            this.updateView();
+        }
         
         dgLogger.debug(`Search performed: "${this.searchTerm}"`);
     },
@@ -486,10 +492,10 @@ Object.assign(DataGrid.prototype, {
      * Clear search
      */
     clearSearch() {
+        clearTimeout(this.searchTimer);
         this.searchTerm = '';
         this.currentPage = 1;
-        this.calculatePagination();
-        this.render();
+        this.updateView();
         
         dgLogger.debug('Search cleared');
     },
@@ -501,8 +507,7 @@ Object.assign(DataGrid.prototype, {
         this.viewingEnabled = event.target.checked;
         this.selectedRecords.clear();
         this.currentPage = 1;
-        this.calculatePagination();
-        this.render();
+        this.updateView();
         
         dgLogger.info(`Toggle changed to: ${this.viewingEnabled ? 'enabled' : 'disabled'} view`);
     },
@@ -516,7 +521,7 @@ Object.assign(DataGrid.prototype, {
         }
         
         this.currentPage = page;
-        this.render();
+        this.updateView();
         
         dgLogger.debug(`Navigated to page ${page}`);
     },
@@ -527,8 +532,7 @@ Object.assign(DataGrid.prototype, {
     changePageSize(newSize) {
         this.config.pageSize = newSize;
         this.currentPage = 1;
-        this.calculatePagination();
-        this.render();
+        this.updateView();
         
         dgLogger.debug(`Page size changed to ${newSize}`);
     }
@@ -11,6 +11,7 @@
  * - Selection management
  * - Inline editing
  * - Data state management (enabled/disabled)
+ * - Remote data sources (server-side paging, search and sort via DataGridRemoteSource)
  */
 
 // Create logger instance
@@ -91,6 +92,10 @@ class DataGrid {
             onDataChange: config.onDataChange || null,
             onSelectionChange: config.onSelectionChange || null,
             foreignKeyResolvers: config.foreignKeyResolvers || {},
+            // Remote mode: an object with fetchPage(query) such as DataGridRemoteSource
+            dataSource: config.dataSource || null,
+            sort: config.sort || '',
+            searchDebounce: config.searchDebounce ?? 300,
             // Store the original schema for reference
             originalSchema: config.schema
         };
@@ -105,6 +110,10 @@ class DataGrid {
         this.originalRecordData = null;
         this.viewingEnabled = true;
         this.searchTerm = '';
+        this.sort = this.config.sort;
+        this.remoteTotal = 0; // Matching records on the server (remote mode)
+        this.isLoading = false;
+        this.searchTimer = null;
         
         // Schema analysis
         this.schemaFields = Object.keys(this.config.schema);
@@ -125,6 +134,10 @@ class DataGrid {
             this.calculatePagination();
             this.render();
             this.attachEventListeners();
+
+            if (this.isRemote()) {
+                this.loadRemotePage();
+            }
             
             dgLogger.info(`DataGrid initialized for entity: ${this.config.entityType}`);
         } catch (error) {
@@ -221,6 +234,69 @@ class DataGrid {
         return document.getElementById(this.config.containerId).querySelector('.DG-container');
     }
 
+    /**
+     * Whether paging, search and sort are delegated to config.dataSource
+     */
+    isRemote() {
+        return Boolean(this.config.dataSource);
+    }
+
+    /**
+     * Fetch the current page from the remote data source and re-render.
+     * this.data holds only that page, so row indexes are page-local in remote mode.
+     */
+    async loadRemotePage() {
+        this.isLoading = true;
+
+        try {
+            const result = await this.config.dataSource.fetchPage({
+                page: this.config.enablePagination ? this.currentPage : null,
+                pageSize: this.config.enablePagination ? this.config.pageSize : null,
+                q: this.config.enableSearch ? this.searchTerm : '',
+                sort: this.sort,
+                disabled: this.config.enableToggle ? !this.viewingEnabled : null
+            });
+            if (result.stale) {
+                return;
+            }
+
+            // The page we asked for no longer exists (records were removed) - show the last one
+            if (result.total > 0 && this.currentPage > result.totalPages) {
+                this.currentPage = result.totalPages;
+                await this.loadRemotePage();
+                return;
+            }
+
+            this.data = result.data;
+            this.remoteTotal = result.total;
+            this.selectedRecords.clear();
+            this.editingIndex = -1;
+            this.originalRecordData = null;
+
+            this.calculatePagination();
+            this.render();
+            this.notifyDataChange();
+        } catch (error) {
+            dgLogger.error('Failed to load remote page:', error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Re-render after a view change (page, page size, search, toggle).
+     * Remote grids fetch the affected page from the server first.
+     */
+    updateView() {
+        if (this.isRemote()) {
+            return this.loadRemotePage();
+        }
+
+        this.calculatePagination();
+        this.render();
+        return Promise.resolve();
+    }
+
     /**
      * Calculate pagination
      */
@@ -230,6 +306,11 @@ class DataGrid {
             return;
         }
 
+        if (this.isRemote()) {
+            this.totalPages = Math.ceil(this.remoteTotal / this.config.pageSize) || 1;
+            return;
+        }
+
         const displayData = this.getDisplayData();
         this.totalPages = Math.ceil(displayData.length / this.config.pageSize) || 1;
         
@@ -245,6 +326,9 @@ class DataGrid {
     getDisplayData() {
         let data = this.data;
         
+        // Remote pages arrive already searched and toggled; the toggle filter below
+        // only hides rows disabled or restored locally since the page was fetched
+        
         if (this.config.enableToggle) {
             data = data.filter(record => {
                 const isDisabled = record.isDisabled === true;
@@ -252,18 +336,25 @@ class DataGrid {
             });
         }
         
-        if (this.searchTerm && this.config.enableSearch) {
+        if (this.searchTerm && this.config.enableSearch && !this.isRemote()) {
             data = data.filter(record => this.matchesSearch(record, this.searchTerm));
         }
         
         return data;
     }
 
+    /**
+     * Number of records matching the current view across all pages
+     */
+    getDisplayCount() {
+        return this.isRemote() ? this.remoteTotal : this.getDisplayData().length;
+    }
+
     /**
      * Get current page data
      */
     getCurrentPageData() {
-        if (!this.config.enablePagination) {
+        if (!this.config.enablePagination || this.isRemote()) {
             return this.getDisplayData();
         }
 
@@ -322,7 +413,7 @@ class DataGrid {
         const headerInfo = this.container.querySelector('.DG-header-info');
         const headerControls = this.container.querySelector('.DG-header-controls');
         
-        const displayData = this.getDisplayData();
+        const displayCount = this.getDisplayCount();
         const selectedCount = this.selectedRecords.size;
         
         if (selectedCount > 0) {
@@ -336,7 +427,7 @@ class DataGrid {
             headerInfo.innerHTML = `
                 <div class="header-title">${this.config.entityType} Records</div>
                 <div class="header-summary">
-                    ${displayData.length} record(s) 
+                    ${displayCount} record(s) 
                     ${this.config.enableToggle ? (this.viewingEnabled ? 'enabled' : 'disabled') : ''}
                 </div>
             `;
@@ -796,11 +887,11 @@ class DataGrid {
     }
 
     refresh() {
-        this.calculatePagination();
-        this.render();
+        return this.updateView();
     }
 
     destroy() {
+        clearTimeout(this.searchTimer);
         const container = this.container;
         if (container) {
             container.removeEventListener('click', this.handleClick);
@@ -268,6 +268,11 @@ class DataGridPresentation {
         const mainContent = document.createElement('main');
         mainContent.className = 'main-content';
 
+        // Attach first: DataGrid looks its container up by id when it is constructed
+        container.innerHTML = '';
+        container.appendChild(tabNavigation);
+        container.appendChild(mainContent);
+
         let activeTabSet = false;
 
         tabConfigs.forEach((tabConfig, index) => {
@@ -310,10 +315,6 @@ class DataGridPresentation {
             if (!activeTabSet) activeTabSet = true;
         });
 
-        container.innerHTML = '';
-        container.appendChild(tabNavigation);
-        container.appendChild(mainContent);
-
         dgpLogger.info(`Tabbed interface created with ${tabConfigs.length} tabs`);
     }
 
@@ -0,0 +1,112 @@
+/**
+ * DataGridRemoteSource - Server-side paging, search and sort for DataGrid (DG.js) and DataGridPaginator
+ *
+ * Wraps an entity endpoint of the JobSearch API (testing/jobsearch-api.js), e.g. /api/positions,
+ * so grids request one page at a time instead of slicing the whole collection locally.
+ *
+ * Usage:
+ *   const source = new DataGridRemoteSource({ url: '/api/positions' });
+ *   const { data, total, totalPages } = await source.fetchPage({ page: 2, pageSize: 10, q: 'acme' });
+ *
+ *   new DataGrid({ containerId: 'grid', schema, dataSource: source });
+ *   new DataGridPaginator({ schema, data: [], dataSource: source });
+ */
+
+class DataGridRemoteSource {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Entity endpoint, e.g. '/api/positions'
+     * @param {Object} [options.filters] - Per-field filters sent with every request ({ companyId: 3 })
+     * @param {Function} [options.fetchImpl] - fetch replacement (tests)
+     */
+    constructor({ url, filters = {}, fetchImpl = null } = {}) {
+        if (!url) {
+            throw new Error('DataGridRemoteSource: url is required');
+        }
+
+        this.url = url;
+        this.filters = { ...filters };
+        this.fetch = fetchImpl || ((...args) => fetch(...args));
+        this.requestCounter = 0;
+    }
+
+    /**
+     * Build the query string understood by GET /api/:entity
+     * @param {Object} query
+     * @param {number} [query.page]
+     * @param {number} [query.pageSize]
+     * @param {string} [query.q] - Search term
+     * @param {string} [query.sort] - e.g. '-lcontact,position'
+     * @param {boolean|null} [query.disabled] - true: disabled only, false: enabled only, null: all
+     * @param {Object} [query.filters] - Extra per-field filters; arrays match any value
+     * @returns {string}
+     */
+    buildQueryString({ page, pageSize, q, sort, disabled = null, filters = {} } = {}) {
+        const params = new URLSearchParams();
+
+        if (page) {
+            params.set('page', String(page));
+        }
+        if (pageSize) {
+            params.set('pageSize', String(pageSize));
+        }
+        if (q && q.trim()) {
+            params.set('q', q.trim());
+        }
+        if (sort) {
+            params.set('sort', sort);
+        }
+        if (disabled !== null && disabled !== undefined) {
+            params.set('disabled', String(Boolean(disabled)));
+        }
+
+        Object.entries({ ...this.filters, ...filters }).forEach(([fieldName, value]) => {
+            (Array.isArray(value) ? value : [value])
+                .filter(item => item !== undefined && item !== null && item !== '')
+                .forEach(item => params.append(fieldName, String(item)));
+        });
+
+        return params.toString();
+    }
+
+    /**
+     * Fetch one page of matching records
+     * Responses to superseded requests resolve with `stale: true` so callers can ignore them.
+     * @returns {Promise<{data: Object[], total: number, page: number, pageSize: number, totalPages: number, schema: Object, stale: boolean}>}
+     */
+    async fetchPage(query = {}) {
+        const requestId = ++this.requestCounter;
+        const queryString = this.buildQueryString(query);
+        const response = await this.fetch(`${this.url}${queryString ? `?${queryString}` : ''}`, {
+            headers: { Accept: 'application/json' }
+        });
+        const body = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            const details = Array.isArray(body?.details) && body.details.length > 0
+                ? ` (${body.details.join('; ')})`
+                : '';
+            throw new Error(`DataGridRemoteSource: ${body?.error || response.statusText}${details}`);
+        }
+
+        return {
+            data: Array.isArray(body?.data) ? body.data : [],
+            total: Number(body?.total) || 0,
+            page: Number(body?.page) || 1,
+            pageSize: Number(body?.pageSize) || query.pageSize || 0,
+            totalPages: Number(body?.totalPages) || 1,
+            schema: body?.schema || null,
+            stale: requestId !== this.requestCounter
+        };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataGridRemoteSource;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.DataGridRemoteSource = DataGridRemoteSource;
+}
@@ -0,0 +1,683 @@
+/**
+ * CalendarControl - Month, week and agenda calendar for dated records
+ * Extends BaseControl for consistent architecture
+ *
+ * The control knows nothing about entities: the host passes plain events and saves the changes
+ * the control reports.
+ *   {
+ *     id: 'appointments:1:appointmentDate',   // unique per event
+ *     title: 'Senior Software Engineer',
+ *     date: '2026-10-19',                     // YYYY-MM-DD; events without a date are not shown
+ *     time: '14:00',                          // optional HH:MM
+ *     allDay: false,                          // true: the event has no time of its own
+ *     label: 'Interview',                     // optional prefix, e.g. which date field the event is
+ *     tooltip: '...',                         // optional title attribute
+ *     className: 'follow-up--due',            // optional extra classes
+ *     data: { ... }                           // anything the host needs back
+ *   }
+ *
+ * Clicking an event reports 'eventOpen'. Dragging an event to another day (or hour, in the week
+ * view) or pressing Alt+Arrow on a focused event (Left/Right: a day, Up/Down: a week) reports
+ * 'eventMove'; an onEventMove callback that returns false rejects the move.
+ */
+class CalendarControl extends BaseControl {
+    constructor(options = {}) {
+        super({
+            type: 'CalendarControl',
+            ...options
+        });
+
+        // Calendar-specific options (keeping the base defaults: accessibility wires up the keyboard)
+        this.options = {
+            ...this.options,
+            view: 'month',
+            date: new Date(),
+            weekStartsOn: 0,
+            startHour: 7,
+            endHour: 20,
+            maxEventsPerDay: 3,
+            agendaDays: 30,
+            locale: undefined,
+            emptyMessage: 'No events',
+            ...options
+        };
+
+        // Calendar state
+        this.view = CalendarControl.VIEWS.includes(this.options.view) ? this.options.view : 'month';
+        this.currentDate = CalendarControl.parseDate(this.options.date) || CalendarControl.startOfDay(new Date());
+        this.events = [];
+        this.draggedEventId = null;
+
+        // Event handlers
+        this.onEventOpenCallback = null;
+        this.onEventMoveCallback = null;
+        this.onViewChangeCallback = null;
+    }
+
+    // ========================================
+    // DATE HELPERS
+    // ========================================
+
+    /**
+     * Local date at midnight from a Date or a YYYY-MM-DD string; null when invalid
+     */
+    static parseDate(value) {
+        if (value instanceof Date) {
+            return Number.isNaN(value.getTime()) ? null : CalendarControl.startOfDay(value);
+        }
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value ?? ''));
+        if (!match) {
+            return null;
+        }
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return date.getMonth() === Number(match[2]) - 1 ? date : null;
+    }
+
+    /**
+     * YYYY-MM-DD for a local date
+     */
+    static formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    static startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    static addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Hour (0-23) of an HH:MM time; null when there is none
+     */
+    static getHour(time) {
+        const match = /^(\d{1,2}):(\d{2})/.exec(String(time ?? ''));
+        return match ? Number(match[1]) : null;
+    }
+
+    // ========================================
+    // LIFECYCLE METHODS
+    // ========================================
+
+    /**
+     * Initialize the calendar control
+     */
+    init() {
+        super.init();
+
+        this.logger.debug('Initializing CalendarControl', {
+            id: this.id,
+            view: this.view,
+            date: CalendarControl.formatDate(this.currentDate)
+        });
+
+        return this;
+    }
+
+    /**
+     * Render the toolbar and the current view
+     */
+    render() {
+        if (!this.isInitialized) {
+            this.logger.warn('Attempting to render uninitialized CalendarControl', { id: this.id });
+            return this;
+        }
+
+        super.render();
+
+        // Keep keyboard focus on the event that was focused (it may have just moved)
+        const focusedId = this.container.contains(document.activeElement)
+            ? document.activeElement.getAttribute('data-event-id')
+            : null;
+
+        const views = CalendarControl.VIEWS.map(view => `
+            <button type="button" class="calendar-view-btn${view === this.view ? ' active' : ''}"
+                    data-calendar-view="${view}" aria-pressed="${view === this.view}">
+                ${CalendarControl.VIEW_LABELS[view]}
+            </button>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="calendar-control calendar-control--${this.view}" id="${this.id}">
+                <div class="calendar-toolbar">
+                    <div class="calendar-nav">
+                        <button type="button" class="calendar-nav-btn" data-calendar-action="previous" title="Previous" aria-label="Previous">‹</button>
+                        <button type="button" class="calendar-nav-btn" data-calendar-action="today">Today</button>
+                        <button type="button" class="calendar-nav-btn" data-calendar-action="next" title="Next" aria-label="Next">›</button>
+                    </div>
+                    <h3 class="calendar-title" aria-live="polite">${CalendarControl.escapeHtml(this.getTitle())}</h3>
+                    <div class="calendar-views" role="group" aria-label="Calendar view">${views}</div>
+                </div>
+                <div class="calendar-body">${this.renderView()}</div>
+            </div>
+        `;
+
+        if (focusedId) {
+            Array.from(this.container.querySelectorAll('[data-event-id]'))
+                .find(element => element.getAttribute('data-event-id') === focusedId)
+                ?.focus();
+        }
+
+        this.logger.debug('CalendarControl rendered', {
+            id: this.id,
+            view: this.view,
+            eventCount: this.events.length
+        });
+
+        return this;
+    }
+
+    renderView() {
+        switch (this.view) {
+            case 'week':
+                return this.renderWeekView();
+            case 'agenda':
+                return this.renderAgendaView();
+            default:
+                return this.renderMonthView();
+        }
+    }
+
+    /**
+     * Destroy the calendar control
+     */
+    destroy() {
+        this.events = [];
+        this.onEventOpenCallback = null;
+        this.onEventMoveCallback = null;
+        this.onViewChangeCallback = null;
+
+        super.destroy();
+
+        this.logger.debug('CalendarControl destroyed', { id: this.id });
+    }
+
+    // ========================================
+    // VIEW RENDERING
+    // ========================================
+
+    /**
+     * First and last visible day of the current view
+     */
+    getVisibleRange() {
+        if (this.view === 'agenda') {
+            return { start: this.currentDate, end: CalendarControl.addDays(this.currentDate, this.options.agendaDays - 1) };
+        }
+        if (this.view === 'week') {
+            const start = this.getWeekStart(this.currentDate);
+            return { start, end: CalendarControl.addDays(start, 6) };
+        }
+        const start = this.getWeekStart(new Date(this.currentDate.getFullYear(), this.currentDate.getMonth(), 1));
+        return { start, end: CalendarControl.addDays(start, 41) };
+    }
+
+    getWeekStart(date) {
+        const offset = (date.getDay() - this.options.weekStartsOn + 7) % 7;
+        return CalendarControl.addDays(date, -offset);
+    }
+
+    getTitle() {
+        const locale = this.options.locale;
+        if (this.view === 'month') {
+            return this.currentDate.toLocaleDateString(locale, { month: 'long', year: 'numeric' });
+        }
+        const { start, end } = this.getVisibleRange();
+        const format = { month: 'short', day: 'numeric' };
+        return `${start.toLocaleDateString(locale, format)} – ${end.toLocaleDateString(locale, { ...format, year: 'numeric' })}`;
+    }
+
+    /**
+     * Events on one day: untimed first, then by time and title
+     */
+    getEventsForDate(dateKey) {
+        return this.events
+            .filter(event => event.date === dateKey)
+            .sort((a, b) => (a.time || '').localeCompare(b.time || '') || String(a.title).localeCompare(String(b.title)));
+    }
+
+    getWeekdayHeaders(format = 'short') {
+        const start = this.getWeekStart(this.currentDate);
+        return Array.from({ length: 7 }, (_, index) => CalendarControl.addDays(start, index))
+            .map(day => day.toLocaleDateString(this.options.locale, { weekday: format }));
+    }
+
+    renderEvent(event) {
+        const classes = ['calendar-event', event.allDay || !event.time ? 'calendar-event--all-day' : 'calendar-event--timed', event.className]
+            .filter(Boolean)
+            .join(' ');
+        const time = !event.allDay && event.time ? `<span class="calendar-event__time">${CalendarControl.escapeHtml(event.time)}</span>` : '';
+        const label = event.label ? `<span class="calendar-event__label">${CalendarControl.escapeHtml(event.label)}</span>` : '';
+        const tooltip = event.tooltip || [event.label, event.time, event.title].filter(Boolean).join(' · ');
+
+        return `
+            <button type="button" class="${CalendarControl.escapeHtml(classes)}" draggable="true"
+                    data-event-id="${CalendarControl.escapeHtml(event.id)}" title="${CalendarControl.escapeHtml(tooltip)}">
+                ${time}${label}<span class="calendar-event__title">${CalendarControl.escapeHtml(event.title)}</span>
+            </button>
+        `;
+    }
+
+    renderMonthView() {
+        const { start } = this.getVisibleRange();
+        const todayKey = CalendarControl.formatDate(new Date());
+        const month = this.currentDate.getMonth();
+        const weeks = [];
+
+        for (let week = 0; week < 6; week++) {
+            const cells = [];
+            for (let weekday = 0; weekday < 7; weekday++) {
+                const day = CalendarControl.addDays(start, week * 7 + weekday);
+                const dateKey = CalendarControl.formatDate(day);
+                const events = this.getEventsForDate(dateKey);
+                const shown = events.slice(0, this.options.maxEventsPerDay);
+                const hidden = events.length - shown.length;
+                const classes = ['calendar-day', day.getMonth() !== month ? 'calendar-day--outside' : '', dateKey === todayKey ? 'calendar-day--today' : '']
+                    .filter(Boolean)
+                    .join(' ');
+                cells.push(`
+                    <td class="${classes}" data-calendar-date="${dateKey}">
+                        <div class="calendar-day__number">${day.getDate()}</div>
+                        <div class="calendar-day__events">
+                            ${shown.map(event => this.renderEvent(event)).join('')}
+                            ${hidden > 0 ? `<button type="button" class="calendar-more" data-calendar-action="week" data-calendar-date="${dateKey}">+${hidden} more</button>` : ''}
+                        </div>
+                    </td>
+                `);
+            }
+            weeks.push(`<tr>${cells.join('')}</tr>`);
+        }
+
+        return `
+            <table class="calendar-month">
+                <thead><tr>${this.getWeekdayHeaders().map(name => `<th scope="col">${CalendarControl.escapeHtml(name)}</th>`).join('')}</tr></thead>
+                <tbody>${weeks.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    renderWeekView() {
+        const { start } = this.getVisibleRange();
+        const todayKey = CalendarControl.formatDate(new Date());
+        const days = Array.from({ length: 7 }, (_, index) => CalendarControl.addDays(start, index));
+        const { startHour, endHour } = this.options;
+        const lastHour = Math.max(startHour, endHour - 1);
+
+        // Timed events outside the visible hours sit in the first or last row
+        const getSlotHour = event => Math.min(lastHour, Math.max(startHour, CalendarControl.getHour(event.time)));
+        const isUntimed = event => event.allDay || CalendarControl.getHour(event.time) === null;
+
+        const headers = days.map(day => {
+            const dateKey = CalendarControl.formatDate(day);
+            const name = day.toLocaleDateString(this.options.locale, { weekday: 'short', day: 'numeric' });
+            return `<th scope="col" class="${dateKey === todayKey ? 'calendar-day--today' : ''}">${CalendarControl.escapeHtml(name)}</th>`;
+        }).join('');
+
+        const row = (label, hour, filter) => `
+            <tr>
+                <th scope="row" class="calendar-week__hour">${label}</th>
+                ${days.map(day => {
+                    const dateKey = CalendarControl.formatDate(day);
+                    const events = this.getEventsForDate(dateKey).filter(filter);
+                    return `
+                        <td class="calendar-slot${dateKey === todayKey ? ' calendar-day--today' : ''}" data-calendar-date="${dateKey}"${hour === null ? '' : ` data-calendar-hour="${hour}"`}>
+                            ${events.map(event => this.renderEvent(event)).join('')}
+                        </td>
+                    `;
+                }).join('')}
+            </tr>
+        `;
+
+        const rows = [row('All day', null, isUntimed)];
+        for (let hour = startHour; hour <= lastHour; hour++) {
+            rows.push(row(`${String(hour).padStart(2, '0')}:00`, hour, event => !isUntimed(event) && getSlotHour(event) === hour));
+        }
+
+        return `
+            <table class="calendar-week">
+                <thead><tr><th scope="col"></th>${headers}</tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    renderAgendaView() {
+        const { start } = this.getVisibleRange();
+        const todayKey = CalendarControl.formatDate(new Date());
+        const groups = [];
+
+        for (let offset = 0; offset < this.options.agendaDays; offset++) {
+            const day = CalendarControl.addDays(start, offset);
+            const dateKey = CalendarControl.formatDate(day);
+            const events = this.getEventsForDate(dateKey);
+            if (events.length === 0) {
+                continue;
+            }
+            const name = day.toLocaleDateString(this.options.locale, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+            groups.push(`
+                <li class="calendar-agenda__day${dateKey === todayKey ? ' calendar-day--today' : ''}" data-calendar-date="${dateKey}">
+                    <div class="calendar-agenda__date">${CalendarControl.escapeHtml(name)}</div>
+                    <div class="calendar-agenda__events">${events.map(event => this.renderEvent(event)).join('')}</div>
+                </li>
+            `);
+        }
+
+        if (groups.length === 0) {
+            return `<div class="calendar-empty">${CalendarControl.escapeHtml(this.options.emptyMessage)}</div>`;
+        }
+        return `<ol class="calendar-agenda">${groups.join('')}</ol>`;
+    }
+
+    // ========================================
+    // EVENT HANDLING
+    // ========================================
+
+    /**
+     * Delegated listeners: the container's content is replaced on every render
+     */
+    setupEventListeners() {
+        super.setupEventListeners();
+
+        this.addEventListener(this.container, 'click', (event) => {
+            const viewButton = event.target.closest('[data-calendar-view]');
+            if (viewButton) {
+                this.setView(viewButton.getAttribute('data-calendar-view'));
+                return;
+            }
+
+            const actionButton = event.target.closest('[data-calendar-action]');
+            if (actionButton) {
+                this.handleAction(actionButton.getAttribute('data-calendar-action'), actionButton);
+                return;
+            }
+
+            const eventElement = event.target.closest('[data-event-id]');
+            if (eventElement) {
+                this.openEvent(eventElement.getAttribute('data-event-id'));
+            }
+        });
+
+        this.addEventListener(this.container, 'dragstart', (event) => {
+            const eventElement = event.target.closest?.('[data-event-id]');
+            if (!eventElement) return;
+            this.draggedEventId = eventElement.getAttribute('data-event-id');
+            event.dataTransfer.setData('text/plain', this.draggedEventId);
+            event.dataTransfer.effectAllowed = 'move';
+            eventElement.classList.add('calendar-event--dragging');
+        });
+
+        this.addEventListener(this.container, 'dragend', (event) => {
+            event.target.closest?.('[data-event-id]')?.classList.remove('calendar-event--dragging');
+            this.draggedEventId = null;
+            this.clearDropTargets();
+        });
+
+        this.addEventListener(this.container, 'dragover', (event) => {
+            const target = event.target.closest?.('[data-calendar-date]');
+            if (!target || !this.draggedEventId) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            if (!target.classList.contains('calendar-drop-target')) {
+                this.clearDropTargets();
+                target.classList.add('calendar-drop-target');
+            }
+        });
+
+        this.addEventListener(this.container, 'drop', (event) => {
+            const target = event.target.closest?.('[data-calendar-date]');
+            const eventId = this.draggedEventId || event.dataTransfer.getData('text/plain');
+            if (!target || !eventId) return;
+            event.preventDefault();
+            this.clearDropTargets();
+            this.draggedEventId = null;
+
+            const hour = target.getAttribute('data-calendar-hour');
+            this.moveEvent(eventId, target.getAttribute('data-calendar-date'), hour === null ? undefined : Number(hour));
+        });
+
+        this.logger.debug('CalendarControl event listeners set up', { id: this.id });
+    }
+
+    clearDropTargets() {
+        this.container.querySelectorAll('.calendar-drop-target').forEach(element => element.classList.remove('calendar-drop-target'));
+    }
+
+    handleAction(action, button) {
+        switch (action) {
+            case 'previous':
+                this.previous();
+                break;
+            case 'next':
+                this.next();
+                break;
+            case 'today':
+                this.today();
+                break;
+            case 'week':
+                // "+N more" in the month view opens the week of that day
+                this.setDate(button.getAttribute('data-calendar-date'));
+                this.setView('week');
+                break;
+        }
+    }
+
+    /**
+     * Alt+Arrow moves the focused event; everything else goes to the base handling
+     */
+    handleKeyDown(event) {
+        const eventElement = event.target.closest?.('[data-event-id]');
+        const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+        if (eventElement && event.altKey && offsets[event.key] !== undefined) {
+            event.preventDefault();
+            const calendarEvent = this.getEvent(eventElement.getAttribute('data-event-id'));
+            const date = calendarEvent ? CalendarControl.parseDate(calendarEvent.date) : null;
+            if (date) {
+                this.moveEvent(calendarEvent.id, CalendarControl.formatDate(CalendarControl.addDays(date, offsets[event.key])));
+            }
+            return;
+        }
+        super.handleKeyDown(event);
+    }
+
+    handleEnter(event) {
+        // Enter on an event already clicks its button
+    }
+
+    /**
+     * Report that an event should open
+     */
+    openEvent(eventId) {
+        const calendarEvent = this.getEvent(eventId);
+        if (!calendarEvent) {
+            return this;
+        }
+
+        this.trigger('eventOpen', { event: calendarEvent });
+
+        if (this.onEventOpenCallback && typeof this.onEventOpenCallback === 'function') {
+            this.onEventOpenCallback(calendarEvent);
+        }
+
+        return this;
+    }
+
+    /**
+     * Move an event to another day, keeping its time unless an hour is given
+     * @param {string} eventId
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} [hour] - Week view hour row; ignored for all-day events
+     * @returns {boolean} Whether the move was accepted
+     */
+    moveEvent(eventId, date, hour) {
+        const calendarEvent = this.getEvent(eventId);
+        const newDate = CalendarControl.parseDate(date);
+        if (!calendarEvent || !newDate) {
+            return false;
+        }
+
+        const dateKey = CalendarControl.formatDate(newDate);
+        let time = calendarEvent.time || '';
+        if (hour !== undefined && !calendarEvent.allDay) {
+            const minutes = /:(\d{2})/.exec(time)?.[1] || '00';
+            time = `${String(hour).padStart(2, '0')}:${minutes}`;
+        }
+        if (dateKey === calendarEvent.date && time === (calendarEvent.time || '')) {
+            return false;
+        }
+
+        const move = { event: calendarEvent, date: dateKey, time, previousDate: calendarEvent.date, previousTime: calendarEvent.time || '' };
+        if (this.onEventMoveCallback && typeof this.onEventMoveCallback === 'function' && this.onEventMoveCallback(move) === false) {
+            this.logger.debug('Event move rejected', { id: this.id, eventId, date: dateKey, time });
+            return false;
+        }
+
+        this.events = this.events.map(candidate => (candidate.id === calendarEvent.id ? { ...candidate, date: dateKey, time } : candidate));
+        this.trigger('eventMove', move);
+
+        // Follow the event when it leaves the visible range
+        const { start, end } = this.getVisibleRange();
+        if (newDate < start || newDate > end) {
+            this.currentDate = newDate;
+        }
+        this.render();
+        return true;
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Replace the events and re-render
+     */
+    setEvents(events) {
+        this.events = (events || []).filter(event => event && CalendarControl.parseDate(event.date));
+        if (this.isInitialized) {
+            this.render();
+        }
+        return this;
+    }
+
+    getEvents() {
+        return [...this.events];
+    }
+
+    getEvent(eventId) {
+        return this.events.find(event => String(event.id) === String(eventId)) || null;
+    }
+
+    getView() {
+        return this.view;
+    }
+
+    /**
+     * Switch between 'month', 'week' and 'agenda'
+     */
+    setView(view) {
+        if (!CalendarControl.VIEWS.includes(view) || view === this.view) {
+            return this;
+        }
+        this.view = view;
+        this.trigger('viewChange', { view, date: CalendarControl.formatDate(this.currentDate) });
+
+        if (this.onViewChangeCallback && typeof this.onViewChangeCallback === 'function') {
+            this.onViewChangeCallback(view);
+        }
+
+        return this.render();
+    }
+
+    getDate() {
+        return CalendarControl.formatDate(this.currentDate);
+    }
+
+    /**
+     * Show the month, week or agenda containing a date (Date or YYYY-MM-DD)
+     */
+    setDate(date) {
+        const parsed = CalendarControl.parseDate(date);
+        if (parsed) {
+            this.currentDate = parsed;
+            this.render();
+        }
+        return this;
+    }
+
+    previous() {
+        return this.step(-1);
+    }
+
+    next() {
+        return this.step(1);
+    }
+
+    today() {
+        return this.setDate(new Date());
+    }
+
+    step(direction) {
+        const date = this.currentDate;
+        if (this.view === 'month') {
+            return this.setDate(new Date(date.getFullYear(), date.getMonth() + direction, 1));
+        }
+        const days = this.view === 'week' ? 7 : this.options.agendaDays;
+        return this.setDate(CalendarControl.addDays(date, direction * days));
+    }
+
+    /**
+     * Set event open callback function
+     */
+    onEventOpen(callback) {
+        this.onEventOpenCallback = callback;
+        return this;
+    }
+
+    /**
+     * Set event move callback function; returning false rejects the move
+     */
+    onEventMove(callback) {
+        this.onEventMoveCallback = callback;
+        return this;
+    }
+
+    /**
+     * Set view change callback function
+     */
+    onViewChange(callback) {
+        this.onViewChangeCallback = callback;
+        return this;
+    }
+
+    // ========================================
+    // ACCESSIBILITY
+    // ========================================
+
+    getAriaLabel() {
+        return 'Calendar';
+    }
+
+    isInteractive() {
+        // Events and toolbar buttons take focus, not the container
+        return false;
+    }
+}
+
+CalendarControl.VIEWS = ['month', 'week', 'agenda'];
+CalendarControl.VIEW_LABELS = { month: 'Month', week: 'Week', agenda: 'Agenda' };
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarControl;
+} else if (typeof window !== 'undefined') {
+    window.CalendarControl = CalendarControl;
+}
@@ -32,7 +32,7 @@ class DataGridControl extends BaseControl {
         this.totalPages = 1;
         this.searchTerm = '';
         this.activeFilters = [];
-        this.sortConfig = null;
+        this.sortConfig = []; // [{ fieldName, direction: 'asc'|'desc' }] in priority order
         this.rowFilter = typeof this.options.rowFilter === 'function'
             ? this.options.rowFilter
             : null;
@@ -40,9 +40,15 @@ class DataGridControl extends BaseControl {
         this.options.rowFilter = this.rowFilter;
         this.options.rowFilterMetadata = this.rowFilterMetadata;
 
+        // Keyboard navigation (WAI-ARIA grid): the active cell is the grid's only tab stop.
+        // rowIndex counts the rows of the current page, -1 being the header row
+        this.activeCell = { rowIndex: 0, columnIndex: 0 };
+        this.editingCell = null; // { recordId, fieldName, cellElement, originalText } while a cell editor is open
+
         // State management
         this.isLoading = false;
         this.hasUnsavedChanges = false;
+        this.changeRevision = 0; // Bumped on every change, so a save confirmed late cannot clear newer edits
         this.validationErrors = new Map();
         this.isShowingDisabled = false; // Track filter state
 
@@ -60,6 +66,7 @@ class DataGridControl extends BaseControl {
             pageSizeChanges: 0,
             searchOperations: 0,
             filterOperations: 0,
+            sortOperations: 0,
             recordModifications: 0,
             lastInteractionTime: null,
             averageInteractionResponse: 0
@@ -155,6 +162,10 @@ class DataGridControl extends BaseControl {
             // Call parent render
             super.render();
 
+            // A re-render (sort, selection, page change) keeps keyboard focus on the active cell
+            const restoreFocus = this.isFocusInGrid();
+            this.editingCell = null;
+
             // Clear existing content but preserve container structure
             this.container.innerHTML = '';
             
@@ -178,6 +189,9 @@ class DataGridControl extends BaseControl {
             gridContainer.className = 'datagrid-content';
             gridContainer.setAttribute('role', 'grid');
             gridContainer.setAttribute('aria-label', this.getAriaLabel());
+            gridContainer.setAttribute('aria-multiselectable', 'true');
+            gridContainer.setAttribute('aria-rowcount', String(this.sortedData.length + 1));
+            gridContainer.addEventListener('focusin', (event) => this.syncActiveCell(event.target));
             
             // Temporarily set container to grid container for rendering
             const originalContainer = this.container;
@@ -204,6 +218,10 @@ class DataGridControl extends BaseControl {
             // Add grid container to main container
             this.container.appendChild(gridContainer);
 
+            // Tab reaches the active cell instead of the container
+            this.container.setAttribute('tabindex', '-1');
+            this.updateCellTabStops(restoreFocus);
+
             // Create footer with pagination (always render)
             this.renderFooter();
 
@@ -552,7 +570,7 @@ class DataGridControl extends BaseControl {
 
             // Update derived data
             this.updateDerivedData();
-            this.hasUnsavedChanges = true;
+            this.markUnsavedChanges();
 
             // Trigger events
             this.trigger('datagrid:recordAdded', {
@@ -603,7 +621,7 @@ class DataGridControl extends BaseControl {
 
         try {
             // Find record
-            const recordIndex = this.data.findIndex(r => r.id === recordId);
+            const recordIndex = this.findRecordIndex(recordId);
             if (recordIndex === -1) {
                 throw new Error(`Record not found: ${recordId}`);
             }
@@ -628,7 +646,7 @@ class DataGridControl extends BaseControl {
             // Update record
             this.data[recordIndex] = updatedRecord;
             this.updateDerivedData();
-            this.hasUnsavedChanges = true;
+            this.markUnsavedChanges();
 
             // Trigger events
             this.trigger('datagrid:recordUpdated', {
@@ -680,7 +698,7 @@ class DataGridControl extends BaseControl {
 
         try {
             // Find record
-            const recordIndex = this.data.findIndex(r => r.id === recordId);
+            const recordIndex = this.findRecordIndex(recordId);
             if (recordIndex === -1) {
                 throw new Error(`Record not found: ${recordId}`);
             }
@@ -700,7 +718,7 @@ class DataGridControl extends BaseControl {
             }
 
             this.updateDerivedData();
-            this.hasUnsavedChanges = true;
+            this.markUnsavedChanges();
 
             // Trigger events
             this.trigger('datagrid:recordDeleted', {
@@ -797,6 +815,9 @@ class DataGridControl extends BaseControl {
 
     /**
      * Apply filters to data
+     * @param {Array|Object|null} filters - Conditions that must all match, or a group
+     *   { logic: 'and'|'or', conditions: [...] }; groups nest. A condition is
+     *   { fieldName, operator, value, value2, values } with the operators of evaluateFilterCondition()
      */
     applyFilters(filters) {
         this.logger.debug('Applying filters to DataGrid', {
@@ -804,17 +825,16 @@ class DataGridControl extends BaseControl {
             filters
         });
 
+        const interactionStart = Date.now();
         const timer = this.startPerformanceTimer('apply_filters');
 
         try {
-            this.activeFilters = filters;
-            
-            this.filteredData = this.data.filter(record => {
-                return this.evaluateFilters(record, filters);
-            });
-
-            this.updateDerivedData();
+            this.activeFilters = Array.isArray(filters) ? filters : (filters ? [filters] : []);
             this.currentPage = 1; // Reset to first page
+            this.updateDerivedData();
+            this.render();
+
+            this.trackUserInteraction('filter', interactionStart);
 
             // Trigger filter event
             this.trigger('datagrid:filtersApplied', {
@@ -826,7 +846,7 @@ class DataGridControl extends BaseControl {
 
             this.logger.info('Filters applied successfully', {
                 id: this.id,
-                filterCount: filters.length,
+                filterCount: this.activeFilters.length,
                 resultCount: this.filteredData.length,
                 totalRecords: this.data.length
             });
@@ -843,6 +863,128 @@ class DataGridControl extends BaseControl {
         }
     }
 
+    clearFilters() {
+        this.applyFilters([]);
+    }
+
+    // ========================================
+    // SORTING
+    // ========================================
+
+    /**
+     * Header click: cycle a column ascending → descending → unsorted
+     * @param {string} fieldName
+     * @param {boolean} [multi=false] - Keep the other sort columns (Shift+click)
+     */
+    toggleSort(fieldName, multi = false) {
+        const current = this.sortConfig.find(sort => sort.fieldName === fieldName);
+        const nextDirection = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+        let sortConfig;
+
+        if (!multi) {
+            sortConfig = nextDirection ? [{ fieldName, direction: nextDirection }] : [];
+        } else if (!current) {
+            sortConfig = [...this.sortConfig, { fieldName, direction: 'asc' }];
+        } else if (nextDirection) {
+            sortConfig = this.sortConfig.map(sort => (sort.fieldName === fieldName ? { fieldName, direction: nextDirection } : sort));
+        } else {
+            sortConfig = this.sortConfig.filter(sort => sort.fieldName !== fieldName);
+        }
+
+        return this.setSort(sortConfig);
+    }
+
+    /**
+     * Replace the sort and re-render
+     * @param {Array|Object|null} sortConfig - [{ fieldName, direction }], a single one, or null to clear
+     */
+    setSort(sortConfig) {
+        const interactionStart = Date.now();
+        const timer = this.startPerformanceTimer('sort');
+
+        try {
+            this.sortConfig = this.normalizeSortConfig(sortConfig);
+            this.updateDerivedData();
+            this.render();
+
+            this.trackUserInteraction('sort', interactionStart);
+            this.trigger('datagrid:sortChanged', {
+                id: this.id,
+                sortConfig: this.getSortConfig()
+            });
+
+            this.logger.debug('Sort applied', {
+                id: this.id,
+                sortConfig: this.sortConfig
+            });
+        } catch (error) {
+            this.logger.error('Sort failed', {
+                id: this.id,
+                error: error.message,
+                sortConfig
+            });
+            this.handleError(error, { operation: 'setSort', sortConfig });
+        } finally {
+            this.endPerformanceTimer(timer);
+        }
+
+        return this;
+    }
+
+    getSortConfig() {
+        return this.sortConfig.map(sort => ({ ...sort }));
+    }
+
+    normalizeSortConfig(sortConfig) {
+        const sorts = Array.isArray(sortConfig) ? sortConfig : (sortConfig ? [sortConfig] : []);
+        const seen = new Set();
+
+        return sorts
+            .map(sort => ({
+                fieldName: sort.fieldName || sort.field,
+                direction: sort.direction === 'desc' ? 'desc' : 'asc'
+            }))
+            .filter(sort => sort.fieldName && !seen.has(sort.fieldName) && seen.add(sort.fieldName));
+    }
+
+    /**
+     * Compare two cell values by the column's schema type; empty values sort last
+     */
+    compareValues(a, b, fieldSchema = {}) {
+        const aMissing = a === null || a === undefined || a === '';
+        const bMissing = b === null || b === undefined || b === '';
+        if (aMissing || bMissing) {
+            return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+        }
+
+        let numbers = null;
+        switch (fieldSchema?.type) {
+            case 'number':
+            case 'computed':
+                numbers = [Number(a), Number(b)];
+                break;
+            case 'date':
+                numbers = [a instanceof Date ? a.getTime() : Date.parse(a), b instanceof Date ? b.getTime() : Date.parse(b)];
+                break;
+            case 'time': {
+                const minutes = value => {
+                    const match = /^(\d{1,2}):(\d{2})/.exec(String(value));
+                    return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+                };
+                numbers = [minutes(a), minutes(b)];
+                break;
+            }
+            case 'boolean':
+                numbers = [a ? 1 : 0, b ? 1 : 0];
+                break;
+        }
+        if (numbers && !Number.isNaN(numbers[0]) && !Number.isNaN(numbers[1])) {
+            return numbers[0] - numbers[1];
+        }
+
+        return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
     // ========================================
     // ACCESSIBILITY OVERRIDES
     // ========================================
@@ -860,6 +1002,19 @@ class DataGridControl extends BaseControl {
     }
 
     handleKeyDown(event) {
+        // Ctrl+S saves wherever the focus is in the grid, an open cell editor included
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's') {
+            this.saveChanges();
+            event.preventDefault();
+            return;
+        }
+
+        // Grid keys belong to the cells; the footer's buttons, select and search keep their own
+        if (this.editingCell || !this.getCellFromElement(event.target)) {
+            super.handleKeyDown(event);
+            return;
+        }
+
         // DataGrid-specific keyboard handling
         switch (event.key) {
             case 'ArrowUp':
@@ -878,10 +1033,31 @@ class DataGridControl extends BaseControl {
                 this.navigateRight();
                 event.preventDefault();
                 break;
-            case 'Space':
+            case 'Home':
+                this.navigateHome(event.ctrlKey);
+                event.preventDefault();
+                break;
+            case 'End':
+                this.navigateEnd(event.ctrlKey);
+                event.preventDefault();
+                break;
+            case 'PageUp':
+                this.navigatePageUp();
+                event.preventDefault();
+                break;
+            case 'PageDown':
+                this.navigatePageDown();
+                event.preventDefault();
+                break;
+            case ' ':
                 this.toggleRowSelection();
                 event.preventDefault();
                 break;
+            case 'Enter':
+            case 'F2':
+                this.editActiveCell();
+                event.preventDefault();
+                break;
             case 'Delete':
                 this.deleteSelectedRows();
                 event.preventDefault();
@@ -922,8 +1098,8 @@ class DataGridControl extends BaseControl {
      * Update derived data arrays
      */
     updateDerivedData() {
-        // Apply search and filters
-        let workingData = [...this.data];
+        // Apply search and filters; soft-deleted records stay in data until saved but are not shown
+        let workingData = this.data.filter(record => !record.isDeleted);
 
         if (typeof this.rowFilter === 'function') {
             const beforeCount = workingData.length;
@@ -956,7 +1132,7 @@ class DataGridControl extends BaseControl {
         this.filteredData = workingData;
 
         // Apply sorting
-        if (this.sortConfig) {
+        if (this.sortConfig.length > 0) {
             this.sortedData = this.applySorting(this.filteredData, this.sortConfig);
         } else {
             this.sortedData = [...this.filteredData];
@@ -1064,6 +1240,9 @@ class DataGridControl extends BaseControl {
             case 'filter':
                 this.userInteractionMetrics.filterOperations++;
                 break;
+            case 'sort':
+                this.userInteractionMetrics.sortOperations++;
+                break;
             case 'recordModification':
                 this.userInteractionMetrics.recordModifications++;
                 break;
@@ -1088,7 +1267,7 @@ class DataGridControl extends BaseControl {
         const metrics = this.userInteractionMetrics;
         return metrics.pageNavigations + metrics.pageSizeChanges + 
                metrics.searchOperations + metrics.filterOperations + 
-               metrics.recordModifications;
+               metrics.sortOperations + metrics.recordModifications;
     }
 
     /**
@@ -1196,6 +1375,7 @@ class DataGridControl extends BaseControl {
                 pageSizeChanges: this.userInteractionMetrics.pageSizeChanges,
                 searchOperations: this.userInteractionMetrics.searchOperations,
                 filterOperations: this.userInteractionMetrics.filterOperations,
+                sortOperations: this.userInteractionMetrics.sortOperations,
                 recordModifications: this.userInteractionMetrics.recordModifications,
                 userErrorRate: this.usabilityMetrics.userErrorRate,
                 uxRecommendation: this.getUXRecommendation()
@@ -1232,6 +1412,7 @@ class DataGridControl extends BaseControl {
             pageSizeChanges: 0,
             searchOperations: 0,
             filterOperations: 0,
+            sortOperations: 0,
             recordModifications: 0,
             lastInteractionTime: null,
             averageInteractionResponse: 0
@@ -1361,6 +1542,11 @@ class DataGridControl extends BaseControl {
             headerCell.style.fontWeight = '600';
             headerCell.style.backgroundColor = 'rgb(69, 69, 69)';
             headerCell.style.color = 'white';
+
+            if (this.options.sortable && field.sortable !== false) {
+                this.decorateSortableHeader(headerCell, fieldName, displayName);
+            }
+
             headerRow.appendChild(headerCell);
         });
 
@@ -1376,6 +1562,42 @@ class DataGridControl extends BaseControl {
         });
     }
 
+    /**
+     * Sort indicator, aria-sort and click/keyboard handling for a header cell
+     */
+    decorateSortableHeader(headerCell, fieldName, displayName) {
+        const sortIndex = this.sortConfig.findIndex(sort => sort.fieldName === fieldName);
+        const sort = this.sortConfig[sortIndex];
+
+        headerCell.setAttribute('aria-sort', sort ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+        headerCell.setAttribute('tabindex', '0');
+        headerCell.setAttribute('data-sort-field', fieldName);
+        headerCell.title = `Sort by ${displayName} (Shift+click to add to the sort)`;
+        headerCell.style.cursor = 'pointer';
+        headerCell.style.userSelect = 'none';
+
+        if (sort) {
+            const indicator = document.createElement('span');
+            indicator.className = 'sort-indicator';
+            indicator.setAttribute('aria-hidden', 'true');
+            indicator.textContent = `${sort.direction === 'asc' ? ' ▲' : ' ▼'}${this.sortConfig.length > 1 ? sortIndex + 1 : ''}`;
+            headerCell.appendChild(indicator);
+        }
+
+        headerCell.addEventListener('click', (event) => {
+            this.toggleSort(fieldName, event.shiftKey);
+        });
+        headerCell.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter' && event.key !== ' ') {
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            this.toggleSort(fieldName, event.shiftKey);
+            this.container.querySelector(`[data-sort-field="${fieldName}"]`)?.focus();
+        });
+    }
+
     renderDataRows() {
         const visibleData = this.getVisibleData();
         const displayFields = this.getDisplayFieldNames();
@@ -1402,22 +1624,29 @@ class DataGridControl extends BaseControl {
             return;
         }
 
+        const firstRowIndex = this.options.pagination ? (this.currentPage - 1) * this.options.pageSize : 0;
+
         visibleData.forEach((record, index) => {
             const dataRow = document.createElement('div');
             dataRow.className = 'DataGridRow';
             dataRow.setAttribute('role', 'row');
             dataRow.setAttribute('data-record-id', record.id || index);
+            dataRow.setAttribute('aria-rowindex', String(firstRowIndex + index + 2)); // The header is row 1
             
             // Add row selection capability
-            if (this.selectedRows.has(record.id || index)) {
+            const isSelected = this.selectedRows.has(record.id || index);
+            dataRow.setAttribute('aria-selected', String(isSelected));
+            if (isSelected) {
                 dataRow.classList.add('selected');
             }
             
-            // Create data cells based on schema
-            Object.keys(this.schema).forEach(fieldName => {
+            // Create data cells based on schema, for the same columns as the header
+            Object.keys(this.schema).filter(fieldName => this.schema[fieldName].visible !== false).forEach(fieldName => {
                 const dataCell = document.createElement('div');
                 dataCell.className = 'DataGridCell';
                 dataCell.setAttribute('role', 'gridcell');
+                dataCell.setAttribute('tabindex', '-1');
+                dataCell.setAttribute('data-field-name', fieldName);
 
                 const value = record[fieldName];
                 dataCell.textContent = this.formatCellValue(value, this.schema[fieldName]);
@@ -1425,7 +1654,9 @@ class DataGridControl extends BaseControl {
                 // Add click handler for editing if enabled
                 if (this.options.editable) {
                     dataCell.addEventListener('click', () => {
-                        this.handleCellEdit(record.id || index, fieldName, dataCell);
+                        if (this.editingCell?.cellElement !== dataCell) {
+                            this.handleCellEdit(record.id || index, fieldName, dataCell);
+                        }
                     });
                     dataCell.style.cursor = 'pointer';
                     dataCell.title = 'Click to edit';
@@ -1491,21 +1722,99 @@ class DataGridControl extends BaseControl {
         }
     }
 
+    /**
+     * Open an inline editor in a cell; Enter or F2 commits, Escape cancels, leaving the cell commits
+     */
     handleCellEdit(recordId, fieldName, cellElement) {
+        const fieldSchema = this.schema[fieldName] || {};
+        if (!this.options.editable || fieldSchema.editable === false || fieldSchema.readonly) {
+            return false;
+        }
+        this.commitCellEdit();
+        if (!cellElement.isConnected) {
+            return false; // The commit re-rendered the grid
+        }
+
         this.logger.debug('Cell edit initiated', {
             id: this.id,
             recordId,
             fieldName
         });
-        
-        // Simple implementation - could be enhanced with inline editing
-        const currentValue = cellElement.textContent;
-        const newValue = prompt(`Edit ${fieldName}:`, currentValue);
-        
-        if (newValue !== null && newValue !== currentValue) {
-            const updates = { [fieldName]: newValue };
-            this.updateRecord(recordId, updates);
+
+        const record = this.data[this.findRecordIndex(recordId)];
+        const originalText = cellElement.textContent;
+        const input = document.createElement('input');
+        input.className = 'DataGridCell__editor';
+        input.type = fieldSchema.type === 'number' ? 'number' : 'text';
+        input.value = record ? (record[fieldName] ?? '') : originalText;
+        input.setAttribute('aria-label', `Edit ${fieldSchema.displayName || fieldName}`);
+
+        cellElement.textContent = '';
+        cellElement.appendChild(input);
+        this.editingCell = { recordId, fieldName, cellElement, originalText };
+
+        input.addEventListener('keydown', (event) => {
+            if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's') {
+                return; // Saved by the grid, which commits this edit first
+            }
+            // Keys typed into the editor do not move the active cell
+            event.stopPropagation();
+            if (event.key === 'Enter' || event.key === 'F2') {
+                event.preventDefault();
+                this.commitCellEdit({ focus: true });
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                this.cancelCellEdit();
+            }
+        });
+        input.addEventListener('blur', () => this.commitCellEdit());
+        input.focus();
+        input.select();
+        return true;
+    }
+
+    /**
+     * Store the open cell editor's value
+     * @param {Object} [options]
+     * @param {boolean} [options.focus] - Return focus to the cell (keyboard commit)
+     */
+    commitCellEdit({ focus = false } = {}) {
+        const edit = this.editingCell;
+        if (!edit) {
+            return;
+        }
+        this.editingCell = null;
+
+        const input = edit.cellElement.querySelector('.DataGridCell__editor');
+        const record = this.data[this.findRecordIndex(edit.recordId)];
+        const currentValue = record ? record[edit.fieldName] : edit.originalText;
+        const newValue = this.schema[edit.fieldName]?.type === 'number' && input.value.trim() !== '' && !Number.isNaN(Number(input.value))
+            ? Number(input.value)
+            : input.value;
+
+        if (String(newValue) === String(currentValue ?? '')) {
+            edit.cellElement.textContent = edit.originalText;
+            if (focus) {
+                edit.cellElement.focus();
+            }
+            return;
         }
+        if (focus) {
+            edit.cellElement.focus(); // render() restores focus to the active cell when it is in the grid
+        }
+        this.updateRecord(edit.recordId, { [edit.fieldName]: newValue });
+        this.render();
+    }
+
+    cancelCellEdit() {
+        const edit = this.editingCell;
+        if (!edit) {
+            return;
+        }
+        this.editingCell = null;
+        edit.cellElement.textContent = edit.originalText;
+        edit.cellElement.focus();
+        this.logger.debug('Cell edit cancelled', { id: this.id, recordId: edit.recordId, fieldName: edit.fieldName });
     }
 
     handleRowSelection(recordId) {
@@ -1718,9 +2027,64 @@ class DataGridControl extends BaseControl {
         return false;
     }
 
+    /**
+     * Does a record match the filters? An array matches when every entry does, a group by its logic
+     */
     evaluateFilters(record, filters) {
-        // Implement filter evaluation logic
-        return true;
+        if (Array.isArray(filters)) {
+            return filters.every(filter => this.evaluateFilters(record, filter));
+        }
+        if (Array.isArray(filters?.conditions)) {
+            const matches = condition => this.evaluateFilters(record, condition);
+            return filters.logic === 'or'
+                ? filters.conditions.length === 0 || filters.conditions.some(matches)
+                : filters.conditions.every(matches);
+        }
+        return this.evaluateFilterCondition(record, filters);
+    }
+
+    /**
+     * Test one condition; values compare like the sort does (by schema type, text ignoring case)
+     * Operators: equals, contains, startsWith, before/lessThan, after/greaterThan, between (value..value2),
+     * in (values), isEmpty, isNotEmpty
+     */
+    evaluateFilterCondition(record, condition = {}) {
+        const fieldName = condition.fieldName || condition.field;
+        const value = record[fieldName];
+        const fieldSchema = this.schema[fieldName];
+        const isEmpty = value === null || value === undefined || value === '';
+
+        if (condition.operator === 'isEmpty') {
+            return isEmpty;
+        }
+        if (condition.operator === 'isNotEmpty') {
+            return !isEmpty;
+        }
+        if (isEmpty) {
+            return false;
+        }
+
+        switch (condition.operator) {
+            case 'equals':
+                return this.compareValues(value, condition.value, fieldSchema) === 0;
+            case 'contains':
+                return String(value).toLowerCase().includes(String(condition.value ?? '').toLowerCase());
+            case 'startsWith':
+                return String(value).toLowerCase().startsWith(String(condition.value ?? '').toLowerCase());
+            case 'before':
+            case 'lessThan':
+                return this.compareValues(value, condition.value, fieldSchema) < 0;
+            case 'after':
+            case 'greaterThan':
+                return this.compareValues(value, condition.value, fieldSchema) > 0;
+            case 'between':
+                return this.compareValues(value, condition.value, fieldSchema) >= 0
+                    && this.compareValues(value, condition.value2, fieldSchema) <= 0;
+            case 'in':
+                return (condition.values || []).map(String).includes(String(value));
+            default:
+                throw new Error(`Unknown filter operator "${condition.operator}" on ${fieldName}`);
+        }
     }
 
     calculatePagination() {
@@ -1752,9 +2116,31 @@ class DataGridControl extends BaseControl {
         }
     }
 
+    /**
+     * Sorted copy of data; rows that tie on every sort column keep their order
+     */
     applySorting(data, sortConfig) {
-        // Implement sorting logic
-        return data;
+        const sorts = this.normalizeSortConfig(sortConfig);
+        if (sorts.length === 0) {
+            return [...data];
+        }
+
+        return data
+            .map((record, position) => ({ record, position }))
+            .sort((a, b) => {
+                for (const { fieldName, direction } of sorts) {
+                    const aValue = a.record[fieldName];
+                    const bValue = b.record[fieldName];
+                    const result = this.compareValues(aValue, bValue, this.schema[fieldName]);
+                    if (result !== 0) {
+                        // Empty values stay last in both directions
+                        const bothProvided = ![aValue, bValue].some(value => value === null || value === undefined || value === '');
+                        return direction === 'desc' && bothProvided ? -result : result;
+                    }
+                }
+                return a.position - b.position;
+            })
+            .map(entry => entry.record);
     }
 
     inferDataType(value) {
@@ -2256,14 +2642,302 @@ class DataGridControl extends BaseControl {
         this.logger.debug('Footer event listeners set up', { id: this.id });
     }
 
-    // Navigation methods
-    navigateUp() { /* Implement */ }
-    navigateDown() { /* Implement */ }
-    navigateLeft() { /* Implement */ }
-    navigateRight() { /* Implement */ }
-    toggleRowSelection() { /* Implement */ }
-    deleteSelectedRows() { /* Implement */ }
-    saveChanges() { /* Implement */ }
+    // ========================================
+    // KEYBOARD NAVIGATION (WAI-ARIA grid pattern)
+    // ========================================
+
+    // Header row first when there is one, then the data rows of the current page
+    getGridRows() {
+        return Array.from(this.container.querySelectorAll('.datagrid-content > .DataGridRow:not(.empty-state)'));
+    }
+
+    getRowCells(row) {
+        return row ? Array.from(row.querySelectorAll('[role="gridcell"], [role="columnheader"]')) : [];
+    }
+
+    getCellFromElement(element) {
+        const cell = element?.closest?.('[role="gridcell"], [role="columnheader"]');
+        return cell && this.container.contains(cell) ? cell : null;
+    }
+
+    hasHeaderRow() {
+        return Boolean(this.container.querySelector('.datagrid-content > .DataGridHeader'));
+    }
+
+    isFocusInGrid() {
+        return typeof document !== 'undefined' && Boolean(this.getCellFromElement(document.activeElement));
+    }
+
+    /**
+     * The active cell's element, clamping activeCell to the rows and columns on the page
+     */
+    getActiveCellElement() {
+        const rows = this.getGridRows();
+        if (rows.length === 0) {
+            return null;
+        }
+        const headerOffset = this.hasHeaderRow() ? 1 : 0;
+        const rowIndex = Math.min(Math.max(this.activeCell.rowIndex, -headerOffset), rows.length - headerOffset - 1);
+        const cells = this.getRowCells(rows[rowIndex + headerOffset]);
+        const columnIndex = Math.min(Math.max(this.activeCell.columnIndex, 0), cells.length - 1);
+        this.activeCell = { rowIndex, columnIndex };
+        return cells[columnIndex] || null;
+    }
+
+    /**
+     * Roving tabindex: the active cell gets tabindex 0, every other cell -1
+     */
+    updateCellTabStops(focus = false) {
+        const rows = this.getGridRows();
+        rows.forEach(row => this.getRowCells(row).forEach(cell => cell.setAttribute('tabindex', '-1')));
+        const activeCellElement = this.getActiveCellElement();
+        if (activeCellElement) {
+            activeCellElement.setAttribute('tabindex', '0');
+            if (focus) {
+                activeCellElement.focus();
+            }
+        }
+    }
+
+    // Follow focus that arrives by mouse or Tab
+    syncActiveCell(element) {
+        const cell = this.getCellFromElement(element);
+        if (!cell) {
+            return;
+        }
+        const rows = this.getGridRows();
+        const rowIndex = rows.indexOf(cell.closest('.DataGridRow')) - (this.hasHeaderRow() ? 1 : 0);
+        const columnIndex = this.getRowCells(cell.closest('.DataGridRow')).indexOf(cell);
+        if (rowIndex !== this.activeCell.rowIndex || columnIndex !== this.activeCell.columnIndex) {
+            this.activeCell = { rowIndex, columnIndex };
+            this.updateCellTabStops();
+        }
+        this.accessibilityMetrics.focusEvents++;
+    }
+
+    /**
+     * Make a cell active and focus it, changing page first when it is on another one
+     */
+    moveToCell(rowIndex, columnIndex, pageNumber = this.currentPage) {
+        this.activeCell = { rowIndex, columnIndex };
+        this.accessibilityMetrics.keyboardNavigations++;
+        if (pageNumber !== this.currentPage) {
+            this.goToPage(pageNumber); // render() focuses the active cell
+        } else {
+            this.updateCellTabStops(true);
+        }
+    }
+
+    getLastRowIndex() {
+        return this.getVisibleData().length - 1;
+    }
+
+    getLastColumnIndex() {
+        return this.getRowCells(this.getGridRows()[0]).length - 1;
+    }
+
+    navigateUp() {
+        const { rowIndex, columnIndex } = this.activeCell;
+        if (rowIndex > 0 || (rowIndex === 0 && this.hasHeaderRow())) {
+            this.moveToCell(rowIndex - 1, columnIndex);
+        }
+    }
+
+    // Down from the last row of a page continues on the next page
+    navigateDown() {
+        const { rowIndex, columnIndex } = this.activeCell;
+        if (rowIndex < this.getLastRowIndex()) {
+            this.moveToCell(rowIndex + 1, columnIndex);
+        } else if (this.options.pagination && this.currentPage < this.totalPages) {
+            this.moveToCell(0, columnIndex, this.currentPage + 1);
+        }
+    }
+
+    navigateLeft() {
+        const { rowIndex, columnIndex } = this.activeCell;
+        if (columnIndex > 0) {
+            this.moveToCell(rowIndex, columnIndex - 1);
+        }
+    }
+
+    navigateRight() {
+        const { rowIndex, columnIndex } = this.activeCell;
+        if (columnIndex < this.getLastColumnIndex()) {
+            this.moveToCell(rowIndex, columnIndex + 1);
+        }
+    }
+
+    // Home: first cell of the row; Ctrl+Home: first cell of the first record
+    navigateHome(toFirstRecord = false) {
+        if (toFirstRecord) {
+            this.moveToCell(0, 0, 1);
+        } else {
+            this.moveToCell(this.activeCell.rowIndex, 0);
+        }
+    }
+
+    // End: last cell of the row; Ctrl+End: last cell of the last record
+    navigateEnd(toLastRecord = false) {
+        const lastColumnIndex = this.getLastColumnIndex();
+        if (!toLastRecord) {
+            this.moveToCell(this.activeCell.rowIndex, lastColumnIndex);
+            return;
+        }
+        const lastPage = this.options.pagination ? Math.max(1, this.totalPages) : 1;
+        const lastRowIndex = this.options.pagination
+            ? (this.sortedData.length - 1) % this.options.pageSize
+            : this.sortedData.length - 1;
+        this.moveToCell(Math.max(lastRowIndex, 0), lastColumnIndex, lastPage);
+    }
+
+    // Page Up/Down: the same row on the previous/next page, or the first/last row on the first/last page
+    navigatePageUp() {
+        const { rowIndex, columnIndex } = this.activeCell;
+        if (this.options.pagination && this.currentPage > 1) {
+            this.moveToCell(Math.max(rowIndex, 0), columnIndex, this.currentPage - 1);
+        } else {
+            this.moveToCell(0, columnIndex);
+        }
+    }
+
+    navigatePageDown() {
+        const { rowIndex, columnIndex } = this.activeCell;
+        if (this.options.pagination && this.currentPage < this.totalPages) {
+            this.moveToCell(Math.max(rowIndex, 0), columnIndex, this.currentPage + 1);
+        } else {
+            this.moveToCell(this.getLastRowIndex(), columnIndex);
+        }
+    }
+
+    /**
+     * Index in data of the record a row key refers to. Rows are keyed by record.id, or by their
+     * position on the current page when the record has no id (see renderDataRows)
+     * @returns {number} -1 when no record matches
+     */
+    findRecordIndex(recordId) {
+        const recordIndex = this.data.findIndex(r => r.id === recordId);
+        if (recordIndex !== -1 || !Number.isInteger(recordId)) {
+            return recordIndex;
+        }
+        const record = this.getVisibleData()[recordId];
+        return record && !record.id ? this.data.indexOf(record) : -1;
+    }
+
+    getActiveRecordId() {
+        const record = this.getVisibleData()[this.activeCell.rowIndex];
+        return record ? (record.id || this.activeCell.rowIndex) : null;
+    }
+
+    // Space: select or deselect the active cell's row
+    toggleRowSelection() {
+        const recordId = this.getActiveRecordId();
+        if (recordId !== null && this.activeCell.rowIndex >= 0) {
+            this.handleRowSelection(recordId);
+        }
+    }
+
+    // Enter/F2 on a data cell (header cells sort on Enter instead)
+    editActiveCell() {
+        const cell = this.getActiveCellElement();
+        const recordId = this.getActiveRecordId();
+        if (cell && recordId !== null && this.activeCell.rowIndex >= 0) {
+            this.handleCellEdit(recordId, cell.getAttribute('data-field-name'), cell);
+        }
+    }
+
+    /**
+     * Delete the selected rows (soft delete); the active cell stays on the same row position
+     * @returns {number} Rows deleted
+     */
+    deleteSelectedRows() {
+        if (this.selectedRows.size === 0) {
+            this.logger.debug('Delete requested with no rows selected', { id: this.id });
+            return 0;
+        }
+
+        const recordIds = Array.from(this.selectedRows);
+        // Resolve every row first: deleting a row moves the page positions that key id-less records
+        const records = recordIds.map(recordId => this.data[this.findRecordIndex(recordId)]).filter(Boolean);
+        const deletedRecords = records.filter(record =>
+            this.deleteRecord(record.id || this.getVisibleData().indexOf(record))
+        );
+        this.selectedRows.clear();
+        this.render();
+
+        this.trigger('datagrid:selectionChanged', {
+            id: this.id,
+            selectedRows: [],
+            selectionCount: 0
+        });
+        this.logger.info('Selected rows deleted', {
+            id: this.id,
+            requested: recordIds.length,
+            deleted: deletedRecords.length
+        });
+        return deletedRecords.length;
+    }
+
+    markUnsavedChanges() {
+        this.hasUnsavedChanges = true;
+        this.changeRevision++;
+    }
+
+    /**
+     * Commit an open cell editor and hand the changes to listeners of datagrid:saveRequested.
+     * The changes stay unsaved until a listener calls the event's confirm() once it has stored them;
+     * reject(error) reports the failure and keeps them. Changes made meanwhile stay unsaved either way
+     * @returns {boolean} Whether a save was requested
+     */
+    saveChanges() {
+        this.commitCellEdit({ focus: this.isFocusInGrid() });
+        if (!this.hasUnsavedChanges) {
+            this.logger.debug('Save requested with no unsaved changes', { id: this.id });
+            return false;
+        }
+
+        const revision = this.changeRevision;
+        let settled = false;
+        const confirm = () => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (this.changeRevision === revision) {
+                this.hasUnsavedChanges = false;
+            }
+            this.trigger('datagrid:saved', {
+                id: this.id,
+                totalRecords: this.data.length,
+                hasUnsavedChanges: this.hasUnsavedChanges
+            });
+            this.logger.info('DataGrid changes saved', {
+                id: this.id,
+                totalRecords: this.data.length
+            });
+        };
+        const reject = (error) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            this.handleError(error instanceof Error ? error : new Error(String(error ?? 'Save failed')), { operation: 'saveChanges' });
+        };
+
+        this.trigger('datagrid:saveRequested', {
+            id: this.id,
+            data: this.data.map(record => ({ ...record })),
+            totalRecords: this.data.length,
+            confirm,
+            reject
+        });
+
+        this.logger.debug('DataGrid save requested', {
+            id: this.id,
+            totalRecords: this.data.length
+        });
+        return true;
+    }
+
     initializeDragAndDrop() { /* Implement */ }
 }
 
@@ -1,6 +1,7 @@
 // DataGridPaginator - Paginated display of GridDataRow components
 // Displays multiple records with pagination controls and new record functionality
 // All rows start in read-only state following Master Agent Edict for dual-state components
+// Remote mode: pass config.dataSource (e.g. DataGridRemoteSource) to page, search and filter on the server
 import { GridDataRow } from './griddatarow.js';
 export class DataGridPaginator {
     static cssInjected = false;
@@ -546,12 +547,56 @@ export class DataGridPaginator {
         this.filteredData = []; // Filtered data based on toggle state
         this.searchTerm = ''; // Current search term
         this.config = config;
+        this.dataSource = config.dataSource || null; // Remote mode: config.data holds the current page only
+        this.totalRecords = 0; // Matching records on the server (remote mode)
+        if (!Array.isArray(this.config.data)) {
+            this.config.data = [];
+        }
         console.log('🔧 DataGridPaginator constructor - initial data sample:', config.data.slice(-1));
         this.pageSize = config.pageSize || 5;
         this.filteredData = this.filterData(); // Initialize filtered data
         this.totalPages = Math.ceil(this.filteredData.length / this.pageSize);
         this.container = this.createContainer();
         this.render();
+        if (this.isRemote()) {
+            this.loadRemotePage();
+        }
+    }
+    isRemote() {
+        return Boolean(this.dataSource);
+    }
+    // Fetch the current page from the data source; selection and edit state are page-local
+    async loadRemotePage() {
+        try {
+            const result = await this.dataSource.fetchPage({
+                page: this.currentPage,
+                pageSize: this.pageSize,
+                q: this.searchTerm,
+                disabled: this.showDisabled
+            });
+            if (result.stale) {
+                return;
+            }
+            if (result.total > 0 && this.currentPage > result.totalPages) {
+                this.currentPage = result.totalPages;
+                await this.loadRemotePage();
+                return;
+            }
+            this.config.data = result.data;
+            this.totalRecords = result.total;
+            this.totalPages = result.totalPages;
+            this.filteredData = this.filterData();
+            this.selectedIndexes.clear();
+            this.masterCheckboxState = false;
+            this.editingIndex = -1;
+            this.render();
+        } catch (error) {
+            console.error('❌ DataGridPaginator: failed to load remote page', error);
+        }
+    }
+    // Offset of the first visible record within config.data
+    getPageStartIndex() {
+        return this.isRemote() ? 0 : (this.currentPage - 1) * this.pageSize;
     }
     getElement() {
         return this.container;
@@ -565,6 +610,10 @@ export class DataGridPaginator {
     goToPage(page) {
         if (page >= 1 && page <= this.totalPages) {
             this.currentPage = page;
+            if (this.isRemote()) {
+                this.loadRemotePage();
+                return;
+            }
             this.render();
         }
     }
@@ -573,6 +622,11 @@ export class DataGridPaginator {
         this.selectedIndexes.clear();
         this.masterCheckboxState = false;
         this.pageSize = newPageSize;
+        if (this.isRemote()) {
+            this.currentPage = 1;
+            this.loadRemotePage();
+            return;
+        }
         this.filteredData = this.filterData();
         this.totalPages = Math.ceil(this.filteredData.length / this.pageSize);
         // Adjust current page if necessary
@@ -597,7 +651,8 @@ export class DataGridPaginator {
             }
             
             // If no search term, show records that passed disabled filter
-            if (!this.searchTerm || this.searchTerm.trim() === '') {
+            // (remote pages are already searched by the server)
+            if (this.isRemote() || !this.searchTerm || this.searchTerm.trim() === '') {
                 return true;
             }
             
@@ -627,21 +682,29 @@ export class DataGridPaginator {
     
     toggleDisabledFilter() {
         this.showDisabled = !this.showDisabled;
-        this.filteredData = this.filterData();
-        this.totalPages = Math.ceil(this.filteredData.length / this.pageSize);
         this.currentPage = 1; // Reset to first page when toggling
         this.selectedIndexes.clear(); // Clear selections when filtering
         this.masterCheckboxState = false;
+        if (this.isRemote()) {
+            this.loadRemotePage();
+            return;
+        }
+        this.filteredData = this.filterData();
+        this.totalPages = Math.ceil(this.filteredData.length / this.pageSize);
         this.render();
     }
     
     handleSearch(searchTerm) {
         this.searchTerm = searchTerm.trim();
-        this.filteredData = this.filterData();
-        this.totalPages = Math.ceil(this.filteredData.length / this.pageSize);
         this.currentPage = 1; // Reset to first page when searching
         this.selectedIndexes.clear(); // Clear selections when searching
         this.masterCheckboxState = false;
+        if (this.isRemote()) {
+            this.loadRemotePage();
+            return;
+        }
+        this.filteredData = this.filterData();
+        this.totalPages = Math.ceil(this.filteredData.length / this.pageSize);
         this.render();
     }
 
@@ -681,6 +744,13 @@ export class DataGridPaginator {
         console.log('📊 Filtered data length after adding:', this.filteredData.length);
         console.log('📊 Total data length:', this.config.data.length);
         
+        if (this.isRemote()) {
+            // Remote pages hold only the current page - the new row is appended to it
+            this.editingIndex = this.filteredData.length - 1;
+            this.render();
+            return;
+        }
+        
         this.totalPages = Math.ceil(this.filteredData.length / this.pageSize);
         // Go to the last page to show the new record
         this.currentPage = this.totalPages;
@@ -706,6 +776,11 @@ export class DataGridPaginator {
                 // Default behavior: soft delete (set isDisabled = true)
                 this.config.data[globalIndex].isDisabled = true;
                 this.filteredData = this.filterData(); // Update filtered data
+                if (this.isRemote()) {
+                    // Server totals stay authoritative until the next page load
+                    this.render();
+                    return;
+                }
                 this.totalPages = Math.ceil(this.filteredData.length / this.pageSize);
                 // Adjust current page if necessary
                 if (this.currentPage > this.totalPages && this.totalPages > 0) {
@@ -900,8 +975,10 @@ export class DataGridPaginator {
                 </div>
             `;
         }
-        const startIndex = (this.currentPage - 1) * this.pageSize;
-        const endIndex = Math.min(startIndex + this.pageSize, this.filteredData.length);
+        const startIndex = this.getPageStartIndex();
+        const endIndex = this.isRemote()
+            ? this.filteredData.length
+            : Math.min(startIndex + this.pageSize, this.filteredData.length);
         const pageRecords = this.filteredData.slice(startIndex, endIndex);
         console.log('📄 Page records:', pageRecords.length, 'from', startIndex, 'to', endIndex);
         this.gridRows = []; // Clear existing rows
@@ -988,6 +1065,10 @@ export class DataGridPaginator {
         if (currentData.length === 0) {
             return 'No records';
         }
+        if (this.isRemote()) {
+            const firstIndex = (this.currentPage - 1) * this.pageSize + 1;
+            return `Showing ${firstIndex}-${firstIndex + currentData.length - 1} of ${this.totalRecords} records`;
+        }
         const startIndex = (this.currentPage - 1) * this.pageSize + 1;
         const endIndex = Math.min(this.currentPage * this.pageSize, currentData.length);
         const filterInfo = this.filteredData !== this.config.data ?
@@ -1115,7 +1196,7 @@ export class DataGridPaginator {
         }
     }
     getGlobalIndex(pageIndex) {
-        return (this.currentPage - 1) * this.pageSize + pageIndex;
+        return this.getPageStartIndex() + pageIndex;
     }
     createDefaultNewRecord() {
         const newRecord = {};
@@ -1145,7 +1226,7 @@ export class DataGridPaginator {
             this.selectedIndexes.delete(globalIndex);
         }
         // Update master checkbox state based on visible page records
-        const startIndex = (this.currentPage - 1) * this.pageSize;
+        const startIndex = this.getPageStartIndex();
         const endIndex = Math.min(startIndex + this.pageSize, this.config.data.length);
         let allVisibleSelected = true;
         for (let i = startIndex; i < endIndex; i++) {
@@ -1164,7 +1245,7 @@ export class DataGridPaginator {
     handleMasterCheckboxChange(checked) {
         this.masterCheckboxState = checked;
         // Calculate the range of visible records on current page
-        const startIndex = (this.currentPage - 1) * this.pageSize;
+        const startIndex = this.getPageStartIndex();
         const endIndex = Math.min(startIndex + this.pageSize, this.config.data.length);
         if (checked) {
             // Select only visible page records
@@ -1202,6 +1283,11 @@ export class DataGridPaginator {
                     // Clear selection and update pagination
                     this.selectedIndexes.clear();
                     this.masterCheckboxState = false;
+                    if (this.isRemote()) {
+                        this.filteredData = this.filterData();
+                        this.render();
+                        return;
+                    }
                     this.totalPages = Math.ceil(this.config.data.length / this.pageSize);
                     // Adjust current page if necessary
                     if (this.currentPage > this.totalPages && this.totalPages > 0) {
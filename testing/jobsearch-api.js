@@ -0,0 +1,763 @@
+/**
+ * JobSearch API - File-backed REST CRUD routes for jobsearch.json entities
+ * Reads and atomically rewrites the consolidated data file used by jobsearch-management.html
+ *
+ * Routes (mounted under /api by server.js):
+ *   GET    /                 - Schema version of the data file and its entities with record counts
+ *   GET    /:entity          - Schema and records for an entity (supports query parameters below)
+ *   GET    /:entity/:id      - Single record
+ *   POST   /:entity          - Create a record (id is always assigned by the server)
+ *   PUT    /:entity/:id      - Replace a record
+ *   PATCH  /:entity/:id      - Merge changes into a record
+ *   DELETE /:entity/:id      - Remove a record (dependents follow their foreign key's onDelete policy)
+ *   GET    /:entity/:id/history - Audit trail for a record, oldest first
+ *
+ * Optimistic concurrency: every record carries `version` and `updatedAt`. Single-record
+ * responses send an ETag of the version; PUT/PATCH/DELETE with a stale If-Match header
+ * (or body `version`) are rejected with 409 and the current record.
+ *
+ * GET /:entity query parameters (all optional, combined with AND):
+ *   page=2&pageSize=25   - 1-based page; without pageSize every matching record is returned
+ *   q=acme               - Case-insensitive text search over searchable fields, computed values included
+ *   sort=-lcontact,position - Comma-separated fields, `-` prefix for descending
+ *   disabled=true|false|all - Only disabled, only enabled, or all records (default all)
+ *   <field>=value        - Exact (case-insensitive) match on a schema field; repeat for any-of
+ * The response adds `total` (matching records), `page`, `pageSize` and `totalPages`.
+ *
+ * Every write appends a field-level audit entry (jobsearch-audit.js) to the document's
+ * top-level `audit` array in the same atomic write as the record change.
+ *
+ * Deleting or disabling a record applies the onDelete policy (jobsearch-integrity.js) of every
+ * foreign key pointing at it in the same write; a restricted removal is rejected with 409.
+ * Responses list the dependents that changed in `affected`.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const { createAuditEntry, appendAuditEntry, getRecordAuditTrail } = require('../jobsearch-audit');
+const { planRecordRemoval, applyRecordRemovalEffects, describeRecordRemovalPlan } = require('../jobsearch-integrity');
+const { compileExpression, getComputedExpression } = require('../jobsearch-expressions');
+
+// Record fields that are managed by the grid rather than declared in the schema
+const META_FIELDS = ['id', 'isDisabled', 'timestamp', 'version', 'updatedAt'];
+
+const RESERVED_QUERY_PARAMS = ['page', 'pageSize', 'q', 'sort', 'disabled'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 500;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+class ApiError extends Error {
+  constructor(status, message, details = [], extra = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+    this.extra = extra;
+  }
+}
+
+/**
+ * Serializes read-modify-write cycles against the data file and writes
+ * through a temp file + rename so readers never see a partial document.
+ */
+class JobSearchStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.queue = Promise.resolve();
+  }
+
+  async read() {
+    const raw = await fs.promises.readFile(this.filePath, 'utf8');
+    return JSON.parse(raw);
+  }
+
+  async write(document) {
+    const tempPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, `${JSON.stringify(document, null, 4)}\n`, 'utf8');
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Run a mutation against a fresh copy of the document. The document is
+   * only written back when the mutator completes without throwing.
+   */
+  transaction(mutator) {
+    const run = this.queue.then(async () => {
+      const document = await this.read();
+      const result = await mutator(document);
+      await this.write(document);
+      return result;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+// Own properties only: names like "constructor" or "__proto__" are not entities or fields
+function hasOwnName(object, name) {
+  return Boolean(object) && Object.prototype.hasOwnProperty.call(object, name);
+}
+
+function getEntity(document, entityType) {
+  const entity = hasOwnName(document?.jobsearch, entityType) ? document.jobsearch[entityType] : null;
+  if (!entity || typeof entity !== 'object' || !entity.schema) {
+    throw new ApiError(404, `Unknown entity "${entityType}"`);
+  }
+  return entity;
+}
+
+// Entities normally keep rows under `data`; older entries use `records`
+function getEntityRecords(entity) {
+  if (Array.isArray(entity.data)) {
+    return entity.data;
+  }
+  if (Array.isArray(entity.records)) {
+    return entity.records;
+  }
+  entity.data = [];
+  return entity.data;
+}
+
+function getPrimaryKey(schema = {}) {
+  return Object.keys(schema).find(fieldName => schema[fieldName]?.primaryKey) || 'id';
+}
+
+function isValueProvided(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function getNextId(records, idField) {
+  const numericIds = records
+    .map(record => Number(record[idField]))
+    .filter(id => Number.isFinite(id));
+  return numericIds.length > 0 ? Math.max(...numericIds) + 1 : 1;
+}
+
+/**
+ * Assign ids to records stored without one, in file order, matching the
+ * index-based fallback the grid uses when it loads id-less rows.
+ */
+function ensureRecordIds(records, idField) {
+  records.forEach(record => {
+    if (!isValueProvided(record[idField])) {
+      record[idField] = getNextId(records, idField);
+    }
+    if (idField !== 'id' && !isValueProvided(record.id)) {
+      record.id = record[idField];
+    }
+  });
+}
+
+// Records written before versioning was introduced start at version 1
+function ensureRecordVersions(records) {
+  records.forEach(record => {
+    if (!Number.isInteger(record.version) || record.version < 1) {
+      record.version = 1;
+    }
+  });
+}
+
+function formatETag(record) {
+  return `"${record.version}"`;
+}
+
+function parseETag(value) {
+  return String(value).trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+}
+
+/**
+ * Reject writes based on a stale version. The expected version comes from the
+ * If-Match header, falling back to a `version` field in the body.
+ */
+function assertCurrentVersion(req, record, entityType) {
+  const ifMatch = req.get('If-Match');
+  let expected = null;
+
+  if (ifMatch && ifMatch.trim() !== '*') {
+    expected = ifMatch.split(',').map(parseETag);
+  } else if (!ifMatch && req.body && isValueProvided(req.body.version)) {
+    expected = [String(req.body.version)];
+  }
+
+  if (expected && !expected.includes(String(record.version))) {
+    throw new ApiError(
+      409,
+      `${entityType} record ${record.id} was modified by someone else`,
+      [`Expected version ${expected.join(' or ')}, current version is ${record.version}`],
+      { current: record }
+    );
+  }
+}
+
+function stampRecordVersion(record, previousVersion = 0) {
+  record.version = previousVersion + 1;
+  record.updatedAt = new Date().toISOString();
+  return record;
+}
+
+/**
+ * Apply onDelete policies for a record that is being deleted or disabled.
+ * Dependents get a new version and an audit entry like any other write.
+ * @returns {Array<{entity: string, id: *, effect: string}>} The dependents that changed
+ */
+function applyReferentialPolicies(document, entityType, record, mode) {
+  const plan = planRecordRemoval(document, entityType, [record], { mode });
+  if (plan.blocked.length > 0) {
+    const { blocked } = describeRecordRemovalPlan(document, plan);
+    throw new ApiError(
+      409,
+      `Cannot ${mode} ${entityType} record ${record.id}: other records still reference it`,
+      blocked,
+      { blocked: plan.blocked.map(group => ({ entity: group.entityType, field: group.fieldName, policy: group.policy, ids: group.records.map(dependent => dependent.id) })) }
+    );
+  }
+
+  applyRecordRemovalEffects(document, plan, {
+    onChange: (dependentType, before, after) => {
+      if (after) {
+        stampRecordVersion(after, before.version);
+      }
+      const idField = getPrimaryKey(document.jobsearch[dependentType].schema);
+      appendAuditEntry(document, createAuditEntry(dependentType, before, after, { idField }));
+    }
+  });
+
+  return plan.effects.map(effect => ({ entity: effect.entityType, id: effect.record.id, effect: effect.effect }));
+}
+
+function isBeingDisabled(before, after) {
+  return !before.isDisabled && Boolean(after.isDisabled);
+}
+
+function findRecordIndex(records, idField, id) {
+  return records.findIndex(record => String(record[idField]) === String(id));
+}
+
+function getFieldRules(fieldConfig = {}) {
+  const typeConfig = fieldConfig.editType || fieldConfig.displayType || {};
+  return {
+    css: typeConfig.css || fieldConfig.css || {},
+    options: typeConfig.options || fieldConfig.options || null
+  };
+}
+
+function validateFieldType(fieldName, value, fieldConfig) {
+  const label = fieldConfig.displayName || fieldName;
+
+  switch (fieldConfig.type) {
+    case 'number': {
+      const parsed = typeof value === 'number' ? value : Number(value);
+      if (!Number.isFinite(parsed)) {
+        return { error: `${label} must be a number` };
+      }
+      return { value: parsed };
+    }
+    case 'date':
+      if (!DATE_PATTERN.test(String(value)) || Number.isNaN(new Date(value).getTime())) {
+        return { error: `${label} must be a date in YYYY-MM-DD format` };
+      }
+      return { value };
+    case 'time':
+      if (!TIME_PATTERN.test(String(value))) {
+        return { error: `${label} must be a time in HH:MM format` };
+      }
+      return { value };
+    case 'email':
+      if (!EMAIL_PATTERN.test(String(value))) {
+        return { error: `${label} must be a valid email address` };
+      }
+      return { value };
+    case 'url':
+      try {
+        new URL(String(value));
+      } catch (error) {
+        return { error: `${label} must be a valid URL` };
+      }
+      return { value };
+    default:
+      if (typeof value !== 'string') {
+        return { error: `${label} must be text` };
+      }
+      return { value };
+  }
+}
+
+function validateFieldRules(fieldName, value, fieldConfig) {
+  const label = fieldConfig.displayName || fieldName;
+  const { css, options } = getFieldRules(fieldConfig);
+  const errors = [];
+  const stringValue = String(value);
+
+  if (css.minlength && stringValue.length < Number(css.minlength)) {
+    errors.push(`${label} must be at least ${css.minlength} characters`);
+  }
+  if (css.maxlength && stringValue.length > Number(css.maxlength)) {
+    errors.push(`${label} must not exceed ${css.maxlength} characters`);
+  }
+  if (css.pattern && !new RegExp(css.pattern).test(stringValue)) {
+    errors.push(`${label} format is invalid`);
+  }
+  if (Array.isArray(options) && options.length > 0) {
+    const allowed = options.map(option => (option && typeof option === 'object')
+      ? String(option.value ?? option.id ?? option.label)
+      : String(option));
+    if (!allowed.includes(stringValue)) {
+      errors.push(`${label} must be one of: ${allowed.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+function validateForeignKey(fieldName, value, fieldConfig, document) {
+  const [collectionKey, idField] = fieldConfig.foreignKey.split('.');
+  const collection = document?.jobsearch?.[collectionKey];
+  if (!collection) {
+    return [];
+  }
+
+  const records = getEntityRecords(collection);
+  const exists = records.some(record => String(record[idField || 'id']) === String(value));
+  return exists
+    ? []
+    : [`${fieldConfig.displayName || fieldName} references missing ${collectionKey} record ${value}`];
+}
+
+/**
+ * Validate a record body against an entity schema.
+ * Computed fields are derived at display time, so they are dropped rather than stored.
+ * @returns {{ record: Object, errors: string[] }}
+ */
+function validateRecord(schema, body, document, { idField = 'id' } = {}) {
+  const errors = [];
+  const record = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { record, errors: ['Request body must be a JSON object'] };
+  }
+
+  Object.keys(body).forEach(fieldName => {
+    if (!hasOwnName(schema, fieldName) && !META_FIELDS.includes(fieldName)) {
+      errors.push(`Unknown field "${fieldName}"`);
+    }
+  });
+
+  Object.entries(schema).forEach(([fieldName, fieldConfig]) => {
+    if (!fieldConfig || fieldConfig.computed) {
+      return;
+    }
+
+    const value = body[fieldName];
+    if (!isValueProvided(value)) {
+      if (fieldConfig.required && fieldName !== idField) {
+        errors.push(`${fieldConfig.displayName || fieldName} is required`);
+      }
+      if (value !== undefined) {
+        record[fieldName] = '';
+      }
+      return;
+    }
+
+    const typed = validateFieldType(fieldName, value, fieldConfig);
+    if (typed.error) {
+      errors.push(typed.error);
+      return;
+    }
+
+    errors.push(...validateFieldRules(fieldName, typed.value, fieldConfig));
+    if (fieldConfig.foreignKey) {
+      errors.push(...validateForeignKey(fieldName, typed.value, fieldConfig, document));
+    }
+    record[fieldName] = typed.value;
+  });
+
+  if (body.isDisabled !== undefined) {
+    if (typeof body.isDisabled !== 'boolean') {
+      errors.push('isDisabled must be true or false');
+    } else {
+      record.isDisabled = body.isDisabled;
+    }
+  }
+  if (isValueProvided(body.timestamp)) {
+    record.timestamp = String(body.timestamp);
+  }
+
+  return { record, errors };
+}
+
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Record failed schema validation', errors);
+  }
+}
+
+function loadEntityContext(document, entityType) {
+  const entity = getEntity(document, entityType);
+  const records = getEntityRecords(entity);
+  const idField = getPrimaryKey(entity.schema);
+  ensureRecordIds(records, idField);
+  ensureRecordVersions(records);
+  return { entity, records, idField };
+}
+
+function requireRecordIndex(records, idField, entityType, id) {
+  const index = findRecordIndex(records, idField, id);
+  if (index === -1) {
+    throw new ApiError(404, `No ${entityType} record with id "${id}"`);
+  }
+  return index;
+}
+
+function parsePositiveInteger(value, name, errors, max = Infinity) {
+  if (value === undefined) {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+    errors.push(max === Infinity
+      ? `${name} must be a positive integer`
+      : `${name} must be an integer between 1 and ${max}`);
+    return null;
+  }
+  return parsed;
+}
+
+function getQueryValues(value, name, errors) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some(item => typeof item !== 'string')) {
+    errors.push(`${name} must be a plain value`);
+    return [];
+  }
+  return values;
+}
+
+/**
+ * Parse GET /:entity query parameters against the entity schema
+ * @returns {{ page: number|null, pageSize: number|null, q: string, sort: Array, disabled: boolean|null, filters: Object }}
+ */
+function parseEntityQuery(query, schema) {
+  const errors = [];
+  const [q = ''] = query.q === undefined ? [] : getQueryValues(query.q, 'q', errors);
+  const [sortParam = ''] = query.sort === undefined ? [] : getQueryValues(query.sort, 'sort', errors);
+  const [disabledParam = 'all'] = query.disabled === undefined ? [] : getQueryValues(query.disabled, 'disabled', errors);
+
+  const parsed = {
+    page: parsePositiveInteger(query.page, 'page', errors),
+    pageSize: parsePositiveInteger(query.pageSize, 'pageSize', errors, MAX_PAGE_SIZE),
+    q: q.trim().toLowerCase(),
+    sort: [],
+    disabled: null,
+    filters: {}
+  };
+
+  if (disabledParam === 'true' || disabledParam === 'false') {
+    parsed.disabled = disabledParam === 'true';
+  } else if (disabledParam !== 'all') {
+    errors.push('disabled must be true, false or all');
+  }
+
+  sortParam.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const direction = part.startsWith('-') ? 'desc' : 'asc';
+    const fieldName = part.replace(/^[-+]/, '');
+    if (!hasOwnName(schema, fieldName) && fieldName !== 'id') {
+      errors.push(`Cannot sort by unknown field "${fieldName}"`);
+      return;
+    }
+    parsed.sort.push({ fieldName, direction });
+  });
+
+  Object.keys(query)
+    .filter(name => !RESERVED_QUERY_PARAMS.includes(name))
+    .forEach(fieldName => {
+      if (!hasOwnName(schema, fieldName) && fieldName !== 'id') {
+        errors.push(`Unknown query parameter "${fieldName}"`);
+        return;
+      }
+      parsed.filters[fieldName] = getQueryValues(query[fieldName], fieldName, errors)
+        .map(value => value.toLowerCase());
+    });
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Invalid query parameters', errors);
+  }
+  return parsed;
+}
+
+// Value of a field as shown in the grid: computed fields evaluate their expression (jobsearch-expressions.js)
+function getQueryFieldValue(record, fieldName, fieldConfig, document, schema) {
+  const source = getComputedExpression(fieldConfig, schema, document);
+  if (!source) {
+    return record[fieldName];
+  }
+
+  let expression;
+  try {
+    expression = compileExpression(source);
+  } catch (error) {
+    // `npm run validate` reports the broken expression; the column stays empty
+    return '';
+  }
+  const lookup = (entityType, id) => {
+    const collection = hasOwnName(document?.jobsearch, entityType) ? document.jobsearch[entityType] : null;
+    return collection ? getEntityRecords(collection).find(candidate => String(candidate.id) === String(id)) : null;
+  };
+  return expression.evaluate(record, { lookup }) ?? '';
+}
+
+function compareQueryValues(a, b, fieldConfig = {}) {
+  const aMissing = !isValueProvided(a);
+  const bMissing = !isValueProvided(b);
+  if (aMissing || bMissing) {
+    // Empty values sort last regardless of direction
+    return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  }
+  if (fieldConfig.type === 'number') {
+    return Number(a) - Number(b);
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Filter, search, sort and page an entity's records
+ * @returns {{ data: Object[], total: number, page: number, pageSize: number, totalPages: number }}
+ */
+function applyEntityQuery(records, schema, document, query) {
+  const fieldEntries = Object.entries(schema);
+  const searchFields = fieldEntries.filter(([, fieldConfig]) => fieldConfig && fieldConfig.searchable !== false);
+  const valueOf = (record, fieldName) => getQueryFieldValue(record, fieldName, schema[fieldName], document, schema);
+
+  const matching = records.filter(record => {
+    if (query.disabled !== null && Boolean(record.isDisabled) !== query.disabled) {
+      return false;
+    }
+
+    const matchesFilters = Object.entries(query.filters).every(([fieldName, values]) => {
+      const value = valueOf(record, fieldName);
+      return values.includes(String(value ?? '').toLowerCase());
+    });
+    if (!matchesFilters) {
+      return false;
+    }
+
+    return !query.q || searchFields.some(([fieldName]) => (
+      String(valueOf(record, fieldName) ?? '').toLowerCase().includes(query.q)
+    ));
+  });
+
+  if (query.sort.length > 0) {
+    matching.sort((a, b) => {
+      for (const { fieldName, direction } of query.sort) {
+        const aValue = valueOf(a, fieldName);
+        const bValue = valueOf(b, fieldName);
+        const result = compareQueryValues(aValue, bValue, schema[fieldName]);
+        if (result !== 0) {
+          const bothProvided = isValueProvided(aValue) && isValueProvided(bValue);
+          return direction === 'desc' && bothProvided ? -result : result;
+        }
+      }
+      return 0;
+    });
+  }
+
+  const total = matching.length;
+  const pageSize = query.pageSize || (query.page ? DEFAULT_PAGE_SIZE : Math.max(total, 1));
+  const page = query.page || 1;
+  const start = (page - 1) * pageSize;
+
+  return {
+    data: matching.slice(start, start + pageSize),
+    total,
+    page,
+    pageSize,
+    totalPages: Math.max(1, Math.ceil(total / pageSize))
+  };
+}
+
+// PUT/PATCH keep answering with the bare record; `affected` is only added when a disable cascaded
+function formatWriteResponse({ record, affected }) {
+  return affected.length > 0 ? { ...record, affected } : record;
+}
+
+// Wrap async handlers so thrown ApiErrors reach the error middleware
+function route(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Create the /api router bound to a jobsearch.json file
+ * @param {Object} options
+ * @param {string} options.dataFile - Absolute path to jobsearch.json
+ * @returns {express.Router}
+ */
+function createJobSearchApi({ dataFile }) {
+  const store = new JobSearchStore(dataFile);
+  const router = express.Router();
+
+  router.use(express.json({ limit: '1mb' }));
+
+  router.get('/', route(async (req, res) => {
+    const document = await store.read();
+    const entities = Object.entries(document?.jobsearch || {})
+      .filter(([, entity]) => entity && entity.schema)
+      .map(([name, entity]) => ({ name, count: getEntityRecords(entity).length }));
+    res.json({ schemaVersion: Number.isInteger(document?.schemaVersion) ? document.schemaVersion : 0, entities });
+  }));
+
+  router.get('/:entity', route(async (req, res) => {
+    const document = await store.read();
+    const { entity, records, idField } = loadEntityContext(document, req.params.entity);
+    const query = parseEntityQuery(req.query, entity.schema);
+    const result = applyEntityQuery(records, entity.schema, document, query);
+    res.json({ entity: req.params.entity, primaryKey: idField, schema: entity.schema, ...result });
+  }));
+
+  router.get('/:entity/:id', route(async (req, res) => {
+    const document = await store.read();
+    const { records, idField } = loadEntityContext(document, req.params.entity);
+    const index = requireRecordIndex(records, idField, req.params.entity, req.params.id);
+    res.set('ETag', formatETag(records[index])).json(records[index]);
+  }));
+
+  router.post('/:entity', route(async (req, res) => {
+    const created = await store.transaction(document => {
+      const { entity, records, idField } = loadEntityContext(document, req.params.entity);
+      const { record, errors } = validateRecord(entity.schema, req.body, document, { idField });
+      assertValid(errors);
+
+      record[idField] = getNextId(records, idField);
+      record.id = record[idField];
+      if (record.isDisabled === undefined) {
+        record.isDisabled = false;
+      }
+      if (!record.timestamp) {
+        record.timestamp = new Date().toISOString();
+      }
+      stampRecordVersion(record);
+
+      records.push(record);
+      appendAuditEntry(document, createAuditEntry(req.params.entity, null, record, { idField }));
+      return record;
+    });
+
+    res.status(201).set('ETag', formatETag(created)).json(created);
+  }));
+
+  router.put('/:entity/:id', route(async (req, res) => {
+    const updated = await store.transaction(document => {
+      const { entity, records, idField } = loadEntityContext(document, req.params.entity);
+      const index = requireRecordIndex(records, idField, req.params.entity, req.params.id);
+      assertCurrentVersion(req, records[index], req.params.entity);
+      const { record, errors } = validateRecord(entity.schema, req.body, document, { idField });
+      assertValid(errors);
+
+      record[idField] = records[index][idField];
+      record.id = records[index].id ?? record[idField];
+      if (record.isDisabled === undefined) {
+        record.isDisabled = Boolean(records[index].isDisabled);
+      }
+      const affected = isBeingDisabled(records[index], record)
+        ? applyReferentialPolicies(document, req.params.entity, records[index], 'disable')
+        : [];
+      stampRecordVersion(record, records[index].version);
+
+      appendAuditEntry(document, createAuditEntry(req.params.entity, records[index], record, { idField }));
+      records[index] = record;
+      return { record, affected };
+    });
+
+    res.set('ETag', formatETag(updated.record)).json(formatWriteResponse(updated));
+  }));
+
+  router.patch('/:entity/:id', route(async (req, res) => {
+    const updated = await store.transaction(document => {
+      const { entity, records, idField } = loadEntityContext(document, req.params.entity);
+      const index = requireRecordIndex(records, idField, req.params.entity, req.params.id);
+      assertCurrentVersion(req, records[index], req.params.entity);
+      const body = req.body && typeof req.body === 'object' ? req.body : null;
+      const merged = body && !Array.isArray(body) ? { ...records[index], ...body } : body;
+      const { record, errors } = validateRecord(entity.schema, merged, document, { idField });
+      assertValid(errors);
+
+      record[idField] = records[index][idField];
+      record.id = records[index].id ?? record[idField];
+      const affected = isBeingDisabled(records[index], record)
+        ? applyReferentialPolicies(document, req.params.entity, records[index], 'disable')
+        : [];
+      stampRecordVersion(record, records[index].version);
+
+      appendAuditEntry(document, createAuditEntry(req.params.entity, records[index], record, { idField }));
+      records[index] = record;
+      return { record, affected };
+    });
+
+    res.set('ETag', formatETag(updated.record)).json(formatWriteResponse(updated));
+  }));
+
+  router.delete('/:entity/:id', route(async (req, res) => {
+    const deleted = await store.transaction(document => {
+      const { records, idField } = loadEntityContext(document, req.params.entity);
+      const index = requireRecordIndex(records, idField, req.params.entity, req.params.id);
+      assertCurrentVersion(req, records[index], req.params.entity);
+      const record = records[index];
+      const affected = applyReferentialPolicies(document, req.params.entity, record, 'delete');
+      // Cascades may have shifted this entity's rows, and through a cyclic foreign key even removed
+      // the record itself; that removal is already audited, so report it as the deleted record only
+      const removedIndex = findRecordIndex(records, idField, req.params.id);
+      if (removedIndex === -1) {
+        const isRecordEffect = effect => effect.entity === req.params.entity && String(effect.id) === String(record.id);
+        return { removed: record, affected: affected.filter(effect => !isRecordEffect(effect)) };
+      }
+      const [removed] = records.splice(removedIndex, 1);
+      appendAuditEntry(document, createAuditEntry(req.params.entity, removed, null, { idField }));
+      return { removed, affected };
+    });
+
+    res.json({ deleted: deleted.removed, affected: deleted.affected });
+  }));
+
+  // History outlives the record, so deleted records still have a trail
+  router.get('/:entity/:id/history', route(async (req, res) => {
+    const document = await store.read();
+    getEntity(document, req.params.entity);
+    const entries = getRecordAuditTrail(document.audit, req.params.entity, req.params.id);
+    res.json({ entity: req.params.entity, id: req.params.id, entries });
+  }));
+
+  router.use((error, req, res, next) => {
+    if (error instanceof ApiError) {
+      res.status(error.status).json({ error: error.message, details: error.details, ...error.extra });
+      return;
+    }
+    if (error.type === 'entity.parse.failed') {
+      res.status(400).json({ error: 'Request body is not valid JSON', details: [] });
+      return;
+    }
+
+    console.error('JobSearch API error:', error);
+    res.status(500).json({ error: 'Internal server error', details: [] });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createJobSearchApi,
+  JobSearchStore,
+  ApiError,
+  validateRecord,
+  parseEntityQuery,
+  applyEntityQuery,
+  getPrimaryKey,
+  getEntityRecords
+};
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Migrate jobsearch.json to the current schema version (see ../jobsearch-migrations.js)
+ *
+ * Usage:
+ *   node migrate-jobsearch.js [path/to/jobsearch.json] [--dry-run]
+ *   npm run migrate -- --dry-run
+ *
+ * The previous file is copied to `<file>.v<oldVersion>.<timestamp>.bak` before the migrated
+ * document is written (temp file + rename). Nothing is written when the file is already current.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { migrateDocument, formatMigrationReport } = require('../jobsearch-migrations');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'jobsearch.json');
+
+function getBackupPath(filePath, fromVersion) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${filePath}.v${fromVersion}.${timestamp}.bak`;
+}
+
+/**
+ * Migrate a jobsearch.json file in place
+ * @param {string} filePath - Absolute or relative path to jobsearch.json
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report the changes without writing anything
+ * @returns {Object} Migration report from migrateDocument, plus `filePath` and `backupPath`
+ */
+function migrateJobSearchFile(filePath, { dryRun = false } = {}) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const report = migrateDocument(JSON.parse(raw));
+  const result = { ...report, filePath, backupPath: null };
+
+  if (!report.changed || dryRun) {
+    return result;
+  }
+
+  result.backupPath = getBackupPath(filePath, report.fromVersion);
+  fs.copyFileSync(filePath, result.backupPath);
+
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, `${JSON.stringify(report.document, null, 4)}\n`, 'utf8');
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (unlinkError) {
+      // Temp file was never created
+    }
+    throw error;
+  }
+
+  return result;
+}
+
+function main(argv) {
+  const dryRun = argv.includes('--dry-run');
+  const fileArg = argv.find(arg => !arg.startsWith('--'));
+  const filePath = path.resolve(fileArg || DEFAULT_DATA_FILE);
+
+  const result = migrateJobSearchFile(filePath, { dryRun });
+  console.log(formatMigrationReport(result));
+
+  if (!result.changed) {
+    console.log(`✅ ${filePath} is already at schema version ${result.toVersion}`);
+  } else if (dryRun) {
+    console.log('🔍 Dry run - no files written');
+  } else {
+    console.log(`💾 Backup: ${result.backupPath}`);
+    console.log(`✅ Migrated ${filePath}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { migrateJobSearchFile };
@@ -1,13 +1,48 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
+const { createJobSearchApi } = require('./jobsearch-api');
+const { migrateJobSearchFile } = require('./migrate-jobsearch');
+const { formatMigrationReport } = require('../jobsearch-migrations');
 
 const app = express();
-const PORT = 8080;
+const PORT = process.env.PORT || 8080;
+const ROOT_DIR = path.join(__dirname, '..');
+const JOBSEARCH_DATA_FILE = process.env.JOBSEARCH_DATA_FILE || path.join(ROOT_DIR, 'jobsearch.json');
+
+// Only check the data file's schema version by default - rewriting it (and leaving a backup
+// next to it) is opt-in with JOBSEARCH_MIGRATE_ON_START=1, otherwise run `npm run migrate`
+const MIGRATE_ON_START = process.env.JOBSEARCH_MIGRATE_ON_START === '1';
+
+try {
+  const migration = migrateJobSearchFile(JOBSEARCH_DATA_FILE, { dryRun: !MIGRATE_ON_START });
+  if (migration.changed && MIGRATE_ON_START) {
+    console.log(formatMigrationReport(migration));
+    console.log(`💾 Previous data file backed up to ${migration.backupPath}`);
+  } else if (migration.changed) {
+    console.warn(`⚠️  ${JOBSEARCH_DATA_FILE} is at schema version ${migration.fromVersion}, current is ${migration.toVersion}.`);
+    console.warn('   Run `npm run migrate` (or start with JOBSEARCH_MIGRATE_ON_START=1) to upgrade it.');
+  }
+} catch (error) {
+  console.error(`❌ Unable to check ${JOBSEARCH_DATA_FILE}: ${error.message}`);
+}
 
 // Enable CORS
 app.use(cors());
 
+// File-backed CRUD API for jobsearch.json entities
+app.use('/api', createJobSearchApi({ dataFile: JOBSEARCH_DATA_FILE }));
+
+// Serve the JobSearch management app from the repository root
+app.use('/jobsearch', express.static(ROOT_DIR, {
+  index: 'jobsearch-management.html',
+  setHeaders: (res, filePath) => {
+    if (filePath.endsWith('.js')) {
+      res.setHeader('Content-Type', 'application/javascript');
+    }
+  }
+}));
+
 // Set proper MIME types for JavaScript modules
 app.use('/dist', express.static(path.join(__dirname, 'dist'), {
   setHeaders: (res, filePath) => {
@@ -35,4 +70,6 @@ app.listen(PORT, () => {
   console.log(`🚀 HTMLStubs server running at http://localhost:${PORT}`);
   console.log(`📄 Position Management: http://localhost:${PORT}/position-management.html`);
   console.log(`🧪 Module Test: http://localhost:${PORT}/test-modules.html`);
+  console.log(`💼 JobSearch Management: http://localhost:${PORT}/jobsearch/`);
+  console.log(`🗄️  JobSearch API: http://localhost:${PORT}/api (data: ${JOBSEARCH_DATA_FILE})`);
 });
\ No newline at end of file
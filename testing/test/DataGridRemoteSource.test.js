@@ -0,0 +1,100 @@
+/**
+ * DataGridRemoteSource - remote paging against the JobSearch API
+ * Run with `npm test` in testing/
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createJobSearchApi } = require('../jobsearch-api');
+const DataGridRemoteSource = require('../DataGridRemoteSource');
+
+const SOURCE_DATA_FILE = path.join(__dirname, '..', '..', 'jobsearch.json');
+
+describe('DataGridRemoteSource', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+  let positions;
+
+  const createSource = (options = {}) => new DataGridRemoteSource({ url: `${baseUrl}/api/positions`, ...options });
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobsearch-remote-'));
+    const dataFile = path.join(tempDir, 'jobsearch.json');
+    fs.copyFileSync(SOURCE_DATA_FILE, dataFile);
+    positions = JSON.parse(fs.readFileSync(dataFile, 'utf8')).jobsearch.positions.data;
+
+    const app = express();
+    app.use('/api', createJobSearchApi({ dataFile }));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('builds the query string understood by GET /api/:entity', () => {
+    const source = new DataGridRemoteSource({ url: '/api/positions', filters: { companyId: 3 } });
+    assert.equal(
+      source.buildQueryString({ page: 2, pageSize: 10, q: ' acme ', sort: '-lcontact', disabled: false, filters: { status: ['Applied', ''] } }),
+      'page=2&pageSize=10&q=acme&sort=-lcontact&disabled=false&companyId=3&status=Applied'
+    );
+    assert.equal(source.buildQueryString({ disabled: null }), 'companyId=3');
+  });
+
+  test('walks every page exactly once', async () => {
+    const source = createSource();
+    const pageSize = 2;
+    const first = await source.fetchPage({ page: 1, pageSize, sort: 'id' });
+    assert.equal(first.total, positions.length);
+    assert.equal(first.totalPages, Math.ceil(positions.length / pageSize));
+
+    const seenIds = [];
+    for (let page = 1; page <= first.totalPages; page++) {
+      const result = await source.fetchPage({ page, pageSize, sort: 'id' });
+      assert.equal(result.page, page);
+      assert.ok(result.data.length <= pageSize);
+      seenIds.push(...result.data.map(record => record.id));
+    }
+
+    const expectedIds = positions.map(record => record.id).sort((a, b) => a - b);
+    assert.deepEqual(seenIds, expectedIds);
+  });
+
+  test('filters on the server before paging', async () => {
+    const expected = positions.filter(record => record.isDisabled !== true).length;
+    const result = await createSource().fetchPage({ page: 1, pageSize: 1, disabled: false });
+    assert.equal(result.total, expected);
+    assert.equal(result.data.length, Math.min(1, expected));
+    assert.ok(result.data.every(record => record.isDisabled !== true));
+
+    const none = await createSource().fetchPage({ q: 'no position matches this search term' });
+    assert.equal(none.total, 0);
+    assert.deepEqual(none.data, []);
+  });
+
+  test('marks responses to superseded requests as stale', async () => {
+    const source = createSource();
+    const [older, newer] = await Promise.all([
+      source.fetchPage({ page: 1, pageSize: 1 }),
+      source.fetchPage({ page: 2, pageSize: 1 })
+    ]);
+    assert.equal(older.stale, true);
+    assert.equal(newer.stale, false);
+  });
+
+  test('surfaces API validation errors', async () => {
+    await assert.rejects(
+      createSource().fetchPage({ sort: 'nickname' }),
+      /DataGridRemoteSource: Invalid query parameters \(Cannot sort by unknown field "nickname"\)/
+    );
+  });
+});
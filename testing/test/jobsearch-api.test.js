@@ -0,0 +1,227 @@
+/**
+ * JobSearch API - routes against a temporary copy of jobsearch.json
+ * Run with `npm test` in testing/
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createJobSearchApi, validateRecord, parseEntityQuery } = require('../jobsearch-api');
+
+const SOURCE_DATA_FILE = path.join(__dirname, '..', '..', 'jobsearch.json');
+
+describe('JobSearch API', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+
+  const request = async (method, url, { body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, etag: response.headers.get('ETag'), body: await response.json() };
+  };
+
+  // A new position built from an existing one, without server-managed fields
+  const createPositionBody = async () => {
+    const { body } = await request('GET', '/api/positions/1');
+    const { id, version, updatedAt, timestamp, ...fields } = body;
+    return { ...fields, position: 'Platform Engineer' };
+  };
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobsearch-api-'));
+    const dataFile = path.join(tempDir, 'jobsearch.json');
+    fs.copyFileSync(SOURCE_DATA_FILE, dataFile);
+
+    const app = express();
+    app.use('/api', createJobSearchApi({ dataFile }));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('lists entities with record counts', async () => {
+    const { status, body } = await request('GET', '/api');
+    assert.equal(status, 200);
+    assert.ok(body.entities.some(entity => entity.name === 'positions' && entity.count > 0));
+    assert.equal(body.schemaVersion, JSON.parse(fs.readFileSync(SOURCE_DATA_FILE, 'utf8')).schemaVersion);
+  });
+
+  test('creates a record with a server-assigned id, version and ETag', async () => {
+    const { status, etag, body } = await request('POST', '/api/positions', { body: await createPositionBody() });
+    assert.equal(status, 201);
+    assert.equal(body.position, 'Platform Engineer');
+    assert.equal(body.version, 1);
+    assert.equal(etag, '"1"');
+
+    const fetched = await request('GET', `/api/positions/${body.id}`);
+    assert.equal(fetched.body.position, 'Platform Engineer');
+  });
+
+  test('rejects unknown fields, prototype names included', async () => {
+    const base = await createPositionBody();
+    for (const fieldName of ['nickname', 'constructor', 'toString']) {
+      const { status, body } = await request('POST', '/api/positions', { body: { ...base, [fieldName]: 'x' } });
+      assert.equal(status, 400, fieldName);
+      assert.ok(body.details.includes(`Unknown field "${fieldName}"`), fieldName);
+    }
+  });
+
+  test('rejects prototype names as entities and query fields', async () => {
+    assert.equal((await request('GET', '/api/constructor')).status, 404);
+    assert.equal((await request('GET', '/api/__proto__')).status, 404);
+
+    const filter = await request('GET', '/api/positions?constructor=x');
+    assert.equal(filter.status, 400);
+    assert.deepEqual(filter.body.details, ['Unknown query parameter "constructor"']);
+
+    assert.equal((await request('GET', '/api/positions?sort=toString')).status, 400);
+  });
+
+  test('validates against the schema without prototype lookups', () => {
+    const schema = { name: { type: 'string', required: true } };
+    assert.deepEqual(validateRecord(schema, { name: 'Acme', constructor: 1 }, {}).errors, ['Unknown field "constructor"']);
+    assert.deepEqual(validateRecord(schema, { name: 'Acme' }, {}).errors, []);
+    assert.throws(() => parseEntityQuery({ constructor: 'x' }, schema), /Invalid query parameters/);
+  });
+
+  test('PATCH with a matching If-Match bumps the version and ETag', async () => {
+    const created = await request('POST', '/api/positions', { body: await createPositionBody() });
+    const patched = await request('PATCH', `/api/positions/${created.body.id}`, {
+      body: { position: 'Staff Engineer' },
+      headers: { 'If-Match': created.etag }
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.version, 2);
+    assert.equal(patched.etag, '"2"');
+
+    const fetched = await request('GET', `/api/positions/${created.body.id}`);
+    assert.equal(fetched.etag, '"2"');
+    assert.equal(fetched.body.position, 'Staff Engineer');
+  });
+
+  test('stale writes get 409 with the current record', async () => {
+    const created = await request('POST', '/api/positions', { body: await createPositionBody() });
+    const url = `/api/positions/${created.body.id}`;
+    await request('PATCH', url, { body: { position: 'First' }, headers: { 'If-Match': created.etag } });
+
+    const staleHeader = await request('PATCH', url, { body: { position: 'Second' }, headers: { 'If-Match': created.etag } });
+    assert.equal(staleHeader.status, 409);
+    assert.equal(staleHeader.body.current.version, 2);
+    assert.equal(staleHeader.body.current.position, 'First');
+
+    const staleBody = await request('PUT', url, { body: { ...created.body, position: 'Second' } });
+    assert.equal(staleBody.status, 409);
+    assert.match(staleBody.body.details[0], /Expected version 1, current version is 2/);
+
+    const staleDelete = await request('DELETE', url, { headers: { 'If-Match': '"1"' } });
+    assert.equal(staleDelete.status, 409);
+
+    const unchanged = await request('GET', url);
+    assert.equal(unchanged.body.position, 'First');
+  });
+
+  test('If-Match: * and unconditional writes skip the version check', async () => {
+    const created = await request('POST', '/api/positions', { body: await createPositionBody() });
+    const url = `/api/positions/${created.body.id}`;
+    await request('PATCH', url, { body: { position: 'First' } });
+
+    const wildcard = await request('PATCH', url, { body: { position: 'Second' }, headers: { 'If-Match': '*' } });
+    assert.equal(wildcard.status, 200);
+    assert.equal(wildcard.body.version, 3);
+
+    const deleted = await request('DELETE', url, { headers: { 'If-Match': wildcard.etag } });
+    assert.equal(deleted.status, 200);
+    assert.equal((await request('GET', url)).status, 404);
+  });
+
+  test('pages, searches and sorts entity lists', async () => {
+    const { status, body } = await request('GET', '/api/positions?page=1&pageSize=2&sort=-id');
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 2);
+    assert.equal(body.page, 1);
+    assert.ok(body.total >= 2);
+    assert.ok(body.data[0].id > body.data[1].id);
+  });
+});
+
+describe('JobSearch API with a self-referencing foreign key', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+
+  const request = async (method, url) => {
+    const response = await fetch(`${baseUrl}${url}`, { method });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobsearch-api-'));
+    const dataFile = path.join(tempDir, 'jobsearch.json');
+    // 1 → 3 → 2 → 1 is a cycle, 4 references itself and 5 is the unrelated last row
+    fs.writeFileSync(dataFile, JSON.stringify({
+      jobsearch: {
+        tasks: {
+          schema: {
+            id: { type: 'number', primaryKey: true },
+            title: { type: 'string' },
+            parentId: { type: 'number', foreignKey: 'tasks.id', onDelete: 'cascade' }
+          },
+          data: [
+            { id: 1, title: 'Prepare', parentId: 3 },
+            { id: 2, title: 'Research', parentId: 1 },
+            { id: 3, title: 'Apply', parentId: 2 },
+            { id: 4, title: 'Follow up', parentId: 4 },
+            { id: 5, title: 'Negotiate', parentId: null }
+          ]
+        }
+      }
+    }));
+
+    const app = express();
+    app.use('/api', createJobSearchApi({ dataFile }));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const listIds = async () => (await request('GET', '/api/tasks')).body.data.map(record => record.id);
+
+  test('deleting a record in a cascade cycle removes the cycle and nothing else', async () => {
+    const { status, body } = await request('DELETE', '/api/tasks/1');
+    assert.equal(status, 200);
+    assert.equal(body.deleted.id, 1);
+    assert.deepEqual(body.affected.map(effect => `${effect.id}:${effect.effect}`).sort(), ['2:delete', '3:delete']);
+    assert.deepEqual(await listIds(), [4, 5]);
+
+    const history = await request('GET', '/api/tasks/1/history');
+    assert.deepEqual(history.body.entries.map(entry => entry.action), ['delete']);
+  });
+
+  test('deleting a record that references itself removes only that record', async () => {
+    const { status, body } = await request('DELETE', '/api/tasks/4');
+    assert.equal(status, 200);
+    assert.equal(body.deleted.id, 4);
+    assert.deepEqual(body.affected, []);
+    assert.deepEqual(await listIds(), [5]);
+    assert.equal((await request('DELETE', '/api/tasks/4')).status, 404);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * JobSearch CSV parsing and formatting (../jobsearch-csv.js)
+ * Run with `npm test` in testing/
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvWithHeaders, formatCsv, detectCsvDelimiter } = require('../../jobsearch-csv');
+
+const TRICKY_ROWS = [
+  ['Company', 'Position', 'Notes'],
+  ['Acme, Inc.', 'Engineer "II"', 'Line one\r\nLine two'],
+  ['  padded  ', '', 'semi;colon\ttab'],
+  ['Ünïcødé ✓', 'unix\nbreak', '"quoted"']
+];
+
+describe('JobSearch CSV', () => {
+  for (const delimiter of [',', ';', '\t']) {
+    test(`round-trips quotes, delimiters and line breaks (${JSON.stringify(delimiter)})`, () => {
+      const text = formatCsv(TRICKY_ROWS, { delimiter });
+      const parsed = parseCsv(text);
+      assert.equal(parsed.delimiter, delimiter);
+      assert.deepEqual(parsed.rows, TRICKY_ROWS);
+    });
+  }
+
+  test('formats with CRLF row endings and quotes only when needed', () => {
+    assert.equal(formatCsv([['a', 'b c'], ['x,y', null]]), 'a,b c\r\n"x,y",');
+  });
+
+  test('reads a byte order mark, LF endings and blank lines', () => {
+    const parsed = parseCsvWithHeaders('\uFEFF Company ,Position\n\nAcme,Engineer\nGlobex\n');
+    assert.deepEqual(parsed.headers, ['Company', 'Position']);
+    assert.deepEqual(parsed.rows, [['Acme', 'Engineer'], ['Globex', '']]);
+  });
+
+  test('detects the delimiter from the header line only', () => {
+    assert.equal(detectCsvDelimiter('a;b;c\n1,2,3,4,5'), ';');
+    assert.equal(detectCsvDelimiter('"a;b",c'), ',');
+  });
+
+  test('escapes cells that spreadsheet apps would run as formulas', () => {
+    const rows = [['=HYPERLINK("http://evil")', '+1', '-2', '@SUM(A1)', '\tcmd', 'safe', 'a=b', '']];
+    assert.deepEqual(parseCsv(formatCsv(rows, { escapeFormulas: true })).rows, [
+      ["'=HYPERLINK(\"http://evil\")", "'+1", "'-2", "'@SUM(A1)", "'\tcmd", 'safe', 'a=b', '']
+    ]);
+    assert.deepEqual(parseCsv(formatCsv(rows)).rows, rows);
+  });
+
+  test('a parsed file formats back to the same text', () => {
+    const text = 'Name,Title\r\n"Smith, Jane","Says ""hi"""\r\nDoe,Engineer';
+    assert.equal(formatCsv(parseCsv(text).rows), text);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Computed field expressions (../jobsearch-expressions.js) and their validation
+ * Run with `npm test` in testing/
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileExpression, getComputedExpression, ExpressionError } = require('../../jobsearch-expressions');
+const { validateDocument } = require('../../jobsearch-validator');
+
+const NOW = new Date(2024, 10, 15, 12, 0);
+const RECORDS = {
+  companies: [{ id: 1, name: 'Acme' }],
+  contacts: [{ id: 5, fname: 'Jane', lname: 'Smith', companyId: 1 }]
+};
+const lookup = (entity, id) => (Object.prototype.hasOwnProperty.call(RECORDS, entity)
+  ? RECORDS[entity].find(record => String(record.id) === String(id)) || null
+  : null);
+const evaluate = (source, record = {}) => compileExpression(source).evaluate(record, { lookup, now: NOW });
+
+describe('expression evaluation', () => {
+  test('arithmetic, text joins and precedence', () => {
+    assert.equal(evaluate('1 + 2 * 3 - 4 / 2'), 5);
+    assert.equal(evaluate('(1 + 2) * 3 % 4'), 1);
+    assert.equal(evaluate("fname + ' ' + lname", { fname: 'Jane', lname: 'Smith' }), 'Jane Smith');
+    assert.equal(evaluate("'#' + id", { id: 7 }), '#7');
+    assert.equal(evaluate('-salary', { salary: '120' }), -120);
+  });
+
+  test('empty values and impossible arithmetic give null', () => {
+    assert.equal(evaluate('salary * 2', {}), null);
+    assert.equal(evaluate('1 / 0'), null);
+    assert.equal(evaluate('5 % 0'), null);
+    assert.equal(evaluate('missing'), null);
+  });
+
+  test('comparisons, logic and conditionals', () => {
+    assert.equal(evaluate("'5' < 10"), true);
+    assert.equal(evaluate("a == b", { a: '', b: null }), true);
+    assert.equal(evaluate('a < 1', {}), false);
+    assert.equal(evaluate("isDisabled ? 'Closed' : 'Open'", { isDisabled: true }), 'Closed');
+    assert.equal(evaluate("nickname || fname", { fname: 'Jane' }), 'Jane');
+    assert.equal(evaluate('!score && true', { score: 0 }), true);
+  });
+
+  test('date functions use the evaluation time', () => {
+    assert.equal(evaluate('today()'), '2024-11-15');
+    assert.equal(evaluate('daysSince(coalesce(lcontact, icontact))', { icontact: '2024-11-01' }), 14);
+    assert.equal(evaluate("daysUntil('2024-11-20')"), 5);
+    assert.equal(evaluate("addDays('2024-02-28', 2)"), '2024-03-01');
+    assert.equal(evaluate('daysSince(lcontact)', { lcontact: 'not a date' }), null);
+  });
+
+  test('text and number functions', () => {
+    assert.equal(evaluate("join(', ', lname, '', fname)", { fname: 'Jane', lname: 'Smith' }), 'Smith, Jane');
+    assert.equal(evaluate("upper(trim('  acme '))"), 'ACME');
+    assert.equal(evaluate("contains('Senior Engineer', 'ENGINEER')"), true);
+    assert.equal(evaluate('round(2.345, 2) + abs(-1) + max(1, 4) - min(3, 2)'), 5.35);
+    assert.equal(evaluate("len(text(12345))"), 5);
+  });
+
+  test('lookups follow foreign keys and chain left to right', () => {
+    assert.equal(evaluate('contactId -> contacts.lname', { contactId: 5 }), 'Smith');
+    assert.equal(evaluate('contactId -> contacts.companyId -> companies.name', { contactId: '5' }), 'Acme');
+    assert.equal(evaluate('contactId -> contacts.lname', { contactId: 99 }), null);
+    assert.equal(evaluate('contactId -> contacts.lname', {}), null);
+  });
+
+  test('reports the fields and lookups an expression reads', () => {
+    const { dependencies } = compileExpression("contactId -> contacts.companyId -> companies.name + ' ' + fname");
+    assert.deepEqual(dependencies.fields.sort(), ['contactId', 'fname']);
+    assert.deepEqual(dependencies.entities.sort(), ['companies', 'contacts']);
+  });
+
+  test('rewrites computedFrom/computedKey fields as lookups', () => {
+    const document = {
+      jobsearch: {
+        positions: { schema: { companyId: { foreignKey: 'companies.id' } } },
+        companies: { schema: { name: {} } }
+      }
+    };
+    const schema = { positionId: { foreignKey: 'positions.id' } };
+    assert.equal(
+      getComputedExpression({ computed: true, computedFrom: 'companies.name', computedKey: 'positionId.companyId' }, schema, document),
+      'positionId -> positions.companyId -> companies.name'
+    );
+    assert.equal(
+      getComputedExpression({ computed: true, computedFrom: 'contacts.lname, contacts.fname', computedKey: 'contactId' }, {}, document),
+      "join(', ', contactId -> contacts.lname, contactId -> contacts.fname)"
+    );
+    assert.equal(getComputedExpression({ computed: true, computedFrom: 'x.name', computedKey: 'constructor.name' }, {}, document), null);
+    assert.equal(getComputedExpression({ computedFrom: 'companies.name', computedKey: 'companyId' }, {}, document), null);
+  });
+});
+
+describe('expression rejection', () => {
+  const rejects = (source, message) => assert.throws(() => compileExpression(source), error => (
+    error instanceof ExpressionError && message.test(error.message)
+  ), source);
+
+  test('syntax errors name the position', () => {
+    rejects('', /Expression is empty/);
+    rejects('1 +', /Unexpected end of expression/);
+    rejects("'open", /Unterminated string at position 1/);
+    rejects('a $ b', /Unexpected character "\$" at position 3/);
+    rejects('(a + b', /Expected "\)"/);
+    rejects('a b', /Unexpected "b"/);
+    rejects('id -> contacts', /Expected "\."/);
+  });
+
+  test('only whitelisted functions can be called', () => {
+    rejects('eval("1")', /Unknown function "eval"/);
+    rejects('constructor("return 1")', /Unknown function "constructor"/);
+    rejects('toString()', /Unknown function "toString"/);
+    rejects('fname.length', /Unexpected "\."/);
+  });
+
+  test('size limits', () => {
+    rejects('1'.repeat(1001), /longer than 1000 characters/);
+    rejects(`${'('.repeat(50)}1${')'.repeat(50)}`, /nested too deeply/);
+  });
+
+  test('prototype names read nothing', () => {
+    assert.equal(evaluate('constructor', { fname: 'Jane' }), null);
+    assert.equal(evaluate('__proto__', {}), null);
+    assert.equal(evaluate('contactId -> contacts.constructor', { contactId: 5 }), null);
+    assert.equal(evaluate('contactId -> contacts.toString', { contactId: 5 }), null);
+    assert.equal(evaluate('hasOwnProperty', Object.create({ hasOwnProperty: 'inherited' })), null);
+  });
+
+  test('the validator reports expressions that read unknown or prototype names', () => {
+    const document = {
+      jobsearch: {
+        contacts: {
+          schema: {
+            id: { type: 'number', primaryKey: true, displayType: { element: 'input', type: 'hidden' }, editType: { element: 'input', type: 'hidden' } },
+            fname: { type: 'string', displayType: { element: 'label', type: 'label' }, editType: { element: 'input', type: 'input-text' } },
+            label: {
+              type: 'computed',
+              computed: true,
+              expression: "constructor + fname + (id -> companies.name) + (id -> contacts.toString)",
+              displayType: { element: 'label', type: 'label' },
+              editType: { element: 'label', type: 'label' }
+            }
+          },
+          data: []
+        }
+      }
+    };
+    const messages = validateDocument(document).errors.map(issue => issue.message);
+    assert.ok(messages.includes('reads unknown field "constructor" in this schema'), messages.join('\n'));
+    assert.ok(messages.includes('references unknown entity "companies"'), messages.join('\n'));
+    assert.ok(messages.includes('references unknown field "contacts.toString"'), messages.join('\n'));
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * JobSearch iCalendar formatting and parsing (../jobsearch-ical.js)
+ * Run with `npm test` in testing/
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatICalendar, parseICalendar, isICalendarText } = require('../../jobsearch-ical');
+
+const EVENTS = [
+  {
+    uid: 'jobsearch-appointments-12@jobsearch',
+    summary: 'Interview: Senior Engineer; round 2, onsite',
+    description: 'Bring portfolio\nAsk about the team\\org chart',
+    location: 'Acme HQ, Building 4',
+    categories: ['Interview', 'On, site'],
+    date: '2024-10-28',
+    time: '14:30',
+    durationMinutes: 90,
+    sequence: 3
+  },
+  {
+    uid: 'jobsearch-appointments-13@jobsearch',
+    summary: `Follow-up ${'mit Ünïcødé ✓ '.repeat(8)}`.trim(),
+    categories: [],
+    date: '2024-12-31',
+    time: null,
+    sequence: 0
+  }
+];
+
+// The parser reads what the importer uses; the end time is derived from the appointment
+const pickImportedFields = ({ uid, summary, description, location, categories, date, time, sequence }) => (
+  { uid, summary, description, location, categories, date, time, sequence }
+);
+
+describe('JobSearch iCalendar', () => {
+  test('round-trips timed and all-day events', () => {
+    const text = formatICalendar(EVENTS, { calendarName: 'Job search' });
+    const { events, errors } = parseICalendar(text);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(events.map(pickImportedFields), EVENTS.map(pickImportedFields));
+  });
+
+  test('writes CRLF lines folded at 75 octets', () => {
+    const text = formatICalendar(EVENTS);
+    assert.ok(isICalendarText(text));
+    assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+    text.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line));
+    assert.match(text, /DTSTART:20241028T143000\r\nDTEND:20241028T160000/);
+    assert.match(text, /DTSTART;VALUE=DATE:20241231\r\nDTEND;VALUE=DATE:20250101/);
+  });
+
+  test('parses events from other calendar apps', () => {
+    const text = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:abc@example.com',
+      'DTSTART;TZID=Europe/Berlin:20241105T091500',
+      'SUMMARY:Phone screen',
+      'BEGIN:VALARM',
+      'DESCRIPTION:Reminder',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:No start',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\n');
+    const { events, errors } = parseICalendar(text);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].date, '2024-11-05');
+    assert.equal(events[0].time, '09:15');
+    assert.equal(events[0].description, undefined);
+    assert.deepEqual(errors, ['Event "No start" has no readable start date']);
+  });
+
+  test('rejects events without a uid or date when formatting', () => {
+    assert.throws(() => formatICalendar([{ summary: 'x', date: '2024-01-01' }]), /needs a uid and a date/);
+  });
+});
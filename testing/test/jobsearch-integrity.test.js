@@ -0,0 +1,190 @@
+/**
+ * Foreign key onDelete policies (../jobsearch-integrity.js) and how the JobSearch API applies them
+ * Run with `npm test` in testing/
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { planRecordRemoval, applyRecordRemovalEffects } = require('../../jobsearch-integrity');
+const { createJobSearchApi } = require('../jobsearch-api');
+
+const SOURCE_DATA_FILE = path.join(__dirname, '..', '..', 'jobsearch.json');
+
+// companies ← positions.companyId (policy under test) ← appointments.positionId (cascade)
+function createDocument(onDelete, { required = false } = {}) {
+  const companyId = { type: 'number', foreignKey: 'companies.id', required };
+  if (onDelete) {
+    companyId.onDelete = onDelete;
+  }
+  return {
+    jobsearch: {
+      companies: {
+        schema: { id: { type: 'number', primaryKey: true }, name: { type: 'string' } },
+        data: [{ id: 1, name: 'Acme' }, { id: 2, name: 'Globex' }]
+      },
+      positions: {
+        schema: {
+          id: { type: 'number', primaryKey: true },
+          position: { type: 'string' },
+          companyId,
+          companyName: { type: 'computed', computed: true, foreignKey: 'companies.id', computedKey: 'companyId' }
+        },
+        data: [
+          { id: 10, position: 'Engineer', companyId: 1 },
+          { id: 11, position: 'Manager', companyId: 1, isDisabled: true },
+          { id: 12, position: 'Designer', companyId: 2 }
+        ]
+      },
+      appointments: {
+        schema: {
+          id: { type: 'number', primaryKey: true },
+          positionId: { type: 'number', foreignKey: 'positions.id', onDelete: 'cascade' }
+        },
+        data: [{ id: 100, positionId: 10 }, { id: 101, positionId: 12 }]
+      }
+    }
+  };
+}
+
+const plan = (onDelete, mode, options) => {
+  const document = createDocument(onDelete, options);
+  const company = document.jobsearch.companies.data[0];
+  return { document, result: planRecordRemoval(document, 'companies', [company], { mode }) };
+};
+const describeEffects = ({ effects }) => effects.map(effect => `${effect.entityType}:${effect.record.id}:${effect.effect}`);
+const describeBlocked = ({ blocked }) => blocked.map(group => `${group.entityType}.${group.fieldName}:${group.policy}:${group.records.map(record => record.id)}`);
+
+describe('onDelete policies', () => {
+  test('restrict blocks deletes while any dependents exist and disables while enabled ones do', () => {
+    assert.deepEqual(describeBlocked(plan('restrict', 'delete').result), ['positions.companyId:restrict:10,11']);
+    assert.deepEqual(describeBlocked(plan('restrict', 'disable').result), ['positions.companyId:restrict:10']);
+  });
+
+  test('fields without onDelete are restricted', () => {
+    assert.deepEqual(describeBlocked(plan(null, 'delete').result), ['positions.companyId:restrict:10,11']);
+  });
+
+  test('cascade deletes or disables dependents and their own dependents', () => {
+    const deleted = plan('cascade', 'delete').result;
+    assert.deepEqual(deleted.blocked, []);
+    assert.deepEqual(describeEffects(deleted), ['positions:10:delete', 'positions:11:delete', 'appointments:100:delete']);
+
+    const disabled = plan('cascade', 'disable').result;
+    assert.deepEqual(describeEffects(disabled), ['positions:10:disable', 'appointments:100:disable']);
+  });
+
+  test('set-null clears the key, and is blocked on a required key', () => {
+    assert.deepEqual(describeEffects(plan('set-null', 'delete').result), ['positions:10:set-null', 'positions:11:set-null']);
+    assert.deepEqual(describeEffects(plan('set-null', 'disable').result), ['positions:10:set-null']);
+    assert.deepEqual(describeBlocked(plan('set-null', 'delete', { required: true }).result), ['positions.companyId:set-null:10,11']);
+  });
+
+  test('cascade-disable disables dependents but blocks deletes', () => {
+    assert.deepEqual(describeEffects(plan('cascade-disable', 'disable').result), ['positions:10:disable', 'appointments:100:disable']);
+    assert.deepEqual(describeBlocked(plan('cascade-disable', 'delete').result), ['positions.companyId:cascade-disable:10,11']);
+  });
+
+  test('applying a plan updates the data and reports every change', () => {
+    const { document, result } = plan('cascade', 'delete');
+    const changes = [];
+    const touched = applyRecordRemovalEffects(document, result, {
+      onChange: (entityType, before, after) => changes.push([entityType, before.id, after])
+    });
+    assert.deepEqual(touched.sort(), ['appointments', 'positions']);
+    assert.deepEqual(changes, [['positions', 10, null], ['positions', 11, null], ['appointments', 100, null]]);
+    assert.deepEqual(document.jobsearch.positions.data.map(record => record.id), [12]);
+    assert.deepEqual(document.jobsearch.appointments.data.map(record => record.id), [101]);
+
+    const nulled = plan('set-null', 'delete');
+    applyRecordRemovalEffects(nulled.document, nulled.result);
+    assert.deepEqual(nulled.document.jobsearch.positions.data.map(record => record.companyId), [null, null, 2]);
+  });
+});
+
+describe('onDelete policies in the JobSearch API', () => {
+  let tempDir;
+  let server;
+  let baseUrl;
+  let data;
+
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobsearch-integrity-'));
+    const dataFile = path.join(tempDir, 'jobsearch.json');
+    fs.copyFileSync(SOURCE_DATA_FILE, dataFile);
+    data = JSON.parse(fs.readFileSync(dataFile, 'utf8')).jobsearch;
+
+    const app = express();
+    app.use('/api', createJobSearchApi({ dataFile }));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const findCompanyWithPositions = () => data.companies.data.find(company => (
+    !company.isDisabled && data.positions.data.some(position => position.companyId === company.id && !position.isDisabled)
+  ));
+
+  test('deleting a company with positions answers 409 and changes nothing', async () => {
+    const company = findCompanyWithPositions();
+    const { status, body } = await request('DELETE', `/api/companies/${company.id}`);
+    assert.equal(status, 409);
+    assert.equal(body.blocked[0].entity, 'positions');
+    assert.equal(body.blocked[0].policy, 'cascade-disable');
+    assert.equal((await request('GET', `/api/companies/${company.id}`)).status, 200);
+  });
+
+  test('disabling a company disables its positions and their appointments', async () => {
+    const company = findCompanyWithPositions();
+    const positionIds = data.positions.data
+      .filter(position => position.companyId === company.id && !position.isDisabled)
+      .map(position => position.id);
+    const appointmentIds = data.appointments.data
+      .filter(appointment => positionIds.includes(appointment.positionId) && !appointment.isDisabled)
+      .map(appointment => appointment.id);
+
+    const { status, body } = await request('PATCH', `/api/companies/${company.id}`, { isDisabled: true });
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.affected.map(effect => `${effect.entity}:${effect.id}:${effect.effect}`).sort(),
+      [
+        ...positionIds.map(id => `positions:${id}:disable`),
+        ...appointmentIds.map(id => `appointments:${id}:disable`)
+      ].sort()
+    );
+
+    const position = await request('GET', `/api/positions/${positionIds[0]}`);
+    assert.equal(position.body.isDisabled, true);
+    assert.equal(position.body.version, (data.positions.data.find(record => record.id === positionIds[0]).version || 0) + 1);
+  });
+
+  test('deleting a contact unlinks the positions that reference it', async () => {
+    const contact = data.contacts.data.find(candidate => data.positions.data.some(position => position.contactId === candidate.id));
+    const positionIds = data.positions.data.filter(position => position.contactId === contact.id).map(position => position.id);
+
+    const { status, body } = await request('DELETE', `/api/contacts/${contact.id}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.affected.map(effect => effect.id).sort(), [...positionIds].sort());
+    for (const id of positionIds) {
+      assert.equal((await request('GET', `/api/positions/${id}`)).body.contactId, null);
+    }
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * jobsearch.json schema migrations (../jobsearch-migrations.js, migrate-jobsearch.js)
+ * Run with `npm test` in testing/
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { migrateDocument, CURRENT_SCHEMA_VERSION } = require('../../jobsearch-migrations');
+const { migrateJobSearchFile } = require('../migrate-jobsearch');
+const { validateRecord } = require('../jobsearch-api');
+
+const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+// Unversioned document with legacy htmlElement/htmlType field configs
+const LEGACY_DATA_FILE = path.join(__dirname, '..', 'jobsearch.json');
+const CURRENT_DATA_FILE = path.join(__dirname, '..', '..', 'jobsearch.json');
+
+describe('jobsearch.json migrations', () => {
+  test('the bundled data file is at the current schema version', () => {
+    const report = migrateDocument(readJson(CURRENT_DATA_FILE));
+    assert.equal(report.fromVersion, CURRENT_SCHEMA_VERSION);
+    assert.equal(report.changed, false);
+    assert.deepEqual(report.steps, []);
+  });
+
+  test('re-running every step on a current document changes nothing', () => {
+    const document = readJson(CURRENT_DATA_FILE);
+    const report = migrateDocument(document, { reapply: true });
+    assert.deepEqual(report.steps, []);
+    assert.deepEqual(report.document, document);
+  });
+
+  test('steps the document has passed do not run again', () => {
+    const document = readJson(CURRENT_DATA_FILE);
+    delete document.jobsearch.positions.schema.daysSinceContact;
+    const report = migrateDocument(document);
+    assert.equal(report.changed, false);
+    assert.equal(report.document.jobsearch.positions.schema.daysSinceContact, undefined);
+  });
+
+  test('storage hands the schema version to the loader with the document', async () => {
+    const { MemoryStorageAdapter } = require('../../jobsearch-storage');
+    const current = readJson(CURRENT_DATA_FILE);
+    assert.equal((await new MemoryStorageAdapter(current).loadDocument()).schemaVersion, CURRENT_SCHEMA_VERSION);
+
+    const { schemaVersion, ...unversioned } = current;
+    assert.equal('schemaVersion' in await new MemoryStorageAdapter(unversioned).loadDocument(), false);
+  });
+
+  test('a migrated legacy document is a fixed point', () => {
+    const legacy = readJson(LEGACY_DATA_FILE);
+    const first = migrateDocument(legacy);
+    assert.equal(first.fromVersion, 0);
+    assert.equal(first.document.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.ok(first.steps.length > 0);
+
+    const second = migrateDocument(first.document, { reapply: true });
+    assert.deepEqual(second.steps, []);
+    assert.deepEqual(second.document, first.document);
+  });
+
+  test('does not modify its input', () => {
+    const legacy = readJson(LEGACY_DATA_FILE);
+    const copy = JSON.parse(JSON.stringify(legacy));
+    migrateDocument(legacy);
+    assert.deepEqual(legacy, copy);
+  });
+
+  test('v8 adds appointments.calendarUid so the API accepts imported event UIDs', () => {
+    const current = readJson(CURRENT_DATA_FILE);
+    const v7 = JSON.parse(JSON.stringify(current));
+    v7.schemaVersion = 7;
+    delete v7.jobsearch.appointments.schema.calendarUid;
+
+    const appointment = { ...current.jobsearch.appointments.data[0], calendarUid: 'event-1@example.com' };
+    const unknownField = 'Unknown field "calendarUid"';
+    assert.ok(validateRecord(v7.jobsearch.appointments.schema, appointment, v7).errors.includes(unknownField));
+
+    const report = migrateDocument(v7);
+    assert.deepEqual(report.steps.map(step => step.version), [8]);
+    assert.deepEqual(report.document, current);
+    assert.ok(!validateRecord(report.document.jobsearch.appointments.schema, appointment, report.document).errors.includes(unknownField));
+  });
+
+  test('v9 sets the positions onDelete policies and keeps ones already chosen', () => {
+    const current = readJson(CURRENT_DATA_FILE);
+    const v8 = JSON.parse(JSON.stringify(current));
+    v8.schemaVersion = 8;
+    delete v8.jobsearch.positions.schema.companyId.onDelete;
+    v8.jobsearch.positions.schema.contactId.onDelete = 'restrict';
+
+    const report = migrateDocument(v8);
+    assert.deepEqual(report.steps.map(step => step.version), [9]);
+    assert.equal(report.document.jobsearch.positions.schema.companyId.onDelete, 'cascade-disable');
+    assert.equal(report.document.jobsearch.positions.schema.contactId.onDelete, 'restrict');
+  });
+
+  test('v10 adds the daysSinceContact computed field after lcontact', () => {
+    const current = readJson(CURRENT_DATA_FILE);
+    const v9 = JSON.parse(JSON.stringify(current));
+    v9.schemaVersion = 9;
+    delete v9.jobsearch.positions.schema.daysSinceContact;
+
+    const report = migrateDocument(v9);
+    assert.deepEqual(report.steps.map(step => step.version), [10]);
+    assert.deepEqual(
+      Object.keys(report.document.jobsearch.positions.schema),
+      Object.keys(current.jobsearch.positions.schema)
+    );
+    assert.deepEqual(
+      report.document.jobsearch.positions.schema.daysSinceContact,
+      current.jobsearch.positions.schema.daysSinceContact
+    );
+
+    const again = migrateDocument(report.document, { reapply: true });
+    assert.equal(again.steps.some(step => step.version === 10), false);
+  });
+
+  test('rejects documents from a newer schema version', () => {
+    assert.throws(
+      () => migrateDocument({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, jobsearch: {} }),
+      /newer than this app supports/
+    );
+  });
+
+  describe('migrateJobSearchFile', () => {
+    let tempDir;
+    let dataFile;
+
+    before(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobsearch-migrate-'));
+      dataFile = path.join(tempDir, 'jobsearch.json');
+      fs.copyFileSync(LEGACY_DATA_FILE, dataFile);
+    });
+
+    after(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('a dry run writes nothing', () => {
+      const before = fs.readFileSync(dataFile, 'utf8');
+      const result = migrateJobSearchFile(dataFile, { dryRun: true });
+      assert.equal(result.changed, true);
+      assert.equal(result.backupPath, null);
+      assert.equal(fs.readFileSync(dataFile, 'utf8'), before);
+      assert.deepEqual(fs.readdirSync(tempDir), ['jobsearch.json']);
+    });
+
+    test('migrates once, backs up the original and is a no-op afterwards', () => {
+      const original = fs.readFileSync(dataFile, 'utf8');
+      const first = migrateJobSearchFile(dataFile);
+      assert.equal(first.changed, true);
+      assert.equal(fs.readFileSync(first.backupPath, 'utf8'), original);
+      assert.equal(readJson(dataFile).schemaVersion, CURRENT_SCHEMA_VERSION);
+
+      const migrated = fs.readFileSync(dataFile, 'utf8');
+      const second = migrateJobSearchFile(dataFile);
+      assert.equal(second.changed, false);
+      assert.equal(second.backupPath, null);
+      assert.equal(fs.readFileSync(dataFile, 'utf8'), migrated);
+      assert.equal(fs.readdirSync(tempDir).length, 2);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Search box query syntax (../jobsearch-query.js)
+ * Run with `npm test` in testing/
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileSearchQuery, SearchQueryError } = require('../../jobsearch-query');
+
+const SCHEMA = {
+  name: { type: 'string', displayName: 'Company' },
+  website: { type: 'string', displayName: 'Website' },
+  note: { type: 'string', displayName: 'Note' },
+  lcontact: { type: 'date', displayName: 'Last Contact' }
+};
+const RECORDS = [
+  { id: 1, name: 'Acme', website: 'https://acme.com', note: 'note: call back on Monday', lcontact: '2024-10-01' },
+  { id: 2, name: 'Globex', website: 'https://globex.com', note: 'mailto:hr@globex.com', lcontact: '2024-02-01' }
+];
+const getValues = (record, fieldName) => [record[fieldName]];
+const search = (text) => {
+  const query = compileSearchQuery(text, { schema: SCHEMA });
+  return RECORDS.filter(record => query.matches(record, getValues)).map(record => record.id);
+};
+
+describe('search query', () => {
+  test('words, phrases, fields, comparisons and OR', () => {
+    assert.deepEqual(search('acme'), [1]);
+    assert.deepEqual(search('"call back"'), [1]);
+    assert.deepEqual(search('-acme'), [2]);
+    assert.deepEqual(search('company:globex'), [2]);
+    assert.deepEqual(search('"last contact":>2024-06-01'), [1]);
+    assert.deepEqual(search('acme OR globex'), [1, 2]);
+  });
+
+  test('a URL or mailto: address is a plain word', () => {
+    assert.deepEqual(search('https://acme.com'), [1]);
+    assert.deepEqual(search('mailto:hr@globex.com'), [2]);
+    assert.deepEqual(search('-https://acme.com'), [2]);
+    assert.deepEqual(compileSearchQuery('https://acme.com', { schema: SCHEMA }).fields, []);
+  });
+
+  test('a field name followed by a space is a plain word', () => {
+    assert.deepEqual(search('note: call back'), [1]);
+    assert.deepEqual(search('note:'), [1]);
+    assert.deepEqual(search('note:mailto'), [2]);
+  });
+
+  test('errors name the problem and its position', () => {
+    assert.throws(() => search('"no such field":x'), { name: 'SearchQueryError', message: /Unknown field "no such field" at position 1/ });
+    assert.throws(() => search('"note":'), /Missing value after/);
+    assert.throws(() => search('lcontact:>soon'), /needs a date/);
+    assert.throws(() => search('(acme'), SearchQueryError);
+    assert.throws(() => search('acme OR'), /Expected a search term after "OR"/);
+  });
+});
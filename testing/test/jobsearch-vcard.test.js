@@ -0,0 +1,82 @@
+/**
+ * JobSearch vCard formatting and parsing (../jobsearch-vcard.js)
+ * Run with `npm test` in testing/
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatVCards, parseVCards, isVCardText } = require('../../jobsearch-vcard');
+
+const CARDS = [
+  {
+    uid: 'jobsearch-contacts-1@jobsearch',
+    givenName: 'Jane',
+    familyName: "O'Brien; Smith, Jr.",
+    formattedName: "Jane O'Brien; Smith, Jr.",
+    phones: [{ value: '(555) 123-4567', types: ['cell', 'pref'] }, { value: '+1 555 987 6543', types: ['work'] }],
+    emails: [{ value: 'jane@example.com', types: ['work'] }]
+  },
+  {
+    uid: 'jobsearch-contacts-2@jobsearch',
+    givenName: 'Zoë',
+    familyName: 'Müller-Lüdenscheidt Ünïcødé Långnämn',
+    formattedName: 'Zoë Müller-Lüdenscheidt Ünïcødé Långnämn',
+    phones: [],
+    emails: [{ value: 'zoe@example.org', types: [] }]
+  }
+];
+
+// Version 3.0 adds the implied VOICE and INTERNET types on export
+const withoutImpliedTypes = cards => cards.map(card => ({
+  uid: card.uid,
+  givenName: card.givenName,
+  familyName: card.familyName,
+  formattedName: card.formattedName,
+  phones: card.phones.map(phone => ({ value: phone.value, types: phone.types.filter(type => type !== 'voice').sort() })),
+  emails: card.emails.map(email => ({ value: email.value, types: email.types.filter(type => type !== 'internet').sort() }))
+}));
+
+describe('JobSearch vCard', () => {
+  for (const version of ['3.0', '4.0']) {
+    test(`round-trips names, phones and emails (vCard ${version})`, () => {
+      const text = formatVCards(CARDS, { version });
+      assert.ok(isVCardText(text));
+      text.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line));
+
+      const { cards, errors } = parseVCards(text);
+      assert.deepEqual(errors, []);
+      assert.ok(cards.every(card => card.version === version));
+      assert.deepEqual(withoutImpliedTypes(cards), withoutImpliedTypes(CARDS));
+    });
+  }
+
+  test('writes preference as TYPE=PREF in 3.0 and PREF=1 in 4.0', () => {
+    assert.match(formatVCards([CARDS[0]], { version: '3.0' }), /TEL;TYPE=CELL,PREF,VOICE:\(555\) 123-4567/);
+    assert.match(formatVCards([CARDS[0]], { version: '4.0' }), /TEL;TYPE=cell;PREF=1;VALUE=text:\(555\) 123-4567/);
+  });
+
+  test('parses vCard 2.1 bare types, URI values and reports empty cards', () => {
+    const text = [
+      'BEGIN:VCARD',
+      'VERSION:2.1',
+      'N:Doe;John',
+      'TEL;CELL:555-0100',
+      'EMAIL:mailto:john@example.com',
+      'UID:urn:uuid:1234',
+      'END:VCARD',
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'END:VCARD'
+    ].join('\n');
+    const { cards, errors } = parseVCards(text);
+    assert.equal(cards.length, 1);
+    assert.equal(cards[0].uid, '1234');
+    assert.deepEqual(cards[0].phones, [{ value: '555-0100', types: ['cell'] }]);
+    assert.equal(cards[0].emails[0].value, 'john@example.com');
+    assert.deepEqual(errors, ['Card 2 has no name, phone or email']);
+  });
+
+  test('rejects unsupported versions', () => {
+    assert.throws(() => formatVCards(CARDS, { version: '2.1' }), /unsupported vCard version "2.1"/);
+  });
+});
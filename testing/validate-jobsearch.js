@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Check jobsearch.json schemas and data (see ../jobsearch-validator.js)
+ *
+ * Usage:
+ *   node validate-jobsearch.js [path/to/jobsearch.json] [--errors-only]
+ *   npm run validate
+ *
+ * Exits with status 1 when the file has errors; warnings alone do not fail the check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateDocument, formatValidationReport } = require('../jobsearch-validator');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'jobsearch.json');
+
+/**
+ * Validate a jobsearch.json file
+ * @param {string} filePath
+ * @returns {{valid: boolean, errors: Object[], warnings: Object[]}}
+ */
+function validateJobSearchFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  let document;
+  try {
+    document = JSON.parse(raw);
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [{ severity: 'error', path: '(file)', message: `invalid JSON: ${error.message}` }],
+      warnings: []
+    };
+  }
+  return validateDocument(document);
+}
+
+function main(argv) {
+  const errorsOnly = argv.includes('--errors-only');
+  const fileArg = argv.find(arg => !arg.startsWith('--'));
+  const filePath = path.resolve(fileArg || DEFAULT_DATA_FILE);
+
+  const result = validateJobSearchFile(filePath);
+  console.log(formatValidationReport(errorsOnly ? { ...result, warnings: [] } : result));
+
+  if (result.valid) {
+    console.log(`✅ ${filePath} is valid`);
+  } else {
+    console.log(`❌ ${filePath} has errors`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ Validation failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { validateJobSearchFile };